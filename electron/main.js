@@ -1,5 +1,7 @@
-const { app, BrowserWindow, ipcMain, dialog, desktopCapturer, session } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, desktopCapturer, session, shell } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
 
 let SpoutOutput = null;
 let spoutAvailable = false;
@@ -252,6 +254,76 @@ ipcMain.handle('audio:get-sources', async () => {
   }
 });
 
+/**
+ * Last session file, kept under userData so it survives cache clears.
+ * @returns {string}
+ */
+function getSessionPath() {
+  return path.join(app.getPath('userData'), 'session.json');
+}
+
+ipcMain.handle('session:load', async () => {
+  try {
+    return JSON.parse(await fs.promises.readFile(getSessionPath(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read session file:', err.message);
+    return null;
+  }
+});
+
+ipcMain.handle('session:save', async (event, data) => {
+  // Write a temporary file and rename it, so a crash mid-write keeps the old session
+  const sessionPath = getSessionPath();
+  const tempPath = sessionPath + '.tmp';
+  try {
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, sessionPath);
+    return { success: true };
+  } catch (err) {
+    console.error('Could not write session file:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('session:clear', async () => {
+  try {
+    await fs.promises.rm(getSessionPath(), { force: true });
+    return { success: true };
+  } catch (err) {
+    console.error('Could not delete session file:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * Folder with local scene plugins, created on first use.
+ * @returns {Promise<string>}
+ */
+async function getScenesFolder() {
+  const folder = path.join(app.getPath('userData'), 'scenes');
+  await fs.promises.mkdir(folder, { recursive: true });
+  return folder;
+}
+
+ipcMain.handle('scenes:list', async () => {
+  try {
+    const folder = await getScenesFolder();
+    const files = await fs.promises.readdir(folder);
+    return files
+      .filter(file => /\.m?js$/i.test(file))
+      .sort()
+      .map(file => pathToFileURL(path.join(folder, file)).href);
+  } catch (err) {
+    console.error('Could not list scene plugins:', err);
+    return [];
+  }
+});
+
+ipcMain.handle('scenes:open-folder', async () => {
+  const error = await shell.openPath(await getScenesFolder());
+  return error ? { success: false, error } : { success: true };
+});
+
 ipcMain.on('sync:settings', (event, settings) => {
   if (spoutWindow) {
     spoutWindow.webContents.send('sync:settings', settings);
@@ -264,9 +336,9 @@ ipcMain.on('sync:audio', (event, audioData) => {
   }
 });
 
-ipcMain.on('sync:scene', (event, sceneType) => {
+ipcMain.on('sync:scene', (event, sceneType, source) => {
   if (spoutWindow) {
-    spoutWindow.webContents.send('sync:scene', sceneType);
+    spoutWindow.webContents.send('sync:scene', sceneType, source);
   }
 });
 
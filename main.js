@@ -9,11 +9,23 @@ console.log('[Main] main.js loaded');
 // Immediate check for start button
 console.log('[Main] Looking for start button:', document.getElementById('start-btn'));
 
-import { initVisualization, stopAnimation } from './src/core/bootstrap.js';
-import { initAudio, analyzeAudio, isAudioActive } from './src/audio/capture.js';
-import { createPointsGUI, createParticlesGUI, createSkinningGUI, createSceneSelector, updateSceneSelector, removeAnimationPicker, removeAllFadeBehaviors } from './src/gui/index.js';
+import { initVisualization, stopAnimation, getModulatedValues, triggerModulationKey, startMorph, cancelMorph, isMorphing } from './src/core/bootstrap.js';
+import { initAudio, analyzeAudio, isAudioActive, tapTempo, playAudioFiles, loadTraceFile, switchAudioSource, getSpoutAudioData, getAudioSourceDescriptor } from './src/audio/capture.js';
+import { updateLatencyCalibration } from './src/gui/latency-calibration.js';
+import { isAudioFile, isFilePlayerAttached, togglePlayback } from './src/audio/file-source.js';
+import { createSceneGUI as buildSceneGUI, createSceneSelector, updateSceneSelector, showScenePluginRequests, removeAnimationPicker, removeAllFadeBehaviors, setPresetLoader, setSettingsResetHandler, setSettingsHistory, setPresetMorpher, refreshControls } from './src/gui/index.js';
 import { applyFadeToSettingsButton, applyFadeBehavior } from './src/gui/fade-manager.js';
-import { createSettings } from './src/settings/defaults.js';
+import { createSettings, extendSettings } from './src/settings/defaults.js';
+import { deserializeSettings, resetSettings } from './src/settings/utils.js';
+import { createSettingsHistory } from './src/settings/history.js';
+import { resolvePresetValues } from './src/settings/morph.js';
+import { applyPreset, importPresets, PRESET_FILE_FORMAT } from './src/settings/presets.js';
+import { TRACE_FORMAT } from './src/audio/trace.js';
+import { readUrlState, applyUrlState } from './src/settings/url-state.js';
+import { loadSession, restoreSession, clearSession, createSession, createSessionWriter } from './src/settings/session.js';
+import { currentModelPath, setCurrentModelPath, switchAnimation, loadModel } from './src/scenes/skinning.js';
+import { hasScene } from './src/scenes/registry.js';
+import { loadStartupScenePlugins, addScenePlugin } from './src/scenes/plugins.js';
 import { 
     syncSettingsToSpout, 
     syncAudioToSpout,
@@ -27,6 +39,101 @@ let app = null;
 let currentSceneType = 'particles';
 let audioInitialized = false;
 
+// Written shortly after every settings change and when the page is closed
+const sessionWriter = createSessionWriter(() => createSession(settings, {
+  sceneType: currentSceneType,
+  model: currentModelPath,
+  audioSource: getAudioSourceDescriptor()
+}));
+
+// Undo/redo of setting changes, scene switches and model selection
+const history = createSettingsHistory(settings, {
+  getScene: () => currentSceneType,
+  getModel: () => currentModelPath,
+  apply: applyHistoryState
+});
+
+setPresetLoader(loadPreset);
+setPresetMorpher({ start: morphToPreset, stop: stopMorph });
+setSettingsResetHandler(handleSettingsReset);
+setSettingsHistory(history);
+
+/**
+ * Forward changed settings to the Spout window, the saved session and the undo history.
+ */
+function handleSettingsChange() {
+  syncSettingsToSpout(settings);
+  sessionWriter.schedule();
+  history.record();
+}
+
+/**
+ * Rebuild the current scene's GUI so the controls show changed values,
+ * keeping the panel's scroll position.
+ */
+function refreshSceneGUI() {
+  const container = document.getElementById('controls');
+  const { scrollTop } = container;
+  createSceneGUI(currentSceneType);
+  container.scrollTop = scrollTop;
+}
+
+/**
+ * Show settings that were reset to their defaults: rebuild the GUI in place
+ * and switch the skinning animation if it was reset.
+ * @param {string[]} keys - Keys that were reset
+ */
+function handleSettingsReset(keys) {
+  cancelMorph();
+  handleSettingsChange();
+  refreshSceneGUI();
+
+  if (currentSceneType === 'skinning' && keys.includes('currentAnimation')) {
+    switchAnimation(settings.currentAnimation.value);
+  }
+}
+
+/**
+ * Apply an undone or redone history step: setting values, then the scene,
+ * the skinning model and animation.
+ * @param {import('./src/settings/history.js').HistoryState} state - Values to restore
+ */
+async function applyHistoryState(state) {
+  cancelMorph();
+  deserializeSettings(settings, state.values);
+  const switchScene = hasScene(state.scene) && state.scene !== currentSceneType;
+
+  // A skinning scene that is about to start loads the model itself
+  if (state.model && state.model !== currentModelPath) {
+    if (currentSceneType === 'skinning' && !switchScene) await loadModel(state.model);
+    else setCurrentModelPath(state.model);
+  }
+
+  if (switchScene) {
+    await switchSceneWithGUI(state.scene);
+  } else {
+    refreshSceneGUI();
+  }
+  if (currentSceneType === 'skinning' && 'currentAnimation' in state.values) {
+    switchAnimation(settings.currentAnimation.value);
+  }
+
+  syncSettingsToSpout(settings);
+  sessionWriter.schedule();
+}
+
+/**
+ * Send the rendered frame's audio data and modulated values to the Spout window,
+ * so it shows the same modulation as this window.
+ * @param {number} delta - Time since last frame in seconds
+ * @param {Object} audioData - Audio data of the frame
+ */
+function syncFrameToSpout(delta, audioData) {
+  if (isAudioActive()) {
+    syncAudioToSpout(getSpoutAudioData() ?? audioData, getModulatedValues());
+  }
+}
+
 /**
  * Initialize the application with scene and Spout support.
  * @param {string} sceneType - Scene type to initialize
@@ -41,12 +148,9 @@ async function init(sceneType) {
     app = await initVisualization({
       settings,
       sceneType,
-      onSettingsChange: () => syncSettingsToSpout(settings),
-      onAudioUpdate: (audioData) => {
-        if (isAudioActive()) {
-          syncAudioToSpout(audioData);
-        }
-      }
+      onSettingsChange: handleSettingsChange,
+      onAudioUpdate: updateLatencyCalibration,
+      onRender: syncFrameToSpout
     });
     console.log('[Main] initVisualization completed successfully');
 
@@ -54,18 +158,7 @@ async function init(sceneType) {
     syncSceneToSpout(sceneType);
 
 // Create scene-specific GUI
-  const container = document.getElementById('controls');
-  const isElectron = window.isElectron === true;
-
-  if (sceneType === 'points') {
-    createPointsGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  } else if (sceneType === 'particles') {
-    createParticlesGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  } else if (sceneType === 'skinning') {
-    createSkinningGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  } else {
-    console.warn('Unknown scene type:', sceneType);
-  }
+  createSceneGUI(sceneType);
 
   // Hide scene indicator (using dropdown instead)
   const indicator = document.getElementById('scene-indicator');
@@ -109,6 +202,66 @@ async function init(sceneType) {
   }
 }
 
+/**
+ * Create the settings GUI for a scene, replacing the current controls.
+ * @param {string} sceneType - Scene type
+ */
+function createSceneGUI(sceneType) {
+  const container = document.getElementById('controls');
+  buildSceneGUI(sceneType, settings, container, handleSettingsChange, window.isElectron === true);
+}
+
+/**
+ * Load a preset: apply its values, then switch to its scene or rebuild the GUI
+ * so the controls show the new values.
+ * @param {import('./src/settings/presets.js').Preset} preset - Preset to load
+ */
+async function loadPreset(preset) {
+  console.log('[Main] Loading preset:', preset.name);
+  cancelMorph();
+  const sceneType = applyPreset(preset, settings);
+
+  if (hasScene(sceneType) && sceneType !== currentSceneType) {
+    await switchSceneWithGUI(sceneType);
+  } else {
+    createSceneGUI(currentSceneType);
+  }
+  // After the switch, so the values and the scene are one undo step
+  handleSettingsChange();
+}
+
+/**
+ * Morph the settings to a preset over the configured duration. The scene stays;
+ * the whole morph is one undo step.
+ * @param {import('./src/settings/presets.js').Preset} preset - Preset to morph to
+ */
+function morphToPreset(preset) {
+  console.log('[Main] Morphing to preset:', preset.name);
+  startMorph(resolvePresetValues(preset, settings), {
+    duration: settings.morphDuration.value,
+    unit: settings.morphUnit.value,
+    easing: settings.morphEasing.value,
+    flipAt: settings.morphFlipPoint.value,
+    onUpdate: () => {
+      syncSettingsToSpout(settings);
+      refreshControls();
+    },
+    onComplete: () => {
+      handleSettingsChange();
+      refreshSceneGUI();
+    }
+  });
+}
+
+/**
+ * Stop a running morph, keeping the values it has reached.
+ */
+function stopMorph() {
+  if (!isMorphing()) return;
+  cancelMorph();
+  handleSettingsChange();
+}
+
 /**
  * Switch to a different scene without reinitializing audio.
  * @param {string} sceneType - The scene type to switch to
@@ -143,32 +296,24 @@ export async function switchSceneWithGUI(sceneType) {
   app = await initVisualization({
     settings,
     sceneType,
-    onSettingsChange: () => syncSettingsToSpout(settings),
-    onAudioUpdate: (audioData) => {
-      if (isAudioActive()) {
-        syncAudioToSpout(audioData);
-      }
-    }
+    onSettingsChange: handleSettingsChange,
+    onAudioUpdate: updateLatencyCalibration,
+    onRender: syncFrameToSpout
   });
 
   // Sync scene to Spout
   syncSceneToSpout(sceneType);
 
   // Create scene-specific GUI
-  const container = document.getElementById('controls');
-  const isElectron = window.isElectron === true;
-
-  if (sceneType === 'points') {
-    createPointsGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  } else if (sceneType === 'particles') {
-    createParticlesGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  } else if (sceneType === 'skinning') {
-    createSkinningGUI(settings, container, () => syncSettingsToSpout(settings), isElectron);
-  }
+  createSceneGUI(sceneType);
 
   // Update scene selector dropdown
   updateSceneSelector(sceneType);
 
+  // Remember the scene for the next launch and as an undo step
+  sessionWriter.schedule();
+  history.record();
+
   // Apply fade behavior to settings button
   applyFadeToSettingsButton();
 
@@ -177,10 +322,121 @@ export async function switchSceneWithGUI(sceneType) {
   if (newSceneSelector) {
     applyFadeBehavior(newSceneSelector);
   }
+
+  // Re-apply fade behavior to the file playback transport
+  const transport = document.getElementById('audio-transport');
+  if (transport) {
+    applyFadeBehavior(transport);
+  }
 }
 
 // === Event Listeners ===
 
+// Undo (Ctrl+Z) and redo (Ctrl+Shift+Z), also after dragging a slider; text fields keep their own undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  const tag = e.target.tagName;
+  const isTextInput = tag === 'TEXTAREA' || (tag === 'INPUT' && !['range', 'checkbox', 'button'].includes(e.target.type));
+  if (isTextInput) return;
+  e.preventDefault();
+  if (e.shiftKey) history.redo();
+  else history.undo();
+});
+
+// Tap tempo from the keyboard (T) and key-triggered modulation envelopes, ignored while typing in inputs
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey || e.metaKey) return;
+  const tag = e.target.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+  if (!e.repeat) triggerModulationKey(e.key);
+  if (e.key === 't' || e.key === 'T') {
+    tapTempo();
+  } else if (e.key === ' ' && isFilePlayerAttached()) {
+    // Space toggles file playback
+    e.preventDefault();
+    togglePlayback();
+  }
+});
+
+/**
+ * Handle a dropped JSON file by its format marker: replay an analysis trace, or
+ * import an exported preset file. Other JSON is ignored.
+ * @param {File} file - Dropped .json file
+ */
+async function handleDroppedJson(file) {
+  const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    console.warn('[Main] Ignoring dropped file, not valid JSON:', file.name);
+    return;
+  }
+
+  if (data?.format === TRACE_FORMAT) {
+    if (await loadTraceFile(file)) {
+      audioInitialized = true;
+      if (!app) await startVisualizer();
+    }
+  } else if (data?.format === PRESET_FILE_FORMAT) {
+    try {
+      const names = await importPresets(text);
+      console.log('[Main] Imported dropped presets:', names.join(', '));
+      // The preset folder lists the stored presets when it is built
+      if (app) refreshSceneGUI();
+    } catch (err) {
+      console.error('[Main] Could not import dropped presets:', err);
+    }
+  } else {
+    console.warn('[Main] Ignoring dropped JSON, neither a trace nor a preset file:', file.name);
+  }
+}
+
+// Drop audio files, analysis traces or preset files anywhere (the GLB drop zone handles its own drops)
+document.addEventListener('dragover', (e) => {
+  if (!e.defaultPrevented) e.preventDefault();
+});
+
+document.addEventListener('drop', async (e) => {
+  if (e.defaultPrevented) return;
+  e.preventDefault();
+
+  // Analysis trace (replayed instead of live audio) or preset file
+  const jsonFile = Array.from(e.dataTransfer.files).find(file => file.name.toLowerCase().endsWith('.json'));
+  if (jsonFile) {
+    await handleDroppedJson(jsonFile);
+    return;
+  }
+
+  const files = Array.from(e.dataTransfer.files).filter(isAudioFile);
+  if (files.length === 0) return;
+
+  console.log('[Main] Audio files dropped:', files.map(f => f.name).join(', '));
+  const selector = document.getElementById('audio-selector');
+  if (selector) selector.remove();
+
+  if (await playAudioFiles(files)) {
+    audioInitialized = true;
+    if (!app) await startVisualizer();
+  }
+});
+
+// Save the session when the window closes, so a source switched since the last
+// settings change is remembered too
+window.addEventListener('pagehide', () => {
+  if (app) sessionWriter.flush();
+});
+
+// The Spout window asks for the scene when it opens
+if (isSpoutAvailable()) {
+  window.spoutAPI.onSceneRequest(() => syncSceneToSpout(currentSceneType));
+}
+
+// Click the audio status to switch sources without reloading
+document.getElementById('audio-status')?.addEventListener('click', () => {
+  switchAudioSource();
+});
+
 // Flag to prevent duplicate event listeners
 let startButtonHandlersAttached = false;
 
@@ -263,7 +519,7 @@ async function startVisualizer() {
     return;
   }
   
-  if (audioInitialized) {
+  if (audioInitialized && app) {
     console.log('[Main] Audio already initialized, just hiding overlay');
     document.getElementById('start-overlay').style.display = 'none';
     return;
@@ -288,11 +544,33 @@ async function startVisualizer() {
       console.log('[Main] Dummy audio mode - no permission dialogs');
     }
 
+    // Scene plugins first, so their settings and scenes can be restored
+    const { pending: pendingPlugins } = await loadStartupScenePlugins();
+    extendSettings(settings);
+
+    // Restore the last session's settings, scene, model and audio source
+    const session = await loadSession();
+    let restored = null;
+    if (session) {
+      try {
+        restored = restoreSession(settings, session);
+      } catch (err) {
+        // A broken session must not keep the app from starting, now or on the next launch
+        console.error('[Main] Could not restore last session, starting from defaults:', err);
+        resetSettings(settings);
+        await clearSession();
+      }
+    }
+    if (restored) {
+      if (restored.model) setCurrentModelPath(restored.model);
+      console.log('[Main] Restored last session');
+    }
+
     // Initialize audio only once
     if (!audioInitialized) {
       console.log('[Main] Initializing audio...');
       try {
-        await initAudio();
+        await initAudio({ restore: restored?.audioSource });
         audioInitialized = true;
         console.log('[Main] Audio initialized');
       } catch (err) {
@@ -301,11 +579,39 @@ async function startVisualizer() {
       }
     }
 
-    // Start with particles scene (or scene from URL)
-    const sceneParam = urlParams.get('scene') || 'particles';
+    // Start with the scene from the URL, else the last session's scene, else particles
+    let sceneParam = [urlParams.get('scene'), restored?.sceneType].find(hasScene) ?? 'particles';
+
+    // A shared look in the hash sets the settings, scene and model
+    let urlState = await readUrlState(window.location.hash);
+    if (urlState) {
+      try {
+        const { sceneType, model } = applyUrlState(settings, urlState);
+        if (hasScene(sceneType)) sceneParam = sceneType;
+        if (model) setCurrentModelPath(model);
+        console.log('[Main] Applied look from URL');
+      } catch (err) {
+        console.warn('[Main] Ignoring look from URL:', err.message);
+        urlState = null;
+      }
+    }
     console.log('[Main] Starting scene:', sceneParam);
 
     await init(sceneParam);
+    if (sceneParam === 'skinning' && (restored || (urlState && 'currentAnimation' in urlState.s))) {
+      switchAnimation(settings.currentAnimation.value);
+    }
+    history.reset();
+
+    // Plugins from other sites wait for the user; nobody can answer in OBS or on autostart
+    if (pendingPlugins.length) {
+      if (isOBS || urlParams.get('autostart') === 'true') {
+        console.warn('[Main] Skipped scene plugins from another site:', pendingPlugins);
+        showScenePluginRequests(pendingPlugins);
+      } else {
+        showScenePluginRequests(pendingPlugins, addScenePlugin);
+      }
+    }
     console.log('[Main] Initialization complete');
   } catch (err) {
     console.error('[Main] Start visualizer failed:', err);
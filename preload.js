@@ -6,6 +6,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getAudioSources: () => ipcRenderer.invoke('audio:get-sources')
 });
 
+contextBridge.exposeInMainWorld('sessionAPI', {
+    load: () => ipcRenderer.invoke('session:load'),
+    save: (session) => ipcRenderer.invoke('session:save', session),
+    clear: () => ipcRenderer.invoke('session:clear')
+});
+
+contextBridge.exposeInMainWorld('scenePluginAPI', {
+    list: () => ipcRenderer.invoke('scenes:list'),
+    openFolder: () => ipcRenderer.invoke('scenes:open-folder')
+});
+
 contextBridge.exposeInMainWorld('spoutAPI', {
   isAvailable: () => ipcRenderer.invoke('spout:check-available'),
   enable: (options) => ipcRenderer.invoke('spout:enable', options),
@@ -21,7 +32,7 @@ contextBridge.exposeInMainWorld('spoutAPI', {
   },
   syncSettings: (settings) => ipcRenderer.send('sync:settings', settings),
   syncAudio: (audioData) => ipcRenderer.send('sync:audio', audioData),
-  syncScene: (sceneType) => ipcRenderer.send('sync:scene', sceneType),
+  syncScene: (sceneType, source) => ipcRenderer.send('sync:scene', sceneType, source),
   syncTime: (elapsedTime) => ipcRenderer.send('sync:time', elapsedTime)
 });
 
@@ -33,7 +44,7 @@ contextBridge.exposeInMainWorld('spoutSync', {
         ipcRenderer.on('sync:audio', (event, audioData) => callback(audioData));
     },
     onScene: (callback) => {
-        ipcRenderer.on('sync:scene', (event, sceneType) => callback(sceneType));
+        ipcRenderer.on('sync:scene', (event, sceneType, source) => callback(sceneType, source));
     },
     onTime: (callback) => {
         ipcRenderer.on('sync:time', (event, elapsedTime) => callback(elapsedTime));
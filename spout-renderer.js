@@ -6,8 +6,8 @@
 
 import { initVisualization } from './src/core/bootstrap.js';
 import { createSettings } from './src/settings/defaults.js';
-import { deserializeSettings } from './src/settings/utils.js';
-import { setupSpoutSyncListeners, isSpoutSyncAvailable } from './src/spout/sync.js';
+import { setupSpoutSyncListeners, isSpoutSyncAvailable, getMainAudioData } from './src/spout/sync.js';
+import { hasScene, loadScenePlugin } from './src/scenes/registry.js';
 
 const settings = createSettings();
 
@@ -21,15 +21,22 @@ async function init() {
     if (isSpoutSyncAvailable()) {
         setupSpoutSyncListeners({
             settings,
-            onSettingsUpdate: (newSettings) => {
-                deserializeSettings(settings, newSettings);
-            },
-            onSceneChange: async (sceneType) => {
+            onSceneChange: async (sceneType, source) => {
                 console.log('[Spout] Scene change to:', sceneType);
+                // Plugin scenes are loaded from the same module as in the main window
+                if (!hasScene(sceneType) && source) {
+                    try {
+                        await loadScenePlugin(source);
+                    } catch (err) {
+                        console.error('[Spout] Could not load scene plugin:', err);
+                        return;
+                    }
+                }
                 // Reinitialize with new scene
                 await initVisualization({
                     settings,
                     sceneType,
+                    getAudioData: getMainAudioData,
                     rendererConfig: {
                         width: 1920,
                         height: 1080
@@ -43,6 +50,7 @@ async function init() {
     await initVisualization({
         settings,
         sceneType: 'particles',
+        getAudioData: getMainAudioData,
         rendererConfig: {
             width: 1920,
             height: 1080
@@ -0,0 +1,160 @@
+/**
+ * @module audio/agc
+ * @description Automatic gain control for band levels.
+ * Tracks a long-window loudness percentile per channel and scales levels so that
+ * loud passages land on a target level, whatever the input volume.
+ */
+
+/**
+ * Default AGC tuning.
+ * @constant
+ */
+const DEFAULT_OPTIONS = {
+  /** Percentile of the level history treated as "loud" (0-1) */
+  percentile: 0.95,
+  /** Seconds between history samples (each sample is the max over the interval) */
+  sampleInterval: 0.1,
+  /** Reference levels below this are treated as silence and do not raise the gain */
+  silenceLevel: 0.02,
+  /** Gain limits */
+  minGain: 0.25,
+  maxGain: 16
+};
+
+/**
+ * @typedef {Object} AutoGainParams
+ * @property {number} [target=0.5] - Level the loudness percentile is mapped to (0-1)
+ * @property {number} [adaptTime=8] - History window in seconds; the gain rises over about a quarter of it
+ */
+
+/**
+ * Create an automatic gain stage for one channel.
+ * @param {Object} [options] - Overrides for the default tuning
+ * @returns {Object} Gain channel
+ */
+export function createGainChannel(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const history = [];
+  let intervalMax = 0;
+  let intervalTime = 0;
+  let reference = 0;
+  let gain = 1;
+
+  /**
+   * Recompute the loudness reference from the history.
+   */
+  function updateReference() {
+    const sorted = [...history].sort((a, b) => a - b);
+    reference = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * config.percentile))];
+  }
+
+  return {
+    /**
+     * Process one level.
+     * @param {number} value - Input level (0-1)
+     * @param {number} dt - Time since the last update in seconds
+     * @param {AutoGainParams} [params] - Target and adaptation time
+     * @returns {number} Normalized level (0-1)
+     */
+    update(value, dt, params = {}) {
+      const target = params.target ?? 0.5;
+      const adaptTime = Math.max(params.adaptTime ?? 8, config.sampleInterval);
+
+      intervalMax = Math.max(intervalMax, value);
+      intervalTime += dt;
+      if (intervalTime >= config.sampleInterval) {
+        history.push(intervalMax);
+        const maxSamples = Math.ceil(adaptTime / config.sampleInterval);
+        while (history.length > maxSamples) history.shift();
+        updateReference();
+        intervalMax = 0;
+        intervalTime = 0;
+      }
+
+      if (reference > config.silenceLevel) {
+        const desired = Math.min(config.maxGain, Math.max(config.minGain, target / reference));
+        // Back off faster than boosting so a sudden loud section does not clip for long
+        const settle = desired < gain ? adaptTime / 16 : adaptTime / 4;
+        gain += (desired - gain) * (1 - Math.exp(-dt / settle));
+      }
+
+      return Math.min(1, value * gain);
+    },
+
+    /**
+     * Current gain multiplier.
+     * @returns {number}
+     */
+    getGain() {
+      return gain;
+    },
+
+    /**
+     * Forget the history and return to unity gain.
+     */
+    reset() {
+      history.length = 0;
+      intervalMax = 0;
+      intervalTime = 0;
+      reference = 0;
+      gain = 1;
+    }
+  };
+}
+
+/**
+ * Create gain channels for bass / mid / high and every configured band.
+ * @param {Object} [options] - Overrides for the default tuning
+ * @returns {Object} Auto gain set
+ */
+export function createAutoGain(options = {}) {
+  const named = {
+    bass: createGainChannel(options),
+    mid: createGainChannel(options),
+    high: createGainChannel(options)
+  };
+  const bands = [];
+
+  return {
+    /**
+     * Normalize one frame of levels.
+     * @param {{bass: number, mid: number, high: number, bands?: number[]}} levels - Raw levels (0-1)
+     * @param {number} dt - Time since the last update in seconds
+     * @param {AutoGainParams} [params] - Target and adaptation time
+     * @returns {{bass: number, mid: number, high: number, bands: number[]}} Normalized levels
+     */
+    update(levels, dt, params) {
+      const bandLevels = levels.bands || [];
+      while (bands.length < bandLevels.length) bands.push(createGainChannel(options));
+      bands.length = bandLevels.length;
+
+      return {
+        bass: named.bass.update(levels.bass, dt, params),
+        mid: named.mid.update(levels.mid, dt, params),
+        high: named.high.update(levels.high, dt, params),
+        bands: bandLevels.map((level, i) => bands[i].update(level, dt, params))
+      };
+    },
+
+    /**
+     * Current gain per channel.
+     * @returns {{bass: number, mid: number, high: number, bands: number[]}}
+     */
+    getGains() {
+      return {
+        bass: named.bass.getGain(),
+        mid: named.mid.getGain(),
+        high: named.high.getGain(),
+        bands: bands.map(channel => channel.getGain())
+      };
+    },
+
+    /**
+     * Reset every channel.
+     */
+    reset() {
+      Object.values(named).forEach(channel => channel.reset());
+      bands.length = 0;
+    }
+  };
+}
@@ -0,0 +1,386 @@
+/**
+ * @module audio/analysis
+ * @description Audio feature analysis independent of Web Audio and the DOM.
+ * Turns spectrum/waveform frames into the `audioData` structure used by the scenes
+ * (bands, sensitivity, AGC, envelopes, stereo, chroma, beat and tempo). Live capture
+ * feeds it from AnalyserNodes; `analyzePcm` feeds it raw PCM through an
+ * AnalyserNode-compatible FFT, and `analyzeAudioFile` decodes whole files with an
+ * OfflineAudioContext first. Importable from Node.
+ *
+ * @example
+ * import { analyzePcm } from './src/audio/analysis.js';
+ * const timeline = analyzePcm([samples], 48000, { frameRate: 60 });
+ * console.log(timeline.frames[30].data.bass);
+ */
+
+import { createBeatDetector } from './beat.js';
+import { createTempoTracker } from './tempo.js';
+import { createBandAnalyzer, createLogSpectrum, normalizeBands, deriveLegacyBands } from './bands.js';
+import { createBandEnvelopes } from './envelope.js';
+import { createAutoGain } from './agc.js';
+import { createStereoAnalyzer, createSilentStereo } from './stereo.js';
+import { createChromaAnalyzer } from './chroma.js';
+import { createSpectrumAnalyser } from './fft.js';
+import { createTraceRecorder } from './trace.js';
+
+/**
+ * FFT size for the analyser. 2048 gives ~23 Hz bins at 48 kHz,
+ * enough to separate sub and bass bands.
+ * @constant {number}
+ */
+export const ANALYSER_FFT_SIZE = 2048;
+
+/**
+ * Number of log-spaced bins in the spectrum frame and texture (20 Hz - 20 kHz).
+ * @constant {number}
+ */
+export const AUDIO_SPECTRUM_SIZE = 256;
+
+/**
+ * Number of samples in the waveform frame and texture.
+ * @constant {number}
+ */
+export const AUDIO_WAVEFORM_SIZE = 512;
+
+/** Longest frame step used for time-based smoothing (s) */
+const MAX_FRAME_STEP = 0.1;
+
+/**
+ * @typedef {Object} AudioData
+ * @property {number} bass - Bass level (0-1)
+ * @property {number} mid - Mid level (0-1)
+ * @property {number} high - High level (0-1)
+ * @property {number} overall - Average of bass, mid and high (0-1)
+ * @property {number[]} bands - Level per configured frequency band (0-1)
+ * @property {Object} [envelope] - Envelope-followed bass/mid/high/overall/bands (attack/release, noise gated)
+ * @property {Object} [peak] - Peak-held bass/mid/high/overall/bands (noise gated)
+ * @property {import('./stereo.js').StereoField} stereo - Left/right levels, stereo width and balance
+ * @property {import('./chroma.js').ChromaFrame} [harmony] - Chromagram, dominant pitch class and key
+ * @property {Uint8Array} [spectrum] - Log-binned spectrum frame (0-255), AUDIO_SPECTRUM_SIZE long
+ * @property {Uint8Array} [waveform] - Waveform frame (0-255, 128 = silence), AUDIO_WAVEFORM_SIZE long
+ * @property {number} beat - Beat pulse (0-1), 1 on a detected beat then decaying
+ * @property {number} beatPhase - Position between beats (0-1)
+ * @property {number} onset - Onset pulse (0-1), any transient
+ * @property {import('./tempo.js').BeatClock} tempo - Tempo-locked beat clock
+ */
+
+/**
+ * @typedef {Object} AnalysisFrame
+ * @property {Uint8Array} spectrum - Byte frequency data of the mono mix (AnalyserNode format)
+ * @property {Uint8Array} waveform - Byte time-domain data of the mono mix (128 = silence)
+ * @property {{spectrum: Uint8Array, waveform: Uint8Array}} [left] - Left channel, defaults to the mix
+ * @property {{spectrum: Uint8Array, waveform: Uint8Array}} [right] - Right channel, defaults to the mix
+ * @property {number} sampleRate - Sample rate of the analysed signal
+ */
+
+/**
+ * Read a setting that may be a settings entry ({value}) or a plain value.
+ * Lets Node callers pass `{ bassSensitivity: 2 }` as well as createSettings() objects.
+ * @param {Object} settings - Settings
+ * @param {string} key - Setting key
+ * @param {*} fallback - Value when the setting is missing
+ * @returns {*}
+ */
+function settingValue(settings, key, fallback) {
+  const setting = settings?.[key];
+  const value = setting !== null && typeof setting === 'object' && !Array.isArray(setting) && 'value' in setting
+    ? setting.value
+    : setting;
+  return value ?? fallback;
+}
+
+/**
+ * Audio data for silence.
+ * @param {import('./tempo.js').BeatClock} tempo - Current beat clock
+ * @returns {AudioData}
+ */
+export function createSilentAudioData(tempo) {
+  return { bass: 0, mid: 0, high: 0, overall: 0, bands: [], stereo: createSilentStereo(), beat: 0, beatPhase: 0, onset: 0, tempo };
+}
+
+/**
+ * Create a stateful analyzer that turns frames into audio data.
+ * Holds every time-dependent stage (AGC, envelopes, beat, tempo, stereo and chroma smoothing).
+ * The returned spectrum/waveform/chroma arrays are reused between frames.
+ * @returns {Object} Audio analyzer
+ */
+export function createAudioAnalyzer() {
+  const bandAnalyzer = createBandAnalyzer();
+  const logSpectrum = createLogSpectrum(AUDIO_SPECTRUM_SIZE);
+  const autoGain = createAutoGain();
+  const bandEnvelopes = createBandEnvelopes();
+  const beatDetector = createBeatDetector();
+  const tempoTracker = createTempoTracker();
+  const stereoAnalyzer = createStereoAnalyzer();
+  const chromaAnalyzer = createChromaAnalyzer();
+
+  const spectrumFrame = new Uint8Array(AUDIO_SPECTRUM_SIZE);
+  const waveformFrame = new Uint8Array(AUDIO_WAVEFORM_SIZE);
+  let lastTime = null;
+
+  /**
+   * Analyse the stereo field and scale it like the mono levels.
+   * @param {AnalysisFrame} frame - Input frame
+   * @param {Object} settings - Settings
+   * @param {import('./bands.js').AudioBand[]} bandConfig - Normalized bands
+   * @param {number} dt - Frame step in seconds
+   * @param {boolean} agcEnabled - Apply the automatic gain
+   * @returns {import('./stereo.js').StereoField}
+   */
+  function analyzeStereo(frame, settings, bandConfig, dt, agcEnabled) {
+    const left = frame.left || frame;
+    const right = frame.right || frame;
+    const stereo = stereoAnalyzer.analyze({
+      leftSpectrum: left.spectrum,
+      rightSpectrum: right.spectrum,
+      leftWaveform: left.waveform,
+      rightWaveform: right.waveform,
+      sampleRate: frame.sampleRate,
+      bands: bandConfig
+    }, dt);
+
+    // Same gain staging as the mono levels so the sides stay comparable
+    const gains = agcEnabled ? autoGain.getGains() : { bass: 1, mid: 1, high: 1, bands: [] };
+    for (const side of [stereo.left, stereo.right]) {
+      side.bass = Math.min(side.bass * gains.bass * settingValue(settings, 'bassSensitivity', 1), 1);
+      side.mid = Math.min(side.mid * gains.mid * settingValue(settings, 'midSensitivity', 1), 1);
+      side.high = Math.min(side.high * gains.high * settingValue(settings, 'highSensitivity', 1), 1);
+      side.overall = (side.bass + side.mid + side.high) / 3;
+      side.bands = side.bands.map((level, i) => Math.min(level * (gains.bands[i] ?? 1) * bandConfig[i].sensitivity, 1));
+    }
+    return stereo;
+  }
+
+  return {
+    /**
+     * Analyse one frame.
+     * @param {AnalysisFrame} frame - Spectrum and waveform data
+     * @param {number} time - Frame time in seconds
+     * @param {Object} [settings] - Settings (entries or plain values)
+     * @returns {AudioData}
+     */
+    process(frame, time, settings = {}) {
+      const { spectrum, waveform, sampleRate } = frame;
+      const dt = lastTime === null ? 0 : Math.min(Math.max(time - lastTime, 0), MAX_FRAME_STEP);
+      lastTime = time;
+
+      // Configured bands on a log-frequency bin mapping
+      const bandConfig = normalizeBands(settingValue(settings, 'audioBands', undefined));
+      const rawLevels = bandAnalyzer.analyze(spectrum, sampleRate, bandConfig);
+
+      // Legacy three-band view derived from the raw band levels
+      const rawLegacy = deriveLegacyBands(bandConfig, rawLevels);
+
+      // Automatic gain; when enabled the sensitivities below act as a trim on top
+      const normalized = autoGain.update({ ...rawLegacy, bands: rawLevels }, dt, {
+        target: settingValue(settings, 'agcTarget', undefined),
+        adaptTime: settingValue(settings, 'agcAdaptTime', undefined)
+      });
+      const agcEnabled = settingValue(settings, 'agcEnabled', false) === true;
+      const levels = agcEnabled ? normalized.bands : rawLevels;
+      const legacy = agcEnabled ? normalized : rawLegacy;
+
+      const bands = levels.map((level, i) => Math.min(level * bandConfig[i].sensitivity, 1));
+      const bass = Math.min(legacy.bass * settingValue(settings, 'bassSensitivity', 1), 1);
+      const mid = Math.min(legacy.mid * settingValue(settings, 'midSensitivity', 1), 1);
+      const high = Math.min(legacy.high * settingValue(settings, 'highSensitivity', 1), 1);
+      const overall = (bass + mid + high) / 3;
+
+      // Envelope followers and peak hold on top of the raw levels
+      const { envelope, peak } = bandEnvelopes.update({ bass, mid, high, overall, bands }, dt, {
+        attack: settingValue(settings, 'envelopeAttack', undefined),
+        release: settingValue(settings, 'envelopeRelease', undefined),
+        peakHold: settingValue(settings, 'envelopePeakHold', undefined),
+        peakDecay: settingValue(settings, 'envelopePeakDecay', undefined),
+        floor: settingValue(settings, 'envelopeFloor', undefined)
+      });
+
+      // Left/right levels, width and balance
+      const stereo = analyzeStereo(frame, settings, bandConfig, dt, agcEnabled);
+
+      // Pitch classes and key
+      const harmony = chromaAnalyzer.analyze(spectrum, sampleRate, dt);
+
+      // Full spectrum and decimated waveform for the audio textures
+      logSpectrum.compute(spectrum, sampleRate, spectrumFrame);
+      const step = waveform.length / AUDIO_WAVEFORM_SIZE;
+      for (let i = 0; i < AUDIO_WAVEFORM_SIZE; i++) {
+        waveformFrame[i] = waveform[Math.floor(i * step)];
+      }
+
+      // Onset / beat detection on the raw spectrum
+      const { beat, beatPhase, onset, isBeat } = beatDetector.update(spectrum, time, {
+        sampleRate,
+        threshold: settingValue(settings, 'beatThreshold', 1.5)
+      });
+
+      // Tempo tracking
+      if (isBeat) tempoTracker.addBeat(time);
+      const tempo = tempoTracker.getClock(time);
+
+      return {
+        bass, mid, high, overall, bands,
+        envelope, peak,
+        stereo,
+        harmony,
+        spectrum: spectrumFrame,
+        waveform: waveformFrame,
+        beat, beatPhase, onset, tempo
+      };
+    },
+
+    /**
+     * The tempo tracker, for tap tempo and manual BPM.
+     * @type {Object}
+     */
+    tempoTracker,
+
+    /**
+     * Current automatic gain per channel.
+     * @returns {{bass: number, mid: number, high: number, bands: number[]}}
+     */
+    getAutoGain() {
+      return autoGain.getGains();
+    },
+
+    /**
+     * Reset every stage.
+     * @param {number} time - Time the tempo clock restarts from
+     */
+    reset(time) {
+      beatDetector.reset();
+      tempoTracker.reset(time);
+      bandEnvelopes.reset();
+      autoGain.reset();
+      stereoAnalyzer.reset();
+      chromaAnalyzer.reset();
+      lastTime = null;
+    }
+  };
+}
+
+/**
+ * @typedef {Object} AnalysisTimeline
+ * @property {number} sampleRate - Sample rate of the analysed PCM
+ * @property {number} frameRate - Frames per second
+ * @property {number} duration - Length in seconds
+ * @property {Array<{t: number, data: AudioData}>} frames - One snapshot per frame
+ */
+
+/**
+ * Analyse raw PCM into a feature timeline, frame by frame, exactly as live capture would.
+ * @param {Float32Array[]} channels - One sample array per channel (-1 to 1); 1 or 2 channels
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options]
+ * @param {number} [options.frameRate=60] - Analysis frames per second
+ * @param {Object} [options.settings] - Settings (entries or plain values)
+ * @param {Function} [options.onFrame] - Called with (audioData, time) for each frame instead of collecting
+ * @returns {AnalysisTimeline}
+ */
+export function analyzePcm(channels, sampleRate, options = {}) {
+  if (!channels.length) throw new Error('No channels to analyse');
+  const frameRate = options.frameRate ?? 60;
+  const settings = options.settings ?? {};
+  const smoothing = settingValue(settings, 'analyserSmoothing', 0.75);
+  const length = channels[0].length;
+
+  // Mono mix as the live analyser sees it, plus left/right for the stereo field
+  const left = channels[0];
+  const right = channels[1] || channels[0];
+  const mix = channels.length === 1 ? left : new Float32Array(length);
+  if (channels.length > 1) {
+    for (let i = 0; i < length; i++) mix[i] = (left[i] + right[i]) / 2;
+  }
+
+  const createChannel = () => {
+    const analyser = createSpectrumAnalyser({ fftSize: ANALYSER_FFT_SIZE, smoothingTimeConstant: smoothing });
+    return {
+      analyser,
+      spectrum: new Uint8Array(analyser.frequencyBinCount),
+      waveform: new Uint8Array(analyser.fftSize)
+    };
+  };
+  const mixChannel = createChannel();
+  const leftChannel = channels.length > 1 ? createChannel() : mixChannel;
+  const rightChannel = channels.length > 1 ? createChannel() : mixChannel;
+
+  const analyzer = createAudioAnalyzer();
+  analyzer.reset(0);
+  const frames = [];
+  const frameCount = Math.floor((length / sampleRate) * frameRate) + 1;
+
+  for (let i = 0; i < frameCount; i++) {
+    const time = i / frameRate;
+    const end = Math.round(time * sampleRate);
+    const sources = channels.length > 1 ? [[mixChannel, mix], [leftChannel, left], [rightChannel, right]] : [[mixChannel, mix]];
+    for (const [channel, samples] of sources) {
+      channel.analyser.process(samples, end);
+      channel.analyser.getByteFrequencyData(channel.spectrum);
+      channel.analyser.getByteTimeDomainData(channel.waveform);
+    }
+
+    const audioData = analyzer.process({
+      spectrum: mixChannel.spectrum,
+      waveform: mixChannel.waveform,
+      left: leftChannel,
+      right: rightChannel,
+      sampleRate
+    }, time, settings);
+
+    if (options.onFrame) {
+      options.onFrame(audioData, time);
+    } else {
+      // Frames reuse their arrays, so keep a copy
+      frames.push({ t: time, data: structuredClone(audioData) });
+    }
+  }
+
+  return { sampleRate, frameRate, duration: length / sampleRate, frames };
+}
+
+/**
+ * Decode (and optionally resample) a whole audio file with an OfflineAudioContext,
+ * then analyse it. Needs an environment that provides OfflineAudioContext; in plain
+ * Node, decode the file yourself and call analyzePcm.
+ * @param {ArrayBuffer} data - Encoded audio file (MP3, WAV, OGG, FLAC...)
+ * @param {Object} [options] - analyzePcm options, plus:
+ * @param {number} [options.sampleRate] - Resample to this rate before analysis
+ * @returns {Promise<AnalysisTimeline>}
+ */
+export async function analyzeAudioFile(data, options = {}) {
+  if (typeof OfflineAudioContext === 'undefined') {
+    throw new Error('OfflineAudioContext is not available; decode the file and use analyzePcm');
+  }
+
+  // decodeAudioData detaches the buffer, so decode a copy
+  const decoder = new OfflineAudioContext(1, 1, options.sampleRate ?? 48000);
+  let buffer = await decoder.decodeAudioData(data.slice(0));
+
+  if (options.sampleRate && options.sampleRate !== buffer.sampleRate) {
+    const length = Math.ceil(buffer.duration * options.sampleRate);
+    const context = new OfflineAudioContext(Math.min(buffer.numberOfChannels, 2), length, options.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    buffer = await context.startRendering();
+  }
+
+  const channels = [];
+  for (let i = 0; i < Math.min(buffer.numberOfChannels, 2); i++) {
+    channels.push(buffer.getChannelData(i));
+  }
+  return analyzePcm(channels, buffer.sampleRate, options);
+}
+
+/**
+ * Convert a timeline into a trace that the replay audio source can play.
+ * @param {AnalysisTimeline} timeline - Timeline from analyzePcm / analyzeAudioFile
+ * @returns {import('./trace.js').AudioTrace}
+ */
+export function timelineToTrace(timeline) {
+  const recorder = createTraceRecorder();
+  recorder.start();
+  timeline.frames.forEach(frame => recorder.record(frame.data, frame.t));
+  return recorder.stop();
+}
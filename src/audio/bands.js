@@ -0,0 +1,212 @@
+/**
+ * @module audio/bands
+ * @description Frequency bands defined in Hz with logarithmic FFT bin mapping.
+ * Each band averages the bins it covers, weighted by how many octaves of the
+ * band each bin spans, so narrow low bands and wide high bands are comparable.
+ */
+
+/**
+ * Maximum number of bands (size of the shader uniform array).
+ * @constant {number}
+ */
+export const MAX_AUDIO_BANDS = 8;
+
+/** Lowest frequency a band may start at (Hz) */
+const MIN_FREQUENCY = 20;
+
+/** Highest frequency a band may end at (Hz) */
+const MAX_FREQUENCY = 20000;
+
+/**
+ * @typedef {Object} AudioBand
+ * @property {string} name - Display name
+ * @property {number} low - Lower edge in Hz
+ * @property {number} high - Upper edge in Hz
+ * @property {number} sensitivity - Gain applied to the band level
+ */
+
+/**
+ * Default band layout. Adjacent bands share their crossover frequency.
+ * @constant {AudioBand[]}
+ */
+export const DEFAULT_AUDIO_BANDS = [
+  { name: 'sub', low: 20, high: 60, sensitivity: 1.5 },
+  { name: 'bass', low: 60, high: 250, sensitivity: 1.5 },
+  { name: 'low-mid', low: 250, high: 500, sensitivity: 1.5 },
+  { name: 'mid', low: 500, high: 2000, sensitivity: 1.5 },
+  { name: 'presence', low: 2000, high: 6000, sensitivity: 1.5 },
+  { name: 'air', low: 6000, high: 16000, sensitivity: 1.5 }
+];
+
+/**
+ * Frequency ranges (Hz) of the legacy bass / mid / high levels,
+ * derived from the configured bands.
+ * @constant {Object.<string, {low: number, high: number}>}
+ */
+export const LEGACY_BAND_RANGES = {
+  bass: { low: 20, high: 250 },
+  mid: { low: 250, high: 4000 },
+  high: { low: 4000, high: 20000 }
+};
+
+/**
+ * Width in octaves of the overlap between two frequency ranges.
+ * @param {number} lowA - Lower edge of range A (Hz)
+ * @param {number} highA - Upper edge of range A (Hz)
+ * @param {number} lowB - Lower edge of range B (Hz)
+ * @param {number} highB - Upper edge of range B (Hz)
+ * @returns {number} Overlap in octaves (0 if disjoint)
+ */
+function octaveOverlap(lowA, highA, lowB, highB) {
+  const low = Math.max(lowA, lowB, 1);
+  const high = Math.min(highA, highB);
+  return high > low ? Math.log2(high / low) : 0;
+}
+
+/**
+ * Clamp and order a band list so it can be analysed safely.
+ * @param {AudioBand[]} bands - Bands from settings
+ * @returns {AudioBand[]} New array of at most MAX_AUDIO_BANDS valid bands
+ */
+export function normalizeBands(bands) {
+  if (!Array.isArray(bands)) return DEFAULT_AUDIO_BANDS.map(band => ({ ...band }));
+  return bands.slice(0, MAX_AUDIO_BANDS).map((band, i) => {
+    const low = Math.min(Math.max(Number(band.low) || MIN_FREQUENCY, MIN_FREQUENCY), MAX_FREQUENCY - 1);
+    const high = Math.min(Math.max(Number(band.high) || low * 2, low + 1), MAX_FREQUENCY);
+    return {
+      name: band.name || `band ${i + 1}`,
+      low,
+      high,
+      sensitivity: Number.isFinite(band.sensitivity) ? band.sensitivity : 1
+    };
+  });
+}
+
+/**
+ * Compute the log-frequency weight of every FFT bin a band touches.
+ * @param {number} low - Lower band edge (Hz)
+ * @param {number} high - Upper band edge (Hz)
+ * @param {number} binCount - Number of frequency bins
+ * @param {number} sampleRate - Sample rate of the analysed signal
+ * @returns {{start: number, weights: Float32Array}} First bin index and per-bin weights
+ */
+export function getBinWeights(low, high, binCount, sampleRate) {
+  const binHz = sampleRate / 2 / binCount;
+  // Bin 0 is DC and never contributes
+  const start = Math.max(1, Math.floor(low / binHz + 0.5));
+  const end = Math.min(binCount - 1, Math.ceil(high / binHz - 0.5));
+  if (end < start) return { start, weights: new Float32Array(0) };
+
+  const weights = new Float32Array(end - start + 1);
+  for (let i = start; i <= end; i++) {
+    weights[i - start] = octaveOverlap((i - 0.5) * binHz, (i + 0.5) * binHz, low, high);
+  }
+  return { start, weights };
+}
+
+/**
+ * Weighted average of the spectrum over a set of bin weights.
+ * @param {Uint8Array|Float32Array} spectrum - Magnitudes
+ * @param {{start: number, weights: Float32Array}} map - Bin weights from getBinWeights
+ * @returns {number} Average in the spectrum's own scale (0 if no bins)
+ */
+function weightedLevel(spectrum, { start, weights }) {
+  let sum = 0;
+  let weightSum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    sum += spectrum[start + i] * weights[i];
+    weightSum += weights[i];
+  }
+  return weightSum > 0 ? sum / weightSum : 0;
+}
+
+/**
+ * Create a band analyzer that caches bin weights between frames.
+ * @returns {Object} Band analyzer
+ */
+export function createBandAnalyzer() {
+  let cacheKey = '';
+  let maps = [];
+
+  return {
+    /**
+     * Compute raw band levels for one spectrum frame.
+     * @param {Uint8Array|Float32Array} spectrum - Magnitudes, 0-255 (byte) or 0-1 (float)
+     * @param {number} sampleRate - Sample rate of the analysed signal
+     * @param {AudioBand[]} bands - Normalized bands
+     * @returns {number[]} Level per band (0-1), before sensitivity
+     */
+    analyze(spectrum, sampleRate, bands) {
+      const key = `${spectrum.length}:${sampleRate}:${bands.map(b => `${b.low}-${b.high}`).join(',')}`;
+      if (key !== cacheKey) {
+        maps = bands.map(band => getBinWeights(band.low, band.high, spectrum.length, sampleRate));
+        cacheKey = key;
+      }
+
+      const scale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+      return maps.map(map => weightedLevel(spectrum, map) * scale);
+    }
+  };
+}
+
+/**
+ * Derive the legacy bass / mid / high levels from band levels.
+ * Each band contributes in proportion to how many octaves it shares with the legacy range.
+ * @param {AudioBand[]} bands - Normalized bands
+ * @param {number[]} levels - Raw level per band
+ * @returns {{bass: number, mid: number, high: number}}
+ */
+export function deriveLegacyBands(bands, levels) {
+  const result = {};
+  for (const [key, range] of Object.entries(LEGACY_BAND_RANGES)) {
+    let sum = 0;
+    let weightSum = 0;
+    bands.forEach((band, i) => {
+      const weight = octaveOverlap(band.low, band.high, range.low, range.high);
+      sum += levels[i] * weight;
+      weightSum += weight;
+    });
+    result[key] = weightSum > 0 ? sum / weightSum : 0;
+  }
+  return result;
+}
+
+/**
+ * Create a log-frequency resampler that maps an FFT spectrum onto a fixed
+ * number of log-spaced bins (e.g. for the spectrum texture).
+ * @param {number} size - Number of output bins
+ * @param {number} [minHz=20] - Frequency of the first output bin
+ * @param {number} [maxHz=20000] - Frequency of the last output bin
+ * @returns {Object} Log spectrum resampler
+ */
+export function createLogSpectrum(size, minHz = MIN_FREQUENCY, maxHz = MAX_FREQUENCY) {
+  const ratio = Math.pow(maxHz / minHz, 1 / size);
+  let cacheKey = '';
+  let maps = [];
+
+  return {
+    /**
+     * Resample one spectrum frame.
+     * @param {Uint8Array|Float32Array} spectrum - Magnitudes, 0-255 (byte) or 0-1 (float)
+     * @param {number} sampleRate - Sample rate of the analysed signal
+     * @param {Uint8Array|Float32Array} out - Output of length `size`; bytes receive 0-255, floats 0-1
+     */
+    compute(spectrum, sampleRate, out) {
+      const key = `${spectrum.length}:${sampleRate}`;
+      if (key !== cacheKey) {
+        maps = [];
+        for (let i = 0; i < size; i++) {
+          maps.push(getBinWeights(minHz * Math.pow(ratio, i), minHz * Math.pow(ratio, i + 1), spectrum.length, sampleRate));
+        }
+        cacheKey = key;
+      }
+
+      const inScale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+      const outScale = out instanceof Uint8Array ? 255 : 1;
+      for (let i = 0; i < size; i++) {
+        const level = weightedLevel(spectrum, maps[i]) * inScale;
+        out[i] = outScale === 255 ? Math.round(level * 255) : level;
+      }
+    }
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * @module audio/beat
+ * @description Onset and beat detection using spectral flux with an adaptive threshold.
+ * Works on frequency-domain frames.
+ */
+
+/**
+ * Frequency range (Hz) used for kick/beat detection.
+ * @constant {{low: number, high: number}}
+ */
+export const BEAT_FREQUENCY_RANGE = { low: 30, high: 150 };
+
+/**
+ * Default detector tuning.
+ * @constant
+ */
+const DEFAULT_OPTIONS = {
+  /** Number of flux frames in the adaptive threshold window (~0.7s at 60fps) */
+  historySize: 43,
+  /** Minimum time between onsets in seconds */
+  minOnsetInterval: 0.1,
+  /** Minimum time between beats in seconds (caps detection at 200 BPM) */
+  minBeatInterval: 0.3,
+  /** Decay rate of the onset pulse per second */
+  onsetDecay: 10,
+  /** Decay rate of the beat pulse per second */
+  beatDecay: 6,
+  /** Absolute flux floor so silence never triggers */
+  fluxFloor: 0.002
+};
+
+/**
+ * @typedef {Object} BeatInfo
+ * @property {number} onset - Onset pulse (0-1), jumps on any transient and decays
+ * @property {number} beat - Beat pulse (0-1), jumps to 1 on a low-frequency hit and decays
+ * @property {number} beatPhase - Position between beats (0 = on the beat, approaches 1 before the next)
+ * @property {boolean} isOnset - True only on the frame an onset was detected
+ * @property {boolean} isBeat - True only on the frame a beat was detected
+ */
+
+/**
+ * Ring buffer of flux values with mean / standard deviation.
+ * @param {number} size - Buffer length
+ * @returns {Object}
+ */
+function createFluxHistory(size) {
+  const values = new Float32Array(size);
+  let count = 0;
+  let index = 0;
+
+  return {
+    push(value) {
+      values[index] = value;
+      index = (index + 1) % size;
+      count = Math.min(count + 1, size);
+    },
+
+    stats() {
+      if (count === 0) return { mean: 0, std: 0 };
+      let sum = 0;
+      for (let i = 0; i < count; i++) sum += values[i];
+      const mean = sum / count;
+      let variance = 0;
+      for (let i = 0; i < count; i++) variance += (values[i] - mean) ** 2;
+      return { mean, std: Math.sqrt(variance / count) };
+    },
+
+    reset() {
+      values.fill(0);
+      count = 0;
+      index = 0;
+    }
+  };
+}
+
+/**
+ * Create a spectral-flux onset and beat detector.
+ * Full-band flux drives `onset`, low-band (kick) flux drives `beat`.
+ * @param {Object} [options] - Overrides for the default tuning
+ * @returns {Object} Beat detector
+ */
+export function createBeatDetector(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  let previous = null;
+  let lastTime = null;
+  const fullHistory = createFluxHistory(config.historySize);
+  const lowHistory = createFluxHistory(config.historySize);
+
+  let onsetArmed = true;
+  let beatArmed = true;
+  let lastOnsetTime = -Infinity;
+  let lastBeatTime = -Infinity;
+  let onsetLevel = 0;
+  let beatLevel = 0;
+  let beatInterval = 0.5;
+  const intervals = [];
+
+  /**
+   * Median of recent beat intervals, ignoring outliers.
+   * @returns {number}
+   */
+  function estimateInterval() {
+    if (intervals.length === 0) return beatInterval;
+    const sorted = [...intervals].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  return {
+    /**
+     * Process one spectrum frame.
+     * @param {Uint8Array|Float32Array} spectrum - Magnitudes, 0-255 (byte) or 0-1 (float)
+     * @param {number} time - Frame time in seconds
+     * @param {Object} [params] - Per-frame parameters
+     * @param {number} [params.sampleRate=48000] - Sample rate of the analysed signal
+     * @param {number} [params.threshold=1.5] - Multiplier over the local mean flux
+     * @returns {BeatInfo}
+     */
+    update(spectrum, time, params = {}) {
+      const { sampleRate = 48000, threshold = 1.5 } = params;
+      const len = spectrum.length;
+      const scale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+      const binHz = sampleRate / 2 / len;
+      const lowStart = Math.floor(BEAT_FREQUENCY_RANGE.low / binHz);
+      const lowEnd = Math.max(lowStart + 1, Math.ceil(BEAT_FREQUENCY_RANGE.high / binHz));
+
+      if (!previous || previous.length !== len) {
+        previous = new Float32Array(len);
+        for (let i = 0; i < len; i++) previous[i] = spectrum[i] * scale;
+        lastTime = time;
+        return this.getState(time);
+      }
+
+      const dt = Math.max(0, time - lastTime);
+      lastTime = time;
+
+      // Half-wave rectified spectral flux
+      let fullFlux = 0;
+      let lowFlux = 0;
+      for (let i = 0; i < len; i++) {
+        const value = spectrum[i] * scale;
+        const diff = value - previous[i];
+        if (diff > 0) {
+          fullFlux += diff;
+          if (i >= lowStart && i < lowEnd) lowFlux += diff;
+        }
+        previous[i] = value;
+      }
+      fullFlux /= len;
+      lowFlux /= (lowEnd - lowStart);
+
+      // Adaptive thresholds from the recent flux history
+      const fullStats = fullHistory.stats();
+      const lowStats = lowHistory.stats();
+      const fullThreshold = Math.max(config.fluxFloor, fullStats.mean * threshold + fullStats.std * 0.5);
+      const lowThreshold = Math.max(config.fluxFloor * 4, lowStats.mean * threshold + lowStats.std * 0.5);
+      fullHistory.push(fullFlux);
+      lowHistory.push(lowFlux);
+
+      // Decay pulses
+      onsetLevel *= Math.exp(-dt * config.onsetDecay);
+      beatLevel *= Math.exp(-dt * config.beatDecay);
+
+      let isOnset = false;
+      if (fullFlux > fullThreshold) {
+        if (onsetArmed && time - lastOnsetTime >= config.minOnsetInterval) {
+          isOnset = true;
+          lastOnsetTime = time;
+          const strength = Math.min(1, fullFlux / fullThreshold - 1);
+          onsetLevel = Math.max(onsetLevel, 0.5 + strength * 0.5);
+        }
+        onsetArmed = false;
+      } else {
+        onsetArmed = true;
+      }
+
+      let isBeat = false;
+      if (lowFlux > lowThreshold) {
+        if (beatArmed && time - lastBeatTime >= config.minBeatInterval) {
+          isBeat = true;
+          const interval = time - lastBeatTime;
+          if (interval >= config.minBeatInterval && interval <= 1.5) {
+            intervals.push(interval);
+            if (intervals.length > 8) intervals.shift();
+            beatInterval = estimateInterval();
+          }
+          lastBeatTime = time;
+          beatLevel = 1;
+        }
+        beatArmed = false;
+      } else {
+        beatArmed = true;
+      }
+
+      const state = this.getState(time);
+      state.isOnset = isOnset;
+      state.isBeat = isBeat;
+      return state;
+    },
+
+    /**
+     * Get current pulse values without processing a frame.
+     * @param {number} [time] - Current time in seconds (for beat phase)
+     * @returns {BeatInfo}
+     */
+    getState(time = lastTime ?? 0) {
+      const sinceBeat = time - lastBeatTime;
+      const beatPhase = Number.isFinite(sinceBeat)
+        ? Math.min(sinceBeat / beatInterval, 0.999)
+        : 0;
+      return {
+        onset: onsetLevel,
+        beat: beatLevel,
+        beatPhase,
+        isOnset: false,
+        isBeat: false
+      };
+    },
+
+    /**
+     * Reset all detector state (e.g. when the audio source changes).
+     */
+    reset() {
+      previous = null;
+      lastTime = null;
+      fullHistory.reset();
+      lowHistory.reset();
+      onsetArmed = true;
+      beatArmed = true;
+      lastOnsetTime = -Infinity;
+      lastBeatTime = -Infinity;
+      onsetLevel = 0;
+      beatLevel = 0;
+      beatInterval = 0.5;
+      intervals.length = 0;
+    }
+  };
+}
@@ -1,11 +1,34 @@
 /**
  * @module audio/capture
  * @description Audio capture and analysis for both browser and Electron modes.
- * Handles device enumeration, audio source selection, and frequency analysis.
+ * Handles device enumeration, audio source selection, local file playback, and frequency analysis.
+ * Sources can be switched at runtime (click the audio status); a lost live source
+ * (track ended, muted or silent) is reconnected or replaced by the configured fallback.
  */
 
 import { audioBass, audioMid, audioHigh, audioOverall, updateAudioUniforms } from './uniforms.js';
-import { showAudioSourceSelector as showAudioSelector, setAudioConnecting, setAudioActive, setAudioError, setAudioSelectScreen } from '../gui/audio-selector.js';
+import { createAudioAnalyzer, createSilentAudioData, ANALYSER_FFT_SIZE } from './analysis.js';
+import { createTraceRecorder, createTracePlayer, parseTrace } from './trace.js';
+import {
+    attachFilePlayer,
+    detachFilePlayer,
+    isFilePlayerAttached,
+    addToPlaylist,
+    getPlaylist,
+    getPlaybackState,
+    setOutputDelay,
+    playTrack,
+    isAudioFile,
+    onPlaybackChange,
+    AUDIO_FILE_EXTENSIONS
+} from './file-source.js';
+import { createSourceWatchdog, isSilentSpectrum } from './source-watchdog.js';
+import { createFrameDelay, resolveAvDelays } from './latency.js';
+import { createSignalGenerator, DEFAULT_SIGNAL_PATTERN, DEFAULT_SIGNAL_BPM } from './signal-generator.js';
+import { listInputDevices, openInputDevice, getLastInputDevice, saveLastInputDevice } from './input-devices.js';
+import { saveRecentAudio, getRecentAudio, getRecentAudioFile } from '../utils/file-storage.js';
+import { showAudioSourceSelector as showAudioSelector, setAudioConnecting, setAudioActive, setAudioError, setAudioSelectScreen, setAudioSelectSource } from '../gui/audio-selector.js';
+import { showTransport, hideTransport } from '../gui/transport.js';
 
 /** @type {AudioContext|null} */
 let audioContext = null;
@@ -16,18 +39,102 @@ let analyser = null;
 /** @type {Uint8Array|null} */
 let dataArray = null;
 
+/** @type {Uint8Array|null} Time-domain samples (128 = silence) */
+let timeDomainArray = null;
+
+/** @type {GainNode|null} Node every source connects to; feeds the mono and stereo analysers */
+let analysisInput = null;
+
+/**
+ * Left/right analysers and their buffers for the stereo field.
+ * @type {{left: AnalyserNode, right: AnalyserNode, leftSpectrum: Uint8Array, rightSpectrum: Uint8Array, leftWaveform: Uint8Array, rightWaveform: Uint8Array}|null}
+ */
+let stereoAnalysers = null;
+
 /** @type {Array<{id: string, name: string, thumbnail: string}>} */
 let audioSources = [];
 
 /** @type {{id: string, name: string, thumbnail: string}|null} */
 let selectedAudioSource = null;
 
+/** @type {MediaStream|null} Open input device stream, stopped on close */
+let inputStream = null;
+
+/**
+ * Screen/tab sharing entry offered in the browser, where there is no source list.
+ * @constant
+ */
+const DISPLAY_CAPTURE_SOURCE = { id: 'display-capture', name: 'Screen / tab audio', thumbnail: '' };
+
+/**
+ * Live source to reconnect to if it is lost: a capture source or an input device choice.
+ * @type {{kind: 'capture', source: Object}|{kind: 'device', choice: Object}|null}
+ */
+let liveSource = null;
+
+/** Reconnection attempts since the live source was last audible */
+let reconnectAttempts = 0;
+
+/** Reconnection attempts before falling back to another source */
+const MAX_RECONNECT_ATTEMPTS = 2;
+
+/** Silence timeout and fallback, taken from the settings on every analyzeAudio call */
+let sourceOptions = { silenceTimeout: 0, fallback: 'selector' };
+
+/** Whether the status shows the no-signal notice for a silent live source */
+let silenceNoticeShown = false;
+
+/** Watches the live track for end, mute and silence */
+const sourceWatchdog = createSourceWatchdog((reason) => {
+    handleSourceLost(reason).catch(err => console.error('[Audio] Could not recover the lost source:', err));
+});
+
+/** @type {Object|null} Synthetic test-signal source while it is the active source */
+let signalGenerator = null;
+
+/** Pattern and tempo the test signal starts with, kept across restarts */
+let testSignalOptions = { pattern: DEFAULT_SIGNAL_PATTERN, bpm: DEFAULT_SIGNAL_BPM };
+
+/** Band, envelope, AGC, stereo, chroma, beat and tempo analysis fed by analyzeAudio */
+const audioAnalyzer = createAudioAnalyzer();
+
+/** Past frames for delaying the visuals (A/V offset) */
+const frameDelay = createFrameDelay();
+
+/** @type {import('./latency.js').AvDelays} Delays applied on the last analyzeAudio call */
+let avDelays = { lookAhead: 0, main: 0, spout: 0, clamped: false };
+
+/** @type {Object|null} Frame for the Spout output, offset separately from the main window */
+let spoutAudioData = null;
+
+/** @type {import('./chroma.js').ChromaFrame|null} Last chroma frame, for readouts */
+let lastHarmony = null;
+
+/** Records analyzeAudio frames while a trace recording is running */
+const traceRecorder = createTraceRecorder();
+
+/** @type {Object|null} Trace player replacing live analysis while replaying */
+let tracePlayer = null;
+
+/** Replay clock: start time for timed playback, frame counter for stepped playback */
+let traceStartTime = 0;
+let traceFrameIndex = 0;
+let traceFrameStepped = false;
+
+/**
+ * Current time in seconds on the clock shared by analysis and tap tempo.
+ * @returns {number}
+ */
+function now() {
+    return performance.now() / 1000;
+}
+
 /**
  * Check if audio is currently active.
  * @returns {boolean}
  */
 export function isAudioActive() {
-    return analyser !== null && dataArray !== null;
+    return (analyser !== null && dataArray !== null) || tracePlayer !== null;
 }
 
 /**
@@ -50,17 +157,44 @@ export function getSelectedAudioSource() {
  * Initialize audio capture.
  * Shows device selector in browser, source selector in Electron.
  * Auto-detects OBS Browser Source and uses dummy audio to avoid permission dialogs.
+ * A source from the last session is reconnected without showing the selector.
+ * @param {Object} [options]
+ * @param {AudioSourceDescriptor} [options.restore] - Source to reconnect (see restoreAudioSource)
  * @returns {Promise<boolean>} True if audio initialized successfully
  */
-export async function initAudio() {
+export async function initAudio(options = {}) {
   try {
     // Check for dummy audio mode (OBS Browser Source or URL parameter)
     const urlParams = new URLSearchParams(window.location.search);
     const useDummyAudio = urlParams.get('audio') === 'dummy' || isOBSBrowserSource();
     
+    // Trace replay mode: recorded analysis instead of live audio
+    if (urlParams.get('audio') === 'trace') {
+      const traceUrl = urlParams.get('trace');
+      if (!traceUrl) {
+        setAudioError('Add &trace=<url> or drop a trace file');
+        return false;
+      }
+      return loadTraceFromUrl(traceUrl, { frameStepped: urlParams.get('traceClock') === 'frame' });
+    }
+    
+    // Local file mode: no capture permission needed
+    if (urlParams.get('audio') === 'file') {
+      showAudioSourceSelector([]);
+      return true;
+    }
+    
     if (useDummyAudio) {
       console.log('[Audio] Dummy audio mode detected - using synthetic audio');
-      return initDummyAudio();
+      return startTestSignal({
+        pattern: urlParams.get('pattern') ?? undefined,
+        bpm: urlParams.has('bpm') ? Number(urlParams.get('bpm')) : undefined
+      });
+    }
+    
+    // Reconnect the last session's source, falling back to the selector
+    if (options.restore && await restoreAudioSource(options.restore)) {
+      return true;
     }
     
     // Normal audio initialization
@@ -76,103 +210,250 @@ export async function initAudio() {
   }
 }
 
+/**
+ * @typedef {Object} AudioSourceDescriptor
+ * @property {string} kind - 'device', 'capture', 'test-signal' or 'file'
+ * @property {Object} [choice] - Input device choice (device)
+ * @property {string} [id] - Capture source ID (capture)
+ * @property {string} [name] - Capture source or file name (capture, file)
+ * @property {string} [pattern] - Test-signal pattern (test-signal)
+ * @property {number} [bpm] - Test-signal tempo (test-signal)
+ */
+
+/**
+ * Describe the current audio source so it can be reconnected in a later session.
+ * @returns {AudioSourceDescriptor|null} Null for trace replay or no source
+ */
+export function getAudioSourceDescriptor() {
+    if (signalGenerator) {
+        const { pattern, bpm } = signalGenerator.getState();
+        return { kind: 'test-signal', pattern, bpm };
+    }
+    if (isFilePlayerAttached()) {
+        const { name } = getPlaybackState();
+        return name ? { kind: 'file', name } : null;
+    }
+    if (liveSource?.kind === 'device') {
+        const { deviceId, label, channel, processing } = liveSource.choice;
+        return { kind: 'device', choice: { deviceId, label, channel, processing } };
+    }
+    if (liveSource?.kind === 'capture') {
+        return { kind: 'capture', id: liveSource.source.id, name: liveSource.source.name };
+    }
+    return null;
+}
+
+/**
+ * Reconnect to a source from getAudioSourceDescriptor.
+ * Browser screen/tab sharing always needs a new prompt, so it is not reconnected;
+ * files are only found again through the recent files list.
+ * @param {AudioSourceDescriptor} descriptor - Source to reconnect
+ * @returns {Promise<boolean>} True if the source is playing
+ */
+export async function restoreAudioSource(descriptor) {
+    try {
+        switch (descriptor?.kind) {
+            case 'device': {
+                const devices = await listInputDevices();
+                if (!devices.some(device => device.deviceId === descriptor.choice?.deviceId)) return false;
+                return await selectInputDevice(descriptor.choice);
+            }
+            case 'capture':
+                if (!(window.isElectron && window.electronAPI)) return false;
+                return await reconnectSource({ kind: 'capture', source: descriptor });
+            case 'test-signal':
+                return await startTestSignal({ pattern: descriptor.pattern, bpm: descriptor.bpm });
+            case 'file': {
+                const recent = await getRecentAudio();
+                if (!recent.some(entry => entry.name === descriptor.name)) return false;
+                return await playRecentAudio(descriptor.name);
+            }
+            default:
+                return false;
+        }
+    } catch (err) {
+        console.warn('[Audio] Could not restore last source:', err.message);
+        return false;
+    }
+}
+
 /**
  * Initialize audio in Electron mode with source selector.
  * @param {HTMLElement} statusEl - Status display element
  * @returns {Promise<boolean>}
  */
 async function initElectronAudio() {
-    const sources = await window.electronAPI.getAudioSources();
-    audioSources = sources.filter(s => s.name && !s.name.includes('Music Visualizer'));
+    audioSources = await loadAudioSources();
     
     if (audioSources.length === 0) {
-        setAudioError('No sources found');
-        return false;
+        console.warn('[Audio] No desktop capture sources found');
     }
     
+    setAudioSelectSource();
     showAudioSourceSelector();
     return true;
 }
 
 /**
- * Initialize audio in browser mode with screen share.
- * @param {HTMLElement} statusEl - Status display element
+ * Initialize audio in browser mode with the source selector.
+ * Offers screen/tab sharing, input devices and local files.
  * @returns {Promise<boolean>}
  */
 async function initBrowserAudio() {
-    setAudioSelectScreen();
-    
-    const stream = await navigator.mediaDevices.getDisplayMedia({
-        video: true,
-        audio: true
-    });
-    
-    const audioTrack = stream.getAudioTracks()[0];
-    stream.getVideoTracks().forEach(t => t.stop());
-    
-    if (!audioTrack) {
-        setAudioError('No audio - check "Share audio" when sharing');
-        stream.getTracks().forEach(t => t.stop());
-        return false;
+    audioSources = await loadAudioSources();
+    setAudioSelectSource();
+    showAudioSourceSelector();
+    return true;
+}
+
+/**
+ * List the capture sources on offer: desktop windows/screens in Electron,
+ * screen/tab sharing in the browser.
+ * @returns {Promise<Array<{id: string, name: string, thumbnail: string}>>}
+ */
+async function loadAudioSources() {
+    if (window.isElectron && window.electronAPI) {
+        const sources = await window.electronAPI.getAudioSources();
+        return sources.filter(s => s.name && !s.name.includes('Music Visualizer'));
     }
-    
-    const success = setupAudioContext(audioTrack);
-    
-    if (success) {
-        setAudioActive('Active');
+    return navigator.mediaDevices?.getDisplayMedia ? [DISPLAY_CAPTURE_SOURCE] : [];
+}
+
+/**
+ * Show the source selector with a fresh source list so the user can switch
+ * sources at runtime. The current source keeps playing until a new one is picked.
+ * @returns {Promise<void>}
+ */
+export async function switchAudioSource() {
+    try {
+        audioSources = await loadAudioSources();
+    } catch (err) {
+        console.warn('[Audio] Could not refresh capture sources:', err.message);
     }
-    
-    return success;
+    showAudioSourceSelector();
 }
 
 /**
  * Setup audio context and analyser for a given audio track.
  * @param {MediaStreamTrack} audioTrack - The audio track to analyze
+ * @param {number} [channel=-1] - Channel to analyse, -1 mixes all channels
  * @returns {boolean} True if setup successful
  */
-function setupAudioContext(audioTrack) {
+function setupAudioContext(audioTrack, channel = -1) {
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    sourceWatchdog.watch(audioTrack);
     
     if (audioContext.state === 'suspended') {
         audioContext.resume();
     }
     
-    analyser = audioContext.createAnalyser();
-    analyser.fftSize = 512;
-    analyser.smoothingTimeConstant = 0.75;
+    createAnalyserNode();
     
     const source = audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
-    source.connect(analyser);
-    dataArray = new Uint8Array(analyser.frequencyBinCount);
+    const channelCount = audioTrack.getSettings().channelCount || source.channelCount;
+    
+    if (channel >= 0 && channel < channelCount) {
+        const splitter = audioContext.createChannelSplitter(channelCount);
+        source.connect(splitter);
+        splitter.connect(analysisInput, channel);
+    } else {
+        if (channel >= 0) {
+            console.warn(`[Audio] Input has ${channelCount} channel(s), mixing instead of channel ${channel + 1}`);
+        }
+        source.connect(analysisInput);
+    }
     
     return true;
 }
 
 /**
- * Show audio source selector UI (Electron mode).
+ * Create the analysers and their data buffers on the current audio context.
+ * Sources connect to `analysisInput`, which feeds the mono analyser and,
+ * through a stereo downmix and channel splitter, the left/right analysers.
+ */
+function createAnalyserNode() {
+    // Live analysis takes over from any trace replay
+    tracePlayer = null;
+    
+    analysisInput = audioContext.createGain();
+    
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = ANALYSER_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0.75;
+    dataArray = new Uint8Array(analyser.frequencyBinCount);
+    timeDomainArray = new Uint8Array(analyser.fftSize);
+    analysisInput.connect(analyser);
+    
+    // Up/downmix to exactly two channels so mono sources land in both sides
+    const stereoMix = audioContext.createGain();
+    stereoMix.channelCount = 2;
+    stereoMix.channelCountMode = 'explicit';
+    stereoMix.channelInterpretation = 'speakers';
+    const splitter = audioContext.createChannelSplitter(2);
+    analysisInput.connect(stereoMix);
+    stereoMix.connect(splitter);
+    
+    const createSide = (channel) => {
+        const side = audioContext.createAnalyser();
+        side.fftSize = ANALYSER_FFT_SIZE;
+        side.smoothingTimeConstant = analyser.smoothingTimeConstant;
+        splitter.connect(side, channel);
+        return side;
+    };
+    const left = createSide(0);
+    const right = createSide(1);
+    stereoAnalysers = {
+        left,
+        right,
+        leftSpectrum: new Uint8Array(left.frequencyBinCount),
+        rightSpectrum: new Uint8Array(right.frequencyBinCount),
+        leftWaveform: new Uint8Array(left.fftSize),
+        rightWaveform: new Uint8Array(right.fftSize)
+    };
+}
+
+/**
+ * Show audio source selector UI (Electron mode), including local file options.
  * Prevents duplicate selectors from being shown.
  */
 let isAudioSelectorShowing = false;
 
-function showAudioSourceSelector() {
-  // Prevent duplicate selectors
-  if (isAudioSelectorShowing) {
+/** Accept attribute for audio file pickers */
+const AUDIO_FILE_ACCEPT = ['audio/*', ...AUDIO_FILE_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+/**
+ * @param {Array<{id: string, name: string, thumbnail: string}>} [sources=audioSources] - Capture sources to list
+ */
+function showAudioSourceSelector(sources = audioSources) {
+  // Prevent duplicate selectors (the flag covers the time spent listing devices and files)
+  if (isAudioSelectorShowing || document.getElementById('audio-selector')) {
     console.log('[Audio] Audio selector already showing, not creating duplicate');
     return;
   }
   
-  // Also check if one already exists in DOM
-  const existingSelector = document.getElementById('audio-selector');
-  if (existingSelector) {
-    console.log('[Audio] Audio selector already exists in DOM, removing old one');
-    existingSelector.remove();
-  }
-  
   isAudioSelectorShowing = true;
   
-  showAudioSelector(audioSources, (source) => {
+  // A failing list (IndexedDB, enumerateDevices) leaves its section empty rather than the selector closed for good
+  const orEmpty = (promise, what) => promise.catch(err => {
+    console.warn(`[Audio] Could not list ${what}:`, err);
+    return [];
+  });
+
+  Promise.all([
+    orEmpty(getRecentAudio(), 'recent files'),
+    orEmpty(listInputDevices(), 'input devices')
+  ]).then(([recentFiles, devices]) => {
     isAudioSelectorShowing = false;
-    selectAudioSource(source);
+    showAudioSelector(sources, selectAudioSource, {
+      recentFiles,
+      accept: AUDIO_FILE_ACCEPT,
+      onFiles: playAudioFiles,
+      onRecent: playRecentAudio
+    }, {
+      devices,
+      lastDevice: getLastInputDevice(),
+      onDevice: selectInputDevice
+    });
   });
 }
 
@@ -185,9 +466,6 @@ export async function selectAudioSource(source) {
   const selector = document.getElementById('audio-selector');
   if (selector) selector.remove();
   
-  // Reset the flag when selector is removed
-  isAudioSelectorShowing = false;
-  
   setAudioConnecting();
     
     try {
@@ -215,71 +493,481 @@ export async function selectAudioSource(source) {
             audioTrack = stream.getAudioTracks()[0];
             stream.getVideoTracks().forEach(t => t.stop());
         } else {
+            setAudioSelectScreen();
             const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
             audioTrack = stream.getAudioTracks()[0];
             stream.getVideoTracks().forEach(t => t.stop());
         }
         
         if (!audioTrack) {
-            setAudioError('No audio track');
+            setAudioError(window.electronAPI ? 'No audio track' : 'No audio - check "Share audio" when sharing');
             return false;
         }
         
+        // Switching away from another source
+        if (audioContext) closeAudio();
+        
         setupAudioContext(audioTrack);
         
         selectedAudioSource = source;
+        liveSource = { kind: 'capture', source };
         setAudioActive(source.name);
         
         return true;
     } catch (err) {
         console.error('Audio connection error:', err);
-        statusEl.textContent = 'Audio: ' + err.message;
-        statusEl.className = 'error';
+        setAudioError(err.message);
+        return false;
+    }
+}
+
+/**
+ * Connect to a microphone or audio-interface input.
+ * The choice is remembered and offered first next time.
+ * @param {{deviceId: string, label: string, channel: number, processing: boolean}} choice - Device and options
+ * @returns {Promise<boolean>}
+ */
+export async function selectInputDevice(choice) {
+    setAudioConnecting();
+    
+    try {
+        const stream = await openInputDevice(choice);
+        const audioTrack = stream.getAudioTracks()[0];
+        
+        if (!audioTrack) {
+            setAudioError('No audio track');
+            return false;
+        }
+        
+        if (audioContext) closeAudio();
+        
+        setupAudioContext(audioTrack, choice.channel);
+        inputStream = stream;
+        liveSource = { kind: 'device', choice };
+        saveLastInputDevice(choice);
+        
+        const channelLabel = choice.channel >= 0 ? ` [ch ${choice.channel + 1}]` : '';
+        selectedAudioSource = { id: choice.deviceId, name: choice.label + channelLabel, thumbnail: '' };
+        setAudioActive(selectedAudioSource.name);
+        console.log(`[Audio] Input device: ${selectedAudioSource.name}, voice processing ${choice.processing ? 'on' : 'off'}`);
+        
+        return true;
+    } catch (err) {
+        console.error('[Audio] Input device error:', err);
+        setAudioError(err.name === 'NotAllowedError' ? 'Microphone blocked' : err.message);
         return false;
     }
 }
 
+/**
+ * Play local audio files through the analyser, replacing any capture source.
+ * Files are appended to the playlist and remembered in the recent files list.
+ * @param {FileList|File[]} files - Files to play (non-audio files are ignored)
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function playAudioFiles(files) {
+    const audioFiles = Array.from(files).filter(isAudioFile);
+    if (audioFiles.length === 0) {
+        setAudioError('No supported audio files');
+        return false;
+    }
+    
+    audioFiles.forEach(file => {
+        saveRecentAudio(file).catch(err => console.warn('[Audio] Could not remember file:', err.message));
+    });
+    
+    return startFilePlayback(audioFiles);
+}
+
+/**
+ * Play a file from the recent files list.
+ * @param {string} name - File name
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function playRecentAudio(name) {
+    const entry = await getRecentAudioFile(name);
+    if (!entry) {
+        setAudioError('File no longer available');
+        return false;
+    }
+    return startFilePlayback([{ name: entry.name, size: entry.size, load: async () => entry.data }]);
+}
+
+/**
+ * Switch to file playback (if needed) and play the first of the given items.
+ * @param {Array<File|import('./file-source.js').PlaylistItem>} items - Playlist items
+ * @returns {Promise<boolean>}
+ */
+async function startFilePlayback(items) {
+    setAudioConnecting();
+    
+    if (!isFilePlayerAttached()) {
+        closeAudio();
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        createAnalyserNode();
+        attachFilePlayer(audioContext, analysisInput);
+        showTransport(playAudioFiles);
+        selectedAudioSource = { id: 'file', name: 'Local files', thumbnail: '' };
+    }
+    
+    // No new items resumes the playlist at the current track
+    const index = items.length ? addToPlaylist(items) : Math.max(getPlaybackState().index, 0);
+    const success = await playTrack(index);
+    if (!success) {
+        setAudioError('Could not decode ' + (getPlaylist()[index]?.name ?? 'file'));
+    }
+    return success;
+}
+
+// Keep the status display on the current file track
+let lastTrackName = null;
+onPlaybackChange((state) => {
+    if (state.name && state.name !== lastTrackName && isFilePlayerAttached()) {
+        setAudioActive('File: ' + state.name);
+    }
+    lastTrackName = state.name;
+});
+
 /**
  * Analyze audio and update audio uniforms.
  * @param {Object} settings - Settings object with sensitivity values
- * @returns {{bass: number, mid: number, high: number, overall: number}} Audio levels
+ * @returns {import('./analysis.js').AudioData} Audio levels and beat information
  */
 export function analyzeAudio(settings) {
+    if (tracePlayer) {
+        return replayTraceFrame(settings);
+    }
+    
     if (!analyser || !dataArray) {
-        return { bass: 0, mid: 0, high: 0, overall: 0 };
+        return createSilentAudioData(getBeatClock());
     }
     
+    const time = now();
+    const smoothing = settings.analyserSmoothing?.value ?? 0.75;
+    analyser.smoothingTimeConstant = smoothing;
     analyser.getByteFrequencyData(dataArray);
-    const len = dataArray.length;
+    analyser.getByteTimeDomainData(timeDomainArray);
     
-    // Calculate frequency band boundaries
-    const bassEnd = Math.floor(len * 0.08);  // ~8% of spectrum
-    const midEnd = Math.floor(len * 0.4);    // ~40% of spectrum
-    
-    // Sum frequency bands
-    let bassSum = 0, midSum = 0, highSum = 0;
-    for (let i = 0; i < len; i++) {
-        const val = dataArray[i] / 255;
-        if (i < bassEnd) bassSum += val;
-        else if (i < midEnd) midSum += val;
-        else highSum += val;
+    // Watch live sources for silence; files and the test signal may be silent on purpose
+    sourceOptions = {
+        silenceTimeout: settings.audioSilenceTimeout?.value ?? 0,
+        fallback: settings.audioFallback?.value ?? 'selector'
+    };
+    if (liveSource && sourceWatchdog.update(isSilentSpectrum(dataArray), time, sourceOptions.silenceTimeout)) {
+        reconnectAttempts = 0;
+        if (silenceNoticeShown) {
+            silenceNoticeShown = false;
+            setAudioActive(selectedAudioSource?.name ?? 'Live source');
+        }
     }
     
-    // Normalize to 0-1 range
-    const bassNorm = bassSum / bassEnd;
-    const midNorm = midSum / (midEnd - bassEnd);
-    const highNorm = highSum / (len - midEnd);
+    const { left, right } = stereoAnalysers;
+    left.smoothingTimeConstant = smoothing;
+    right.smoothingTimeConstant = smoothing;
+    left.getByteFrequencyData(stereoAnalysers.leftSpectrum);
+    right.getByteFrequencyData(stereoAnalysers.rightSpectrum);
+    left.getByteTimeDomainData(stereoAnalysers.leftWaveform);
+    right.getByteTimeDomainData(stereoAnalysers.rightWaveform);
+    
+    const audioData = audioAnalyzer.process({
+        spectrum: dataArray,
+        waveform: timeDomainArray,
+        left: { spectrum: stereoAnalysers.leftSpectrum, waveform: stereoAnalysers.leftWaveform },
+        right: { spectrum: stereoAnalysers.rightSpectrum, waveform: stereoAnalysers.rightWaveform },
+        sampleRate: audioContext.sampleRate
+    }, time, settings);
+    
+    if (traceRecorder.isRecording()) {
+        traceRecorder.record(audioData, time);
+    }
     
-    // Apply sensitivity and clamp to 0-1
-    const bass = Math.min(bassNorm * settings.bassSensitivity.value, 1);
-    const mid = Math.min(midNorm * settings.midSensitivity.value, 1);
-    const high = Math.min(highNorm * settings.highSensitivity.value, 1);
-    const overall = (bass + mid + high) / 3;
+    // A/V offset: delay the visuals, or delay file playback so the analysis looks ahead
+    const delayed = applyAvOffset(audioData, time, settings);
+    lastHarmony = delayed.harmony;
     
     // Update uniforms
-    updateAudioUniforms({ bass, mid, high, overall });
+    updateAudioUniforms(delayed);
+    
+    return delayed;
+}
+
+/**
+ * Apply the A/V offsets to a fresh frame.
+ * Also updates the file playback look-ahead and the Spout frame.
+ * @param {import('./analysis.js').AudioData} audioData - Undelayed frame
+ * @param {number} time - Frame time in seconds
+ * @param {Object} settings - Settings object with avOffset and spoutAvOffset
+ * @returns {import('./analysis.js').AudioData} Frame for the main window
+ */
+function applyAvOffset(audioData, time, settings) {
+    const main = settings.avOffset?.value ?? 0;
+    avDelays = resolveAvDelays({
+        main,
+        spout: settings.spoutAvOffset?.value ?? main,
+        canLookAhead: isFilePlayerAttached()
+    });
+    setOutputDelay(avDelays.lookAhead);
+    
+    if (avDelays.main === 0 && avDelays.spout === 0) {
+        frameDelay.clear();
+        spoutAudioData = audioData;
+        return audioData;
+    }
+    
+    frameDelay.push(audioData, time);
+    spoutAudioData = frameDelay.read(time, avDelays.spout);
+    return frameDelay.read(time, avDelays.main);
+}
+
+/**
+ * Frame for the Spout output: the latest analysis with the Spout A/V offset applied.
+ * @returns {import('./analysis.js').AudioData|null}
+ */
+export function getSpoutAudioData() {
+    return spoutAudioData;
+}
+
+/**
+ * Delays applied by the A/V offset on the last frame.
+ * @returns {import('./latency.js').AvDelays}
+ */
+export function getAvDelays() {
+    return avDelays;
+}
+
+/**
+ * Replay the next trace frame through the A/V offset and the audio uniforms, like a live frame.
+ * @param {Object} settings - Settings object with avOffset and spoutAvOffset
+ * @returns {import('./analysis.js').AudioData}
+ */
+function replayTraceFrame(settings) {
+    const time = now();
+    const audioData = traceFrameStepped
+        ? tracePlayer.frameAtIndex(traceFrameIndex++)
+        : tracePlayer.frameAt(time - traceStartTime);
+    const delayed = applyAvOffset(audioData, time, settings);
+    lastHarmony = delayed.harmony ?? null;
+    updateAudioUniforms(delayed);
+    return delayed;
+}
+
+/**
+ * Replay a recorded trace in place of live audio.
+ * @param {import('./trace.js').AudioTrace} trace - Parsed trace
+ * @param {Object} [options]
+ * @param {boolean} [options.frameStepped=false] - Advance one trace frame per rendered frame
+ *   instead of following the clock, so output is identical whatever the frame rate
+ * @returns {boolean}
+ */
+export function startTraceReplay(trace, options = {}) {
+    closeAudio();
+    
+    tracePlayer = createTracePlayer(trace);
+    traceFrameStepped = options.frameStepped === true;
+    traceStartTime = now();
+    traceFrameIndex = 0;
     
-    return { bass, mid, high, overall };
+    setAudioActive(`Trace (${tracePlayer.duration.toFixed(1)}s)`);
+    console.log(`[Audio] Replaying trace: ${tracePlayer.frameCount} frames, ${traceFrameStepped ? 'frame-stepped' : 'timed'}`);
+    return true;
+}
+
+/**
+ * Load a trace file and replay it.
+ * @param {File} file - Trace JSON file
+ * @param {Object} [options] - See startTraceReplay
+ * @returns {Promise<boolean>}
+ */
+export async function loadTraceFile(file, options) {
+    try {
+        return startTraceReplay(parseTrace(await file.text()), options);
+    } catch (err) {
+        console.error('[Audio] Could not load trace:', err);
+        setAudioError('Trace: ' + err.message);
+        return false;
+    }
+}
+
+/**
+ * Fetch a trace and replay it.
+ * @param {string} url - Trace URL
+ * @param {Object} [options] - See startTraceReplay
+ * @returns {Promise<boolean>}
+ */
+export async function loadTraceFromUrl(url, options) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return startTraceReplay(parseTrace(await response.text()), options);
+    } catch (err) {
+        console.error('[Audio] Could not load trace:', err);
+        setAudioError('Trace: ' + err.message);
+        return false;
+    }
+}
+
+/**
+ * Whether a trace is being replayed.
+ * @returns {boolean}
+ */
+export function isTraceReplaying() {
+    return tracePlayer !== null;
+}
+
+/**
+ * Start recording analyzeAudio frames into a trace.
+ */
+export function startTraceRecording() {
+    traceRecorder.start();
+    console.log('[Audio] Trace recording started');
+}
+
+/**
+ * Stop recording.
+ * @returns {import('./trace.js').AudioTrace|null} The recorded trace
+ */
+export function stopTraceRecording() {
+    const trace = traceRecorder.stop();
+    if (trace) console.log(`[Audio] Trace recording stopped: ${trace.frames.length} frames`);
+    return trace;
+}
+
+/**
+ * Trace recording status.
+ * @returns {{recording: boolean, frames: number}}
+ */
+export function getTraceRecordingState() {
+    return { recording: traceRecorder.isRecording(), frames: traceRecorder.getFrameCount() };
+}
+
+/**
+ * Get the latest chroma frame (dominant pitch class and key).
+ * @returns {import('./chroma.js').ChromaFrame|null}
+ */
+export function getHarmony() {
+    return lastHarmony;
+}
+
+/**
+ * Get the current automatic gain per channel.
+ * Tracked even while AGC is disabled, so it can be inspected before enabling.
+ * @returns {{bass: number, mid: number, high: number, bands: number[]}}
+ */
+export function getAutoGain() {
+    return audioAnalyzer.getAutoGain();
+}
+
+/**
+ * Get the tempo-locked beat clock.
+ * @returns {import('./tempo.js').BeatClock}
+ */
+export function getBeatClock() {
+    return audioAnalyzer.tempoTracker.getClock(now());
+}
+
+/**
+ * Register a tap for tap tempo.
+ * Two or more taps override the detected tempo; every tap re-aligns the beat phase.
+ * @returns {import('./tempo.js').BeatClock}
+ */
+export function tapTempo() {
+    return audioAnalyzer.tempoTracker.tap(now());
+}
+
+/**
+ * Override the detected tempo with a fixed BPM.
+ * @param {number} bpm - Tempo in beats per minute
+ */
+export function setTempoOverride(bpm) {
+    audioAnalyzer.tempoTracker.setManualBpm(bpm, now());
+}
+
+/**
+ * Return to automatic tempo detection.
+ */
+export function clearTempoOverride() {
+    audioAnalyzer.tempoTracker.clearManual();
+}
+
+/**
+ * A live source was lost: reconnect to it, or switch to the fallback source
+ * once reconnecting has failed MAX_RECONNECT_ATTEMPTS times without sound.
+ * A silent source is only reported - its track is still live, and a quiet
+ * passage or a paused player must not end a screen share.
+ * @param {string} reason - 'ended', 'muted' or 'silent'
+ * @returns {Promise<boolean>} True if audio continues from some source
+ */
+async function handleSourceLost(reason) {
+    const lost = liveSource;
+    if (!lost) return false;
+    
+    if (reason === 'silent') {
+        console.warn(`[Audio] No signal: ${selectedAudioSource?.name ?? 'unknown'}`);
+        silenceNoticeShown = true;
+        setAudioError(`No signal for ${sourceOptions.silenceTimeout}s - waiting for sound`);
+        return true;
+    }
+    
+    console.warn(`[Audio] Source lost (${reason}): ${selectedAudioSource?.name ?? 'unknown'}`);
+    
+    if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+        reconnectAttempts++;
+        setAudioError(`Source ${reason} - reconnecting (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+        if (await reconnectSource(lost)) return true;
+    }
+    
+    reconnectAttempts = 0;
+    return fallBackFrom(reason);
+}
+
+/**
+ * Reconnect to a lost live source without asking the user.
+ * Browser screen/tab sharing always needs a new prompt, so it is not reconnected.
+ * @param {{kind: string, source?: Object, choice?: Object}} lost - Lost source
+ * @returns {Promise<boolean>}
+ */
+async function reconnectSource(lost) {
+    if (lost.kind === 'device') {
+        const devices = await listInputDevices();
+        if (!devices.some(device => device.deviceId === lost.choice.deviceId)) return false;
+        return selectInputDevice(lost.choice);
+    }
+    
+    if (!(window.isElectron && window.electronAPI)) return false;
+    try {
+        audioSources = await loadAudioSources();
+    } catch (err) {
+        console.warn('[Audio] Could not refresh capture sources:', err.message);
+        return false;
+    }
+    // Window ids change when an app restarts, so fall back to matching by name
+    const source = audioSources.find(s => s.id === lost.source.id) ?? audioSources.find(s => s.name === lost.source.name);
+    return source ? selectAudioSource(source) : false;
+}
+
+/**
+ * Switch to the configured fallback source.
+ * @param {string} reason - Why the live source was lost
+ * @returns {Promise<boolean>} True if audio continues from the fallback
+ */
+async function fallBackFrom(reason) {
+    const fallback = sourceOptions.fallback;
+    console.log(`[Audio] Falling back to ${fallback}`);
+    
+    if (fallback === 'test-signal') {
+        return startTestSignal();
+    }
+    
+    if (fallback === 'file') {
+        if (getPlaylist().length) return startFilePlayback([]);
+        const [recent] = await getRecentAudio();
+        if (recent) return playRecentAudio(recent.name);
+    }
+    
+    closeAudio();
+    setAudioError(`Source ${reason} - select a source`);
+    showAudioSourceSelector();
+    return false;
 }
 
 /**
@@ -299,13 +987,36 @@ function handleAudioError(err) {
  * Close audio context and cleanup.
  */
 export function closeAudio() {
+    if (isFilePlayerAttached()) {
+        detachFilePlayer();
+        hideTransport();
+    }
+    if (signalGenerator) {
+        signalGenerator.stop();
+        signalGenerator = null;
+    }
+    sourceWatchdog.unwatch();
+    liveSource = null;
+    silenceNoticeShown = false;
     if (audioContext) {
         audioContext.close();
         audioContext = null;
     }
+    if (inputStream) {
+        inputStream.getTracks().forEach(t => t.stop());
+        inputStream = null;
+    }
     analyser = null;
+    analysisInput = null;
+    stereoAnalysers = null;
     dataArray = null;
+    timeDomainArray = null;
     selectedAudioSource = null;
+    audioAnalyzer.reset(now());
+    frameDelay.clear();
+    spoutAudioData = null;
+    lastHarmony = null;
+    tracePlayer = null;
 }
 
 /**
@@ -325,99 +1036,86 @@ export function getAnalyser() {
 }
 
 /**
- * Initialize dummy audio for OBS Browser Source or fallback.
- * Creates synthetic audio using oscillators - no permissions needed.
- * @returns {Promise<boolean>} True if dummy audio initialized
+ * Play a synthetic test signal into the analyser (no permissions needed).
+ * Replaces any other source; when the test signal is already running only the
+ * pattern and tempo change.
+ * @param {Object} [options]
+ * @param {string} [options.pattern] - Pattern id from SIGNAL_PATTERNS
+ * @param {number} [options.bpm] - Tempo in beats per minute
+ * @returns {Promise<boolean>} True if the signal started
  */
-export async function initDummyAudio() {
-  console.log('[Audio] Initializing dummy audio source (no permissions needed)');
+export async function startTestSignal(options = {}) {
+  testSignalOptions = {
+    pattern: options.pattern ?? testSignalOptions.pattern,
+    bpm: options.bpm ?? testSignalOptions.bpm
+  };
+  
+  if (signalGenerator) {
+    setTestSignal(testSignalOptions);
+    return true;
+  }
+  
+  console.log('[Audio] Starting test signal (no permissions needed)');
   
   try {
-    // Create audio context
+    closeAudio();
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
     
     if (audioContext.state === 'suspended') {
       await audioContext.resume();
     }
     
-    // Create master gain node
-    const masterGain = audioContext.createGain();
-    masterGain.gain.value = 0.05; // Very quiet
+    createAnalyserNode();
     
-    // Create analyser
-    analyser = audioContext.createAnalyser();
-    analyser.fftSize = 512;
-    analyser.smoothingTimeConstant = 0.75;
-    
-    // Connect master gain to analyser
-    masterGain.connect(analyser);
-    
-    // Create data array for analysis
-    dataArray = new Uint8Array(analyser.frequencyBinCount);
-    
-    // Create oscillators for synthetic audio
-    // Different frequencies to simulate bass/mid/high
-    const oscillators = [];
-    const frequencies = [
-      { freq: 60, type: 'sine', gain: 0.8 },      // Bass
-      { freq: 500, type: 'square', gain: 0.5 }, // Mid  
-      { freq: 2000, type: 'sawtooth', gain: 0.3 } // High
-    ];
-    
-    frequencies.forEach((config, i) => {
-      const osc = audioContext.createOscillator();
-      const gain = audioContext.createGain();
-      
-      osc.type = config.type;
-      osc.frequency.value = config.freq;
-      gain.gain.value = config.gain / frequencies.length;
-      
-      osc.connect(gain);
-      gain.connect(masterGain);
-      
-      osc.start();
-      
-      // Modulate frequency over time for visual interest
-      const modulation = setInterval(() => {
-        const time = Date.now() / 1000;
-        // Vary frequency based on time
-        const variation = Math.sin(time * (0.5 + i * 0.3)) * 20;
-        osc.frequency.value = config.freq + variation;
-      }, 50);
-      
-      oscillators.push({ osc, gain, modulation });
-    });
-    
-    // Store oscillators for cleanup
-    window.__dummyAudioOscillators = oscillators;
-    
-    // Update UI status
-    setAudioActive('Dummy Audio (Synthetic)');
+    signalGenerator = createSignalGenerator(audioContext, analysisInput, testSignalOptions);
+    signalGenerator.start();
+    testSignalOptions = signalGenerator.getState();
     
-    console.log('[Audio] ✅ Dummy audio initialized successfully');
-    console.log('[Audio] Using synthetic audio - no permission dialogs needed');
-    console.log('[Audio] Visualizer will have reactive audio patterns');
+    selectedAudioSource = { id: 'test-signal', name: 'Test signal', thumbnail: '' };
+    setAudioActive(testSignalStatus());
+    console.log(`[Audio] Test signal: ${testSignalOptions.pattern} at ${testSignalOptions.bpm} BPM`);
     
     return true;
-    
   } catch (err) {
-    console.error('[Audio] Dummy audio failed:', err);
-    setAudioError('Dummy audio failed: ' + err.message);
+    console.error('[Audio] Test signal failed:', err);
+    setAudioError('Test signal failed: ' + err.message);
     return false;
   }
 }
 
 /**
- * Cleanup dummy audio oscillators.
+ * Change the running test signal's pattern and/or tempo.
+ * The values are also used the next time the test signal starts.
+ * @param {{pattern?: string, bpm?: number}} options - New pattern and/or tempo
  */
-export function cleanupDummyAudio() {
-  if (window.__dummyAudioOscillators) {
-    window.__dummyAudioOscillators.forEach(({ osc, modulation }) => {
-      clearInterval(modulation);
-      osc.stop();
-    });
-    window.__dummyAudioOscillators = null;
+export function setTestSignal(options) {
+  if (options.pattern !== undefined) testSignalOptions.pattern = options.pattern;
+  if (options.bpm !== undefined) testSignalOptions.bpm = options.bpm;
+  if (!signalGenerator) return;
+  
+  if (options.pattern !== undefined && options.pattern !== signalGenerator.getState().pattern) {
+    signalGenerator.setPattern(options.pattern);
   }
+  if (options.bpm !== undefined) signalGenerator.setBpm(options.bpm);
+  testSignalOptions = signalGenerator.getState();
+  setAudioActive(testSignalStatus());
+}
+
+/**
+ * Test-signal pattern and tempo, and whether it is the active source.
+ * @returns {{pattern: string, bpm: number, active: boolean}}
+ */
+export function getTestSignalState() {
+  return { pattern: testSignalOptions.pattern, bpm: testSignalOptions.bpm, active: signalGenerator !== null };
+}
+
+/**
+ * Status text for the running test signal.
+ * @returns {string}
+ */
+function testSignalStatus() {
+  const { label, bpm } = signalGenerator.getState();
+  return `Test signal: ${label}, ${Math.round(bpm)} BPM`;
 }
 
 /**
@@ -0,0 +1,200 @@
+/**
+ * @module audio/chroma
+ * @description Chromagram (12 pitch-class energies), dominant pitch class and key estimation.
+ * FFT bins are folded onto the nearest equal-tempered pitch class; the key is found by
+ * correlating a long-window chroma average with Krumhansl-Schmuckler key profiles.
+ */
+
+/**
+ * Pitch class names, index 0 = C.
+ * @constant {string[]}
+ */
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/** Frequency range folded into the chromagram (Hz) */
+const MIN_FREQUENCY = 55;
+const MAX_FREQUENCY = 5000;
+
+/** Width of a semitone relative to its frequency */
+const SEMITONE_RATIO = Math.pow(2, 1 / 12) - 1;
+
+/** Chroma smoothing time constant (ms) */
+const CHROMA_SMOOTHING_MS = 150;
+
+/** Time constant of the chroma average used for key detection (s) */
+const KEY_WINDOW = 8;
+
+/** Correlation margin a new key needs over the current one before it is adopted */
+const KEY_HYSTERESIS = 0.05;
+
+/** Krumhansl-Schmuckler major key profile, tonic first */
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+
+/** Krumhansl-Schmuckler minor key profile, tonic first */
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * @typedef {Object} KeyEstimate
+ * @property {number} tonic - Tonic pitch class (0-11, 0 = C)
+ * @property {string} mode - 'major' or 'minor'
+ * @property {string} name - Display name, e.g. "A minor"
+ * @property {number} confidence - Correlation with the key profile (-1 to 1)
+ */
+
+/**
+ * @typedef {Object} ChromaFrame
+ * @property {Float32Array} chroma - Energy per pitch class, normalized so the strongest is 1
+ * @property {number} dominant - Strongest pitch class (0-11)
+ * @property {number} strength - How much the dominant stands out (0 = flat chroma, 1 = single pitch)
+ * @property {KeyEstimate|null} key - Slow key estimate, null until there is enough signal
+ */
+
+/**
+ * Pearson correlation of a chroma vector with a profile rotated to a tonic.
+ * @param {Float32Array} chroma - Pitch-class energies
+ * @param {number[]} profile - Key profile, tonic first
+ * @param {number} tonic - Tonic pitch class
+ * @returns {number}
+ */
+function correlate(chroma, profile, tonic) {
+  let meanX = 0;
+  let meanY = 0;
+  for (let i = 0; i < 12; i++) {
+    meanX += chroma[i];
+    meanY += profile[i];
+  }
+  meanX /= 12;
+  meanY /= 12;
+
+  let num = 0;
+  let denX = 0;
+  let denY = 0;
+  for (let i = 0; i < 12; i++) {
+    const x = chroma[(i + tonic) % 12] - meanX;
+    const y = profile[i] - meanY;
+    num += x * y;
+    denX += x * x;
+    denY += y * y;
+  }
+  return denX > 0 && denY > 0 ? num / Math.sqrt(denX * denY) : 0;
+}
+
+/**
+ * Find the best-matching key for a chroma vector.
+ * @param {Float32Array} chroma - Pitch-class energies
+ * @returns {KeyEstimate}
+ */
+export function estimateKey(chroma) {
+  let best = { tonic: 0, mode: 'major', confidence: -Infinity };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const major = correlate(chroma, MAJOR_PROFILE, tonic);
+    const minor = correlate(chroma, MINOR_PROFILE, tonic);
+    if (major > best.confidence) best = { tonic, mode: 'major', confidence: major };
+    if (minor > best.confidence) best = { tonic, mode: 'minor', confidence: minor };
+  }
+  return { ...best, name: `${PITCH_CLASSES[best.tonic]} ${best.mode}` };
+}
+
+/**
+ * Map every FFT bin in range to its nearest pitch class.
+ * Bins wider than a semitone are skipped, since they cannot tell neighbouring notes apart.
+ * @param {number} binCount - Number of frequency bins
+ * @param {number} sampleRate - Sample rate of the analysed signal
+ * @returns {Int8Array} Pitch class per bin, -1 for bins outside the range
+ */
+function getPitchClassMap(binCount, sampleRate) {
+  const binHz = sampleRate / 2 / binCount;
+  const minFrequency = Math.max(MIN_FREQUENCY, binHz / SEMITONE_RATIO);
+  const map = new Int8Array(binCount).fill(-1);
+  for (let i = 1; i < binCount; i++) {
+    const frequency = i * binHz;
+    if (frequency < minFrequency || frequency > MAX_FREQUENCY) continue;
+    const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+    map[i] = ((midi % 12) + 12) % 12;
+  }
+  return map;
+}
+
+/**
+ * Create a chroma analyzer with smoothed chroma and a slow key estimate.
+ * @returns {Object} Chroma analyzer
+ */
+export function createChromaAnalyzer() {
+  let cacheKey = '';
+  let pitchMap = null;
+  const frame = new Float32Array(12);
+  const chroma = new Float32Array(12);
+  const longTerm = new Float32Array(12);
+  let key = null;
+
+  return {
+    /**
+     * Analyse one spectrum frame.
+     * @param {Uint8Array|Float32Array} spectrum - Magnitudes, 0-255 (byte) or 0-1 (float)
+     * @param {number} sampleRate - Sample rate of the analysed signal
+     * @param {number} dt - Time since the last update in seconds
+     * @returns {ChromaFrame}
+     */
+    analyze(spectrum, sampleRate, dt) {
+      const mapKey = `${spectrum.length}:${sampleRate}`;
+      if (mapKey !== cacheKey) {
+        pitchMap = getPitchClassMap(spectrum.length, sampleRate);
+        cacheKey = mapKey;
+      }
+
+      // Fold bin energy onto pitch classes
+      frame.fill(0);
+      const scale = spectrum instanceof Uint8Array ? 1 / 255 : 1;
+      for (let i = 0; i < pitchMap.length; i++) {
+        const pitchClass = pitchMap[i];
+        if (pitchClass < 0) continue;
+        const magnitude = spectrum[i] * scale;
+        frame[pitchClass] += magnitude * magnitude;
+      }
+
+      let frameMax = 0;
+      for (let i = 0; i < 12; i++) frameMax = Math.max(frameMax, frame[i]);
+
+      const k = dt > 0 ? 1 - Math.exp(-dt / (CHROMA_SMOOTHING_MS / 1000)) : 1;
+      const kLong = dt > 0 ? 1 - Math.exp(-dt / KEY_WINDOW) : 0;
+      for (let i = 0; i < 12; i++) {
+        const normalized = frameMax > 0 ? frame[i] / frameMax : 0;
+        chroma[i] += (normalized - chroma[i]) * k;
+        // Only silence-free frames feed the key so pauses do not flatten it
+        if (frameMax > 0) longTerm[i] += (frame[i] / frameMax - longTerm[i]) * kLong;
+      }
+
+      let dominant = 0;
+      let sum = 0;
+      for (let i = 0; i < 12; i++) {
+        if (chroma[i] > chroma[dominant]) dominant = i;
+        sum += chroma[i];
+      }
+      const strength = sum > 0 ? Math.max(0, (chroma[dominant] * 12 / sum - 1) / 11) : 0;
+
+      const candidate = estimateKey(longTerm);
+      if (candidate.confidence > 0) {
+        if (!key) {
+          key = candidate;
+        } else if (candidate.name === key.name) {
+          key.confidence = candidate.confidence;
+        } else {
+          // Keep the current key unless the new one fits clearly better
+          const current = correlate(longTerm, key.mode === 'major' ? MAJOR_PROFILE : MINOR_PROFILE, key.tonic);
+          key = candidate.confidence > current + KEY_HYSTERESIS ? candidate : { ...key, confidence: current };
+        }
+      }
+
+      return { chroma, dominant, strength, key };
+    },
+
+    /**
+     * Forget the chroma history and key.
+     */
+    reset() {
+      chroma.fill(0);
+      longTerm.fill(0);
+      key = null;
+    }
+  };
+}
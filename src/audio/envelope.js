@@ -0,0 +1,156 @@
+/**
+ * @module audio/envelope
+ * @description Envelope followers with separate attack/release, peak hold and a noise-gate floor.
+ * Applied per band so scenes can choose between raw, envelope or peak inputs.
+ */
+
+/**
+ * Inputs a scene can read an audio level from.
+ * @constant {string[]}
+ */
+export const ENVELOPE_SOURCES = ['raw', 'envelope', 'peak'];
+
+/**
+ * Default follower parameters.
+ * @constant
+ */
+const DEFAULT_PARAMS = {
+  /** Time to rise towards a louder input (ms) */
+  attack: 10,
+  /** Time to fall towards a quieter input (ms) */
+  release: 250,
+  /** How long a peak is held before it starts to fall (ms) */
+  peakHold: 150,
+  /** Peak fall rate once the hold expires (units per second) */
+  peakDecay: 1.5,
+  /** Levels below this are treated as silence (0-1) */
+  floor: 0.05
+};
+
+/**
+ * @typedef {Object} EnvelopeParams
+ * @property {number} [attack] - Attack time in ms
+ * @property {number} [release] - Release time in ms
+ * @property {number} [peakHold] - Peak hold time in ms
+ * @property {number} [peakDecay] - Peak decay in units per second
+ * @property {number} [floor] - Noise-gate floor (0-1)
+ */
+
+/**
+ * One-pole smoothing coefficient for a time constant.
+ * @param {number} dt - Frame time in seconds
+ * @param {number} ms - Time constant in milliseconds
+ * @returns {number} Coefficient (0-1), 1 means jump straight to the input
+ */
+function coefficient(dt, ms) {
+  if (ms <= 0) return 1;
+  return 1 - Math.exp(-dt / (ms / 1000));
+}
+
+/**
+ * Create an envelope follower for a single signal.
+ * @returns {Object} Envelope follower
+ */
+export function createEnvelopeFollower() {
+  let envelope = 0;
+  let peak = 0;
+  let holdRemaining = 0;
+
+  return {
+    /**
+     * Process one value.
+     * @param {number} value - Input level (0-1)
+     * @param {number} dt - Time since the last update in seconds
+     * @param {EnvelopeParams} [params] - Follower parameters
+     * @returns {{raw: number, envelope: number, peak: number}}
+     */
+    update(value, dt, params = {}) {
+      const attack = params.attack ?? DEFAULT_PARAMS.attack;
+      const release = params.release ?? DEFAULT_PARAMS.release;
+      const peakHold = params.peakHold ?? DEFAULT_PARAMS.peakHold;
+      const peakDecay = params.peakDecay ?? DEFAULT_PARAMS.peakDecay;
+      const floor = params.floor ?? DEFAULT_PARAMS.floor;
+
+      // Noise gate, rescaled so the level still starts from 0 at the floor
+      const gated = floor < 1 ? Math.max(0, (value - floor) / (1 - floor)) : 0;
+
+      const rising = gated > envelope;
+      envelope += (gated - envelope) * coefficient(dt, rising ? attack : release);
+
+      if (gated >= peak) {
+        peak = gated;
+        holdRemaining = peakHold / 1000;
+      } else if (holdRemaining > 0) {
+        holdRemaining -= dt;
+      } else {
+        peak = Math.max(gated, peak - peakDecay * dt);
+      }
+
+      return { raw: gated, envelope, peak };
+    },
+
+    /**
+     * Reset to silence.
+     */
+    reset() {
+      envelope = 0;
+      peak = 0;
+      holdRemaining = 0;
+    }
+  };
+}
+
+/**
+ * Create envelope followers for bass / mid / high / overall and every configured band.
+ * @returns {Object} Band envelope set
+ */
+export function createBandEnvelopes() {
+  const named = {
+    bass: createEnvelopeFollower(),
+    mid: createEnvelopeFollower(),
+    high: createEnvelopeFollower(),
+    overall: createEnvelopeFollower()
+  };
+  const bands = [];
+
+  return {
+    /**
+     * Process one frame of levels.
+     * @param {{bass: number, mid: number, high: number, overall: number, bands?: number[]}} levels - Raw levels (0-1)
+     * @param {number} dt - Time since the last update in seconds
+     * @param {EnvelopeParams} [params] - Follower parameters
+     * @returns {{envelope: Object, peak: Object}} Gated levels per source, each shaped like the input
+     */
+    update(levels, dt, params) {
+      const result = {
+        envelope: { bands: [] },
+        peak: { bands: [] }
+      };
+
+      for (const [key, follower] of Object.entries(named)) {
+        const out = follower.update(levels[key] ?? 0, dt, params);
+        result.envelope[key] = out.envelope;
+        result.peak[key] = out.peak;
+      }
+
+      const bandLevels = levels.bands || [];
+      while (bands.length < bandLevels.length) bands.push(createEnvelopeFollower());
+      bands.length = bandLevels.length;
+      bandLevels.forEach((level, i) => {
+        const out = bands[i].update(level, dt, params);
+        result.envelope.bands.push(out.envelope);
+        result.peak.bands.push(out.peak);
+      });
+
+      return result;
+    },
+
+    /**
+     * Reset every follower to silence.
+     */
+    reset() {
+      Object.values(named).forEach(follower => follower.reset());
+      bands.length = 0;
+    }
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * @module audio/fft
+ * @description Spectrum analyser for raw PCM that mirrors the Web Audio AnalyserNode:
+ * Blackman window, magnitude smoothing over time and the same decibel-to-byte mapping,
+ * so offline analysis produces the same byte spectra as live capture.
+ */
+
+/**
+ * In-place radix-2 complex FFT.
+ * @param {Float32Array} re - Real parts (length must be a power of two)
+ * @param {Float32Array} im - Imaginary parts
+ * @param {Uint32Array} bitReversed - Bit-reversal permutation for the length
+ */
+function fft(re, im, bitReversed) {
+  const n = re.length;
+  for (let i = 0; i < n; i++) {
+    const j = bitReversed[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const step = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Bit-reversal permutation for a power-of-two length.
+ * @param {number} n - Length
+ * @returns {Uint32Array}
+ */
+function createBitReversal(n) {
+  const bits = Math.log2(n);
+  const table = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let reversed = 0;
+    for (let b = 0; b < bits; b++) reversed = (reversed << 1) | ((i >> b) & 1);
+    table[i] = reversed;
+  }
+  return table;
+}
+
+/**
+ * Create an AnalyserNode-compatible spectrum analyser for PCM samples.
+ * @param {Object} [options]
+ * @param {number} [options.fftSize=2048] - FFT size (power of two)
+ * @param {number} [options.smoothingTimeConstant=0.8] - Magnitude smoothing between frames (0-1)
+ * @param {number} [options.minDecibels=-100] - Level mapped to byte 0
+ * @param {number} [options.maxDecibels=-30] - Level mapped to byte 255
+ * @returns {Object} Spectrum analyser
+ */
+export function createSpectrumAnalyser(options = {}) {
+  const fftSize = options.fftSize ?? 2048;
+  if (!Number.isInteger(Math.log2(fftSize))) {
+    throw new Error(`fftSize must be a power of two, got ${fftSize}`);
+  }
+  const minDecibels = options.minDecibels ?? -100;
+  const maxDecibels = options.maxDecibels ?? -30;
+  const binCount = fftSize / 2;
+
+  // Blackman window as specified for AnalyserNode
+  const window = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    const x = (2 * Math.PI * i) / fftSize;
+    window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+  }
+
+  const bitReversed = createBitReversal(fftSize);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const timeDomain = new Float32Array(fftSize);
+  const smoothed = new Float32Array(binCount);
+
+  return {
+    fftSize,
+    frequencyBinCount: binCount,
+    smoothingTimeConstant: options.smoothingTimeConstant ?? 0.8,
+
+    /**
+     * Analyse the fftSize samples ending just before `end`.
+     * Samples before the start of the signal count as silence.
+     * @param {Float32Array} samples - Mono PCM (-1 to 1)
+     * @param {number} [end=samples.length] - Index one past the last sample to analyse
+     */
+    process(samples, end = samples.length) {
+      const start = end - fftSize;
+      for (let i = 0; i < fftSize; i++) {
+        const index = start + i;
+        const value = index >= 0 && index < samples.length ? samples[index] : 0;
+        timeDomain[i] = value;
+        re[i] = value * window[i];
+        im[i] = 0;
+      }
+
+      fft(re, im, bitReversed);
+
+      const smoothing = this.smoothingTimeConstant;
+      for (let k = 0; k < binCount; k++) {
+        const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+        smoothed[k] = smoothing * smoothed[k] + (1 - smoothing) * magnitude;
+      }
+    },
+
+    /**
+     * Copy the spectrum in decibels.
+     * @param {Float32Array} out - At least frequencyBinCount long
+     */
+    getFloatFrequencyData(out) {
+      for (let k = 0; k < binCount; k++) out[k] = 20 * Math.log10(smoothed[k]);
+    },
+
+    /**
+     * Copy the spectrum as bytes, minDecibels..maxDecibels mapped to 0..255.
+     * @param {Uint8Array} out - At least frequencyBinCount long
+     */
+    getByteFrequencyData(out) {
+      const scale = 255 / (maxDecibels - minDecibels);
+      for (let k = 0; k < binCount; k++) {
+        const db = 20 * Math.log10(smoothed[k]);
+        out[k] = Number.isFinite(db) ? Math.min(255, Math.max(0, Math.floor(scale * (db - minDecibels)))) : 0;
+      }
+    },
+
+    /**
+     * Copy the analysed samples as bytes (128 = silence).
+     * @param {Uint8Array} out - At least fftSize long
+     */
+    getByteTimeDomainData(out) {
+      for (let i = 0; i < fftSize; i++) {
+        out[i] = Math.min(255, Math.max(0, Math.floor(128 * (timeDomain[i] + 1))));
+      }
+    },
+
+    /**
+     * Forget the smoothing history.
+     */
+    reset() {
+      smoothed.fill(0);
+    }
+  };
+}
@@ -0,0 +1,385 @@
+/**
+ * @module audio/file-source
+ * @description Local audio file playback as an audio source.
+ * Decodes MP3/WAV/OGG/FLAC files and plays them through an AudioBufferSourceNode
+ * into the shared analyser, with transport (play/pause/seek/loop) and a playlist.
+ */
+
+/**
+ * File extensions accepted as audio files.
+ * @constant {string[]}
+ */
+export const AUDIO_FILE_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'flac', 'm4a', 'aac', 'opus', 'webm'];
+
+/**
+ * @typedef {Object} PlaylistItem
+ * @property {string} name - File name
+ * @property {number} size - Size in bytes
+ * @property {Function} load - Resolves to the file's ArrayBuffer
+ */
+
+/**
+ * @typedef {Object} PlaybackState
+ * @property {string|null} name - Current track name
+ * @property {number} index - Current playlist index (-1 if none)
+ * @property {number} duration - Track length in seconds
+ * @property {number} position - Playback position in seconds
+ * @property {boolean} playing - True while playing
+ * @property {boolean} loop - True when the current track loops
+ */
+
+/** @type {AudioContext|null} */
+let context = null;
+
+/** @type {AudioNode|null} Node the player feeds (the analyser) */
+let analyserInput = null;
+
+/** @type {GainNode|null} Output to the speakers */
+let outputGain = null;
+
+/** @type {DelayNode|null} Delays the speaker output so analysis can look ahead */
+let outputDelay = null;
+
+/** Speaker output delay in seconds, kept across contexts */
+let outputDelaySeconds = 0;
+
+/** Longest speaker output delay (s) */
+const MAX_OUTPUT_DELAY = 1;
+
+/** @type {AudioBuffer|null} */
+let buffer = null;
+
+/** @type {AudioBufferSourceNode|null} */
+let sourceNode = null;
+
+/** @type {PlaylistItem[]} */
+const playlist = [];
+
+let currentIndex = -1;
+let startedAt = 0;
+let pausedAt = 0;
+let playing = false;
+let loop = false;
+
+/** Incremented on every load so a slow decode cannot replace a newer track */
+let loadToken = 0;
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * Notify playback listeners.
+ */
+function notify() {
+  const state = getPlaybackState();
+  listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Check whether a File looks like a playable audio file.
+ * @param {File} file - File to check
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+  if (file.type && file.type.startsWith('audio/')) return true;
+  const extension = file.name.split('.').pop().toLowerCase();
+  return AUDIO_FILE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Connect the player to an audio context and analyser.
+ * Also routes playback to the speakers.
+ * @param {AudioContext} audioContext - Audio context
+ * @param {AudioNode} analyser - Analyser (or any node) to feed
+ */
+export function attachFilePlayer(audioContext, analyser) {
+  stopSource();
+  context = audioContext;
+  analyserInput = analyser;
+  outputGain = audioContext.createGain();
+  outputDelay = audioContext.createDelay(MAX_OUTPUT_DELAY);
+  outputDelay.delayTime.value = outputDelaySeconds;
+  outputGain.connect(outputDelay);
+  outputDelay.connect(audioContext.destination);
+}
+
+/**
+ * Stop playback and disconnect from the audio context.
+ * The playlist is kept so it can be resumed on a new context.
+ */
+export function detachFilePlayer() {
+  stopSource();
+  playing = false;
+  buffer = null;
+  pausedAt = 0;
+  context = null;
+  analyserInput = null;
+  outputGain = null;
+  outputDelay = null;
+  notify();
+}
+
+/**
+ * Delay what is heard relative to what is analysed, so visuals can lead the speakers.
+ * @param {number} seconds - Delay in seconds (0 to 1)
+ */
+export function setOutputDelay(seconds) {
+  const value = Math.min(Math.max(seconds, 0), MAX_OUTPUT_DELAY);
+  if (value === outputDelaySeconds) return;
+  outputDelaySeconds = value;
+  if (outputDelay) {
+    // Glide to avoid clicks; briefly bends the pitch instead
+    outputDelay.delayTime.setTargetAtTime(value, context.currentTime, 0.05);
+  }
+}
+
+/**
+ * Whether the player is attached to an audio context.
+ * @returns {boolean}
+ */
+export function isFilePlayerAttached() {
+  return context !== null;
+}
+
+/**
+ * Stop and release the current source node.
+ */
+function stopSource() {
+  if (sourceNode) {
+    sourceNode.onended = null;
+    try {
+      sourceNode.stop();
+    } catch (err) {
+      // Already stopped
+    }
+    sourceNode.disconnect();
+    sourceNode = null;
+  }
+}
+
+/**
+ * Start a new source node at an offset.
+ * @param {number} offset - Start position in seconds
+ */
+function startSource(offset) {
+  stopSource();
+  sourceNode = context.createBufferSource();
+  sourceNode.buffer = buffer;
+  sourceNode.loop = loop;
+  sourceNode.connect(analyserInput);
+  sourceNode.connect(outputGain);
+  sourceNode.onended = handleEnded;
+  sourceNode.start(0, offset);
+  startedAt = context.currentTime - offset;
+  playing = true;
+}
+
+/**
+ * Advance the playlist when a track finishes.
+ */
+function handleEnded() {
+  sourceNode = null;
+  playing = false;
+  pausedAt = 0;
+  if (currentIndex < playlist.length - 1) {
+    playTrack(currentIndex + 1);
+  } else {
+    console.log('[FileSource] Playlist finished');
+    notify();
+  }
+}
+
+/**
+ * Add files to the end of the playlist.
+ * @param {Array<File|PlaylistItem>} items - Files or pre-built playlist items
+ * @returns {number} Index of the first added item
+ */
+export function addToPlaylist(items) {
+  const firstIndex = playlist.length;
+  for (const item of items) {
+    if (typeof item.load === 'function') {
+      playlist.push(item);
+    } else {
+      playlist.push({ name: item.name, size: item.size, load: () => item.arrayBuffer() });
+    }
+  }
+  notify();
+  return firstIndex;
+}
+
+/**
+ * Remove a track from the playlist.
+ * @param {number} index - Playlist index
+ */
+export function removeFromPlaylist(index) {
+  if (index < 0 || index >= playlist.length) return;
+  playlist.splice(index, 1);
+  if (index === currentIndex) {
+    stopSource();
+    playing = false;
+    buffer = null;
+    pausedAt = 0;
+    currentIndex = -1;
+  } else if (index < currentIndex) {
+    currentIndex--;
+  }
+  notify();
+}
+
+/**
+ * Get the playlist.
+ * @returns {PlaylistItem[]}
+ */
+export function getPlaylist() {
+  return playlist;
+}
+
+/**
+ * Load and play a playlist entry.
+ * @param {number} index - Playlist index
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function playTrack(index) {
+  const item = playlist[index];
+  if (!item || !context) return false;
+
+  const token = ++loadToken;
+  stopSource();
+  playing = false;
+  currentIndex = index;
+  notify();
+
+  try {
+    const data = await item.load();
+    // decodeAudioData detaches the buffer, so decode a copy
+    const decoded = await context.decodeAudioData(data.slice(0));
+    if (token !== loadToken || !context) return false;
+
+    buffer = decoded;
+    pausedAt = 0;
+    if (context.state === 'suspended') await context.resume();
+    startSource(0);
+    console.log(`[FileSource] Playing ${item.name} (${buffer.duration.toFixed(1)}s)`);
+    notify();
+    return true;
+  } catch (err) {
+    console.error(`[FileSource] Failed to play ${item.name}:`, err);
+    if (token === loadToken) {
+      buffer = null;
+      notify();
+    }
+    return false;
+  }
+}
+
+/**
+ * Resume playback of the current track (or start the first one).
+ */
+export function play() {
+  if (!context || playing) return;
+  if (!buffer) {
+    if (playlist.length) playTrack(Math.max(0, currentIndex));
+    return;
+  }
+  if (context.state === 'suspended') context.resume();
+  startSource(pausedAt);
+  notify();
+}
+
+/**
+ * Pause playback, keeping the position.
+ */
+export function pause() {
+  if (!playing || !context) return;
+  pausedAt = getPosition();
+  stopSource();
+  playing = false;
+  notify();
+}
+
+/**
+ * Toggle between play and pause.
+ */
+export function togglePlayback() {
+  if (playing) pause();
+  else play();
+}
+
+/**
+ * Seek within the current track.
+ * @param {number} seconds - Position in seconds
+ */
+export function seek(seconds) {
+  if (!buffer) return;
+  const position = Math.min(Math.max(0, seconds), buffer.duration);
+  if (playing) {
+    startSource(position);
+  } else {
+    pausedAt = position;
+  }
+  notify();
+}
+
+/**
+ * Enable or disable looping of the current track.
+ * @param {boolean} enabled - Loop state
+ */
+export function setLoop(enabled) {
+  loop = enabled;
+  if (sourceNode) sourceNode.loop = enabled;
+  notify();
+}
+
+/**
+ * Play the next track in the playlist.
+ */
+export function nextTrack() {
+  if (currentIndex < playlist.length - 1) playTrack(currentIndex + 1);
+}
+
+/**
+ * Play the previous track, or restart the current one if it has been playing a while.
+ */
+export function previousTrack() {
+  if (getPosition() > 3 || currentIndex <= 0) {
+    seek(0);
+  } else {
+    playTrack(currentIndex - 1);
+  }
+}
+
+/**
+ * Current playback position in seconds.
+ * @returns {number}
+ */
+function getPosition() {
+  if (!buffer) return 0;
+  if (!playing || !context) return pausedAt;
+  const elapsed = context.currentTime - startedAt;
+  return loop ? elapsed % buffer.duration : Math.min(elapsed, buffer.duration);
+}
+
+/**
+ * Get the current playback state.
+ * @returns {PlaybackState}
+ */
+export function getPlaybackState() {
+  return {
+    name: playlist[currentIndex]?.name ?? null,
+    index: currentIndex,
+    duration: buffer ? buffer.duration : 0,
+    position: getPosition(),
+    playing,
+    loop
+  };
+}
+
+/**
+ * Subscribe to playback changes (track, play/pause, seek, loop, playlist).
+ * @param {Function} listener - Called with the PlaybackState
+ * @returns {Function} Unsubscribe function
+ */
+export function onPlaybackChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,105 @@
+/**
+ * @module audio/input-devices
+ * @description Microphone and audio-interface input devices.
+ * Enumerates `audioinput` devices, opens them with voice processing disabled
+ * for music analysis, and remembers the last used device.
+ */
+
+/** localStorage key for the last used input device */
+const STORAGE_KEY = 'musicVis.inputDevice';
+
+/**
+ * @typedef {Object} InputDevice
+ * @property {string} deviceId - Media device ID
+ * @property {string} label - Display name (generic until permission is granted)
+ */
+
+/**
+ * @typedef {Object} InputDeviceChoice
+ * @property {string} deviceId - Media device ID
+ * @property {number} channel - Channel to analyse (-1 mixes all channels)
+ * @property {boolean} processing - Keep browser echo cancellation / noise suppression / AGC
+ */
+
+/**
+ * Check whether input device capture is available.
+ * @returns {boolean}
+ */
+export function isInputDeviceSupported() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * List audio input devices.
+ * Labels are empty until the page has been granted microphone access once,
+ * so unnamed devices get a numbered placeholder.
+ * @returns {Promise<InputDevice[]>}
+ */
+export async function listInputDevices() {
+  if (!isInputDeviceSupported()) return [];
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        label: device.label || (device.deviceId === 'default' ? 'Default input' : `Input ${i + 1}`)
+      }));
+  } catch (err) {
+    console.warn('[InputDevices] Could not enumerate devices:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Open an input device.
+ * @param {InputDeviceChoice} choice - Device and processing options
+ * @returns {Promise<MediaStream>}
+ */
+export async function openInputDevice(choice) {
+  const processing = !!choice.processing;
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      deviceId: choice.deviceId ? { exact: choice.deviceId } : undefined,
+      echoCancellation: processing,
+      noiseSuppression: processing,
+      autoGainControl: processing,
+      channelCount: { ideal: 2 }
+    },
+    video: false
+  });
+}
+
+/**
+ * Get the last used input device.
+ * @returns {InputDeviceChoice|null}
+ */
+export function getLastInputDevice() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored || typeof stored.deviceId !== 'string') return null;
+    return {
+      deviceId: stored.deviceId,
+      channel: Number.isInteger(stored.channel) ? stored.channel : -1,
+      processing: !!stored.processing
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Remember an input device for next time.
+ * @param {InputDeviceChoice} choice - Device and options that were used
+ */
+export function saveLastInputDevice(choice) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      deviceId: choice.deviceId,
+      channel: choice.channel,
+      processing: choice.processing
+    }));
+  } catch (err) {
+    console.warn('[InputDevices] Could not remember device:', err.message);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @module audio/latency
+ * @description Audio/visual offset compensation.
+ * Positive offsets delay the visuals by replaying `audioData` frames from a ring buffer.
+ * Negative offsets need a look-ahead: the audible output is delayed instead (file
+ * playback only), and every visual output is delayed by the same amount less.
+ */
+
+/**
+ * Longest supported visual delay (s).
+ * @constant {number}
+ */
+export const MAX_VISUAL_DELAY = 1.5;
+
+/**
+ * Longest supported look-ahead (s).
+ * @constant {number}
+ */
+export const MAX_LOOK_AHEAD = 1;
+
+/** Ring buffer size: MAX_VISUAL_DELAY at up to ~300 frames per second */
+const FRAME_CAPACITY = 512;
+
+/**
+ * @typedef {Object} AvDelays
+ * @property {number} lookAhead - Delay applied to the audible output (s)
+ * @property {number} main - Visual delay of the main window (s)
+ * @property {number} spout - Visual delay of the Spout output (s)
+ * @property {boolean} clamped - True if a negative offset could not be honoured
+ */
+
+/**
+ * Turn A/V offsets into delays.
+ * The most negative offset sets the look-ahead; each output is then delayed by its
+ * offset plus the look-ahead. Without look-ahead, negative offsets clamp to 0.
+ * @param {Object} offsets
+ * @param {number} offsets.main - Main window offset in ms (positive = visuals later)
+ * @param {number} [offsets.spout] - Spout output offset in ms, defaults to the main offset
+ * @param {boolean} offsets.canLookAhead - Whether the audible output can be delayed
+ * @returns {AvDelays}
+ */
+export function resolveAvDelays({ main, spout = main, canLookAhead }) {
+  const earliest = Math.min(main, spout) / 1000;
+  const lookAhead = canLookAhead ? Math.min(Math.max(-earliest, 0), MAX_LOOK_AHEAD) : 0;
+  const delay = (offset) => Math.min(Math.max(offset / 1000 + lookAhead, 0), MAX_VISUAL_DELAY);
+  return {
+    lookAhead,
+    main: delay(main),
+    spout: delay(spout),
+    clamped: earliest + lookAhead < -1e-6
+  };
+}
+
+/**
+ * Create a delay line for audioData frames.
+ * Frames are copied on push, since the analyzer reuses its arrays.
+ * @returns {Object} Frame delay
+ */
+export function createFrameDelay() {
+  const times = new Float64Array(FRAME_CAPACITY);
+  const frames = new Array(FRAME_CAPACITY).fill(null);
+  let head = 0;
+  let count = 0;
+
+  return {
+    /**
+     * Store a frame.
+     * @param {Object} audioData - Frame to store
+     * @param {number} time - Frame time in seconds
+     */
+    push(audioData, time) {
+      times[head] = time;
+      frames[head] = structuredClone(audioData);
+      head = (head + 1) % FRAME_CAPACITY;
+      count = Math.min(count + 1, FRAME_CAPACITY);
+    },
+
+    /**
+     * Newest frame at least `delay` seconds old, or the oldest stored frame if the
+     * buffer does not reach back that far yet.
+     * @param {number} time - Current time in seconds
+     * @param {number} delay - Delay in seconds
+     * @returns {Object|null} Stored frame, null if empty
+     */
+    read(time, delay) {
+      if (count === 0) return null;
+      const target = time - delay;
+      let index = head;
+      for (let i = 0; i < count; i++) {
+        index = (index - 1 + FRAME_CAPACITY) % FRAME_CAPACITY;
+        if (times[index] <= target) return frames[index];
+      }
+      return frames[index];
+    },
+
+    /**
+     * Drop all stored frames.
+     */
+    clear() {
+      frames.fill(null);
+      head = 0;
+      count = 0;
+    }
+  };
+}
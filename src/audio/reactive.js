@@ -41,6 +41,20 @@ export function calculateAudioMagnitude(config, audio) {
   return baseMagnitude * (1 + totalContribution);
 }
 
+/**
+ * Pick the audio input a modulator reads from.
+ * @param {Object} audioData - Audio data from analyzeAudio
+ * @param {string} [source='raw'] - 'raw', 'envelope' or 'peak'
+ * @returns {{bass: number, mid: number, high: number}} Levels for the chosen source,
+ *   falling back to the raw levels when that source is not available
+ */
+export function getAudioInput(audioData, source = 'raw') {
+  if (source !== 'raw' && audioData[source]) {
+    return audioData[source];
+  }
+  return audioData;
+}
+
 /**
  * Create smoothed audio tracking for a parameter
  * @returns {Object} Smoothed audio tracker
@@ -0,0 +1,337 @@
+/**
+ * @module audio/signal-generator
+ * @description Synthetic test-signal source for demos and tuning without capture permissions.
+ * Plays tempo-locked patterns (four-on-the-floor kick, hi-hat noise bursts, bass sweeps,
+ * drop sections, pink-noise sweep) into the analyser. Events are scheduled ahead on the
+ * audio clock, so beats land exactly on tempo regardless of frame rate.
+ */
+
+/**
+ * @typedef {Object} SignalPattern
+ * @property {string} label - Display name
+ * @property {boolean} [kick] - Kick on every beat
+ * @property {boolean} [hats] - Hi-hat noise bursts on sixteenths, accented off-beats
+ * @property {boolean} [bass] - Filtered saw bass sweeping open over each bar
+ * @property {boolean} [sweep] - Pink noise band sweeping 40 Hz - 16 kHz
+ * @property {{every: number, length: number}} [drop] - Silence the last `length` bars of every `every` bars
+ */
+
+/**
+ * Available patterns by id.
+ * @constant {Object<string, SignalPattern>}
+ */
+export const SIGNAL_PATTERNS = {
+  house: { label: 'House (kick, hats, bass, drops)', kick: true, hats: true, bass: true, drop: { every: 16, length: 2 } },
+  kick: { label: 'Kick only', kick: true },
+  hats: { label: 'Hi-hats only', hats: true },
+  bass: { label: 'Bass sweeps', bass: true },
+  drop: { label: 'Kick and hats with drops', kick: true, hats: true, drop: { every: 4, length: 1 } },
+  sweep: { label: 'Pink-noise sweep', sweep: true },
+  silence: { label: 'Silence' }
+};
+
+/**
+ * Pattern used when none (or an unknown one) is requested.
+ * @constant {string}
+ */
+export const DEFAULT_SIGNAL_PATTERN = 'house';
+
+/**
+ * Tempo used when none is requested.
+ * @constant {number}
+ */
+export const DEFAULT_SIGNAL_BPM = 120;
+
+/** Allowed tempo range */
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+
+/** How far ahead events are scheduled (s) and how often the scheduler runs (ms) */
+const SCHEDULE_AHEAD = 0.1;
+const SCHEDULER_INTERVAL_MS = 25;
+
+/** Length of one pink-noise sweep in bars */
+const SWEEP_BARS = 8;
+
+/**
+ * Check a pattern id and fall back to the default.
+ * @param {string} pattern - Pattern id
+ * @returns {string}
+ */
+function resolvePattern(pattern) {
+  return Object.hasOwn(SIGNAL_PATTERNS, pattern) ? pattern : DEFAULT_SIGNAL_PATTERN;
+}
+
+/**
+ * Clamp a tempo to the allowed range.
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number}
+ */
+function resolveBpm(bpm) {
+  const value = Number(bpm);
+  return Number.isFinite(value) && value > 0 ? Math.min(Math.max(value, MIN_BPM), MAX_BPM) : DEFAULT_SIGNAL_BPM;
+}
+
+/**
+ * Create a looping noise buffer.
+ * @param {BaseAudioContext} context - Audio context
+ * @param {boolean} pink - Pink (-3 dB/octave) instead of white noise
+ * @returns {AudioBuffer}
+ */
+function createNoiseBuffer(context, pink) {
+  const length = context.sampleRate * 2;
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  // Paul Kellet's pink noise filter
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (!pink) {
+      data[i] = white;
+      continue;
+    }
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+  return buffer;
+}
+
+/**
+ * Create a signal generator playing into a node.
+ * @param {BaseAudioContext} context - Audio context
+ * @param {AudioNode} output - Node to feed (the analysis input)
+ * @param {Object} [options]
+ * @param {string} [options.pattern='house'] - Pattern id from SIGNAL_PATTERNS
+ * @param {number} [options.bpm=120] - Tempo in beats per minute
+ * @returns {Object} Signal generator
+ */
+export function createSignalGenerator(context, output, options = {}) {
+  let pattern = resolvePattern(options.pattern);
+  let bpm = resolveBpm(options.bpm);
+
+  const whiteNoise = createNoiseBuffer(context, false);
+  const pinkNoise = createNoiseBuffer(context, true);
+
+  const master = context.createGain();
+  master.gain.value = 0.5;
+  master.connect(output);
+
+  /** @type {Set<AudioScheduledSourceNode>} Sources that may still be playing */
+  const activeSources = new Set();
+
+  let scheduler = null;
+  let step = 0;
+  let nextStepTime = 0;
+
+  /**
+   * Start a source and track it until it ends.
+   * @param {AudioScheduledSourceNode} source - Source node
+   * @param {number} start - Start time
+   * @param {number} stop - Stop time
+   */
+  function play(source, start, stop) {
+    activeSources.add(source);
+    source.onended = () => activeSources.delete(source);
+    source.start(start);
+    source.stop(stop);
+  }
+
+  /**
+   * Gain node with a percussive envelope.
+   * @param {number} time - Hit time
+   * @param {number} level - Peak level
+   * @param {number} decay - Time to fall silent (s)
+   * @returns {GainNode}
+   */
+  function createEnvelope(time, level, decay) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+    gain.connect(master);
+    return gain;
+  }
+
+  /**
+   * Kick: sine with a fast downward pitch sweep.
+   * @param {number} time - Hit time
+   */
+  function scheduleKick(time) {
+    const osc = context.createOscillator();
+    osc.frequency.setValueAtTime(150, time);
+    osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+    osc.connect(createEnvelope(time, 1, 0.35));
+    play(osc, time, time + 0.4);
+  }
+
+  /**
+   * Hi-hat: high-passed white noise burst.
+   * @param {number} time - Hit time
+   * @param {number} level - Peak level
+   */
+  function scheduleHat(time, level) {
+    const noise = context.createBufferSource();
+    noise.buffer = whiteNoise;
+    const filter = context.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 7000;
+    noise.connect(filter);
+    filter.connect(createEnvelope(time, level, 0.05));
+    play(noise, time, time + 0.06);
+  }
+
+  /**
+   * Bass: saw with a low-pass filter opening over one bar.
+   * @param {number} time - Bar start
+   * @param {number} duration - Bar length (s)
+   */
+  function scheduleBass(time, duration) {
+    const osc = context.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = 55;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = 8;
+    filter.frequency.setValueAtTime(80, time);
+    filter.frequency.exponentialRampToValueAtTime(2000, time + duration);
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.35, time);
+    gain.gain.setValueAtTime(0.35, time + duration - 0.02);
+    gain.gain.linearRampToValueAtTime(0, time + duration);
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(master);
+    play(osc, time, time + duration);
+  }
+
+  /**
+   * Pink noise through a band-pass sweeping up the spectrum.
+   * @param {number} time - Sweep start
+   * @param {number} duration - Sweep length (s)
+   */
+  function scheduleSweep(time, duration) {
+    const noise = context.createBufferSource();
+    noise.buffer = pinkNoise;
+    noise.loop = true;
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 2;
+    filter.frequency.setValueAtTime(40, time);
+    filter.frequency.exponentialRampToValueAtTime(16000, time + duration);
+    const gain = context.createGain();
+    gain.gain.value = 2;
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(master);
+    play(noise, time, time + duration);
+  }
+
+  /**
+   * Schedule the events of one sixteenth step.
+   * @param {number} index - Step index since start
+   * @param {number} time - Step time
+   */
+  function scheduleStep(index, time) {
+    const config = SIGNAL_PATTERNS[pattern];
+    const stepDuration = 15 / bpm;
+    const bar = Math.floor(index / 16);
+    const inBar = index % 16;
+
+    if (config.drop && bar % config.drop.every >= config.drop.every - config.drop.length) return;
+
+    if (config.kick && inBar % 4 === 0) scheduleKick(time);
+    if (config.hats) {
+      if (inBar % 4 === 2) scheduleHat(time, 0.6);
+      else if (inBar % 2 === 1) scheduleHat(time, 0.2);
+    }
+    if (config.bass && inBar === 0) scheduleBass(time, stepDuration * 16);
+    if (config.sweep && index % (16 * SWEEP_BARS) === 0) scheduleSweep(time, stepDuration * 16 * SWEEP_BARS);
+  }
+
+  /**
+   * Schedule every step that falls inside the look-ahead window.
+   */
+  function tick() {
+    while (nextStepTime < context.currentTime + SCHEDULE_AHEAD) {
+      scheduleStep(step, nextStepTime);
+      nextStepTime += 15 / bpm;
+      step++;
+    }
+  }
+
+  /**
+   * Stop everything already scheduled.
+   */
+  function silence() {
+    activeSources.forEach(source => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch {
+        // Not started yet
+      }
+    });
+    activeSources.clear();
+  }
+
+  /**
+   * Restart the pattern from bar one on the next step.
+   */
+  function restart() {
+    silence();
+    step = 0;
+    nextStepTime = context.currentTime + 0.05;
+  }
+
+  return {
+    /**
+     * Start generating.
+     */
+    start() {
+      if (scheduler) return;
+      restart();
+      tick();
+      scheduler = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    },
+
+    /**
+     * Stop generating and disconnect.
+     */
+    stop() {
+      clearInterval(scheduler);
+      scheduler = null;
+      silence();
+      master.disconnect();
+    },
+
+    /**
+     * Switch pattern, restarting from bar one.
+     * @param {string} id - Pattern id from SIGNAL_PATTERNS
+     */
+    setPattern(id) {
+      pattern = resolvePattern(id);
+      if (scheduler) restart();
+    },
+
+    /**
+     * Change tempo from the next step.
+     * @param {number} value - Tempo in beats per minute
+     */
+    setBpm(value) {
+      bpm = resolveBpm(value);
+    },
+
+    /**
+     * Current pattern and tempo.
+     * @returns {{pattern: string, label: string, bpm: number}}
+     */
+    getState() {
+      return { pattern, label: SIGNAL_PATTERNS[pattern].label, bpm };
+    }
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * @module audio/source-watchdog
+ * @description Detects a live audio source that has gone away: the track ended, it has
+ * been muted, or the input has been silent for too long. Reports each loss once through
+ * `onLost`, then stays quiet until the input is audible again or a new track is watched.
+ */
+
+/**
+ * Highest spectrum byte still counted as silence (about -98 dB with default analyser ranges).
+ * @constant {number}
+ */
+export const SILENCE_LEVEL = 8;
+
+/**
+ * Check whether a byte spectrum is silent.
+ * @param {Uint8Array} spectrum - Byte frequency data
+ * @returns {boolean}
+ */
+export function isSilentSpectrum(spectrum) {
+  for (let i = 0; i < spectrum.length; i++) {
+    if (spectrum[i] > SILENCE_LEVEL) return false;
+  }
+  return true;
+}
+
+/**
+ * Create a source watchdog.
+ * @param {Function} onLost - Called with 'ended', 'muted' or 'silent'
+ * @returns {Object} Source watchdog
+ */
+export function createSourceWatchdog(onLost) {
+  /** @type {MediaStreamTrack|null} */
+  let track = null;
+  let silentSince = null;
+  let mutedSince = null;
+  let reported = false;
+
+  /**
+   * Report a loss once.
+   * @param {string} reason - Loss reason
+   */
+  function report(reason) {
+    if (reported) return;
+    reported = true;
+    onLost(reason);
+  }
+
+  const handleEnded = () => report('ended');
+  const handleMute = () => {
+    mutedSince = performance.now() / 1000;
+  };
+  const handleUnmute = () => {
+    mutedSince = null;
+  };
+
+  return {
+    /**
+     * Watch a track, replacing any previous one.
+     * @param {MediaStreamTrack} newTrack - Track to watch
+     */
+    watch(newTrack) {
+      this.unwatch();
+      track = newTrack;
+      track.addEventListener('ended', handleEnded);
+      track.addEventListener('mute', handleMute);
+      track.addEventListener('unmute', handleUnmute);
+      mutedSince = track.muted ? performance.now() / 1000 : null;
+    },
+
+    /**
+     * Stop watching the current track and forget any pending loss.
+     */
+    unwatch() {
+      if (track) {
+        track.removeEventListener('ended', handleEnded);
+        track.removeEventListener('mute', handleMute);
+        track.removeEventListener('unmute', handleUnmute);
+        track = null;
+      }
+      silentSince = null;
+      mutedSince = null;
+      reported = false;
+    },
+
+    /**
+     * Feed one analysis frame.
+     * @param {boolean} silent - Whether the frame was silent
+     * @param {number} time - Time in seconds (performance.now clock)
+     * @param {number} timeout - Seconds of silence or mute before reporting, 0 disables
+     * @returns {boolean} True if the input is audible
+     */
+    update(silent, time, timeout) {
+      if (!silent) {
+        silentSince = null;
+        reported = false;
+        return true;
+      }
+      if (silentSince === null) silentSince = time;
+      if (timeout > 0) {
+        if (mutedSince !== null && time - mutedSince >= timeout) report('muted');
+        else if (time - silentSince >= timeout) report('silent');
+      }
+      return false;
+    }
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * @module audio/stereo
+ * @description Stereo field analysis: per-channel band levels, stereo width and balance.
+ * Width is the side/mid RMS ratio of the waveform, balance compares left and right RMS.
+ */
+
+import { createBandAnalyzer, deriveLegacyBands } from './bands.js';
+
+/** Smoothing time constant for width and balance (ms) */
+const FIELD_SMOOTHING_MS = 120;
+
+/** RMS below this is treated as silence (width and balance fall back to 0) */
+const SILENCE_RMS = 0.002;
+
+/**
+ * @typedef {Object} ChannelLevels
+ * @property {number} bass - Bass level (0-1)
+ * @property {number} mid - Mid level (0-1)
+ * @property {number} high - High level (0-1)
+ * @property {number} overall - Average of bass, mid and high (0-1)
+ * @property {number[]} bands - Level per configured band (0-1)
+ */
+
+/**
+ * @typedef {Object} StereoField
+ * @property {ChannelLevels} left - Left channel levels
+ * @property {ChannelLevels} right - Right channel levels
+ * @property {number} width - Side/mid ratio (0 = mono, 1 = as much side as mid, clamped)
+ * @property {number} balance - -1 = hard left, 0 = centred, 1 = hard right
+ */
+
+/**
+ * Read a waveform sample as -1..1.
+ * @param {Uint8Array|Float32Array} waveform - Byte (128 = silence) or float samples
+ * @param {number} i - Sample index
+ * @returns {number}
+ */
+function sample(waveform, i) {
+  return waveform instanceof Uint8Array ? (waveform[i] - 128) / 128 : waveform[i];
+}
+
+/**
+ * Silent stereo field.
+ * @returns {StereoField}
+ */
+export function createSilentStereo() {
+  const silent = () => ({ bass: 0, mid: 0, high: 0, overall: 0, bands: [] });
+  return { left: silent(), right: silent(), width: 0, balance: 0 };
+}
+
+/**
+ * Create a stereo analyzer. Width and balance are smoothed between frames.
+ * @returns {Object} Stereo analyzer
+ */
+export function createStereoAnalyzer() {
+  const leftAnalyzer = createBandAnalyzer();
+  const rightAnalyzer = createBandAnalyzer();
+  let width = 0;
+  let balance = 0;
+
+  /**
+   * Band levels for one channel.
+   * @param {Object} analyzer - Band analyzer
+   * @param {Uint8Array|Float32Array} spectrum - Channel spectrum
+   * @param {number} sampleRate - Sample rate
+   * @param {import('./bands.js').AudioBand[]} bands - Normalized bands
+   * @returns {ChannelLevels}
+   */
+  function channelLevels(analyzer, spectrum, sampleRate, bands) {
+    const levels = analyzer.analyze(spectrum, sampleRate, bands);
+    const { bass, mid, high } = deriveLegacyBands(bands, levels);
+    return { bass, mid, high, overall: (bass + mid + high) / 3, bands: levels };
+  }
+
+  return {
+    /**
+     * Analyse one stereo frame.
+     * @param {Object} frame - Channel data
+     * @param {Uint8Array|Float32Array} frame.leftSpectrum - Left magnitudes
+     * @param {Uint8Array|Float32Array} frame.rightSpectrum - Right magnitudes
+     * @param {Uint8Array|Float32Array} frame.leftWaveform - Left time-domain samples
+     * @param {Uint8Array|Float32Array} frame.rightWaveform - Right time-domain samples
+     * @param {number} frame.sampleRate - Sample rate of the analysed signal
+     * @param {import('./bands.js').AudioBand[]} frame.bands - Normalized bands
+     * @param {number} dt - Time since the last update in seconds
+     * @returns {StereoField} Raw per-channel levels, smoothed width and balance
+     */
+    analyze(frame, dt) {
+      const left = channelLevels(leftAnalyzer, frame.leftSpectrum, frame.sampleRate, frame.bands);
+      const right = channelLevels(rightAnalyzer, frame.rightSpectrum, frame.sampleRate, frame.bands);
+
+      let leftSq = 0;
+      let rightSq = 0;
+      let midSq = 0;
+      let sideSq = 0;
+      const length = Math.min(frame.leftWaveform.length, frame.rightWaveform.length);
+      for (let i = 0; i < length; i++) {
+        const l = sample(frame.leftWaveform, i);
+        const r = sample(frame.rightWaveform, i);
+        leftSq += l * l;
+        rightSq += r * r;
+        midSq += ((l + r) / 2) ** 2;
+        sideSq += ((l - r) / 2) ** 2;
+      }
+      const leftRms = Math.sqrt(leftSq / Math.max(length, 1));
+      const rightRms = Math.sqrt(rightSq / Math.max(length, 1));
+      const midRms = Math.sqrt(midSq / Math.max(length, 1));
+      const sideRms = Math.sqrt(sideSq / Math.max(length, 1));
+
+      const loud = leftRms + rightRms > SILENCE_RMS;
+      const targetWidth = loud ? Math.min(1, sideRms / Math.max(midRms, SILENCE_RMS)) : 0;
+      const targetBalance = loud ? (rightRms - leftRms) / (rightRms + leftRms) : 0;
+
+      const k = dt > 0 ? 1 - Math.exp(-dt / (FIELD_SMOOTHING_MS / 1000)) : 1;
+      width += (targetWidth - width) * k;
+      balance += (targetBalance - balance) * k;
+
+      return { left, right, width, balance };
+    },
+
+    /**
+     * Reset smoothing to a centred mono field.
+     */
+    reset() {
+      width = 0;
+      balance = 0;
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * @module audio/tempo
+ * @description BPM estimation and phase-locked beat clock.
+ * Consumes beat times from the beat detector, estimates tempo from an
+ * inter-onset-interval histogram and keeps a continuous bar/beat/phase clock.
+ */
+
+/**
+ * Default tracker tuning.
+ * @constant
+ */
+const DEFAULT_OPTIONS = {
+  /** Lowest tempo reported; slower estimates are doubled */
+  minBpm: 70,
+  /** Highest tempo reported; faster estimates are halved */
+  maxBpm: 180,
+  /** Tempo used before any beats have been detected */
+  defaultBpm: 120,
+  /** Beats per bar for the bar counter */
+  beatsPerBar: 4,
+  /** Seconds of beat history used for estimation */
+  historySeconds: 8,
+  /** How strongly each detected beat pulls the clock phase (0-1) */
+  phaseGain: 0.15,
+  /** How quickly the tempo follows a new estimate (0-1) */
+  tempoGain: 0.2,
+  /** Taps further apart than this start a new tap sequence (seconds) */
+  tapTimeout: 2
+};
+
+/**
+ * @typedef {Object} BeatClock
+ * @property {number} bpm - Current tempo in beats per minute
+ * @property {number} confidence - How consistent recent beats are with the tempo (0-1)
+ * @property {number} beats - Continuous beat count since the clock started
+ * @property {number} bar - Bar counter (0-based)
+ * @property {number} beat - Beat within the bar (0 to beatsPerBar - 1)
+ * @property {number} phase - Position within the current beat (0-1)
+ * @property {number} barPhase - Position within the current bar (0-1)
+ * @property {boolean} manual - True when tempo comes from tap tempo / manual override
+ */
+
+/**
+ * Fold an interval into the allowed tempo range by doubling/halving.
+ * @param {number} interval - Interval in seconds
+ * @param {number} minBpm - Lowest allowed tempo
+ * @param {number} maxBpm - Highest allowed tempo
+ * @returns {number} Tempo in BPM, or 0 if the interval is invalid
+ */
+function foldToRange(interval, minBpm, maxBpm) {
+  if (!(interval > 0)) return 0;
+  let bpm = 60 / interval;
+  while (bpm < minBpm) bpm *= 2;
+  while (bpm > maxBpm) bpm /= 2;
+  return bpm;
+}
+
+/**
+ * Create a tempo tracker with a phase-locked beat clock.
+ * @param {Object} [options] - Overrides for the default tuning
+ * @returns {Object} Tempo tracker
+ */
+export function createTempoTracker(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  let bpm = config.defaultBpm;
+  let confidence = 0;
+  let anchorTime = 0;
+  let anchorBeat = 0;
+  let manual = false;
+  const beatTimes = [];
+  const taps = [];
+
+  /**
+   * Continuous beat count at a given time.
+   * @param {number} time - Time in seconds
+   * @returns {number}
+   */
+  function beatsAt(time) {
+    return anchorBeat + (time - anchorTime) * bpm / 60;
+  }
+
+  /**
+   * Change tempo without making the beat count jump.
+   * @param {number} newBpm - New tempo
+   * @param {number} time - Time of the change
+   */
+  function setTempo(newBpm, time) {
+    anchorBeat = beatsAt(time);
+    anchorTime = time;
+    bpm = newBpm;
+  }
+
+  /**
+   * Estimate tempo from the histogram of intervals between recent beats.
+   * @returns {{bpm: number, confidence: number}|null}
+   */
+  function estimate() {
+    if (beatTimes.length < 3) return null;
+
+    const histogram = new Float32Array(config.maxBpm + 2);
+    let total = 0;
+    for (let i = 0; i < beatTimes.length; i++) {
+      // Compare with the next few beats so skipped beats still vote
+      for (let j = i + 1; j < Math.min(beatTimes.length, i + 5); j++) {
+        const candidate = foldToRange(beatTimes[j] - beatTimes[i], config.minBpm, config.maxBpm);
+        if (!candidate) continue;
+        const weight = 1 / (j - i);
+        const bucket = Math.round(candidate);
+        histogram[bucket] += weight;
+        histogram[bucket - 1] += weight * 0.5;
+        histogram[bucket + 1] += weight * 0.5;
+        total += weight * 2;
+      }
+    }
+    if (total === 0) return null;
+
+    let peak = config.minBpm;
+    for (let b = config.minBpm; b <= config.maxBpm; b++) {
+      if (histogram[b] > histogram[peak]) peak = b;
+    }
+
+    // Refine with the weighted centre of the peak neighbourhood
+    const sum = histogram[peak - 1] + histogram[peak] + histogram[peak + 1];
+    const refined = ((peak - 1) * histogram[peak - 1] + peak * histogram[peak] + (peak + 1) * histogram[peak + 1]) / sum;
+
+    return { bpm: refined, confidence: Math.min(1, sum / total) };
+  }
+
+  return {
+    /**
+     * Feed a detected beat into the tracker.
+     * @param {number} time - Beat time in seconds
+     */
+    addBeat(time) {
+      beatTimes.push(time);
+      while (beatTimes.length && time - beatTimes[0] > config.historySeconds) {
+        beatTimes.shift();
+      }
+
+      if (manual) return;
+
+      const result = estimate();
+      if (result) {
+        const drift = result.bpm - bpm;
+        if (Math.abs(drift) < 4) {
+          // Small drift: follow smoothly
+          setTempo(bpm + drift * config.tempoGain, time);
+        } else if (result.confidence > 0.5) {
+          // Clear tempo change: jump
+          setTempo(result.bpm, time);
+        }
+        confidence += (result.confidence - confidence) * 0.3;
+      }
+
+      // Phase lock: pull the nearest whole beat towards this detection
+      const current = beatsAt(time);
+      const error = current - Math.round(current);
+      if (Math.abs(error) < 0.35) {
+        anchorBeat -= error * config.phaseGain;
+      }
+    },
+
+    /**
+     * Register a tap for tap tempo. Two or more taps set a manual tempo
+     * and every tap re-aligns the beat phase.
+     * @param {number} time - Tap time in seconds
+     * @returns {BeatClock}
+     */
+    tap(time) {
+      if (taps.length && time - taps[taps.length - 1] > config.tapTimeout) {
+        taps.length = 0;
+      }
+      taps.push(time);
+      if (taps.length > 8) taps.shift();
+
+      if (taps.length >= 2) {
+        const interval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+        setTempo(foldToRange(interval, config.minBpm, config.maxBpm), time);
+        manual = true;
+      }
+
+      // The tap lands on a beat
+      anchorBeat = Math.round(beatsAt(time));
+      anchorTime = time;
+      return this.getClock(time);
+    },
+
+    /**
+     * Force a manual tempo.
+     * @param {number} newBpm - Tempo in BPM
+     * @param {number} time - Current time in seconds
+     */
+    setManualBpm(newBpm, time) {
+      if (!(newBpm > 0)) return;
+      setTempo(newBpm, time);
+      manual = true;
+    },
+
+    /**
+     * Return to automatic tempo detection.
+     */
+    clearManual() {
+      manual = false;
+      taps.length = 0;
+    },
+
+    /**
+     * Whether a manual tempo override is active.
+     * @returns {boolean}
+     */
+    isManual() {
+      return manual;
+    },
+
+    /**
+     * Read the beat clock.
+     * @param {number} time - Current time in seconds
+     * @returns {BeatClock}
+     */
+    getClock(time) {
+      const beats = beatsAt(time);
+      const wholeBeats = Math.floor(beats);
+      const beatsPerBar = config.beatsPerBar;
+      const barBeats = beats / beatsPerBar;
+      return {
+        bpm,
+        confidence: manual ? 1 : confidence,
+        beats,
+        bar: Math.floor(barBeats),
+        beat: ((wholeBeats % beatsPerBar) + beatsPerBar) % beatsPerBar,
+        phase: beats - wholeBeats,
+        barPhase: barBeats - Math.floor(barBeats),
+        manual
+      };
+    },
+
+    /**
+     * Reset detection history (keeps a manual override).
+     * @param {number} [time=0] - Current time in seconds
+     */
+    reset(time = 0) {
+      beatTimes.length = 0;
+      confidence = 0;
+      if (!manual) bpm = config.defaultBpm;
+      anchorTime = time;
+      anchorBeat = 0;
+    }
+  };
+}
+
+/**
+ * Beats per musical division, used to sync animation to the beat clock.
+ * @constant {Object.<string, number>}
+ */
+export const BEAT_DIVISIONS = {
+  quarter: 1,
+  half: 2,
+  bar: 4
+};
+
+/**
+ * Get the 0-1 phase of a beat clock within a musical division.
+ * @param {BeatClock} clock - Beat clock
+ * @param {string} division - Key of BEAT_DIVISIONS
+ * @returns {number} Phase (0-1)
+ */
+export function getDivisionPhase(clock, division) {
+  const length = BEAT_DIVISIONS[division] || 1;
+  const cycles = clock.beats / length;
+  return cycles - Math.floor(cycles);
+}
@@ -0,0 +1,254 @@
+/**
+ * @module audio/trace
+ * @description Record and replay per-frame audio analysis as timestamped traces.
+ * A trace stores every `audioData` frame produced by analyzeAudio, so visuals can be
+ * reproduced without sound hardware. Any fields added to audioData later are recorded
+ * as well: numbers are rounded, byte arrays are base64-encoded and everything else is
+ * stored as plain JSON.
+ */
+
+/**
+ * Format identifier written into every trace.
+ * @constant {string}
+ */
+export const TRACE_FORMAT = 'music-vis-audio-trace';
+
+/**
+ * Current trace format version.
+ * @constant {number}
+ */
+export const TRACE_VERSION = 1;
+
+/** Decimal places kept for numbers */
+const PRECISION = 1e4;
+
+/**
+ * @typedef {Object} AudioTrace
+ * @property {string} format - Always TRACE_FORMAT
+ * @property {number} version - Trace format version
+ * @property {string} created - ISO timestamp of the recording
+ * @property {number} duration - Length in seconds
+ * @property {Array<{t: number, data: Object}>} frames - Encoded frames, `t` in seconds from the start
+ */
+
+/**
+ * Encode a byte array as base64.
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into a byte array.
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Encode one value of an audioData frame into compact JSON-safe form.
+ * @param {*} value - Value to encode
+ * @returns {*}
+ */
+export function encodeValue(value) {
+  if (typeof value === 'number') return Math.round(value * PRECISION) / PRECISION;
+  if (value instanceof Uint8Array) return { $u8: bytesToBase64(value) };
+  if (ArrayBuffer.isView(value)) return Array.from(value, encodeValue);
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    const encoded = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item !== 'function') encoded[key] = encodeValue(item);
+    }
+    return encoded;
+  }
+  return value;
+}
+
+/**
+ * Decode a value written by encodeValue.
+ * @param {*} value - Encoded value
+ * @returns {*}
+ */
+export function decodeValue(value) {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.$u8 === 'string') return base64ToBytes(value.$u8);
+    const decoded = {};
+    for (const [key, item] of Object.entries(value)) decoded[key] = decodeValue(item);
+    return decoded;
+  }
+  return value;
+}
+
+/**
+ * Create a trace recorder.
+ * @returns {Object} Trace recorder
+ */
+export function createTraceRecorder() {
+  let frames = [];
+  let startTime = null;
+  let created = null;
+
+  return {
+    /**
+     * Start a new recording, discarding any previous one.
+     */
+    start() {
+      frames = [];
+      startTime = null;
+      created = new Date().toISOString();
+    },
+
+    /**
+     * Whether a recording is in progress.
+     * @returns {boolean}
+     */
+    isRecording() {
+      return created !== null;
+    },
+
+    /**
+     * Number of frames recorded so far.
+     * @returns {number}
+     */
+    getFrameCount() {
+      return frames.length;
+    },
+
+    /**
+     * Record one frame. Ignored when not recording.
+     * @param {Object} audioData - Frame from analyzeAudio
+     * @param {number} time - Time in seconds (any clock, only differences are stored)
+     */
+    record(audioData, time) {
+      if (created === null) return;
+      if (startTime === null) startTime = time;
+      frames.push({ t: encodeValue(time - startTime), data: encodeValue(audioData) });
+    },
+
+    /**
+     * Stop recording and return the trace.
+     * @returns {AudioTrace|null} The trace, or null if nothing was being recorded
+     */
+    stop() {
+      if (created === null) return null;
+      const trace = {
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        created,
+        duration: frames.length ? frames[frames.length - 1].t : 0,
+        frames
+      };
+      frames = [];
+      created = null;
+      return trace;
+    }
+  };
+}
+
+/**
+ * Serialize a trace to text.
+ * @param {AudioTrace} trace - Trace to serialize
+ * @returns {string}
+ */
+export function serializeTrace(trace) {
+  return JSON.stringify(trace);
+}
+
+/**
+ * Parse and validate trace text.
+ * @param {string} text - Trace JSON
+ * @returns {AudioTrace}
+ * @throws {Error} If the text is not a supported trace
+ */
+export function parseTrace(text) {
+  const trace = JSON.parse(text);
+  if (!trace || trace.format !== TRACE_FORMAT) {
+    throw new Error('Not an audio trace');
+  }
+  if (trace.version > TRACE_VERSION) {
+    throw new Error(`Unsupported trace version ${trace.version}`);
+  }
+  if (!Array.isArray(trace.frames) || trace.frames.length === 0) {
+    throw new Error('Trace has no frames');
+  }
+  return trace;
+}
+
+/**
+ * Create a player that looks up decoded frames by time or index.
+ * @param {AudioTrace} trace - Parsed trace
+ * @param {Object} [options]
+ * @param {boolean} [options.loop=true] - Wrap around at the end
+ * @returns {Object} Trace player
+ */
+export function createTracePlayer(trace, options = {}) {
+  const loop = options.loop ?? true;
+  const frames = trace.frames;
+  const duration = trace.duration || frames[frames.length - 1].t;
+  const cache = new Map();
+
+  /**
+   * Decode a frame, caching the most recent ones.
+   * @param {number} index - Frame index
+   * @returns {Object}
+   */
+  function getFrame(index) {
+    let data = cache.get(index);
+    if (!data) {
+      data = decodeValue(frames[index].data);
+      if (cache.size > 8) cache.delete(cache.keys().next().value);
+      cache.set(index, data);
+    }
+    return data;
+  }
+
+  return {
+    /** Trace length in seconds */
+    duration,
+
+    /** Number of frames */
+    frameCount: frames.length,
+
+    /**
+     * Frame shown at a time: the last frame recorded at or before it.
+     * @param {number} time - Seconds from the start of the trace
+     * @returns {Object} Decoded audioData
+     */
+    frameAt(time) {
+      let t = time;
+      if (loop && duration > 0) t = ((t % duration) + duration) % duration;
+      let low = 0;
+      let high = frames.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (frames[mid].t <= t) low = mid;
+        else high = mid - 1;
+      }
+      return getFrame(low);
+    },
+
+    /**
+     * Frame by index, for frame-stepped deterministic playback.
+     * @param {number} index - Frame index
+     * @returns {Object} Decoded audioData
+     */
+    frameAtIndex(index) {
+      const i = loop ? ((index % frames.length) + frames.length) % frames.length : Math.min(Math.max(index, 0), frames.length - 1);
+      return getFrame(i);
+    }
+  };
+}
@@ -2,9 +2,16 @@
  * @module audio/uniforms
  * @description Audio reactive uniforms for TSL shaders.
  * These uniforms are updated by audio analysis and used in shader materials.
+ * The full spectrum, waveform and a rolling spectrogram are also uploaded as
+ * textures and exposed through the `audioSpectrum`, `audioWaveform` and
+ * `audioSpectrogram` TSL functions. Harmony is exposed as a 12-entry chromagram,
+ * dominant pitch class and key, with `pitchClassColor` mapping pitch classes to hues.
  */
 
-import { uniform } from 'three/tsl';
+import * as THREE from 'three/webgpu';
+import { uniform, uniformArray, texture, vec2, vec3, float, fract, hue, PI2, Fn } from 'three/tsl';
+import { MAX_AUDIO_BANDS } from './bands.js';
+import { AUDIO_SPECTRUM_SIZE, AUDIO_WAVEFORM_SIZE } from './analysis.js';
 
 /**
  * Bass frequency level (0-1).
@@ -34,15 +41,272 @@ export const audioHigh = uniform(0.0);
  */
 export const audioOverall = uniform(0.0);
 
+/**
+ * Beat pulse (0-1).
+ * Jumps to 1 on a detected kick/beat and decays until the next one.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioBeat = uniform(0.0);
+
+/**
+ * Beat phase (0-1).
+ * 0 on the beat, ramping towards 1 just before the next expected beat.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioBeatPhase = uniform(0.0);
+
+/**
+ * Onset pulse (0-1).
+ * Jumps on any transient (kick, snare, hat) and decays quickly.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioOnset = uniform(0.0);
+
+/**
+ * Per-band levels (0-1) for the configured frequency bands.
+ * Fixed size of MAX_AUDIO_BANDS; entries past audioBandCount are 0.
+ * @type {import('three/tsl').UniformArrayNode}
+ */
+export const audioBands = uniformArray(new Array(MAX_AUDIO_BANDS).fill(0), 'float');
+
+/**
+ * Number of configured frequency bands in use.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioBandCount = uniform(0);
+
+/**
+ * Chromagram: energy per pitch class (0-1, index 0 = C), strongest = 1.
+ * @type {import('three/tsl').UniformArrayNode}
+ */
+export const audioChroma = uniformArray(new Array(12).fill(0), 'float');
+
+/**
+ * Dominant pitch class (0-11, 0 = C).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioPitchClass = uniform(0);
+
+/**
+ * How strongly the dominant pitch class stands out (0-1).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioPitchStrength = uniform(0.0);
+
+/**
+ * Estimated key tonic (0-11, 0 = C).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioKey = uniform(0);
+
+/**
+ * Estimated key mode (0 = major, 1 = minor).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioKeyMinor = uniform(0);
+
+/**
+ * Write a chroma frame into the harmony uniforms.
+ * @param {{chroma: ArrayLike<number>, dominant: number, strength: number, key: Object|null}} [harmony] - Chroma frame, or nothing to reset
+ */
+export function setAudioHarmony(harmony) {
+    for (let i = 0; i < 12; i++) {
+        audioChroma.array[i] = harmony?.chroma?.[i] ?? 0;
+    }
+    audioPitchClass.value = harmony?.dominant ?? 0;
+    audioPitchStrength.value = harmony?.strength ?? 0;
+    audioKey.value = harmony?.key?.tonic ?? 0;
+    audioKeyMinor.value = harmony?.key?.mode === 'minor' ? 1 : 0;
+}
+
+/**
+ * Hue for a pitch class, going once around the colour wheel per octave (C = red).
+ * @param {Node} pitchClass - Pitch class (0-12, fractional values blend)
+ * @returns {Node} RGB colour
+ */
+export const pitchClassColor = Fn(([pitchClass]) => {
+    return hue(vec3(1.0, 0.0, 0.0), float(pitchClass).div(12).mul(PI2));
+});
+
+/**
+ * Left channel levels (x = bass, y = mid, z = high, w = overall).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioLeft = uniform(new THREE.Vector4());
+
+/**
+ * Right channel levels (x = bass, y = mid, z = high, w = overall).
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioRight = uniform(new THREE.Vector4());
+
+/**
+ * Stereo width (0-1).
+ * Side/mid ratio: 0 for mono, 1 for wide or decorrelated mixes.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioStereoWidth = uniform(0.0);
+
+/**
+ * Stereo balance (-1 to 1).
+ * -1 is hard left, 0 centred, 1 hard right.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioBalance = uniform(0.0);
+
+/**
+ * Write the stereo field into the stereo uniforms.
+ * @param {import('./stereo.js').StereoField} [stereo] - Stereo field, or nothing to reset
+ */
+export function setAudioStereo(stereo) {
+    const { left, right } = stereo || {};
+    audioLeft.value.set(left?.bass ?? 0, left?.mid ?? 0, left?.high ?? 0, left?.overall ?? 0);
+    audioRight.value.set(right?.bass ?? 0, right?.mid ?? 0, right?.high ?? 0, right?.overall ?? 0);
+    audioStereoWidth.value = stereo?.width ?? 0;
+    audioBalance.value = stereo?.balance ?? 0;
+}
+
+/**
+ * Write band levels into the band uniform array.
+ * @param {number[]} levels - Level per band (0-1)
+ */
+export function setAudioBands(levels) {
+    const count = Math.min(levels.length, MAX_AUDIO_BANDS);
+    for (let i = 0; i < MAX_AUDIO_BANDS; i++) {
+        audioBands.array[i] = i < count ? levels[i] : 0;
+    }
+    audioBandCount.value = count;
+}
+
+// Texture sizes match the frames produced by the analysis module
+export { AUDIO_SPECTRUM_SIZE, AUDIO_WAVEFORM_SIZE };
+
+/**
+ * Number of spectrum frames kept in the spectrogram texture.
+ * @constant {number}
+ */
+export const AUDIO_SPECTROGRAM_HISTORY = 128;
+
+/**
+ * Create a single-channel byte texture with linear filtering.
+ * @param {number} width - Texture width
+ * @param {number} height - Texture height
+ * @param {number} [fill=0] - Initial byte value
+ * @returns {THREE.DataTexture}
+ */
+function createAudioTexture(width, height, fill = 0) {
+    const data = new Uint8Array(width * height).fill(fill);
+    const dataTexture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+    dataTexture.minFilter = THREE.LinearFilter;
+    dataTexture.magFilter = THREE.LinearFilter;
+    dataTexture.needsUpdate = true;
+    return dataTexture;
+}
+
+/**
+ * Log-binned magnitude spectrum, 1 row of AUDIO_SPECTRUM_SIZE texels (0-1).
+ * @type {THREE.DataTexture}
+ */
+export const audioSpectrumTexture = createAudioTexture(AUDIO_SPECTRUM_SIZE, 1);
+
+/**
+ * Time-domain waveform, 1 row of AUDIO_WAVEFORM_SIZE texels (0.5 = silence).
+ * @type {THREE.DataTexture}
+ */
+export const audioWaveformTexture = createAudioTexture(AUDIO_WAVEFORM_SIZE, 1, 128);
+
+/**
+ * Rolling spectrogram: one spectrum per row, written as a ring buffer.
+ * @type {THREE.DataTexture}
+ */
+export const audioSpectrogramTexture = createAudioTexture(AUDIO_SPECTRUM_SIZE, AUDIO_SPECTROGRAM_HISTORY);
+
+/**
+ * Row of the spectrogram texture holding the newest spectrum.
+ * @type {import('three/tsl').UniformNode}
+ */
+export const audioSpectrogramRow = uniform(0);
+
+/**
+ * Sample the log-binned spectrum.
+ * @param {Node|number} u - Position along the spectrum (0 = 20 Hz, 1 = 20 kHz)
+ * @returns {Node} Magnitude (0-1)
+ */
+export const audioSpectrum = Fn(([u]) => {
+    return texture(audioSpectrumTexture, vec2(u, 0.5)).r;
+});
+
+/**
+ * Sample the waveform.
+ * @param {Node|number} u - Position along the waveform window (0-1)
+ * @returns {Node} Sample value (-1 to 1)
+ */
+export const audioWaveform = Fn(([u]) => {
+    return texture(audioWaveformTexture, vec2(u, 0.5)).r.mul(2).sub(1);
+});
+
+/**
+ * Sample the spectrogram history.
+ * @param {Node|number} u - Position along the spectrum (0 = 20 Hz, 1 = 20 kHz)
+ * @param {Node|number} age - 0 for the newest frame, 1 for the oldest
+ * @returns {Node} Magnitude (0-1)
+ */
+export const audioSpectrogram = Fn(([u, age]) => {
+    const rows = float(AUDIO_SPECTROGRAM_HISTORY);
+    const v = fract(audioSpectrogramRow.add(0.5).sub(float(age).mul(rows.sub(1))).div(rows));
+    return texture(audioSpectrogramTexture, vec2(u, v)).r;
+});
+
+/**
+ * Upload spectrum / waveform frames to the audio textures.
+ * The spectrum is also appended to the spectrogram history.
+ * @param {{spectrum?: Uint8Array, waveform?: Uint8Array}} data - Byte frames (0-255)
+ */
+export function updateAudioTextures(data) {
+    const { spectrum, waveform } = data;
+    if (spectrum && spectrum.length === AUDIO_SPECTRUM_SIZE) {
+        audioSpectrumTexture.image.data.set(spectrum);
+        audioSpectrumTexture.needsUpdate = true;
+        
+        const row = (audioSpectrogramRow.value + 1) % AUDIO_SPECTROGRAM_HISTORY;
+        audioSpectrogramTexture.image.data.set(spectrum, row * AUDIO_SPECTRUM_SIZE);
+        audioSpectrogramTexture.needsUpdate = true;
+        audioSpectrogramRow.value = row;
+    }
+    if (waveform && waveform.length === AUDIO_WAVEFORM_SIZE) {
+        audioWaveformTexture.image.data.set(waveform);
+        audioWaveformTexture.needsUpdate = true;
+    }
+}
+
+/**
+ * Clear the audio textures to silence.
+ */
+function resetAudioTextures() {
+    audioSpectrumTexture.image.data.fill(0);
+    audioSpectrumTexture.needsUpdate = true;
+    audioSpectrogramTexture.image.data.fill(0);
+    audioSpectrogramTexture.needsUpdate = true;
+    audioWaveformTexture.image.data.fill(128);
+    audioWaveformTexture.needsUpdate = true;
+}
+
 /**
  * Update all audio uniforms at once.
- * @param {{bass: number, mid: number, high: number, overall: number}} data - Audio analysis data
+ * @param {{bass: number, mid: number, high: number, overall: number, beat?: number, beatPhase?: number, onset?: number, bands?: number[], spectrum?: Uint8Array, waveform?: Uint8Array}} data - Audio analysis data
  */
 export function updateAudioUniforms(data) {
     if (data.bass !== undefined) audioBass.value = data.bass;
     if (data.mid !== undefined) audioMid.value = data.mid;
     if (data.high !== undefined) audioHigh.value = data.high;
     if (data.overall !== undefined) audioOverall.value = data.overall;
+    if (data.beat !== undefined) audioBeat.value = data.beat;
+    if (data.beatPhase !== undefined) audioBeatPhase.value = data.beatPhase;
+    if (data.onset !== undefined) audioOnset.value = data.onset;
+    if (data.bands !== undefined) setAudioBands(data.bands);
+    if (data.stereo !== undefined) setAudioStereo(data.stereo);
+    if (data.harmony !== undefined) setAudioHarmony(data.harmony);
+    updateAudioTextures(data);
 }
 
 /**
@@ -54,4 +318,11 @@ export function resetAudioUniforms() {
     audioMid.value = 0.0;
     audioHigh.value = 0.0;
     audioOverall.value = 0.0;
+    audioBeat.value = 0.0;
+    audioBeatPhase.value = 0.0;
+    audioOnset.value = 0.0;
+    setAudioBands([]);
+    setAudioStereo(null);
+    setAudioHarmony(null);
+    resetAudioTextures();
 }
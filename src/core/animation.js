@@ -10,6 +10,7 @@ import * as THREE from 'three/webgpu';
  * @property {number} delta - Time since last frame in seconds
  * @property {number} elapsed - Total elapsed time in seconds
  * @property {number} frameCount - Total frames rendered
+ * @property {import('../audio/tempo.js').BeatClock|null} beatClock - Tempo-locked beat clock, if a provider is set
  */
 
 /** @type {THREE.Clock} */
@@ -24,6 +25,9 @@ let updateCallback = null;
 /** @type {Function|null} */
 let renderCallback = null;
 
+/** @type {Function|null} */
+let beatClockProvider = null;
+
 /**
  * Get delta time since last frame.
  * @returns {number} Delta time in seconds
@@ -48,6 +52,23 @@ export function getFrameCount() {
     return frameCount;
 }
 
+/**
+ * Set the function that supplies the beat clock.
+ * Usually `getBeatClock` from the audio capture module.
+ * @param {Function|null} provider - Function returning a BeatClock
+ */
+export function setBeatClockProvider(provider) {
+    beatClockProvider = provider;
+}
+
+/**
+ * Get the current beat clock (bar, beat, phase, bpm).
+ * @returns {import('../audio/tempo.js').BeatClock|null}
+ */
+export function getBeatClock() {
+    return beatClockProvider ? beatClockProvider() : null;
+}
+
 /**
  * Get current animation state.
  * @returns {AnimationState}
@@ -56,7 +77,8 @@ export function getAnimationState() {
     return {
         delta: clock.getDelta(),
         elapsed: clock.getElapsedTime(),
-        frameCount
+        frameCount,
+        beatClock: getBeatClock()
     };
 }
 
@@ -96,8 +118,9 @@ export function resetClock() {
  * @param {Function} [options.updateAudio] - Audio update callback () => void
  * @param {Function} [options.updateBloom] - Bloom update callback () => void
  * @param {Function} [options.updateControls] - Controls update callback () => void
- * @param {Function} [options.updateScene] - Scene update callback (delta, sceneType) => void
+ * @param {Function} [options.updateScene] - Scene update callback (delta, sceneType, beatClock) => void
  * @param {Function} [options.syncToSpout] - Spout sync callback () => void
+ * @param {Function} [options.getBeatClock] - Beat clock source, defaults to the provider set via setBeatClockProvider
  * @returns {Function} Animation loop function
  */
 export function createAnimationLoop(options = {}) {
@@ -109,12 +132,14 @@ export function createAnimationLoop(options = {}) {
         updateControls,
         updateScene,
         syncToSpout,
-        getSceneType
+        getSceneType,
+        getBeatClock: readBeatClock = getBeatClock
     } = options;
 
     return function animationLoop() {
         const delta = clock.getDelta();
         frameCount++;
+        const beatClock = readBeatClock();
 
         // Update audio analysis
         if (updateAudio) updateAudio();
@@ -127,11 +152,11 @@ export function createAnimationLoop(options = {}) {
 
         // Update current scene
         if (updateScene && getSceneType) {
-            updateScene(delta, getSceneType());
+            updateScene(delta, getSceneType(), beatClock);
         }
 
         // Custom update callback
-        if (update) update(delta, getAnimationState());
+        if (update) update(delta, { ...getAnimationState(), beatClock });
 
         // Sync to Spout window
         if (syncToSpout) syncToSpout();
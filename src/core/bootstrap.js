@@ -6,10 +6,13 @@
 
 import WebGPU from 'three/addons/capabilities/WebGPU.js';
 import { initRenderer, setupPostProcessing, updateBloom, updateControls, resetCamera, onWindowResize, getRenderer, getCamera, getControls, setAnimationLoop, render } from './renderer.js';
-import { getDelta } from './animation.js';
+import { getDelta, setBeatClockProvider } from './animation.js';
 import { initScene, updateScene, getCurrentSceneType } from '../scenes/registry.js';
-import { analyzeAudio } from '../audio/capture.js';
+import { analyzeAudio, getBeatClock } from '../audio/capture.js';
 import { audioBass, audioMid, audioHigh, audioOverall } from '../audio/uniforms.js';
+import { createModulationMatrix, applyModulatedValues } from '../settings/modulation.js';
+import { createSettingsMorph } from '../settings/morph.js';
+import { extendSettings } from '../settings/defaults.js';
 
 /**
  * Application state
@@ -21,16 +24,26 @@ const appState = {
   onSettingsChange: null,
   onAudioUpdate: null,
   onRender: null,
+  getAudioData: null,
   resizeHandler: null
 };
 
+/** Routes audio features and LFOs to settings every frame */
+const modulationMatrix = createModulationMatrix();
+
+/** Interpolates the base settings towards a preset over time */
+const settingsMorph = createSettingsMorph();
+
+// Expose the tempo-locked beat clock to animation code
+setBeatClockProvider(getBeatClock);
+
 /**
  * Initialize the visualization application.
  * Works for both browser and Electron versions.
  * 
  * @param {Object} options - Initialization options
  * @param {Object} options.settings - Settings object
- * @param {string} options.sceneType - Scene type to initialize ('particles', 'points', 'skinning')
+ * @param {string} options.sceneType - Scene type to initialize ('particles', 'points', 'skinning' or a plugin scene)
  * @param {Object} [options.rendererConfig] - Renderer configuration
  * @param {number} [options.rendererConfig.width] - Canvas width
  * @param {number} [options.rendererConfig.height] - Canvas height
@@ -39,20 +52,26 @@ const appState = {
  * @param {Function} [options.onSettingsChange] - Callback when settings change
  * @param {Function} [options.onAudioUpdate] - Callback when audio updates
  * @param {Function} [options.onRender] - Callback before each render
+ * @param {Function} [options.getAudioData] - Returns the frame's audio data instead of analyzing
+ *   locally (Spout window); its `modulation` values replace the local modulation matrix.
+ *   Returning null falls back to local analysis
  * @returns {Promise<{scene: THREE.Scene, cleanup: Function}>}
  * @throws {Error} If WebGPU is not available
  */
 export async function initVisualization(options) {
-  const { settings, sceneType, rendererConfig = {}, onSettingsChange, onAudioUpdate, onRender } = options;
+  const { settings, sceneType, rendererConfig = {}, onSettingsChange, onAudioUpdate, onRender, getAudioData } = options;
 
   console.log('[Bootstrap] Starting visualization initialization...');
   console.log('[Bootstrap] Scene type:', sceneType);
   console.log('[Bootstrap] Renderer config:', rendererConfig);
 
+  // Settings of scene plugins loaded after the settings object was created
+  extendSettings(settings);
   appState.settings = settings;
   appState.onSettingsChange = onSettingsChange;
   appState.onAudioUpdate = onAudioUpdate;
   appState.onRender = onRender;
+  appState.getAudioData = getAudioData;
 
   // Check WebGPU support
   console.log('[Bootstrap] Checking WebGPU support...');
@@ -152,35 +171,40 @@ function animate() {
 
   if (!settings) return;
 
-  // Get audio data - analyze locally, uniforms are automatically updated for shaders
-  const audioData = analyzeAudio(settings);
+  // Get audio data - analyze locally (uniforms are automatically updated for shaders),
+  // or take the frame the main window sent
+  const receivedAudioData = appState.getAudioData?.() ?? null;
+  const audioData = receivedAudioData ?? analyzeAudio(settings);
     
     // Notify audio update callback
     if (appState.onAudioUpdate) {
         appState.onAudioUpdate(audioData);
     }
     
-    // Calculate audio-reactive bloom
-    const bloomStrength = settings.bloomIntensity.value + 
-        (audioData.bass * settings.bloomBass.value) +
-        (audioData.mid * settings.bloomMid.value) +
-        (audioData.high * settings.bloomHigh.value);
+    // A running preset morph moves the base settings
+    settingsMorph.update(settings, audioData, performance.now() / 1000);
+    
+    // Modulated copy of the settings for this frame (the base settings stay untouched);
+    // a received frame brings the values the main window modulated to
+    const frameSettings = receivedAudioData
+        ? applyModulatedValues(settings, receivedAudioData.modulation)
+        : modulationMatrix.apply(settings, audioData, performance.now() / 1000);
     
-    // Update bloom
+    // Update bloom; the audio response comes from the modulated intensity
     updateBloom({
-        strength: bloomStrength,
-        threshold: settings.bloomThreshold.value,
-        radius: settings.bloomRadius.value
+        strength: frameSettings.bloomIntensity.value,
+        threshold: frameSettings.bloomThreshold.value,
+        radius: frameSettings.bloomRadius.value
     });
     
     // Update controls
     updateControls({
-        autoRotate: settings.autoRotate.value,
-        autoRotateSpeed: settings.autoRotateSpeed.value
+        autoRotate: frameSettings.autoRotate.value,
+        autoRotateSpeed: frameSettings.autoRotateSpeed.value
     });
     
     // Update current scene with audio data
-    updateScene(delta, settings, renderer, audioData);
+    updateScene(delta, frameSettings, renderer, audioData);
     
     // Pre-render callback
     if (appState.onRender) {
@@ -191,6 +215,56 @@ function animate() {
     render();
 }
 
+/**
+ * Value a setting is modulated to on the current frame.
+ * @param {Object} setting - Base setting object
+ * @returns {number|undefined} Modulated value, undefined if the setting is not modulated
+ */
+export function getModulatedValue(setting) {
+    return modulationMatrix.getModulatedValue(setting);
+}
+
+/**
+ * Values of the settings modulated on the current frame, e.g. for the Spout window.
+ * @returns {Object.<string, number>} Modulated values by key
+ */
+export function getModulatedValues() {
+    return modulationMatrix.getModulatedValues();
+}
+
+/**
+ * Fire the modulation envelopes bound to a key.
+ * @param {string} key - Key as in KeyboardEvent.key
+ */
+export function triggerModulationKey(key) {
+    modulationMatrix.triggerKey(key);
+}
+
+/**
+ * Morph the settings to target values over time (see settings/morph.js).
+ * @param {Object} target - Target values by key, e.g. from resolvePresetValues
+ * @param {import('../settings/morph.js').MorphOptions} [options] - Duration, unit, easing, flip point and callbacks
+ */
+export function startMorph(target, options) {
+    if (!appState.settings) return;
+    settingsMorph.start(appState.settings, target, options);
+}
+
+/**
+ * Stop a running morph where it is.
+ */
+export function cancelMorph() {
+    settingsMorph.cancel();
+}
+
+/**
+ * Check whether a morph is running.
+ * @returns {boolean}
+ */
+export function isMorphing() {
+    return settingsMorph.isActive();
+}
+
 /**
  * Get the current scene type
  * @returns {string|null}
@@ -3,19 +3,6 @@
  * @description Shared constants used across the application
  */
 
-/**
- * Audio frequency band boundaries for analysis.
- * FFT bin indices for separating bass, mid, and high frequencies.
- * @constant
- * @type {{bassEnd: number, midEnd: number}}
- */
-export const AUDIO_BANDS = {
-    /** End index for bass frequencies (bins 0-3) */
-    bassEnd: 4,
-    /** End index for mid frequencies (bins 4-19) */
-    midEnd: 20
-};
-
 /**
  * Scene type identifiers.
  * @typedef {'particles' | 'points' | 'skinning'} SceneType
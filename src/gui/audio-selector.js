@@ -1,15 +1,27 @@
 /**
  * @module gui/audio-selector
- * @description Audio source selector UI for Electron mode.
- * Provides a modal dialog for selecting audio sources.
+ * @description Audio source selector UI.
+ * Provides a modal dialog for selecting capture sources, input devices or local audio files.
  */
 
+/** Number of channels offered in the input device channel picker */
+const MAX_INPUT_CHANNELS = 8;
+
 /**
- * Show audio source selector UI (Electron mode).
- * @param {Array<{id: string, name: string, thumbnail: string}>} audioSources - Available audio sources
+ * Show audio source selector UI.
+ * @param {Array<{id: string, name: string, thumbnail?: string}>} audioSources - Available capture sources
  * @param {Function} onSelect - Callback when a source is selected
+ * @param {Object} [fileOptions] - Offer local audio files as well
+ * @param {Function} fileOptions.onFiles - Called with a FileList picked by the user
+ * @param {Function} fileOptions.onRecent - Called with the name of a recent file
+ * @param {Array<{name: string, size: number}>} [fileOptions.recentFiles] - Recently played files
+ * @param {string} [fileOptions.accept] - Accept attribute for the file picker
+ * @param {Object} [deviceOptions] - Offer microphone / audio-interface inputs as well
+ * @param {Array<{deviceId: string, label: string}>} deviceOptions.devices - Available input devices
+ * @param {Function} deviceOptions.onDevice - Called with {deviceId, label, channel, processing}
+ * @param {Object} [deviceOptions.lastDevice] - Last used {deviceId, channel, processing}
  */
-export function showAudioSourceSelector(audioSources, onSelect) {
+export function showAudioSourceSelector(audioSources, onSelect, fileOptions = null, deviceOptions = null) {
     let selector = document.getElementById('audio-selector');
     if (!selector) {
         selector = document.createElement('div');
@@ -33,10 +45,44 @@ export function showAudioSourceSelector(audioSources, onSelect) {
     
     selector.innerHTML = `
         <h3 style="color: #fff; margin-bottom: 15px; font-size: 16px;">Select Audio Source</h3>
-        <div style="color: #888; font-size: 12px; margin-bottom: 10px;">
+        <div style="color: #888; font-size: 12px; margin-bottom: 10px; display: ${audioSources.length ? 'block' : 'none'};">
             Choose a window/screen to capture audio from:
         </div>
         <div id="audio-source-list" style="display: flex; flex-direction: column; gap: 8px;"></div>
+        <div id="audio-device-options" style="display: none; margin-top: 15px;">
+            <div style="color: #888; font-size: 12px; margin-bottom: 10px;">
+                Or use a microphone / line-in / audio interface:
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px; color: #ccc; font-size: 12px;">
+                <label for="audio-device-channel">Channel</label>
+                <select id="audio-device-channel" style="
+                    background: #2a2d30;
+                    color: #fff;
+                    border: 1px solid #444;
+                    border-radius: 3px;
+                    padding: 2px 4px;
+                "></select>
+                <label style="display: flex; align-items: center; gap: 4px; margin-left: auto;" title="Echo cancellation, noise suppression and auto gain. Leave off for music.">
+                    <input type="checkbox" id="audio-device-processing"> Voice processing
+                </label>
+            </div>
+            <div id="audio-device-list" style="display: flex; flex-direction: column; gap: 6px;"></div>
+        </div>
+        <div id="audio-file-options" style="display: none; margin-top: 15px;">
+            <div style="color: #888; font-size: 12px; margin-bottom: 10px;">
+                Or play a local audio file (you can also drop files on the window):
+            </div>
+            <button id="audio-file-pick" style="
+                padding: 8px 16px;
+                background: #667eea;
+                border: none;
+                color: #fff;
+                border-radius: 5px;
+                cursor: pointer;
+                width: 100%;
+            ">Choose Audio Files...</button>
+            <div id="audio-recent-list" style="display: flex; flex-direction: column; gap: 6px; margin-top: 8px;"></div>
+        </div>
         <button id="audio-cancel" style="
             margin-top: 15px;
             padding: 8px 16px;
@@ -72,7 +118,9 @@ export function showAudioSourceSelector(audioSources, onSelect) {
                 border-radius: 3px;
                 overflow: hidden;
                 flex-shrink: 0;
-            "><img src="${source.thumbnail}" style="width: 100%; height: 100%; object-fit: cover;"></div>
+            ">${source.thumbnail
+                ? `<img src="${source.thumbnail}" style="width: 100%; height: 100%; object-fit: cover;">`
+                : '<div style="color: #667eea; font-size: 20px; text-align: center; line-height: 40px;">▣</div>'}</div>
             <div style="color: #fff; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${source.name}</div>
         `;
         item.onclick = () => {
@@ -82,11 +130,150 @@ export function showAudioSourceSelector(audioSources, onSelect) {
         list.appendChild(item);
     });
     
+    if (deviceOptions && deviceOptions.devices.length) {
+        renderDeviceOptions(selector, deviceOptions);
+    }
+    
+    if (fileOptions) {
+        renderFileOptions(selector, fileOptions);
+    }
+    
     document.getElementById('audio-cancel').onclick = () => {
         selector.remove();
     };
 }
 
+/**
+ * Fill in the input device section of the selector.
+ * The last used device is listed first with its channel and processing options preselected.
+ * @param {HTMLElement} selector - Selector element
+ * @param {Object} deviceOptions - See showAudioSourceSelector
+ */
+function renderDeviceOptions(selector, deviceOptions) {
+    document.getElementById('audio-device-options').style.display = 'block';
+    
+    const lastDevice = deviceOptions.lastDevice;
+    const channelSelect = document.getElementById('audio-device-channel');
+    const processingToggle = document.getElementById('audio-device-processing');
+    
+    const mixOption = document.createElement('option');
+    mixOption.value = -1;
+    mixOption.textContent = 'Mix';
+    channelSelect.appendChild(mixOption);
+    for (let i = 0; i < MAX_INPUT_CHANNELS; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = i === 0 ? '1 (L)' : i === 1 ? '2 (R)' : String(i + 1);
+        channelSelect.appendChild(option);
+    }
+    channelSelect.value = lastDevice ? lastDevice.channel : -1;
+    processingToggle.checked = lastDevice ? lastDevice.processing : false;
+    
+    const devices = [...deviceOptions.devices];
+    const lastIndex = lastDevice ? devices.findIndex(d => d.deviceId === lastDevice.deviceId) : -1;
+    if (lastIndex > 0) devices.unshift(devices.splice(lastIndex, 1)[0]);
+    
+    const list = document.getElementById('audio-device-list');
+    devices.forEach(device => {
+        const isLast = lastDevice && device.deviceId === lastDevice.deviceId;
+        const item = document.createElement('div');
+        item.style.cssText = `
+            padding: 8px 10px;
+            background: #2a2d30;
+            border: 1px solid ${isLast ? '#667eea' : 'transparent'};
+            border-radius: 5px;
+            cursor: pointer;
+            color: #fff;
+            font-size: 12px;
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+            transition: background 0.2s;
+        `;
+        item.onmouseenter = () => item.style.background = '#3a3d40';
+        item.onmouseleave = () => item.style.background = '#2a2d30';
+        
+        const name = document.createElement('span');
+        name.textContent = '🎤 ' + device.label;
+        name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        item.appendChild(name);
+        if (isLast) {
+            const badge = document.createElement('span');
+            badge.textContent = 'last used';
+            badge.style.color = '#888';
+            item.appendChild(badge);
+        }
+        
+        item.onclick = () => {
+            deviceOptions.onDevice({
+                deviceId: device.deviceId,
+                label: device.label,
+                channel: parseInt(channelSelect.value, 10),
+                processing: processingToggle.checked
+            });
+            selector.remove();
+        };
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Fill in the local file section of the selector.
+ * @param {HTMLElement} selector - Selector element
+ * @param {Object} fileOptions - See showAudioSourceSelector
+ */
+function renderFileOptions(selector, fileOptions) {
+    document.getElementById('audio-file-options').style.display = 'block';
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.multiple = true;
+    fileInput.accept = fileOptions.accept || 'audio/*';
+    fileInput.style.display = 'none';
+    fileInput.onchange = () => {
+        if (fileInput.files.length) {
+            fileOptions.onFiles(fileInput.files);
+            selector.remove();
+        }
+    };
+    selector.appendChild(fileInput);
+    document.getElementById('audio-file-pick').onclick = () => fileInput.click();
+    
+    const recentList = document.getElementById('audio-recent-list');
+    (fileOptions.recentFiles || []).forEach(file => {
+        const item = document.createElement('div');
+        item.style.cssText = `
+            padding: 8px 10px;
+            background: #2a2d30;
+            border-radius: 5px;
+            cursor: pointer;
+            color: #fff;
+            font-size: 12px;
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+            transition: background 0.2s;
+        `;
+        item.onmouseenter = () => item.style.background = '#3a3d40';
+        item.onmouseleave = () => item.style.background = '#2a2d30';
+        
+        const name = document.createElement('span');
+        name.textContent = '♪ ' + file.name;
+        name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        const size = document.createElement('span');
+        size.textContent = `${(file.size / 1024 / 1024).toFixed(1)}MB`;
+        size.style.color = '#888';
+        
+        item.appendChild(name);
+        item.appendChild(size);
+        item.onclick = () => {
+            fileOptions.onRecent(file.name);
+            selector.remove();
+        };
+        recentList.appendChild(item);
+    });
+}
+
 /**
  * Hide the audio source selector.
  */
@@ -142,3 +329,10 @@ export function setAudioError(message) {
 export function setAudioSelectScreen() {
     updateAudioStatus('Audio: Select screen to share', '');
 }
+
+/**
+ * Set audio status to select source state.
+ */
+export function setAudioSelectSource() {
+    updateAudioStatus('Audio: Select a source', '');
+}
@@ -4,7 +4,6 @@
  * Creates a collapsible folder-based interface for adjusting visualization parameters.
  */
 
-import { SCENE_NAMES } from '../core/constants.js';
 import { ANIMATION_NAMES, DEFAULT_ANIMATION, DYNAMIC_ANIMATION_NAMES } from '../core/animations.js';
 import { 
   AVAILABLE_MODELS, 
@@ -23,6 +22,50 @@ import {
   currentModelPath
 } from '../scenes/skinning.js';
 import { applyFadeBehavior, removeAllFadeBehaviors, applyFadeToSettingsButton } from './fade-manager.js';
+import {
+  getBeatClock,
+  tapTempo,
+  clearTempoOverride,
+  getAutoGain,
+  getHarmony,
+  startTraceRecording,
+  stopTraceRecording,
+  getTraceRecordingState,
+  isTraceReplaying,
+  loadTraceFile,
+  startTestSignal,
+  setTestSignal,
+  getTestSignalState,
+  switchAudioSource,
+  getSelectedAudioSource,
+  getAvDelays
+} from '../audio/capture.js';
+import { isSpoutAvailable } from '../spout/sync.js';
+import { isLatencyCalibrating, showLatencyCalibration, hideLatencyCalibration } from './latency-calibration.js';
+import { SIGNAL_PATTERNS } from '../audio/signal-generator.js';
+import { serializeTrace } from '../audio/trace.js';
+import { PITCH_CLASSES } from '../audio/chroma.js';
+import { MAX_AUDIO_BANDS, normalizeBands } from '../audio/bands.js';
+import { ENVELOPE_SOURCES } from '../audio/envelope.js';
+import { MODULATION_SOURCES, MODULATION_CURVES, LFO_SHAPES, LFO_DIVISIONS, ENVELOPE_TRIGGERS, getModulatableKeys, createModulator, normalizeModulators } from '../settings/modulation.js';
+import { getModulatedValue } from '../core/bootstrap.js';
+import { getCurrentSceneType, getAvailableScenes, getSceneName, getSceneDescriptor, hasScene, onSceneRegistered } from '../scenes/registry.js';
+import { addScenePlugin, hasScenePluginFolder, openScenePluginFolder } from '../scenes/plugins.js';
+import {
+  createPreset,
+  applyPreset,
+  listPresets,
+  savePreset,
+  renamePreset,
+  deletePreset,
+  duplicatePreset,
+  exportPresets,
+  importPresets
+} from '../settings/presets.js';
+import { createUrlState, createShareUrl } from '../settings/url-state.js';
+import { resetSettings, deserializeSettings, SETTING_CATEGORIES } from '../settings/utils.js';
+import { interpolateValues, resolvePresetValues } from '../settings/morph.js';
+import { isRandomizable, randomizeSettings, mutateSettings, createGenerationHistory } from '../settings/randomize.js';
 
 export { removeAllFadeBehaviors };
 
@@ -102,12 +145,88 @@ export function addSlider(container, setting, onChange) {
         row.appendChild(label);
         row.appendChild(input);
         row.appendChild(valueDisplay);
+        trackModulation(row, input, setting);
     }
     
+    settingElements.set(row, setting);
     container.appendChild(row);
     return row;
 }
 
+/** Setting shown by each control row or editor folder, for the folder reset buttons */
+const settingElements = new WeakMap();
+
+/**
+ * Update the control rows in a container to show their settings' current values,
+ * after the values changed outside the GUI (e.g. during a morph). A text field
+ * being typed in is left alone.
+ * @param {HTMLElement} [container] - Container element, defaults to the settings panel
+ */
+export function refreshControls(container = document.getElementById('controls')) {
+    if (!container) return;
+    container.querySelectorAll('.control-row').forEach(row => {
+        const setting = settingElements.get(row);
+        const input = row.querySelector('input, select');
+        if (!setting || !input) return;
+        if (input.type === 'checkbox') {
+            input.checked = setting.value;
+        } else if (input.type === 'range') {
+            input.value = setting.value;
+            row.querySelector('.value').textContent = setting.value.toFixed(2);
+        } else if (input !== document.activeElement) {
+            input.value = setting.value;
+        }
+    });
+}
+
+/** Slider rows with a live modulation indicator */
+const modulationIndicators = new Set();
+
+/** @type {number|null} Indicator refresh interval, running while any slider is shown */
+let modulationInterval = null;
+
+/**
+ * Show a marker at the modulated value on a slider while its setting is modulated.
+ * @param {HTMLElement} row - Slider row
+ * @param {HTMLInputElement} input - Range input
+ * @param {Object} setting - Setting shown by the slider
+ */
+function trackModulation(row, input, setting) {
+    const marker = document.createElement('div');
+    marker.className = 'mod-indicator';
+    row.appendChild(marker);
+    modulationIndicators.add({ row, input, setting, marker });
+    
+    if (modulationInterval === null) {
+        modulationInterval = setInterval(updateModulationIndicators, 100);
+    }
+}
+
+/**
+ * Move every modulation marker to its setting's current modulated value.
+ * Rows that have left the DOM are dropped.
+ */
+function updateModulationIndicators() {
+    modulationIndicators.forEach(indicator => {
+        const { row, input, setting, marker } = indicator;
+        if (!row.isConnected) {
+            modulationIndicators.delete(indicator);
+            return;
+        }
+        const value = getModulatedValue(setting);
+        row.classList.toggle('modulated', value !== undefined);
+        if (value === undefined) return;
+        const ratio = (value - setting.min) / (setting.max - setting.min);
+        marker.style.left = `${input.offsetLeft + ratio * input.offsetWidth}px`;
+        marker.title = `Modulated: ${value.toFixed(2)}`;
+    });
+    
+    if (modulationIndicators.size === 0) {
+        clearInterval(modulationInterval);
+        modulationInterval = null;
+    }
+}
+
 /**
  * Add a text input control to a container.
  * @param {HTMLElement} container - Container element
@@ -119,40 +238,1361 @@ export function addTextInput(container, setting, onChange) {
     const row = document.createElement('div');
     row.className = 'control-row';
     
-    const label = document.createElement('label');
-    label.textContent = setting.label;
+    const label = document.createElement('label');
+    label.textContent = setting.label;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = setting.value;
+    input.style.flex = '1';
+    input.style.marginLeft = '8px';
+    input.style.background = '#222';
+    input.style.border = '1px solid #444';
+    input.style.color = '#fff';
+    input.style.padding = '4px 8px';
+    input.style.borderRadius = '3px';
+    
+    input.onchange = () => {
+        setting.value = input.value;
+        if (onChange) onChange(setting);
+    };
+    
+    row.appendChild(label);
+    row.appendChild(input);
+    settingElements.set(row, setting);
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Add a dropdown control for a setting with an `options` array.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} setting - Setting object with value, options and label
+ * @param {Function} [onChange] - Callback when value changes
+ * @returns {HTMLElement} The created row element
+ */
+export function addSelect(container, setting, onChange) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    
+    const label = document.createElement('label');
+    label.textContent = setting.label;
+    
+    const select = document.createElement('select');
+    select.style.cssText = `
+      flex: 1;
+      margin-left: 8px;
+      background: #222;
+      border: 1px solid #444;
+      color: #fff;
+      padding: 4px 8px;
+      border-radius: 3px;
+    `;
+    (setting.options || []).forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue;
+        if (optionValue === setting.value) option.selected = true;
+        select.appendChild(option);
+    });
+    
+    select.onchange = () => {
+        setting.value = select.value;
+        if (onChange) onChange(setting);
+    };
+    
+    row.appendChild(label);
+    row.appendChild(select);
+    settingElements.set(row, setting);
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Add a small action button to a container.
+ * @param {HTMLElement} container - Container element
+ * @param {string} text - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The created button
+ */
+export function addButton(container, text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      background: #444;
+      color: #fff;
+      border: 1px solid #555;
+      border-radius: 3px;
+      padding: 4px 10px;
+      font-size: 11px;
+      cursor: pointer;
+    `;
+    button.onmouseenter = () => button.style.background = '#555';
+    button.onmouseleave = () => button.style.background = '#444';
+    button.onclick = onClick;
+    container.appendChild(button);
+    return button;
+}
+
+/**
+ * Add tap tempo controls with a live BPM readout.
+ * @param {HTMLElement} container - Container element
+ * @returns {HTMLElement} The created row element
+ */
+export function addTempoControls(container) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.style.gap = '6px';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Tempo';
+    row.appendChild(label);
+    
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    
+    const updateReadout = () => {
+        const clock = getBeatClock();
+        const confidence = Math.round(clock.confidence * 100);
+        readout.textContent = `${clock.bpm.toFixed(1)} BPM ${clock.manual ? '(tap)' : `(${confidence}%)`}`;
+    };
+    
+    addButton(row, 'Tap', () => {
+        tapTempo();
+        updateReadout();
+    });
+    addButton(row, 'Auto', () => {
+        clearTempoOverride();
+        updateReadout();
+    });
+    row.appendChild(readout);
+    
+    refreshWhileConnected(row, updateReadout);
+    
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Add a live readout of the estimated key and dominant pitch class.
+ * @param {HTMLElement} container - Container element
+ * @returns {HTMLElement} The created row element
+ */
+export function addHarmonyReadout(container) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Key';
+    row.appendChild(label);
+    
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    row.appendChild(readout);
+    
+    refreshWhileConnected(row, () => {
+        const harmony = getHarmony();
+        if (!harmony) {
+            readout.textContent = '-';
+            return;
+        }
+        const key = harmony.key ? harmony.key.name : '...';
+        readout.textContent = `${key} · note ${PITCH_CLASSES[harmony.dominant]}`;
+    });
+    
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Add analysis trace controls: record to a file, or load a file to replay.
+ * @param {HTMLElement} container - Container element
+ * @returns {HTMLElement} The created row element
+ */
+export function addTraceControls(container) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.style.gap = '6px';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Trace';
+    row.appendChild(label);
+    
+    const recordButton = addButton(row, 'Record', () => {
+        if (!getTraceRecordingState().recording) {
+            startTraceRecording();
+            updateReadout();
+            return;
+        }
+        const trace = stopTraceRecording();
+        updateReadout();
+        if (!trace || trace.frames.length === 0) return;
+        
+        const blob = new Blob([serializeTrace(trace)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audio-trace-${trace.created.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.onchange = async () => {
+        if (fileInput.files.length) await loadTraceFile(fileInput.files[0]);
+        fileInput.value = '';
+        updateReadout();
+    };
+    row.appendChild(fileInput);
+    addButton(row, 'Load', () => fileInput.click());
+    
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    row.appendChild(readout);
+    
+    function updateReadout() {
+        const state = getTraceRecordingState();
+        recordButton.textContent = state.recording ? 'Stop' : 'Record';
+        recordButton.style.background = state.recording ? '#a33' : '#444';
+        readout.textContent = state.recording ? `${state.frames} frames` : isTraceReplaying() ? 'Replaying' : '';
+    }
+    
+    refreshWhileConnected(row, updateReadout, 500);
+    
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Create the source folder: current source, a button to switch it, and what
+ * happens when a live source is lost.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object
+ * @param {Function} onChange - Callback when a setting changes
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createSourceFolder(container, settings, onChange) {
+    const sourceFolder = createFolder('Source', container);
+    
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.style.gap = '6px';
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    readout.style.overflow = 'hidden';
+    readout.style.textOverflow = 'ellipsis';
+    row.appendChild(readout);
+    addButton(row, 'Switch...', () => switchAudioSource());
+    sourceFolder.content.appendChild(row);
+    
+    refreshWhileConnected(row, () => {
+        const source = getSelectedAudioSource();
+        readout.textContent = source ? source.name : isTraceReplaying() ? 'Trace replay' : 'None';
+        readout.title = readout.textContent;
+    }, 500);
+    
+    addSlider(sourceFolder.content, settings.audioSilenceTimeout, onChange);
+    addSelect(sourceFolder.content, settings.audioFallback, onChange);
+    
+    return sourceFolder;
+}
+
+/**
+ * Create the latency folder: A/V offsets, the delays they resolve to, and the
+ * calibration flash.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object
+ * @param {Function} onChange - Callback when a setting changes
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createLatencyFolder(container, settings, onChange) {
+    const latencyFolder = createFolder('Latency', container);
+    
+    const offsets = [settings.avOffset];
+    if (isSpoutAvailable()) offsets.push(settings.spoutAvOffset);
+    offsets.forEach(setting => {
+        const row = addSlider(latencyFolder.content, setting, (changed) => {
+            changed.value = Math.round(changed.value);
+            if (onChange) onChange(changed);
+        });
+        row.querySelector('input').step = 5;
+    });
+    
+    const describeDelays = () => {
+        const delays = getAvDelays();
+        const parts = [`delay ${Math.round(delays.main * 1000)} ms`];
+        if (delays.lookAhead > 0) parts.push(`speakers ${Math.round(delays.lookAhead * 1000)} ms later`);
+        if (delays.clamped) parts.push('negative offsets need file playback');
+        return parts.join(', ');
+    };
+    
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.style.gap = '6px';
+    const button = addButton(row, 'Calibrate', () => {
+        if (isLatencyCalibrating()) hideLatencyCalibration();
+        else showLatencyCalibration(() => `A/V Offset ${settings.avOffset.value} ms (${describeDelays()})`);
+    });
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    row.appendChild(readout);
+    latencyFolder.content.appendChild(row);
+    
+    refreshWhileConnected(row, () => {
+        button.textContent = isLatencyCalibrating() ? 'Stop' : 'Calibrate';
+        readout.textContent = describeDelays();
+    }, 500);
+    
+    return latencyFolder;
+}
+
+/**
+ * Create the test signal folder: pattern, tempo and a button to switch to it.
+ * Changes apply live while the test signal is the active source.
+ * @param {HTMLElement} container - Container element
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createTestSignalFolder(container) {
+    const signalFolder = createFolder('Test Signal', container);
+    const state = getTestSignalState();
+    
+    const pattern = { value: state.pattern, label: 'Pattern', options: Object.keys(SIGNAL_PATTERNS) };
+    const bpm = { value: state.bpm, min: 60, max: 180, label: 'BPM' };
+    
+    const patternRow = addSelect(signalFolder.content, pattern, () => setTestSignal({ pattern: pattern.value }));
+    patternRow.querySelector('select').title = Object.entries(SIGNAL_PATTERNS)
+        .map(([id, config]) => `${id}: ${config.label}`)
+        .join('\n');
+    const bpmRow = addSlider(signalFolder.content, bpm, () => {
+        bpm.value = Math.round(bpm.value);
+        setTestSignal({ bpm: bpm.value });
+    });
+    bpmRow.querySelector('input').step = 1;
+    
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    const button = addButton(row, 'Use test signal', () => startTestSignal({ pattern: pattern.value, bpm: bpm.value }));
+    signalFolder.content.appendChild(row);
+    
+    refreshWhileConnected(row, () => {
+        const active = getTestSignalState().active;
+        button.textContent = active ? 'Test signal active' : 'Use test signal';
+        button.disabled = active;
+    }, 500);
+    
+    return signalFolder;
+}
+
+/**
+ * Call an update function now and periodically until the element leaves the DOM.
+ * @param {HTMLElement} element - Element whose removal stops the updates
+ * @param {Function} update - Update function
+ * @param {number} [intervalMs=250] - Update interval
+ */
+function refreshWhileConnected(element, update, intervalMs = 250) {
+    update();
+    const interval = setInterval(() => {
+        if (!element.isConnected) {
+            clearInterval(interval);
+            return;
+        }
+        update();
+    }, intervalMs);
+}
+
+/**
+ * Add automatic gain controls with a live per-band gain readout.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object
+ * @param {Function} [onChange] - Callback when a setting changes
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createAutoGainFolder(container, settings, onChange) {
+    const agcFolder = createFolder('Auto Gain', container);
+    addCheckbox(agcFolder.content, settings.agcEnabled, onChange);
+    addSlider(agcFolder.content, settings.agcTarget, onChange);
+    addSlider(agcFolder.content, settings.agcAdaptTime, onChange);
+    
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    const label = document.createElement('label');
+    label.textContent = 'Gain';
+    const readout = document.createElement('span');
+    readout.className = 'value';
+    readout.style.flex = '1';
+    readout.style.textAlign = 'left';
+    row.appendChild(label);
+    row.appendChild(readout);
+    agcFolder.content.appendChild(row);
+    
+    refreshWhileConnected(row, () => {
+        const gains = getAutoGain();
+        readout.textContent = `B ${gains.bass.toFixed(1)}x  M ${gains.mid.toFixed(1)}x  H ${gains.high.toFixed(1)}x`;
+        readout.title = gains.bands.map((gain, i) => {
+            const band = settings.audioBands?.value?.[i];
+            return `${band?.name ?? i}: ${gain.toFixed(2)}x`;
+        }).join('\n');
+    });
+    
+    return agcFolder;
+}
+
+/**
+ * Create a number input styled like the other text inputs.
+ * @param {number} value - Initial value
+ * @param {Function} onChange - Called with the parsed number
+ * @returns {HTMLInputElement}
+ */
+function createNumberInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = Math.round(value);
+    input.style.cssText = `
+      width: 60px;
+      background: #222;
+      border: 1px solid #444;
+      color: #fff;
+      padding: 2px 4px;
+      border-radius: 3px;
+      font-size: 11px;
+    `;
+    input.onchange = () => {
+        const parsed = parseFloat(input.value);
+        if (Number.isFinite(parsed)) onChange(parsed);
+    };
+    return input;
+}
+
+/**
+ * Add an editor for the configurable frequency bands.
+ * Each band gets a name, editable low/high edges and a sensitivity slider.
+ * Moving an edge shared with a neighbouring band moves that crossover for both.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} setting - The audioBands setting
+ * @param {Function} [onChange] - Callback when bands change
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createBandEditor(container, setting, onChange) {
+    const bandFolder = createFolder(setting.label, container);
+    
+    // Normalizing replaces the band objects, so always rebuild the rows
+    const commit = () => {
+        setting.value = normalizeBands(setting.value);
+        if (onChange) onChange(setting);
+        render();
+    };
+    
+    const render = () => {
+        bandFolder.content.innerHTML = '';
+        const bands = setting.value;
+        
+        bands.forEach((band, i) => {
+            const row = document.createElement('div');
+            row.className = 'control-row';
+            row.style.gap = '4px';
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = band.name;
+            name.style.cssText = `
+              width: 70px;
+              background: #222;
+              border: 1px solid #444;
+              color: #fff;
+              padding: 2px 4px;
+              border-radius: 3px;
+              font-size: 11px;
+            `;
+            name.onchange = () => {
+                band.name = name.value;
+                commit();
+            };
+            
+            // Edges shared with a neighbour are crossovers and move together
+            const low = createNumberInput(band.low, (value) => {
+                if (i > 0 && bands[i - 1].high === band.low) bands[i - 1].high = value;
+                band.low = value;
+                commit();
+            });
+            const high = createNumberInput(band.high, (value) => {
+                if (i < bands.length - 1 && bands[i + 1].low === band.high) bands[i + 1].low = value;
+                band.high = value;
+                commit();
+            });
+            
+            const hz = document.createElement('span');
+            hz.className = 'value';
+            hz.textContent = 'Hz';
+            
+            row.appendChild(name);
+            row.appendChild(low);
+            row.appendChild(high);
+            row.appendChild(hz);
+            addButton(row, '×', () => {
+                bands.splice(i, 1);
+                commit();
+            });
+            bandFolder.content.appendChild(row);
+            
+            // Proxy so addSlider edits the band's sensitivity in place
+            addSlider(bandFolder.content, {
+                get value() { return band.sensitivity; },
+                set value(v) { band.sensitivity = v; },
+                min: 0.1,
+                max: 5,
+                label: `${band.name} Sens`
+            }, () => {
+                if (onChange) onChange(setting);
+            });
+        });
+        
+        if (bands.length < MAX_AUDIO_BANDS) {
+            const addRow = document.createElement('div');
+            addRow.className = 'control-row';
+            addButton(addRow, '+ Add Band', () => {
+                const last = bands[bands.length - 1];
+                const low = last ? last.high : 20;
+                bands.push({ name: `band ${bands.length + 1}`, low, high: Math.min(low * 2, 20000), sensitivity: 1.5 });
+                commit();
+            });
+            bandFolder.content.appendChild(addRow);
+        }
+    };
+    
+    render();
+    settingElements.set(bandFolder.folder, setting);
+    return bandFolder;
+}
+
+/**
+ * Create a compact select for an inline editor row.
+ * @param {Object.<string, string>} options - Option value -> display text
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLSelectElement}
+ */
+function createOptionSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    select.style.cssText = `
+      flex: 1;
+      min-width: 0;
+      background: #222;
+      border: 1px solid #444;
+      color: #fff;
+      padding: 2px 4px;
+      border-radius: 3px;
+      font-size: 11px;
+    `;
+    for (const [optionValue, text] of Object.entries(options)) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        if (optionValue === value) option.selected = true;
+        select.appendChild(option);
+    }
+    select.onchange = () => onChange(select.value);
+    return select;
+}
+
+/**
+ * Add an editor for the modulation matrix.
+ * Each modulator routes a source (audio level, LFO or envelope) to a numeric setting with
+ * an amount, response curve and smoothing; modulated sliders show a live marker.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object (the editor edits settings.modulations)
+ * @param {Function} [onChange] - Callback when the modulators change
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createModulationEditor(container, settings, onChange) {
+    const setting = settings.modulations;
+    const modFolder = createFolder(setting.label, container);
+    const targets = Object.fromEntries(getModulatableKeys(settings).map(key => [key, settings[key].label]));
+    
+    // Controls only produce valid values, so modulators are edited in place and only
+    // normalized on a rebuild (rebuilding mid-drag would drop the slider)
+    const commit = (rebuild = false) => {
+        if (rebuild) render();
+        if (onChange) onChange(setting);
+    };
+    
+    const render = () => {
+        modFolder.content.innerHTML = '';
+        setting.value = normalizeModulators(setting.value);
+        const modulators = setting.value;
+        
+        modulators.forEach((mod, i) => {
+            const targetRow = document.createElement('div');
+            targetRow.className = 'control-row';
+            targetRow.style.gap = '4px';
+            targetRow.appendChild(createOptionSelect(targets, mod.target, (value) => {
+                mod.target = value;
+                commit();
+            }));
+            addButton(targetRow, '×', () => {
+                modulators.splice(i, 1);
+                commit(true);
+            });
+            modFolder.content.appendChild(targetRow);
+            
+            const sourceRow = document.createElement('div');
+            sourceRow.className = 'control-row';
+            sourceRow.style.gap = '4px';
+            sourceRow.appendChild(createOptionSelect(MODULATION_SOURCES, mod.source, (value) => {
+                mod.source = value;
+                commit(true);
+            }));
+            if (mod.source !== 'lfo' && mod.source !== 'envelope') {
+                const inputs = Object.fromEntries(ENVELOPE_SOURCES.map(input => [input, input]));
+                sourceRow.appendChild(createOptionSelect(inputs, mod.input, (value) => {
+                    mod.input = value;
+                    commit();
+                }));
+            }
+            const curves = Object.fromEntries(Object.keys(MODULATION_CURVES).map(curve => [curve, curve]));
+            sourceRow.appendChild(createOptionSelect(curves, mod.curve, (value) => {
+                mod.curve = value;
+                commit();
+            }));
+            modFolder.content.appendChild(sourceRow);
+            
+            // Proxies so addSlider edits the modulator in place
+            const field = (key, min, max, label) => addSlider(modFolder.content, {
+                get value() { return mod[key]; },
+                set value(v) { mod[key] = v; },
+                min,
+                max,
+                label
+            }, () => commit());
+            
+            if (mod.source === 'lfo') {
+                const lfoRow = document.createElement('div');
+                lfoRow.className = 'control-row';
+                lfoRow.style.gap = '4px';
+                const shapes = Object.fromEntries(Object.keys(LFO_SHAPES).map(shape => [shape, shape]));
+                lfoRow.appendChild(createOptionSelect(shapes, mod.shape, (value) => {
+                    mod.shape = value;
+                    commit();
+                }));
+                const divisions = Object.fromEntries(Object.keys(LFO_DIVISIONS).map(division => [division, division === 'free' ? 'Hz' : division]));
+                lfoRow.appendChild(createOptionSelect(divisions, mod.division, (value) => {
+                    mod.division = value;
+                    commit(true);
+                }));
+                modFolder.content.appendChild(lfoRow);
+            } else if (mod.source === 'envelope') {
+                const envelopeRow = document.createElement('div');
+                envelopeRow.className = 'control-row';
+                envelopeRow.style.gap = '4px';
+                envelopeRow.appendChild(createOptionSelect(ENVELOPE_TRIGGERS, mod.trigger, (value) => {
+                    mod.trigger = value;
+                    commit(true);
+                }));
+                if (mod.trigger === 'key') {
+                    const key = document.createElement('input');
+                    key.type = 'text';
+                    key.maxLength = 1;
+                    key.value = mod.key;
+                    key.title = 'Trigger key';
+                    key.style.cssText = `
+                      width: 24px;
+                      background: #222;
+                      border: 1px solid #444;
+                      color: #fff;
+                      padding: 2px 4px;
+                      border-radius: 3px;
+                      font-size: 11px;
+                      text-align: center;
+                    `;
+                    key.onchange = () => {
+                        if (key.value.length === 1) mod.key = key.value;
+                        key.value = mod.key;
+                        commit();
+                    };
+                    envelopeRow.appendChild(key);
+                }
+                modFolder.content.appendChild(envelopeRow);
+            }
+            
+            field('amount', -1, 1, 'Amount');
+            field('smoothing', 0, 1000, 'Smoothing (ms)');
+            if (mod.source === 'lfo') {
+                if (mod.division === 'free') field('rate', 0.01, 4, 'LFO Rate (Hz)');
+                field('phase', 0, 1, 'LFO Phase');
+            } else if (mod.source === 'envelope') {
+                field('attack', 0, 1000, 'Attack (ms)');
+                field('decay', 0, 4000, 'Decay (ms)');
+            }
+        });
+        
+        const addRow = document.createElement('div');
+        addRow.className = 'control-row';
+        addButton(addRow, '+ Add Modulator', () => {
+            modulators.push(createModulator(Object.keys(targets)[0]));
+            commit(true);
+        });
+        modFolder.content.appendChild(addRow);
+    };
+    
+    render();
+    settingElements.set(modFolder.folder, setting);
+    return modFolder;
+}
+
+/**
+ * Add a checkbox control to a container.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} setting - Setting object with value and label
+ * @param {Function} [onChange] - Callback when value changes
+ * @returns {HTMLElement} The created row element
+ */
+export function addCheckbox(container, setting, onChange) {
+  return addSlider(container, setting, onChange);
+}
+
+/** @type {Function|null} Applies a loaded preset (settings, scene and GUI), see setPresetLoader */
+let presetLoader = null;
+
+/**
+ * Set the function that applies a loaded preset.
+ * The app switches to the preset's scene and rebuilds the GUI; without a loader the
+ * preset's values are applied to the settings in place.
+ * @param {Function|null} loader - Called with the Preset to load
+ */
+export function setPresetLoader(loader) {
+    presetLoader = loader;
+}
+
+/** @type {{start: Function, stop: Function}|null} Morphs to a preset over time, see setPresetMorpher */
+let presetMorpher = null;
+
+/** A/B crossfade between two presets; kept across GUI rebuilds */
+const crossfade = { a: '', b: '', position: 0, values: null };
+
+/**
+ * Set the functions that start and stop a morph to a preset.
+ * Without a morpher the Morph button loads the preset at once.
+ * @param {{start: Function, stop: Function}|null} morpher - start is called with the Preset
+ */
+export function setPresetMorpher(morpher) {
+    presetMorpher = morpher;
+}
+
+/** @type {Object|null} Undo/redo history (see settings/history.js), set by setSettingsHistory */
+let settingsHistory = null;
+
+/** @type {{undo: HTMLButtonElement, redo: HTMLButtonElement}|null} Toolbar buttons of the current GUI */
+let historyButtons = null;
+
+/**
+ * Set the undo/redo history the GUI toolbar controls.
+ * @param {Object|null} history - History from createSettingsHistory
+ */
+export function setSettingsHistory(history) {
+    settingsHistory = history;
+    if (history) history.onChange(updateHistoryButtons);
+}
+
+/**
+ * Enable the toolbar buttons that have a step to undo or redo.
+ */
+function updateHistoryButtons() {
+    if (!historyButtons || !settingsHistory) return;
+    const { undo, redo } = historyButtons;
+    undo.disabled = !settingsHistory.canUndo();
+    redo.disabled = !settingsHistory.canRedo();
+    undo.style.opacity = undo.disabled ? '0.4' : '1';
+    redo.style.opacity = redo.disabled ? '0.4' : '1';
+}
+
+/**
+ * Add the undo/redo toolbar.
+ * @param {HTMLElement} container - Container element
+ * @returns {HTMLElement|null} The toolbar row, null without a history
+ */
+export function createHistoryToolbar(container) {
+    if (!settingsHistory) return null;
+    
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.style.gap = '4px';
+    row.style.marginBottom = '10px';
+    const undo = addButton(row, '↶ Undo', () => settingsHistory.undo());
+    undo.title = 'Undo (Ctrl+Z)';
+    const redo = addButton(row, '↷ Redo', () => settingsHistory.redo());
+    redo.title = 'Redo (Ctrl+Shift+Z)';
+    container.appendChild(row);
+    
+    historyButtons = { undo, redo };
+    updateHistoryButtons();
+    return row;
+}
+
+/** Settings that reset buttons leave alone: Spout output is switched on and off by the main process */
+const RESET_EXCLUDED_KEYS = SETTING_CATEGORIES.spout;
+
+/** @type {Function|null} Shows reset settings (GUI and scene), see setSettingsResetHandler */
+let settingsResetHandler = null;
+
+/**
+ * Set the function called after settings are reset to their defaults.
+ * The app rebuilds the GUI so the controls show the defaults; without a handler only
+ * the GUI's onChange callback runs.
+ * @param {Function|null} handler - Called with the keys that were reset
+ */
+export function setSettingsResetHandler(handler) {
+    settingsResetHandler = handler;
+}
+
+/**
+ * Reset settings to their defaults and report the change.
+ * @param {Object} settings - Settings object
+ * @param {string[]} keys - Keys to reset
+ * @param {Function} [onChange] - Callback when no reset handler is set
+ */
+function resetToDefaults(settings, keys, onChange) {
+    const reset = resetSettings(settings, keys.filter(key => !RESET_EXCLUDED_KEYS.includes(key)));
+    console.log(`[GUI] Reset ${reset.length} setting(s) to defaults`);
+    if (settingsResetHandler) settingsResetHandler(reset);
+    else if (onChange) onChange();
+}
+
+/** Recent randomized and mutated states; kept across GUI rebuilds */
+const generationHistory = createGenerationHistory();
+
+/** @type {HTMLElement|null} Generation position readout of the current GUI */
+let generationStatus = null;
+
+/**
+ * Show which generated state is current.
+ */
+function updateGenerationStatus() {
+    if (!generationStatus) return;
+    const { index, count } = generationHistory.getPosition();
+    generationStatus.textContent = count ? `State ${index + 1}/${count}` : '';
+}
+
+/**
+ * Randomize or mutate settings, recording the states before and after in the
+ * generation history.
+ * @param {Object} settings - Settings object
+ * @param {string[]} keys - Keys to change (locked and excluded keys are skipped)
+ * @param {boolean} mutate - Mutate by settings.mutateAmount instead of randomizing
+ * @param {Function} [onChange] - Callback after the change
+ */
+function generateLook(settings, keys, mutate, onChange) {
+    generationHistory.record(settings);
+    const changed = mutate
+        ? mutateSettings(settings, keys, settings.mutateAmount.value / 100)
+        : randomizeSettings(settings, keys);
+    if (changed.length === 0) return;
+    generationHistory.record(settings);
+    console.log(`[GUI] ${mutate ? 'Mutated' : 'Randomized'} ${changed.length} setting(s)`);
+    refreshControls();
+    updateGenerationStatus();
+    if (onChange) onChange();
+}
+
+/**
+ * Apply a state from the generation history, keeping locked settings.
+ * @param {Object} settings - Settings object
+ * @param {Object|null} values - Values from back() or forward()
+ * @param {Function} [onChange] - Callback after the change
+ */
+function applyGeneratedState(settings, values, onChange) {
+    if (!values) return;
+    for (const key of settings.randomizeLocks.value) delete values[key];
+    deserializeSettings(settings, values);
+    refreshControls();
+    updateGenerationStatus();
+    if (onChange) onChange();
+}
+
+/**
+ * Create the randomize folder: randomize or mutate every unlocked setting and step
+ * through the recently generated states.
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object
+ * @param {Function} [onChange] - Callback when settings change
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createRandomizeFolder(container, settings, onChange) {
+    const randomFolder = createFolder('Randomize', container);
+    addSlider(randomFolder.content, settings.mutateAmount, onChange);
+    
+    const generateRow = document.createElement('div');
+    generateRow.className = 'control-row';
+    generateRow.style.gap = '4px';
+    addButton(generateRow, 'Randomize All', () => generateLook(settings, Object.keys(settings), false, onChange));
+    addButton(generateRow, 'Mutate All', () => generateLook(settings, Object.keys(settings), true, onChange));
+    addButton(generateRow, 'Unlock All', () => {
+        settings.randomizeLocks.value = [];
+        randomFolder.folder.closest('#controls')?.querySelectorAll('.control-row.locked')
+            .forEach(row => setLockState(row, false));
+        if (onChange) onChange();
+    });
+    randomFolder.content.appendChild(generateRow);
+    
+    const stepRow = document.createElement('div');
+    stepRow.className = 'control-row';
+    stepRow.style.gap = '4px';
+    addButton(stepRow, '◀ Back', () => applyGeneratedState(settings, generationHistory.back(), onChange));
+    addButton(stepRow, 'Forward ▶', () => applyGeneratedState(settings, generationHistory.forward(), onChange));
+    generationStatus = document.createElement('span');
+    generationStatus.className = 'value';
+    generationStatus.style.width = 'auto';
+    stepRow.appendChild(generationStatus);
+    randomFolder.content.appendChild(stepRow);
+    updateGenerationStatus();
+    
+    return randomFolder;
+}
+
+/**
+ * Show a row's lock state.
+ * @param {HTMLElement} row - Control row with a lock toggle
+ * @param {boolean} locked - Whether the setting is locked
+ */
+function setLockState(row, locked) {
+    row.classList.toggle('locked', locked);
+    const toggle = row.querySelector('.lock-toggle');
+    if (toggle) {
+        toggle.textContent = locked ? '🔒' : '🔓';
+        toggle.title = locked ? 'Locked: randomize and mutate skip this setting' : 'Lock against randomize and mutate';
+    }
+}
+
+/**
+ * Add the folder actions to every folder that shows settings: reset to defaults,
+ * randomize and mutate (nested folders included), and a lock toggle on each
+ * randomizable setting.
+ * @param {HTMLElement} container - Container with the folders
+ * @param {Object} settings - Settings object
+ * @param {Function} [onChange] - Callback when settings change
+ */
+export function addFolderActions(container, settings, onChange) {
+    const keysBySetting = new Map(Object.entries(settings).map(([key, setting]) => [setting, key]));
+    
+    container.querySelectorAll('.control-row').forEach(row => {
+        const key = keysBySetting.get(settingElements.get(row));
+        if (!key || !isRandomizable(key)) return;
+        const toggle = document.createElement('button');
+        toggle.className = 'lock-toggle';
+        toggle.onclick = () => {
+            const locks = settings.randomizeLocks.value;
+            const locked = !locks.includes(key);
+            settings.randomizeLocks.value = locked ? [...locks, key] : locks.filter(k => k !== key);
+            setLockState(row, locked);
+            if (onChange) onChange();
+        };
+        row.appendChild(toggle);
+        setLockState(row, settings.randomizeLocks.value.includes(key));
+    });
+    
+    container.querySelectorAll('.folder').forEach(folder => {
+        const keys = [folder, ...folder.querySelectorAll('.control-row, .folder')]
+            .map(element => keysBySetting.get(settingElements.get(element)))
+            .filter(key => key && !RESET_EXCLUDED_KEYS.includes(key));
+        if (keys.length === 0) return;
+        
+        const heading = folder.querySelector('h3');
+        const name = heading.textContent.replace(/ [▼▶]$/, '');
+        const actions = document.createElement('span');
+        actions.className = 'folder-actions';
+        const addAction = (text, title, action) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                action();
+            };
+            actions.appendChild(button);
+        };
+        if (keys.some(isRandomizable)) {
+            addAction('⚄', `Randomize ${name}`, () => generateLook(settings, keys, false, onChange));
+            addAction('≈', `Mutate ${name}`, () => generateLook(settings, keys, true, onChange));
+        }
+        addAction('↺', `Reset ${name} to defaults`, () => resetToDefaults(settings, keys, onChange));
+        folder.insertBefore(actions, heading.nextSibling);
+    });
+}
+
+/**
+ * Create the preset browser: save the current settings under a name, then load,
+ * overwrite, rename, duplicate, delete, export or import presets, copy a link
+ * that reproduces the current look, or reset every setting to its default.
+ * The Morph folder morphs to the selected preset over time and crossfades between
+ * two presets (A/B).
+ * @param {HTMLElement} container - Container element
+ * @param {Object} settings - Settings object
+ * @param {Function} [onChange] - Callback when a loaded preset changes the settings
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
+ */
+export function createPresetFolder(container, settings, onChange) {
+    const presetFolder = createFolder('Presets', container);
+    
+    const inputStyle = `
+      flex: 1;
+      min-width: 0;
+      background: #222;
+      border: 1px solid #444;
+      color: #fff;
+      padding: 2px 4px;
+      border-radius: 3px;
+      font-size: 11px;
+    `;
     
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.value = setting.value;
-    input.style.flex = '1';
-    input.style.marginLeft = '8px';
-    input.style.background = '#222';
-    input.style.border = '1px solid #444';
-    input.style.color = '#fff';
-    input.style.padding = '4px 8px';
-    input.style.borderRadius = '3px';
+    const nameRow = document.createElement('div');
+    nameRow.className = 'control-row';
+    nameRow.style.gap = '4px';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Preset name';
+    nameInput.style.cssText = inputStyle;
+    nameRow.appendChild(nameInput);
+    presetFolder.content.appendChild(nameRow);
     
-    input.onchange = () => {
-        setting.value = input.value;
-        if (onChange) onChange(setting);
+    const listRow = document.createElement('div');
+    listRow.className = 'control-row';
+    listRow.style.gap = '4px';
+    const list = document.createElement('select');
+    list.style.cssText = inputStyle;
+    list.onchange = () => {
+        nameInput.value = list.value;
     };
+    listRow.appendChild(list);
+    presetFolder.content.appendChild(listRow);
     
-    row.appendChild(label);
-    row.appendChild(input);
-    container.appendChild(row);
-    return row;
+    const editRow = document.createElement('div');
+    editRow.className = 'control-row';
+    editRow.style.gap = '4px';
+    presetFolder.content.appendChild(editRow);
+    
+    const fileRow = document.createElement('div');
+    fileRow.className = 'control-row';
+    fileRow.style.gap = '4px';
+    presetFolder.content.appendChild(fileRow);
+    
+    const status = document.createElement('div');
+    status.className = 'value';
+    status.style.cssText = 'width: auto; text-align: left; min-height: 12px;';
+    presetFolder.content.appendChild(status);
+    
+    /** @type {Array<import('../settings/presets.js').Preset>} */
+    let presets = [];
+    
+    const refresh = async (selected = list.value) => {
+        try {
+            presets = await listPresets();
+        } catch (err) {
+            status.textContent = err.message;
+            return;
+        }
+        list.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = presets.length ? 'Select a preset...' : 'No presets saved';
+        list.appendChild(placeholder);
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = hasScene(preset.sceneType)
+                ? `${preset.name} (${getSceneName(preset.sceneType)})`
+                : preset.name;
+            list.appendChild(option);
+        }
+        list.value = presets.some(p => p.name === selected) ? selected : '';
+        
+        // Presets may have changed, so the crossfade resolves them again
+        crossfade.values = null;
+        for (const [select, side] of [[selectA, 'a'], [selectB, 'b']]) {
+            select.innerHTML = '';
+            for (const name of ['', ...presets.map(p => p.name)]) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name || `Preset ${side.toUpperCase()}...`;
+                select.appendChild(option);
+            }
+            if (!presets.some(p => p.name === crossfade[side])) crossfade[side] = '';
+            select.value = crossfade[side];
+        }
+    };
+    
+    // Run a preset action, reporting its result or error in the status line
+    const run = async (action) => {
+        try {
+            const message = await action();
+            if (message) status.textContent = message;
+        } catch (err) {
+            console.warn('[GUI] Preset action failed:', err.message);
+            status.textContent = err.message;
+        }
+    };
+    
+    const selectedPreset = () => {
+        const preset = presets.find(p => p.name === list.value);
+        if (!preset) throw new Error('Select a preset first');
+        return preset;
+    };
+    
+    const typedName = () => {
+        const name = nameInput.value.trim();
+        if (!name) throw new Error('Enter a preset name');
+        return name;
+    };
+    
+    addButton(nameRow, 'Save As', () => run(async () => {
+        const name = typedName();
+        if (presets.some(p => p.name === name)) throw new Error(`"${name}" exists, use Overwrite`);
+        await savePreset(createPreset(name, settings, getCurrentSceneType()));
+        await refresh(name);
+        return `Saved "${name}"`;
+    }));
+    
+    addButton(listRow, 'Load', () => run(async () => {
+        const preset = selectedPreset();
+        if (presetLoader) {
+            await presetLoader(preset);
+        } else {
+            applyPreset(preset, settings);
+            if (onChange) onChange();
+        }
+        return `Loaded "${preset.name}"`;
+    }));
+    
+    addButton(editRow, 'Overwrite', () => run(async () => {
+        const { name } = selectedPreset();
+        await savePreset(createPreset(name, settings, getCurrentSceneType()));
+        await refresh(name);
+        return `Overwrote "${name}"`;
+    }));
+    addButton(editRow, 'Rename', () => run(async () => {
+        const { name } = selectedPreset();
+        const newName = typedName();
+        if (newName === name) return null;
+        await renamePreset(name, newName);
+        await refresh(newName);
+        return `Renamed to "${newName}"`;
+    }));
+    addButton(editRow, 'Duplicate', () => run(async () => {
+        const copy = await duplicatePreset(selectedPreset().name);
+        await refresh(copy.name);
+        nameInput.value = copy.name;
+        return `Duplicated as "${copy.name}"`;
+    }));
+    addButton(editRow, 'Delete', () => run(async () => {
+        const { name } = selectedPreset();
+        if (!window.confirm(`Delete preset "${name}"?`)) return null;
+        await deletePreset(name);
+        await refresh('');
+        return `Deleted "${name}"`;
+    }));
+    
+    const download = (text, filename) => {
+        const blob = new Blob([text], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+    
+    addButton(fileRow, 'Export', () => run(() => {
+        const preset = selectedPreset();
+        download(exportPresets([preset]), `${preset.name.replace(/[^\w.-]+/g, '_')}.preset.json`);
+        return `Exported "${preset.name}"`;
+    }));
+    addButton(fileRow, 'Export All', () => run(() => {
+        if (presets.length === 0) throw new Error('No presets to export');
+        download(exportPresets(presets), 'presets.json');
+        return `Exported ${presets.length} preset(s)`;
+    }));
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.onchange = () => run(async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return null;
+        const names = await importPresets(await file.text());
+        await refresh(names[0]);
+        return `Imported ${names.length} preset(s)`;
+    });
+    fileRow.appendChild(fileInput);
+    addButton(fileRow, 'Import', () => fileInput.click());
+    
+    // Link that reproduces the current look (see settings/url-state.js)
+    const shareRow = document.createElement('div');
+    shareRow.className = 'control-row';
+    shareRow.style.gap = '4px';
+    addButton(shareRow, 'Copy Link', () => run(async () => {
+        const sceneType = getCurrentSceneType();
+        const url = await createShareUrl(createUrlState(settings, { sceneType, model: currentModelPath }));
+        history.replaceState(null, '', url);
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (err) {
+            // Clipboard access can be denied; the link is still in the address bar
+            return 'Link is in the address bar (clipboard unavailable)';
+        }
+        return 'Link copied';
+    }));
+    addButton(shareRow, 'Reset All', () => run(() => {
+        if (!window.confirm('Reset all settings to their defaults?')) return null;
+        resetToDefaults(settings, Object.keys(settings), onChange);
+        return 'Reset to defaults';
+    }));
+    presetFolder.content.insertBefore(shareRow, status);
+    
+    // Morph to the selected preset over time, or crossfade between two presets
+    const morphFolder = createFolder('Morph', presetFolder.content);
+    addSlider(morphFolder.content, settings.morphDuration, onChange);
+    addSelect(morphFolder.content, settings.morphUnit, onChange);
+    addSelect(morphFolder.content, settings.morphEasing, onChange);
+    addSlider(morphFolder.content, settings.morphFlipPoint, onChange);
+    
+    const morphRow = document.createElement('div');
+    morphRow.className = 'control-row';
+    morphRow.style.gap = '4px';
+    addButton(morphRow, 'Morph To Selected', () => run(async () => {
+        const preset = selectedPreset();
+        if (presetMorpher) {
+            presetMorpher.start(preset);
+            return `Morphing to "${preset.name}"`;
+        }
+        applyPreset(preset, settings);
+        if (onChange) onChange();
+        return `Loaded "${preset.name}"`;
+    }));
+    addButton(morphRow, 'Stop', () => {
+        if (presetMorpher) presetMorpher.stop();
+    });
+    morphFolder.content.appendChild(morphRow);
+    
+    const abRow = document.createElement('div');
+    abRow.className = 'control-row';
+    abRow.style.gap = '4px';
+    const selectA = document.createElement('select');
+    selectA.style.cssText = inputStyle;
+    const selectB = document.createElement('select');
+    selectB.style.cssText = inputStyle;
+    abRow.appendChild(selectA);
+    abRow.appendChild(selectB);
+    morphFolder.content.appendChild(abRow);
+    
+    const fadeRow = document.createElement('div');
+    fadeRow.className = 'control-row';
+    const fadeLabel = document.createElement('label');
+    fadeLabel.textContent = 'A ↔ B';
+    const fader = document.createElement('input');
+    fader.type = 'range';
+    fader.min = 0;
+    fader.max = 1;
+    fader.step = 0.01;
+    fader.value = crossfade.position;
+    const fadeValue = document.createElement('span');
+    fadeValue.className = 'value';
+    fadeValue.textContent = crossfade.position.toFixed(2);
+    fadeRow.appendChild(fadeLabel);
+    fadeRow.appendChild(fader);
+    fadeRow.appendChild(fadeValue);
+    morphFolder.content.appendChild(fadeRow);
+    
+    selectA.onchange = () => {
+        crossfade.a = selectA.value;
+        crossfade.values = null;
+    };
+    selectB.onchange = () => {
+        crossfade.b = selectB.value;
+        crossfade.values = null;
+    };
+    
+    fader.oninput = () => {
+        crossfade.position = parseFloat(fader.value);
+        fadeValue.textContent = crossfade.position.toFixed(2);
+        const presetA = presets.find(p => p.name === crossfade.a);
+        const presetB = presets.find(p => p.name === crossfade.b);
+        if (!presetA || !presetB) {
+            status.textContent = 'Select presets A and B';
+            return;
+        }
+        // Both ends are resolved against the same settings, once per selection
+        if (!crossfade.values) {
+            crossfade.values = { a: resolvePresetValues(presetA, settings), b: resolvePresetValues(presetB, settings) };
+        }
+        if (presetMorpher) presetMorpher.stop();
+        deserializeSettings(settings, interpolateValues(crossfade.values.a, crossfade.values.b, crossfade.position, {
+            easing: settings.morphEasing.value,
+            flipAt: settings.morphFlipPoint.value
+        }));
+        refreshControls();
+        if (onChange) onChange();
+    };
+    
+    refresh();
+    return presetFolder;
 }
 
 /**
- * Add a checkbox control to a container.
+ * Create the shared audio analysis folder used by every scene GUI.
+ * @param {Object} settings - Settings object
  * @param {HTMLElement} container - Container element
- * @param {Object} setting - Setting object with value and label
- * @param {Function} [onChange] - Callback when value changes
- * @returns {HTMLElement} The created row element
+ * @param {Function} handleChange - Callback when a setting changes
+ * @returns {{folder: HTMLElement, content: HTMLElement}}
  */
-export function addCheckbox(container, setting, onChange) {
-  return addSlider(container, setting, onChange);
+export function createAudioFolder(settings, container, handleChange) {
+  const audioFolder = createFolder('Audio', container);
+  createSourceFolder(audioFolder.content, settings, handleChange);
+  createLatencyFolder(audioFolder.content, settings, handleChange);
+  addSlider(audioFolder.content, settings.bassSensitivity, handleChange);
+  addSlider(audioFolder.content, settings.midSensitivity, handleChange);
+  addSlider(audioFolder.content, settings.highSensitivity, handleChange);
+  addSlider(audioFolder.content, settings.beatThreshold, handleChange);
+  addTempoControls(audioFolder.content);
+  addHarmonyReadout(audioFolder.content);
+  addTraceControls(audioFolder.content);
+  createAutoGainFolder(audioFolder.content, settings, handleChange);
+  createTestSignalFolder(audioFolder.content);
+  
+  const envelopeFolder = createFolder('Envelope', audioFolder.content);
+  addSlider(envelopeFolder.content, settings.envelopeAttack, handleChange);
+  addSlider(envelopeFolder.content, settings.envelopeRelease, handleChange);
+  addSlider(envelopeFolder.content, settings.envelopePeakHold, handleChange);
+  addSlider(envelopeFolder.content, settings.envelopePeakDecay, handleChange);
+  addSlider(envelopeFolder.content, settings.envelopeFloor, handleChange);
+  addSlider(envelopeFolder.content, settings.analyserSmoothing, handleChange);
+  
+  createBandEditor(audioFolder.content, settings.audioBands, handleChange);
+  return audioFolder;
+}
+
+/** @type {Function|null} Unsubscribes the scene selector from scene registrations */
+let unsubscribeSceneSelector = null;
+
+/**
+ * Show a scene's thumbnail, or hide the image if it has none.
+ * @param {HTMLImageElement} thumbnail - Thumbnail image
+ * @param {string} sceneType - Scene type
+ */
+function updateSceneThumbnail(thumbnail, sceneType) {
+  const url = getSceneDescriptor(sceneType)?.thumbnail;
+  if (url) thumbnail.src = url;
+  else thumbnail.removeAttribute('src');
+  thumbnail.style.display = url ? '' : 'none';
 }
 
 /**
@@ -204,23 +1644,84 @@ export function createSceneSelector(currentScene, onSceneChange) {
     min-width: 140px;
   `;
 
-  // Add scene options
-  Object.entries(SCENE_NAMES).forEach(([key, name]) => {
-    const option = document.createElement('option');
-    option.value = key;
-    option.textContent = name;
-    if (key === currentScene) option.selected = true;
-    select.appendChild(option);
-  });
+  // Thumbnail of the selected scene, for scenes that have one
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'scene-thumbnail';
+  thumbnail.alt = '';
+  thumbnail.style.cssText = `
+    width: 40px;
+    height: 24px;
+    object-fit: cover;
+    border-radius: 3px;
+  `;
+
+  // Add scene options; plugin scenes registered later are added as they come
+  const renderOptions = () => {
+    const selected = select.value || currentScene;
+    select.innerHTML = '';
+    getAvailableScenes().forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = getSceneName(key);
+      if (key === selected) option.selected = true;
+      select.appendChild(option);
+    });
+    updateSceneThumbnail(thumbnail, select.value);
+  };
+  renderOptions();
+  if (unsubscribeSceneSelector) unsubscribeSceneSelector();
+  unsubscribeSceneSelector = onSceneRegistered(renderOptions);
 
   // Handle change
   select.addEventListener('change', (e) => {
     const newScene = e.target.value;
+    updateSceneThumbnail(thumbnail, newScene);
     if (onSceneChange) onSceneChange(newScene);
   });
 
+  const buttonStyle = `
+    background: #333;
+    color: #fff;
+    border: 1px solid #555;
+    border-radius: 3px;
+    padding: 2px 6px;
+    font-size: 12px;
+    cursor: pointer;
+  `;
+
+  // Load a scene plugin from a URL and switch to its first scene
+  const addPluginBtn = document.createElement('button');
+  addPluginBtn.textContent = '+';
+  addPluginBtn.title = 'Load a scene plugin from a URL';
+  addPluginBtn.style.cssText = buttonStyle;
+  addPluginBtn.onclick = async () => {
+    const url = prompt('Scene plugin URL (JavaScript module):');
+    if (!url || !url.trim()) return;
+    try {
+      const [sceneType] = await addScenePlugin(url.trim());
+      select.value = sceneType;
+      updateSceneThumbnail(thumbnail, sceneType);
+      if (onSceneChange) onSceneChange(sceneType);
+    } catch (err) {
+      console.error('[GUI] Could not load scene plugin:', err);
+      alert(`Could not load scene plugin: ${err.message}`);
+    }
+  };
+
   container.appendChild(label);
+  container.appendChild(thumbnail);
   container.appendChild(select);
+  container.appendChild(addPluginBtn);
+
+  // Scenes dropped into the plugin folder are loaded on the next launch
+  if (hasScenePluginFolder()) {
+    const folderBtn = document.createElement('button');
+    folderBtn.textContent = '📁';
+    folderBtn.title = 'Open the scene plugin folder (plugins load on the next launch)';
+    folderBtn.style.cssText = buttonStyle;
+    folderBtn.onclick = () => openScenePluginFolder();
+    container.appendChild(folderBtn);
+  }
   document.body.appendChild(container);
 
   // Apply fade behavior
@@ -238,9 +1739,105 @@ export function updateSceneSelector(sceneType) {
   if (selector) {
     const select = selector.querySelector('select');
     if (select) select.value = sceneType;
+    const thumbnail = selector.querySelector('.scene-thumbnail');
+    if (thumbnail) updateSceneThumbnail(thumbnail, sceneType);
   }
 }
 
+/**
+ * List scene plugins that a `?scenePlugin=` link requested from another site, below the
+ * scene selector. With `onLoad` each plugin gets Load and Ignore buttons; without it
+ * (OBS, autostart) the plugins are only reported as skipped and the notice hides itself.
+ * @param {string[]} urls - Plugin URLs
+ * @param {Function} [onLoad] - Called with an accepted URL, returns a promise
+ */
+export function showScenePluginRequests(urls, onLoad) {
+  const existing = document.getElementById('scene-plugin-requests');
+  if (existing) existing.remove();
+  if (!urls.length) return;
+
+  const container = document.createElement('div');
+  container.id = 'scene-plugin-requests';
+  container.style.cssText = `
+    position: fixed;
+    top: 56px;
+    left: 10px;
+    z-index: 200;
+    max-width: 420px;
+    background: rgba(20, 23, 26, 0.9);
+    padding: 8px 12px;
+    border-radius: 5px;
+    color: #fff;
+    font-size: 12px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const heading = document.createElement('div');
+  heading.textContent = onLoad
+    ? 'This link wants to load scene plugins from another site. Plugins run with full access to the app (audio input, presets, session) - only load plugins you trust.'
+    : 'Skipped scene plugins from another site; load them with the scene selector\'s + button.';
+  heading.style.cssText = 'color: #aaa; margin-bottom: 6px;';
+  container.appendChild(heading);
+
+  const buttonStyle = `
+    background: #333;
+    color: #fff;
+    border: 1px solid #555;
+    border-radius: 3px;
+    padding: 2px 6px;
+    font-size: 12px;
+    cursor: pointer;
+  `;
+
+  const removeRow = (row) => {
+    row.remove();
+    if (!container.querySelector('.scene-plugin-request')) container.remove();
+  };
+
+  urls.forEach(url => {
+    const row = document.createElement('div');
+    row.className = 'scene-plugin-request';
+    row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-top: 4px;';
+
+    const label = document.createElement('span');
+    label.textContent = url;
+    label.title = url;
+    label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    row.appendChild(label);
+
+    if (onLoad) {
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      loadBtn.style.cssText = buttonStyle;
+      loadBtn.onclick = async () => {
+        loadBtn.disabled = true;
+        try {
+          await onLoad(url);
+          removeRow(row);
+        } catch (err) {
+          console.error('[GUI] Could not load scene plugin:', err);
+          label.textContent = `Could not load ${url}: ${err.message}`;
+          loadBtn.disabled = false;
+        }
+      };
+      row.appendChild(loadBtn);
+
+      const ignoreBtn = document.createElement('button');
+      ignoreBtn.textContent = 'Ignore';
+      ignoreBtn.style.cssText = buttonStyle;
+      ignoreBtn.onclick = () => {
+        console.warn('[GUI] Declined scene plugin:', url);
+        removeRow(row);
+      };
+      row.appendChild(ignoreBtn);
+    }
+    container.appendChild(row);
+  });
+
+  document.body.appendChild(container);
+  if (!onLoad) setTimeout(() => container.remove(), 15000);
+}
+
 /**
  * Create the full settings GUI.
  * @param {Object} settings - Settings object with all parameters
@@ -273,25 +1870,29 @@ export function createGUI(settings, customContainer, onSettingChange) {
     addSlider(audioFolder.content, settings.bassSensitivity, handleChange);
     addSlider(audioFolder.content, settings.midSensitivity, handleChange);
     addSlider(audioFolder.content, settings.highSensitivity, handleChange);
+    addSlider(audioFolder.content, settings.beatThreshold, handleChange);
     container.appendChild(audioFolder.folder);
     
     // Bass Response folder
     const bassFolder = createFolder('Bass Response');
-    addSlider(bassFolder.content, settings.bassSpawnRate, handleChange);
-    addSlider(bassFolder.content, settings.bassRadius, handleChange);
     addSlider(bassFolder.content, settings.bassBloom, handleChange);
     container.appendChild(bassFolder.folder);
     
     // Mid Response folder
     const midFolder = createFolder('Mid Response');
-    addSlider(midFolder.content, settings.midTurbulence, handleChange);
     addSlider(midFolder.content, settings.midFrequency, handleChange);
     addSlider(midFolder.content, settings.midSpeed, handleChange);
     container.appendChild(midFolder.folder);
     
+    // Stereo folder
+    const stereoFolder = createFolder('Stereo');
+    addSlider(stereoFolder.content, settings.stereoPan, handleChange);
+    addSlider(stereoFolder.content, settings.stereoSpread, handleChange);
+    container.appendChild(stereoFolder.folder);
+    
     // High Response folder
     const highFolder = createFolder('High Response');
-    addSlider(highFolder.content, settings.highSize, handleChange);
+    addSlider(highFolder.content, settings.spectrumSize, handleChange);
     addSlider(highFolder.content, settings.highColorSpeed, handleChange);
     container.appendChild(highFolder.folder);
     
@@ -306,6 +1907,7 @@ export function createGUI(settings, customContainer, onSettingChange) {
     addSlider(baseFolder.content, settings.baseTurbulence, handleChange);
     addSlider(baseFolder.content, settings.baseSize, handleChange);
     addSlider(baseFolder.content, settings.baseRadius, handleChange);
+    addSlider(baseFolder.content, settings.colorVariance, handleChange);
     container.appendChild(baseFolder.folder);
     
     // Instanced Points folder
@@ -342,6 +1944,45 @@ export function createGUI(settings, customContainer, onSettingChange) {
     return { container, toggleBtn };
 }
 
+/**
+ * Add the Spout controls to an output folder, enabling and configuring the Spout
+ * window as they change (Electron only).
+ * @param {HTMLElement} container - Output folder content
+ * @param {Object} settings - Settings object
+ * @param {Function} [onChange] - Callback when Spout is enabled or disabled
+ */
+function addSpoutOutput(container, settings, onChange) {
+  createSpoutControls(container, settings, async (enabled) => {
+    if (enabled) {
+      const options = {
+        resolution: settings.spoutResolution?.value || '1080p',
+        frameSkip: settings.spoutFrameSkip?.value || 0
+      };
+      const result = await window.spoutAPI.enable(options);
+      if (result.success) {
+        settings.spoutEnabled.value = true;
+        if (onChange) onChange();
+      }
+    } else {
+      await window.spoutAPI.disable();
+      settings.spoutEnabled.value = false;
+      if (onChange) onChange();
+    }
+  }, async (name) => {
+    settings.spoutSenderName.value = name;
+    if (settings.spoutEnabled.value) {
+      await window.spoutAPI.updateName(name);
+    }
+  }, async (resolution) => {
+    settings.spoutResolution.value = resolution;
+  }, async (frameSkip) => {
+    settings.spoutFrameSkip.value = frameSkip;
+    if (settings.spoutEnabled.value) {
+      await window.spoutAPI.updateFrameSkip(frameSkip);
+    }
+  });
+}
+
 /**
  * Create Spout controls (Electron only).
  * @param {HTMLElement} container - Container to append controls to
@@ -491,58 +2132,53 @@ export function createPointsGUI(settings, container, onChange, isElectron) {
   // Clear existing content
   container.innerHTML = '';
 
-  // Point Size folder (4-slider)
+  createHistoryToolbar(container);
+  createPresetFolder(container, settings, handleChange);
+  createRandomizeFolder(container, settings, handleChange);
+
+  // Audio analysis folder
+  createAudioFolder(settings, container, handleChange);
+  createModulationEditor(container, settings, handleChange);
+
+  // Point Size folder
   const sizeFolder = createFolder('Point Size', container);
-  addSlider(sizeFolder.content, settings.pointsSizeIntensity, handleChange);
-  addSlider(sizeFolder.content, settings.pointsSizeBass, handleChange);
-  addSlider(sizeFolder.content, settings.pointsSizeMid, handleChange);
-  addSlider(sizeFolder.content, settings.pointsSizeHigh, handleChange);
+  addSlider(sizeFolder.content, settings.pointsSize, handleChange);
+  addSlider(sizeFolder.content, settings.pointsSizeSpectrum, handleChange);
 
-  // Radial Displacement folder (4-slider)
+  // Radial Displacement folder
   const displacementFolder = createFolder('Radial Displacement', container);
-  addSlider(displacementFolder.content, settings.pointsDisplacementIntensity, handleChange);
-  addSlider(displacementFolder.content, settings.pointsDisplacementBass, handleChange);
-  addSlider(displacementFolder.content, settings.pointsDisplacementMid, handleChange);
-  addSlider(displacementFolder.content, settings.pointsDisplacementHigh, handleChange);
+  addSlider(displacementFolder.content, settings.pointsDisplacement, handleChange);
 
-  // Pulse Speed folder (4-slider)
+  // Pulse Speed folder
   const pulseFolder = createFolder('Pulse Speed', container);
-  addSlider(pulseFolder.content, settings.pointsPulseIntensity, handleChange);
-  addSlider(pulseFolder.content, settings.pointsPulseBass, handleChange);
-  addSlider(pulseFolder.content, settings.pointsPulseMid, handleChange);
-  addSlider(pulseFolder.content, settings.pointsPulseHigh, handleChange);
+  addSlider(pulseFolder.content, settings.pointsPulseSpeed, handleChange);
+  addSelect(pulseFolder.content, settings.pointsPulseSync, handleChange);
 
-  // Rotation Speed folder (4-slider)
+  // Rotation Speed folder
   const rotationFolder = createFolder('Rotation Speed', container);
-  addSlider(rotationFolder.content, settings.pointsRotationIntensity, handleChange);
-  addSlider(rotationFolder.content, settings.pointsRotationBass, handleChange);
-  addSlider(rotationFolder.content, settings.pointsRotationMid, handleChange);
-  addSlider(rotationFolder.content, settings.pointsRotationHigh, handleChange);
+  addSlider(rotationFolder.content, settings.pointsRotationSpeed, handleChange);
+  addSlider(rotationFolder.content, settings.pointsRotationStereo, handleChange);
 
-  // Curve Count folder (4-slider)
+  // Curve Count folder
   const curveFolder = createFolder('Curve Count', container);
-  addSlider(curveFolder.content, settings.pointsCurveCountIntensity, handleChange);
-  addSlider(curveFolder.content, settings.pointsCurveCountBass, handleChange);
-  addSlider(curveFolder.content, settings.pointsCurveCountMid, handleChange);
-  addSlider(curveFolder.content, settings.pointsCurveCountHigh, handleChange);
+  addSlider(curveFolder.content, settings.pointsCurveCount, handleChange);
 
-  // Wave Speed folder (4-slider) - controls how fast the "snake" travels
+  // Wave Speed folder - controls how fast the "snake" travels
   const waveSpeedFolder = createFolder('Wave Speed', container);
-  addSlider(waveSpeedFolder.content, settings.pointsWaveSpeedIntensity, handleChange);
-  addSlider(waveSpeedFolder.content, settings.pointsWaveSpeedBass, handleChange);
-  addSlider(waveSpeedFolder.content, settings.pointsWaveSpeedMid, handleChange);
-  addSlider(waveSpeedFolder.content, settings.pointsWaveSpeedHigh, handleChange);
+  addSlider(waveSpeedFolder.content, settings.pointsWaveSpeed, handleChange);
+  addSelect(waveSpeedFolder.content, settings.pointsWaveSync, handleChange);
 
   // Wave Length folder (single slider) - controls how many points are in the wave chain
   const waveLengthFolder = createFolder('Wave Length', container);
   addSlider(waveLengthFolder.content, settings.pointsWaveLength, handleChange);
 
+  // Color folder
+  const colorFolder = createFolder('Color', container);
+  addSelect(colorFolder.content, settings.colorMode, handleChange);
+
   // Bloom folder (audio-reactive)
   const bloomFolder = createFolder('Bloom', container);
   addSlider(bloomFolder.content, settings.bloomIntensity, handleChange);
-  addSlider(bloomFolder.content, settings.bloomBass, handleChange);
-  addSlider(bloomFolder.content, settings.bloomMid, handleChange);
-  addSlider(bloomFolder.content, settings.bloomHigh, handleChange);
 
   // Output folder
   const outputFolder = createFolder('Output', container);
@@ -552,37 +2188,11 @@ export function createPointsGUI(settings, container, onChange, isElectron) {
 
   // Spout controls (Electron only)
   if (isElectron) {
-    createSpoutControls(outputFolder.content, settings, async (enabled) => {
-      if (enabled) {
-        const options = {
-          resolution: settings.spoutResolution?.value || '1080p',
-          frameSkip: settings.spoutFrameSkip?.value || 0
-        };
-        const result = await window.spoutAPI.enable(options);
-        if (result.success) {
-          settings.spoutEnabled.value = true;
-          if (onChange) onChange();
-        }
-      } else {
-        await window.spoutAPI.disable();
-        settings.spoutEnabled.value = false;
-        if (onChange) onChange();
-      }
-    }, async (name) => {
-      settings.spoutSenderName.value = name;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateName(name);
-      }
-    }, async (resolution) => {
-      settings.spoutResolution.value = resolution;
-    }, async (frameSkip) => {
-      settings.spoutFrameSkip.value = frameSkip;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateFrameSkip(frameSkip);
-      }
-    });
+    addSpoutOutput(outputFolder.content, settings, onChange);
   }
 
+  addFolderActions(container, settings, handleChange);
+
   // Show container by default
   container.classList.add('visible');
 
@@ -619,33 +2229,42 @@ export function createParticlesGUI(settings, container, onChange, isElectron) {
     // Clear existing content
     container.innerHTML = '';
     
+    createHistoryToolbar(container);
+    createPresetFolder(container, settings, handleChange);
+    createRandomizeFolder(container, settings, handleChange);
+    
+    // Audio analysis folder
+    createAudioFolder(settings, container, handleChange);
+    createModulationEditor(container, settings, handleChange);
+    
     // Spawn folder
     const spawnFolder = createFolder('Spawn', container);
-    addSlider(spawnFolder.content, settings.bassSpawnRate, handleChange);
     addSlider(spawnFolder.content, settings.baseSpawnRate, handleChange);
     
     // Radius folder
     const radiusFolder = createFolder('Radius', container);
-    addSlider(radiusFolder.content, settings.bassRadius, handleChange);
     addSlider(radiusFolder.content, settings.baseRadius, handleChange);
+    addSlider(radiusFolder.content, settings.stereoPan, handleChange);
+    addSlider(radiusFolder.content, settings.stereoSpread, handleChange);
     
     // Turbulence folder
     const turbFolder = createFolder('Turbulence', container);
-    addSlider(turbFolder.content, settings.midTurbulence, handleChange);
     addSlider(turbFolder.content, settings.midFrequency, handleChange);
     addSlider(turbFolder.content, settings.baseTurbulence, handleChange);
     
     // Particle Size folder
     const sizeFolder = createFolder('Particle Size', container);
-    addSlider(sizeFolder.content, settings.highSize, handleChange);
+    addSlider(sizeFolder.content, settings.spectrumSize, handleChange);
     addSlider(sizeFolder.content, settings.baseSize, handleChange);
     
+    // Color folder
+    const colorFolder = createFolder('Color', container);
+    addSelect(colorFolder.content, settings.colorMode, handleChange);
+    addSlider(colorFolder.content, settings.highColorSpeed, handleChange);
+    
     // Bloom folder
     const bloomFolder = createFolder('Bloom', container);
     addSlider(bloomFolder.content, settings.bloomIntensity, handleChange);
-    addSlider(bloomFolder.content, settings.bloomBass, handleChange);
-    addSlider(bloomFolder.content, settings.bloomMid, handleChange);
-    addSlider(bloomFolder.content, settings.bloomHigh, handleChange);
     
     // Output folder
     const outputFolder = createFolder('Output', container);
@@ -655,37 +2274,11 @@ export function createParticlesGUI(settings, container, onChange, isElectron) {
     
   // Spout controls (Electron only)
   if (isElectron) {
-    createSpoutControls(outputFolder.content, settings, async (enabled) => {
-      if (enabled) {
-        const options = {
-          resolution: settings.spoutResolution?.value || '1080p',
-          frameSkip: settings.spoutFrameSkip?.value || 0
-        };
-        const result = await window.spoutAPI.enable(options);
-        if (result.success) {
-          settings.spoutEnabled.value = true;
-          if (onChange) onChange();
-        }
-      } else {
-        await window.spoutAPI.disable();
-        settings.spoutEnabled.value = false;
-        if (onChange) onChange();
-      }
-    }, async (name) => {
-      settings.spoutSenderName.value = name;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateName(name);
-      }
-    }, async (resolution) => {
-      settings.spoutResolution.value = resolution;
-    }, async (frameSkip) => {
-      settings.spoutFrameSkip.value = frameSkip;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateFrameSkip(frameSkip);
-      }
-    });
+    addSpoutOutput(outputFolder.content, settings, onChange);
   }
 
+  addFolderActions(container, settings, handleChange);
+
   // Show container by default
   container.classList.add('visible');
 
@@ -722,6 +2315,14 @@ export function createSkinningGUI(settings, container, onChange, isElectron) {
   // Clear existing content
   container.innerHTML = '';
 
+  createHistoryToolbar(container);
+  createPresetFolder(container, settings, handleChange);
+  createRandomizeFolder(container, settings, handleChange);
+
+  // Audio analysis folder
+  createAudioFolder(settings, container, handleChange);
+  createModulationEditor(container, settings, handleChange);
+
   // Model Selection folder
   const modelFolder = createFolder('Model', container);
   
@@ -745,11 +2346,11 @@ export function createSkinningGUI(settings, container, onChange, isElectron) {
   `;
   
   // Add available models
-  AVAILABLE_MODELS.forEach((model, index) => {
+  AVAILABLE_MODELS.forEach((model) => {
     const option = document.createElement('option');
     option.value = model.path;
     option.textContent = model.name;
-    if (index === 0) option.selected = true;
+    if (model.path === currentModelPath) option.selected = true;
     modelSelect.appendChild(option);
   });
   
@@ -793,6 +2394,7 @@ export function createSkinningGUI(settings, container, onChange, isElectron) {
     reloadBtn.textContent = 'Loading...';
     try {
       await loadModel(selectedPath);
+      handleChange();
       // Animation picker will be updated via callback
     } catch (error) {
       console.error('Failed to load model:', error);
@@ -941,9 +2543,6 @@ async function handleGLBImport(file) {
   // Bloom folder
   const bloomFolder = createFolder('Bloom', container);
   addSlider(bloomFolder.content, settings.bloomIntensity, handleChange);
-  addSlider(bloomFolder.content, settings.bloomBass, handleChange);
-  addSlider(bloomFolder.content, settings.bloomMid, handleChange);
-  addSlider(bloomFolder.content, settings.bloomHigh, handleChange);
 
   // Output folder
   const outputFolder = createFolder('Output', container);
@@ -953,37 +2552,11 @@ async function handleGLBImport(file) {
 
   // Spout controls (Electron only)
   if (isElectron) {
-    createSpoutControls(outputFolder.content, settings, async (enabled) => {
-      if (enabled) {
-        const options = {
-          resolution: settings.spoutResolution?.value || '1080p',
-          frameSkip: settings.spoutFrameSkip?.value || 0
-        };
-        const result = await window.spoutAPI.enable(options);
-        if (result.success) {
-          settings.spoutEnabled.value = true;
-          if (onChange) onChange();
-        }
-      } else {
-        await window.spoutAPI.disable();
-        settings.spoutEnabled.value = false;
-        if (onChange) onChange();
-      }
-    }, async (name) => {
-      settings.spoutSenderName.value = name;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateName(name);
-      }
-    }, async (resolution) => {
-      settings.spoutResolution.value = resolution;
-    }, async (frameSkip) => {
-      settings.spoutFrameSkip.value = frameSkip;
-      if (settings.spoutEnabled.value) {
-        await window.spoutAPI.updateFrameSkip(frameSkip);
-      }
-    });
+    addSpoutOutput(outputFolder.content, settings, onChange);
   }
 
+  addFolderActions(container, settings, handleChange);
+
   // Show container by default
   container.classList.add('visible');
 
@@ -1153,6 +2726,119 @@ async function handleGLBImport(file) {
   createModelPickers();
 }
 
+/**
+ * Settings GUIs of the built-in scenes; other scenes get a generated GUI unless
+ * their descriptor brings one.
+ * @type {Object.<string, Function>}
+ */
+const BUILTIN_SCENE_GUIS = {
+  particles: createParticlesGUI,
+  points: createPointsGUI,
+  skinning: createSkinningGUI
+};
+
+/**
+ * Create the settings GUI for a scene, replacing the current controls.
+ * @param {string} sceneType - Scene type
+ * @param {Object} settings - Settings object
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onChange - Callback when settings change
+ * @param {boolean} isElectron - Whether running in Electron mode
+ * @returns {boolean} False if the scene is not registered
+ */
+export function createSceneGUI(sceneType, settings, container, onChange, isElectron) {
+  const descriptor = getSceneDescriptor(sceneType);
+  if (!descriptor) {
+    console.warn('Unknown scene type:', sceneType);
+    return false;
+  }
+  const createGUI = BUILTIN_SCENE_GUIS[sceneType] ?? descriptor.createGUI;
+  if (createGUI) {
+    createGUI(settings, container, onChange, isElectron);
+  } else {
+    createGeneratedSceneGUI(descriptor, settings, container, onChange, isElectron);
+  }
+  return true;
+}
+
+/**
+ * Create the GUI for a registered scene from its descriptor: the shared folders
+ * (presets, randomize, audio, modulation), a folder per entry of `descriptor.folders`
+ * with a control for each setting, and the Bloom and Output folders.
+ * @param {import('../scenes/registry.js').SceneDescriptor} descriptor - Scene descriptor
+ * @param {Object} settings - Settings object
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onChange - Callback when settings change
+ * @param {boolean} isElectron - Whether running in Electron mode
+ */
+export function createGeneratedSceneGUI(descriptor, settings, container, onChange, isElectron) {
+  const handleChange = () => {
+    if (onChange) onChange();
+  };
+
+  // Setup toggle button
+  const toggleBtn = document.getElementById('toggle-controls');
+  if (toggleBtn) {
+    toggleBtn.classList.add('visible');
+    toggleBtn.textContent = 'Hide';
+    toggleBtn.onclick = () => {
+      container.classList.toggle('visible');
+      toggleBtn.textContent = container.classList.contains('visible') ? 'Hide' : 'Settings';
+    };
+  }
+
+  // Clear existing content
+  container.innerHTML = '';
+
+  createHistoryToolbar(container);
+  createPresetFolder(container, settings, handleChange);
+  createRandomizeFolder(container, settings, handleChange);
+
+  // Audio analysis folder
+  createAudioFolder(settings, container, handleChange);
+  createModulationEditor(container, settings, handleChange);
+
+  // Scene folders, with a control matching each setting's value
+  for (const [name, keys] of Object.entries(descriptor.folders)) {
+    const sceneFolder = createFolder(name, container);
+    for (const key of keys) {
+      const setting = settings[key];
+      if (!setting) {
+        console.warn(`[GUI] Scene ${descriptor.id} lists unknown setting: ${key}`);
+      } else if (Array.isArray(setting.options)) {
+        addSelect(sceneFolder.content, setting, handleChange);
+      } else if (typeof setting.value === 'string') {
+        addTextInput(sceneFolder.content, setting, handleChange);
+      } else if (typeof setting.value === 'number' || typeof setting.value === 'boolean') {
+        addSlider(sceneFolder.content, setting, handleChange);
+      }
+    }
+  }
+
+  // Bloom folder (audio-reactive)
+  const bloomFolder = createFolder('Bloom', container);
+  addSlider(bloomFolder.content, settings.bloomIntensity, handleChange);
+
+  // Output folder
+  const outputFolder = createFolder('Output', container);
+  addSlider(outputFolder.content, settings.autoRotate, handleChange);
+  addSlider(outputFolder.content, settings.autoRotateSpeed, handleChange);
+  addCheckbox(outputFolder.content, settings.greenScreen, handleChange);
+
+  // Spout controls (Electron only)
+  if (isElectron) {
+    addSpoutOutput(outputFolder.content, settings, onChange);
+  }
+
+  addFolderActions(container, settings, handleChange);
+
+  // Show container by default
+  container.classList.add('visible');
+
+  // Apply fade behavior to settings panel
+  applyFadeBehavior(container);
+}
+
 /**
  * Create animation picker dropdown at the top center of the screen.
  * @param {string} currentAnimation - Currently selected animation name
@@ -0,0 +1,110 @@
+/**
+ * @module gui/latency-calibration
+ * @description A/V offset calibration overlay.
+ * Flashes the screen on every detected onset (with the A/V offset applied), so playing
+ * a click track through the PA shows whether the visuals lead or trail the sound.
+ */
+
+/** Rise of the onset pulse between frames that counts as a click (the pulse only rises on onsets) */
+const CLICK_RISE = 0.1;
+
+/** Flash fade-out time (ms) */
+const FLASH_MS = 120;
+
+/** @type {HTMLElement|null} */
+let overlay = null;
+
+/** @type {HTMLElement|null} */
+let flash = null;
+
+let lastOnset = 0;
+
+/**
+ * Whether the calibration overlay is showing.
+ * @returns {boolean}
+ */
+export function isLatencyCalibrating() {
+  return overlay !== null;
+}
+
+/**
+ * Show the calibration overlay.
+ * @param {Function} [describeOffset] - Returns the current offset text for the hint
+ */
+export function showLatencyCalibration(describeOffset) {
+  if (overlay) return;
+
+  overlay = document.createElement('div');
+  overlay.id = 'latency-calibration';
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    z-index: 1500;
+    pointer-events: none;
+  `;
+
+  flash = document.createElement('div');
+  flash.style.cssText = `
+    position: absolute;
+    inset: 0;
+    background: #fff;
+    opacity: 0;
+    transition: opacity ${FLASH_MS}ms ease-out;
+  `;
+  overlay.appendChild(flash);
+
+  const hint = document.createElement('div');
+  hint.style.cssText = `
+    position: absolute;
+    top: 20px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(20, 23, 26, 0.9);
+    color: #fff;
+    padding: 10px 16px;
+    border-radius: 6px;
+    font-size: 13px;
+    text-align: center;
+  `;
+  hint.innerHTML = `
+    Play a click track through the speakers.<br>
+    Adjust A/V Offset until the flashes land on the clicks.
+    <div class="latency-offset" style="color: #aaa; margin-top: 4px;"></div>
+  `;
+  overlay.appendChild(hint);
+  document.body.appendChild(overlay);
+
+  const offsetText = hint.querySelector('.latency-offset');
+  const updateHint = () => {
+    if (!overlay) return;
+    if (describeOffset) offsetText.textContent = describeOffset();
+    setTimeout(updateHint, 250);
+  };
+  updateHint();
+}
+
+/**
+ * Hide the calibration overlay.
+ */
+export function hideLatencyCalibration() {
+  if (overlay) overlay.remove();
+  overlay = null;
+  flash = null;
+}
+
+/**
+ * Feed one frame of audio data; flashes on the rising edge of an onset.
+ * @param {Object} audioData - Audio data as shown by the visuals
+ */
+export function updateLatencyCalibration(audioData) {
+  const onset = audioData?.onset ?? 0;
+  if (flash && onset - lastOnset > CLICK_RISE) {
+    // Jump to full opacity, then let the transition fade it out
+    flash.style.transition = 'none';
+    flash.style.opacity = '0.9';
+    void flash.offsetWidth;
+    flash.style.transition = `opacity ${FLASH_MS}ms ease-out`;
+    flash.style.opacity = '0';
+  }
+  lastOnset = onset;
+}
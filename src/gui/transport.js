@@ -0,0 +1,234 @@
+/**
+ * @module gui/transport
+ * @description Transport bar for local audio file playback.
+ * Play/pause, previous/next, seek, loop and a playlist with an add-files button.
+ */
+
+import {
+  togglePlayback,
+  nextTrack,
+  previousTrack,
+  seek,
+  setLoop,
+  playTrack,
+  removeFromPlaylist,
+  getPlaylist,
+  getPlaybackState,
+  onPlaybackChange,
+  AUDIO_FILE_EXTENSIONS
+} from '../audio/file-source.js';
+import { applyFadeBehavior } from './fade-manager.js';
+
+/** @type {Function|null} Unsubscribe from playback changes */
+let unsubscribe = null;
+
+/** @type {number|null} Position refresh interval */
+let positionInterval = null;
+
+/** @type {Function|null} Remove the auto-fade behavior */
+let removeFade = null;
+
+/**
+ * Format seconds as m:ss.
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Create a transport button.
+ * @param {string} text - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createTransportButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = title;
+  button.style.cssText = `
+    background: #333;
+    color: #fff;
+    border: 1px solid #555;
+    border-radius: 4px;
+    padding: 4px 8px;
+    min-width: 30px;
+    cursor: pointer;
+    font-size: 12px;
+  `;
+  button.onmouseenter = () => button.style.background = '#444';
+  button.onmouseleave = () => button.style.background = '#333';
+  button.onclick = onClick;
+  return button;
+}
+
+/**
+ * Show the transport bar. Safe to call repeatedly.
+ * @param {Function} onAddFiles - Called with a FileList when files are added from the bar
+ */
+export function showTransport(onAddFiles) {
+  if (document.getElementById('audio-transport')) return;
+
+  const bar = document.createElement('div');
+  bar.id = 'audio-transport';
+  bar.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(20, 23, 26, 0.95);
+    border: 1px solid #444;
+    border-radius: 8px;
+    padding: 8px 12px;
+    z-index: 1500;
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    width: min(520px, 90vw);
+    font-family: sans-serif;
+    color: #ccc;
+    font-size: 11px;
+  `;
+
+  // === Controls row ===
+  const controls = document.createElement('div');
+  controls.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+
+  const playButton = createTransportButton('▶', 'Play / Pause', () => togglePlayback());
+  const loopButton = createTransportButton('⟲', 'Loop track', () => setLoop(!getPlaybackState().loop));
+
+  const title = document.createElement('span');
+  title.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #fff;';
+
+  const time = document.createElement('span');
+  time.style.cssText = 'color: #888; font-variant-numeric: tabular-nums;';
+
+  const playlistButton = createTransportButton('☰', 'Playlist', () => {
+    playlistPanel.style.display = playlistPanel.style.display === 'none' ? 'flex' : 'none';
+  });
+
+  // Hidden file input for adding tracks
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.multiple = true;
+  fileInput.accept = ['audio/*', ...AUDIO_FILE_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+  fileInput.style.display = 'none';
+  fileInput.onchange = () => {
+    if (fileInput.files.length && onAddFiles) onAddFiles(fileInput.files);
+    fileInput.value = '';
+  };
+  const addButton = createTransportButton('+', 'Add audio files', () => fileInput.click());
+
+  controls.appendChild(createTransportButton('⏮', 'Previous', () => previousTrack()));
+  controls.appendChild(playButton);
+  controls.appendChild(createTransportButton('⏭', 'Next', () => nextTrack()));
+  controls.appendChild(title);
+  controls.appendChild(time);
+  controls.appendChild(loopButton);
+  controls.appendChild(playlistButton);
+  controls.appendChild(addButton);
+  controls.appendChild(fileInput);
+
+  // === Seek bar ===
+  const seekBar = document.createElement('input');
+  seekBar.type = 'range';
+  seekBar.min = 0;
+  seekBar.max = 1;
+  seekBar.step = 0.1;
+  seekBar.value = 0;
+  seekBar.style.cssText = 'width: 100%; accent-color: #667eea;';
+  let seeking = false;
+  seekBar.oninput = () => {
+    seeking = true;
+    time.textContent = `${formatTime(parseFloat(seekBar.value))} / ${formatTime(parseFloat(seekBar.max))}`;
+  };
+  seekBar.onchange = () => {
+    seeking = false;
+    seek(parseFloat(seekBar.value));
+  };
+
+  // === Playlist ===
+  const playlistPanel = document.createElement('div');
+  playlistPanel.style.cssText = 'display: none; flex-direction: column; gap: 2px; max-height: 160px; overflow-y: auto;';
+
+  const renderPlaylist = (state) => {
+    playlistPanel.innerHTML = '';
+    getPlaylist().forEach((item, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 3px 6px;
+        border-radius: 3px;
+        cursor: pointer;
+        background: ${index === state.index ? '#3a3d40' : 'transparent'};
+      `;
+      const name = document.createElement('span');
+      name.textContent = `${index + 1}. ${item.name}`;
+      name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.onclick = () => playTrack(index);
+      const remove = document.createElement('span');
+      remove.textContent = '×';
+      remove.title = 'Remove from playlist';
+      remove.style.color = '#888';
+      remove.onclick = (e) => {
+        e.stopPropagation();
+        removeFromPlaylist(index);
+      };
+      row.appendChild(name);
+      row.appendChild(remove);
+      playlistPanel.appendChild(row);
+    });
+  };
+
+  const render = (state) => {
+    playButton.textContent = state.playing ? '⏸' : '▶';
+    loopButton.style.borderColor = state.loop ? '#667eea' : '#555';
+    loopButton.style.color = state.loop ? '#667eea' : '#fff';
+    title.textContent = state.name ?? 'No track';
+    title.title = state.name ?? '';
+    seekBar.max = state.duration || 1;
+    renderPosition(state);
+    renderPlaylist(state);
+  };
+
+  const renderPosition = (state) => {
+    if (seeking) return;
+    seekBar.value = state.position;
+    time.textContent = `${formatTime(state.position)} / ${formatTime(state.duration)}`;
+  };
+
+  bar.appendChild(controls);
+  bar.appendChild(seekBar);
+  bar.appendChild(playlistPanel);
+  document.body.appendChild(bar);
+  removeFade = applyFadeBehavior(bar);
+
+  render(getPlaybackState());
+  unsubscribe = onPlaybackChange(render);
+  positionInterval = setInterval(() => renderPosition(getPlaybackState()), 250);
+}
+
+/**
+ * Remove the transport bar.
+ */
+export function hideTransport() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (positionInterval !== null) {
+    clearInterval(positionInterval);
+    positionInterval = null;
+  }
+  if (removeFade) {
+    removeFade();
+    removeFade = null;
+  }
+  const bar = document.getElementById('audio-transport');
+  if (bar) bar.remove();
+}
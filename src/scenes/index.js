@@ -1,9 +1,10 @@
 /**
  * @module scenes
- * @description Scene module exports for particles, points, and skinning scenes.
+ * @description Scene module exports for particles, points, and skinning scenes, the registry and plugin loading.
  */
 
 export * from './particles.js';
 export * from './points.js';
 export * from './skinning.js';
 export * from './registry.js';
+export * from './plugins.js';
@@ -13,7 +13,10 @@ import {
     uniform, step, pcurve, color
 } from 'three/tsl';
 
-import { audioBass, audioMid, audioHigh, audioOverall } from '../audio/uniforms.js';
+import {
+    audioMid, audioHigh, audioOverall, audioSpectrum, audioStereoWidth, audioBalance,
+    audioChroma, pitchClassColor
+} from '../audio/uniforms.js';
 
 /**
  * Particles scene state and configuration.
@@ -42,6 +45,8 @@ export const particlesScene = {
     particleLifetime: uniform(0.5),
     /** @type {import('three/tsl').UniformNode} */
     particleSize: uniform(1.0),
+    /** @type {import('three/tsl').UniformNode} How much each particle's frequency bin scales its size */
+    spectrumSize: uniform(1.0),
     /** @type {import('three/tsl').UniformNode} */
     linksWidth: uniform(0.005),
     /** @type {import('three/tsl').UniformNode} */
@@ -50,6 +55,8 @@ export const particlesScene = {
     colorVariance: uniform(2.0),
     /** @type {import('three/tsl').UniformNode} */
     colorRotationSpeed: uniform(1.0),
+    /** @type {import('three/tsl').UniformNode} 0 = time-rotated hues, 1 = hues from pitch classes */
+    harmonicColor: uniform(0.0),
     /** @type {import('three/tsl').UniformNode} */
     spawnIndex: uniform(0),
     /** @type {import('three/tsl').UniformNode} */
@@ -96,7 +103,11 @@ export async function initParticlesScene(renderer, camera, controls) {
 
     // === Color Function ===
     const getInstanceColor = Fn(([i]) => {
-        return hue(color(0x0000ff), particlesScene.colorOffset.add(mx_fractal_noise_float(i.toFloat().mul(.1), 2, 2.0, 0.5, particlesScene.colorVariance)));
+        const timeColor = hue(color(0x0000ff), particlesScene.colorOffset.add(mx_fractal_noise_float(i.toFloat().mul(.1), 2, 2.0, 0.5, particlesScene.colorVariance)));
+        // Harmonic mode: each particle belongs to a pitch class and glows with its energy
+        const pitchClass = hash(i.add(12345)).mul(12).floor();
+        const harmonic = pitchClassColor(pitchClass).mul(audioChroma.element(pitchClass.toInt()).mul(0.75).add(0.25));
+        return mix(timeColor, harmonic, particlesScene.harmonicColor);
     });
 
     // === Particle Material ===
@@ -105,7 +116,9 @@ export async function initParticlesScene(renderer, camera, controls) {
     particleMaterial.blending = THREE.AdditiveBlending;
     particleMaterial.depthWrite = false;
     particleMaterial.positionNode = particlePositions.toAttribute();
-    particleMaterial.scaleNode = vec2(particlesScene.particleSize);
+    // Each particle listens to one log-spaced frequency picked by its index
+    const particleSpectrum = audioSpectrum(hash(instanceIndex));
+    particleMaterial.scaleNode = vec2(particlesScene.particleSize.mul(particleSpectrum.mul(particlesScene.spectrumSize).add(1.0)));
     particleMaterial.rotationNode = atan(particleVelocities.toAttribute().y, particleVelocities.toAttribute().x);
     particleMaterial.colorNode = Fn(() => {
         const life = particlePositions.toAttribute().w;
@@ -293,17 +306,21 @@ export async function initParticlesScene(renderer, camera, controls) {
  * @param {THREE.WebGPURenderer} renderer - The WebGPU renderer
  */
 export function updateParticlesScene(delta, settings, renderer) {
-    const bass = audioBass.value;
     const mid = audioMid.value;
     const high = audioHigh.value;
     const overall = audioOverall.value;
 
-    // Audio-reactive parameters
-    particlesScene.nbToSpawn.value = Math.floor(settings.baseSpawnRate.value + bass * settings.bassSpawnRate.value);
-    particlesScene.turbAmplitude.value = settings.baseTurbulence.value + mid * settings.midTurbulence.value;
+    // Audio-reactive parameters; spawn rate, turbulence, size and radius follow the
+    // modulation matrix (spawn compute is dispatched for at most 200 particles)
+    particlesScene.nbToSpawn.value = Math.min(200, Math.floor(settings.baseSpawnRate.value));
+    particlesScene.turbAmplitude.value = settings.baseTurbulence.value;
     particlesScene.turbFrequency.value = 0.5 + mid * settings.midFrequency.value;
-    particlesScene.particleSize.value = settings.baseSize.value + high * settings.highSize.value;
+    particlesScene.particleSize.value = settings.baseSize.value;
+    particlesScene.spectrumSize.value = settings.spectrumSize?.value ?? 0;
     particlesScene.colorRotationSpeed.value = 1.0 + high * settings.highColorSpeed.value;
+    particlesScene.colorVariance.value = settings.colorVariance?.value ?? 2;
+    const harmonicTarget = settings.colorMode?.value === 'harmonic' ? 1 : 0;
+    particlesScene.harmonicColor.value += (harmonicTarget - particlesScene.harmonicColor.value) * Math.min(1, delta * 2);
     particlesScene.particleLifetime.value = 0.5 + (1 - overall * settings.overallLifetime.value) * 0.5;
 
     // Run compute shaders
@@ -314,12 +331,16 @@ export function updateParticlesScene(delta, settings, renderer) {
     particlesScene.spawnIndex.value = (particlesScene.spawnIndex.value + particlesScene.nbToSpawn.value) % particlesScene.nbParticles;
 
     // Update spawn position orbit
-    const radius = settings.baseRadius.value + bass * settings.bassRadius.value;
+    const radius = settings.baseRadius.value;
     const speed = 0.5 + mid * settings.midSpeed.value;
     particlesScene.elapsedTime += delta;
     
+    // Stereo field: balance pans the orbit, width stretches it sideways
+    const pan = audioBalance.value * (settings.stereoPan?.value ?? 0);
+    const spread = 1 + audioStereoWidth.value * (settings.stereoSpread?.value ?? 0);
+    
     const targetPos = new THREE.Vector3(
-        Math.sin(particlesScene.elapsedTime * speed) * radius,
+        Math.sin(particlesScene.elapsedTime * speed) * radius * spread + pan,
         Math.cos(particlesScene.elapsedTime * speed * 1.3) * radius * 0.5,
         Math.sin(particlesScene.elapsedTime * speed * 0.7) * radius
     );
@@ -0,0 +1,143 @@
+/**
+ * @module scenes/plugins
+ * @description Sources of third-party scene plugins (see loadScenePlugin): plugin URLs
+ * added in the scene selector (remembered in localStorage), in the Electron app the
+ * `scenes` folder under userData, and `?scenePlugin=` URL parameters. A plugin runs with
+ * the app's permissions (audio input, presets, session), so a URL parameter only loads
+ * a plugin from this site by itself; plugins from elsewhere wait for the user to agree.
+ * Either way a loaded plugin is remembered.
+ */
+
+import { loadScenePlugin, loadScenePlugins } from './registry.js';
+
+/** localStorage key for the plugin URLs added in the scene selector */
+const STORAGE_KEY = 'musicVis.scenePlugins';
+
+/**
+ * Query parameter with a scene plugin URL; may be given more than once.
+ * @constant {string}
+ */
+export const SCENE_PLUGIN_PARAM = 'scenePlugin';
+
+/**
+ * Check whether the Electron scene plugin folder is available.
+ * @returns {boolean}
+ */
+export function hasScenePluginFolder() {
+    return typeof window.scenePluginAPI !== 'undefined';
+}
+
+/**
+ * Get the plugin URLs added in the scene selector.
+ * @returns {string[]}
+ */
+function getSavedPluginUrls() {
+    try {
+        const urls = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(urls) ? urls.filter(url => typeof url === 'string') : [];
+    } catch (err) {
+        console.warn('[Plugins] Could not read saved scene plugins:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Collect the trusted scene plugin URLs: the saved ones and the Electron plugin folder.
+ * @returns {Promise<string[]>} URLs without duplicates
+ */
+export async function getScenePluginUrls() {
+    const urls = getSavedPluginUrls();
+    if (hasScenePluginFolder()) {
+        urls.push(...await window.scenePluginAPI.list());
+    }
+    return [...new Set(urls)];
+}
+
+/**
+ * Check whether a plugin URL is on this site.
+ * @param {string} url - Plugin URL
+ * @returns {boolean}
+ */
+function isSameOrigin(url) {
+    try {
+        return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Load the plugins named in `?scenePlugin=` parameters that are on this site; they are
+ * remembered like ones added in the scene selector. Plugins from other sites are only
+ * returned, so the user can be asked once the app is running.
+ * @param {string[]} trusted - URLs that are loaded anyway
+ * @param {string} search - Location query
+ * @returns {Promise<{registered: string[], pending: string[]}>} Scene types the plugins
+ *   registered, and the plugin URLs from other sites
+ */
+async function loadRequestedScenePlugins(trusted, search) {
+    const registered = [];
+    const pending = [];
+    const requested = new URLSearchParams(search).getAll(SCENE_PLUGIN_PARAM)
+        .filter(url => url && !trusted.includes(url));
+    for (const url of new Set(requested)) {
+        if (!isSameOrigin(url)) {
+            pending.push(url);
+            continue;
+        }
+        try {
+            registered.push(...await addScenePlugin(url));
+        } catch (err) {
+            console.error(`[Plugins] Could not load scene plugin ${url}:`, err);
+        }
+    }
+    return { registered, pending };
+}
+
+/**
+ * Load the scene plugins from every source; plugins that fail are logged and skipped.
+ * @param {string} [search] - Location query, defaults to the current one
+ * @returns {Promise<{registered: string[], pending: string[]}>} Scene types the plugins
+ *   registered, and the `?scenePlugin=` URLs from other sites waiting for the user
+ */
+export async function loadStartupScenePlugins(search = window.location.search) {
+    const urls = await getScenePluginUrls();
+    const registered = [];
+    if (urls.length) {
+        console.log(`[Plugins] Loading ${urls.length} scene plugin(s)`);
+        registered.push(...await loadScenePlugins(urls));
+    }
+    const requested = await loadRequestedScenePlugins(urls, search);
+    registered.push(...requested.registered);
+    return { registered, pending: requested.pending };
+}
+
+/**
+ * Load a scene plugin and remember it, so it is loaded again on the next launch.
+ * @param {string} url - Plugin module URL
+ * @returns {Promise<string[]>} Scene types the plugin registered
+ * @throws {Error} If the plugin cannot be loaded
+ */
+export async function addScenePlugin(url) {
+    const registered = await loadScenePlugin(url);
+    const saved = getSavedPluginUrls();
+    if (!saved.includes(url)) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...saved, url]));
+        } catch (err) {
+            console.warn('[Plugins] Could not save scene plugin:', err.message);
+        }
+    }
+    return registered;
+}
+
+/**
+ * Open the Electron scene plugin folder in the file manager. Plugins placed there
+ * are loaded on the next launch.
+ * @returns {Promise<void>}
+ */
+export async function openScenePluginFolder() {
+    if (!hasScenePluginFolder()) return;
+    const result = await window.scenePluginAPI.openFolder();
+    if (!result.success) console.warn('[Plugins] Could not open scene folder:', result.error);
+}
@@ -9,10 +9,11 @@ import * as THREE from 'three/webgpu';
 import * as GeometryUtils from 'three/addons/utils/GeometryUtils.js';
 import {
   color, storage, Fn, instancedBufferAttribute, instanceIndex, sin, time, float, uniform,
-  shapeCircle, mix, vec3, normalize, add, positionLocal
+  shapeCircle, mix, vec3, normalize, add, positionLocal, PI2
 } from 'three/tsl';
 
-import { calculateAudioMagnitude, createSmoothedAudioTracker } from '../audio/reactive.js';
+import { getDivisionPhase } from '../audio/tempo.js';
+import { audioSpectrum, audioChroma, pitchClassColor } from '../audio/uniforms.js';
 
 /**
  * Points scene state and configuration.
@@ -37,19 +38,29 @@ export const pointsScene = {
   audioSizeBoost: uniform(0),
   /** @type {import('three/tsl').UniformNode} */
   sizeRandomness: uniform(0.5),
+  /** @type {import('three/tsl').UniformNode} Size added by the spectrum along the curve */
+  spectrumSizeBoost: uniform(0),
   /** @type {import('three/tsl').UniformNode} */
   displacementAmount: uniform(0),
+  /** @type {import('three/tsl').UniformNode} 0 = HSL gradient, 1 = hues from pitch classes */
+  harmonicColor: uniform(0),
   /** @type {import('three/tsl').UniformNode} */
   rotationSpeed: uniform(0.1),
   /** @type {import('three/tsl').UniformNode} */
   waveSpeed: uniform(0.5),
   /** @type {import('three/tsl').UniformNode} */
   waveLength: uniform(30),
+  /** @type {import('three/tsl').UniformNode} 1 when the wave follows the beat clock, 0 for free time */
+  waveSyncAmount: uniform(0),
+  /** @type {import('three/tsl').UniformNode} Wave position (0-1) from the beat clock */
+  waveSyncPhase: uniform(0),
+  /** @type {import('three/tsl').UniformNode} 1 when the pulse follows the beat clock, 0 for free time */
+  pulseSyncAmount: uniform(0),
+  /** @type {import('three/tsl').UniformNode} Pulse phase (0-1) from the beat clock */
+  pulseSyncPhase: uniform(0),
   /** @type {number} */
   targetCurveCount: 1,
 
-  // === Audio Tracking ===
-  audioTracker: createSmoothedAudioTracker(0.08),
   currentRotation: 0,
 };
 
@@ -69,6 +80,7 @@ function createCurveSystem(scale, index) {
 
   const positions = [];
   const colors = [];
+  const pitchClasses = new Float32Array(divisions);
   const sizes = new Float32Array(divisions);
   const basePositions = [];
 
@@ -84,6 +96,8 @@ function createCurveSystem(scale, index) {
     const hue = (t + (index * 0.2)) % 1.0;
     pointColor.setHSL(hue, 1.0, 0.5, THREE.SRGBColorSpace);
     colors.push(pointColor.r, pointColor.g, pointColor.b);
+    // Same gradient split into 12 pitch-class steps for harmonic colour
+    pitchClasses[i] = Math.floor(hue * 12);
 
     sizes[i] = 4.0;
   }
@@ -91,6 +105,7 @@ function createCurveSystem(scale, index) {
   // Create storage buffers
   const positionAttribute = new THREE.InstancedBufferAttribute(new Float32Array(positions), 3);
   const colorsAttribute = new THREE.InstancedBufferAttribute(new Float32Array(colors), 3);
+  const pitchClassAttribute = new THREE.InstancedBufferAttribute(pitchClasses, 1);
   
   const instanceSizeBufferAttribute = new THREE.StorageInstancedBufferAttribute(sizes, 1);
   const instanceSizeStorage = storage(instanceSizeBufferAttribute, 'float', instanceSizeBufferAttribute.count);
@@ -109,8 +124,9 @@ function createCurveSystem(scale, index) {
     const t = float(idx).div(float(divisions));
     
     // === TRAVELING WAVE along the curve ===
-    // Wave position moves along the curve based on time and speed
-    const wavePosition = time.mul(pointsScene.waveSpeed).mod(1);
+    // Wave position moves along the curve based on time and speed,
+    // or once per musical division when synced to the beat clock
+    const wavePosition = mix(time.mul(pointsScene.waveSpeed).mod(1), pointsScene.waveSyncPhase, pointsScene.waveSyncAmount);
     const waveLength = pointsScene.waveLength.div(100); // Normalize 0-100 to 0-1
     
     // Distance from current point to wave position (absolute, no wrap needed with mod)
@@ -128,7 +144,8 @@ function createCurveSystem(scale, index) {
     const clampedWave = waveValue;
     
     // Traveling wave adds to pulse
-    const pulsePhase = time.mul(pointsScene.pulseSpeed).add(t.mul(10).add(float(index).mul(3)));
+    const pulseTime = mix(time.mul(pointsScene.pulseSpeed), pointsScene.pulseSyncPhase.mul(PI2), pointsScene.pulseSyncAmount);
+    const pulsePhase = pulseTime.add(t.mul(10).add(float(index).mul(3)));
     const pulseValue = sin(pulsePhase).mul(0.5).add(0.5);
     
     // Calculate size: base + pulse + traveling wave + audio boost
@@ -149,7 +166,10 @@ function createCurveSystem(scale, index) {
     const randomMultiplier = randomValue.mul(randomnessFactor).add(float(1).sub(randomnessFactor));
     
     const audioAdd = pointsScene.audioSizeBoost.mul(randomMultiplier);
-    const finalSize = base.add(pulseAdd).add(waveAdd).add(audioAdd);
+    
+    // Spectrum along the curve: low frequencies at the start, highs at the end
+    const spectrumAdd = audioSpectrum(t).mul(pointsScene.spectrumSizeBoost);
+    const finalSize = base.add(pulseAdd).add(waveAdd).add(audioAdd).add(spectrumAdd);
     
     instanceSizeStorage.element(idx).assign(finalSize);
     
@@ -163,9 +183,11 @@ function createCurveSystem(scale, index) {
 
   // Create material
   const attributeRange = instancedBufferAttribute(instanceSizeBufferAttribute);
+  const pitchClass = instancedBufferAttribute(pitchClassAttribute);
+  const harmonicColor = pitchClassColor(pitchClass).mul(audioChroma.element(pitchClass.toInt()).mul(0.75).add(0.25));
   const pointColors = mix(
     vec3(0.0), 
-    instancedBufferAttribute(colorsAttribute), 
+    mix(instancedBufferAttribute(colorsAttribute), harmonicColor, pointsScene.harmonicColor), 
     attributeRange.div(float(20))
   );
 
@@ -245,91 +267,63 @@ export async function initPointsScene(renderer, camera, controls) {
  * @param {number} delta - Time since last frame in seconds
  * @param {Object} settings - Current settings values
  * @param {THREE.WebGPURenderer} renderer - The WebGPU renderer
- * @param {Object} audioData - Audio analysis data with bass, mid, high, overall
+ * @param {Object} audioData - Audio analysis data with bass, mid, high, overall and tempo beat clock
  */
 export function updatePointsScene(delta, settings, renderer, audioData) {
-  // Get smoothed audio values
-  const smoothedAudio = pointsScene.audioTracker.update(audioData);
-  const { bass, mid, high } = smoothedAudio;
-
-  // === Calculate Audio-Reactive Values ===
+  // === Apply Audio-Reactive Values ===
+  // Audio reaches these through the modulation matrix (default routings in settings/defaults.js)
   
   // Point Size - audio adds to base, doesn't scale it
-  const sizeConfig = {
-    intensity: settings.pointsSizeIntensity?.value ?? 50,
-    bass: settings.pointsSizeBass?.value ?? 80,
-    mid: settings.pointsSizeMid?.value ?? 40,
-    high: settings.pointsSizeHigh?.value ?? 20
-  };
-  const sizeMagnitude = calculateAudioMagnitude(sizeConfig, smoothedAudio);
-  // Size boost: 0 to 64 (magnitude 0-4 * 16)
-  pointsScene.audioSizeBoost.value = sizeMagnitude * 16;
+  pointsScene.audioSizeBoost.value = settings.pointsSize?.value ?? 8;
+  
+  // Spectrum size: 0 to 16 added per point from its frequency bin
+  pointsScene.spectrumSizeBoost.value = ((settings.pointsSizeSpectrum?.value ?? 0) / 100) * 16;
   
+  // Colour mode - fade between the HSL gradient and pitch-class hues
+  const harmonicTarget = settings.colorMode?.value === 'harmonic' ? 1 : 0;
+  pointsScene.harmonicColor.value += (harmonicTarget - pointsScene.harmonicColor.value) * Math.min(1, delta * 2);
+
   // Size randomness - how varied the response is per point (0 = uniform, 1 = max random)
   pointsScene.sizeRandomness.value = 0.7;
 
   // Pulse Speed
-  const pulseConfig = {
-    intensity: settings.pointsPulseIntensity?.value ?? 30,
-    bass: settings.pointsPulseBass?.value ?? 30,
-    mid: settings.pointsPulseMid?.value ?? 20,
-    high: settings.pointsPulseHigh?.value ?? 10
-  };
-  const pulseMagnitude = calculateAudioMagnitude(pulseConfig, smoothedAudio);
-  pointsScene.pulseSpeed.value = 0.5 + (pulseMagnitude * 1.5);
+  pointsScene.pulseSpeed.value = settings.pointsPulseSpeed?.value ?? 0.95;
 
   // Wave Speed - how fast the "snake" travels along the curve
-  const waveConfig = {
-    intensity: settings.pointsWaveSpeedIntensity?.value ?? 40,
-    bass: settings.pointsWaveSpeedBass?.value ?? 70,
-    mid: settings.pointsWaveSpeedMid?.value ?? 40,
-    high: settings.pointsWaveSpeedHigh?.value ?? 20
-  };
-  const waveMagnitude = calculateAudioMagnitude(waveConfig, smoothedAudio);
-  // Base 0.05, max 0.75 - travels 5% to 75% of curve per second
-  // At 100% intensity with full audio, reaches maximum of 0.75
-  pointsScene.waveSpeed.value = 0.05 + (waveMagnitude * 0.175);
+  // 0.05 to 0.75 - travels 5% to 75% of curve per second
+  pointsScene.waveSpeed.value = settings.pointsWaveSpeed?.value ?? 0.12;
   
   // Wave Length - how many points are in the chain
   pointsScene.waveLength.value = settings.pointsWaveLength?.value ?? 30;
 
-  // Radial Displacement - intensity controls audio reactivity only
-  // Base displacement is minimal (2), audio adds up to max based on intensity
-  const displacementBase = 2; // Small default size when no audio
-  const displacementIntensity = (settings.pointsDisplacementIntensity?.value ?? 30) / 100;
-  const displacementBass = (settings.pointsDisplacementBass?.value ?? 100) / 100;
-  const displacementMid = (settings.pointsDisplacementMid?.value ?? 50) / 100;
-  const displacementHigh = (settings.pointsDisplacementHigh?.value ?? 20) / 100;
-  
-  // Audio contribution only (no intensity multiplier on base)
-  const displacementAudioContribution = 
-    (bass * displacementBass) + 
-    (mid * displacementMid) + 
-    (high * displacementHigh);
-  
-  // Total = base + (audio * intensity * maxBoost)
-  const displacementMax = 20; // Maximum additional displacement
-  pointsScene.displacementAmount.value = displacementBase + (displacementAudioContribution * displacementIntensity * displacementMax);
+  // Tempo sync - lock wave travel / pulse to quarter, half or bar lengths
+  const beatClock = audioData.tempo;
+  const waveSync = settings.pointsWaveSync?.value ?? 'free';
+  const pulseSync = settings.pointsPulseSync?.value ?? 'free';
+  pointsScene.waveSyncAmount.value = beatClock && waveSync !== 'free' ? 1 : 0;
+  pointsScene.pulseSyncAmount.value = beatClock && pulseSync !== 'free' ? 1 : 0;
+  if (beatClock) {
+    pointsScene.waveSyncPhase.value = getDivisionPhase(beatClock, waveSync);
+    pointsScene.pulseSyncPhase.value = getDivisionPhase(beatClock, pulseSync);
+  }
+
+  // Radial Displacement - minimal (2) when silent, audio pushes it out
+  pointsScene.displacementAmount.value = settings.pointsDisplacement?.value ?? 2;
 
   // Rotation Speed
-  const rotationConfig = {
-    intensity: settings.pointsRotationIntensity?.value ?? 20,
-    bass: settings.pointsRotationBass?.value ?? 40,
-    mid: settings.pointsRotationMid?.value ?? 20,
-    high: settings.pointsRotationHigh?.value ?? 10
-  };
-  const rotationMagnitude = calculateAudioMagnitude(rotationConfig, smoothedAudio);
-  pointsScene.rotationSpeed.value = 0.1 + (rotationMagnitude * 0.3);
+  pointsScene.rotationSpeed.value = settings.pointsRotationSpeed?.value ?? 0.16;
+
+  // Stereo skew - wide mixes spin faster, balance steers the spin and tilts the curves
+  const stereoSkew = (settings.pointsRotationStereo?.value ?? 0) / 100;
+  const stereo = audioData.stereo;
+  if (stereo) {
+    pointsScene.rotationSpeed.value *= 1 + stereo.width * stereoSkew;
+    pointsScene.rotationSpeed.value += stereo.balance * stereoSkew * 0.3;
+  }
+  const targetTilt = (stereo?.balance ?? 0) * stereoSkew * 0.5;
 
   // Curve Count - determines how many curves are visible
-  const curveConfig = {
-    intensity: settings.pointsCurveCountIntensity?.value ?? 30,
-    bass: settings.pointsCurveCountBass?.value ?? 60,
-    mid: settings.pointsCurveCountMid?.value ?? 30,
-    high: settings.pointsCurveCountHigh?.value ?? 10
-  };
-  const curveMagnitude = calculateAudioMagnitude(curveConfig, smoothedAudio);
-  const targetCount = Math.max(1, Math.min(5, Math.round(curveMagnitude * 2.5)));
+  const targetCount = Math.max(1, Math.min(5, Math.round(settings.pointsCurveCount?.value ?? 0.75)));
   
   // Update curve visibility
   pointsScene.curveSystems.forEach((system, index) => {
@@ -340,6 +334,7 @@ export function updatePointsScene(delta, settings, renderer, audioData) {
   pointsScene.currentRotation += pointsScene.rotationSpeed.value * delta;
   if (pointsScene.scene) {
     pointsScene.scene.rotation.y = pointsScene.currentRotation;
+    pointsScene.scene.rotation.z += (targetTilt - pointsScene.scene.rotation.z) * Math.min(1, delta * 4);
   }
 
   // === Run Compute Shaders ===
@@ -390,11 +385,6 @@ export function cleanupPointsScene() {
     pointsScene.light = null;
   }
 
-  // Clear audio tracker
-  if (pointsScene.audioTracker) {
-    pointsScene.audioTracker.clear?.();
-  }
-
   // Clear scene reference
   pointsScene.scene = null;
   pointsScene.currentRotation = 0;
@@ -1,6 +1,10 @@
 /**
  * @module scenes/registry
  * @description Scene registry for managing scene switching and lifecycle.
+ * Scenes are registered with a descriptor (see registerScene): the built-in scenes
+ * here, third-party scenes from plugin modules loaded at runtime (see loadScenePlugin).
+ * The scene selector, the settings GUI of scenes without a bespoke one and the
+ * default camera are derived from the descriptors.
  */
 
 import * as THREE from 'three/webgpu';
@@ -8,29 +12,197 @@ import * as THREE from 'three/webgpu';
 import { initParticlesScene, updateParticlesScene, cleanupParticlesScene } from './particles.js';
 import { initPointsScene, updatePointsScene, cleanupPointsScene } from './points.js';
 import { initSkinningScene, updateSkinningScene, cleanupSkinningScene } from './skinning.js';
+import { SCENE_CAMERA_POSITIONS, SCENE_CAMERA_TARGETS } from './base.js';
 import { SCENE_NAMES } from '../core/constants.js';
+import { registerSettings } from '../settings/defaults.js';
 import { disposeScene } from '../utils/disposal.js';
 
-/** @typedef {'particles' | 'points' | 'skinning'} SceneType */
-
-/** @type {Object.<SceneType, {init: Function, update: Function, cleanup: Function}>} */
-const sceneRegistry = {
-  particles: {
-    init: initParticlesScene,
-    update: updateParticlesScene,
-    cleanup: cleanupParticlesScene
-  },
-  points: {
-    init: initPointsScene,
-    update: updatePointsScene,
-    cleanup: cleanupPointsScene
-  },
-  skinning: {
-    init: initSkinningScene,
-    update: updateSkinningScene,
-    cleanup: cleanupSkinningScene
-  }
-};
+/** @typedef {string} SceneType - 'particles', 'points', 'skinning' or a registered scene id */
+
+/**
+ * @typedef {Object} SceneDescriptor
+ * @property {SceneType} id - Scene type: letters, digits, '-' and '_', starting with a letter
+ * @property {string} [name] - Name in the scene selector, defaults to the id
+ * @property {Function} init - (renderer, camera, controls) => THREE.Scene, may be async
+ * @property {Function} update - (delta, settings, renderer, audioData), called every frame
+ * @property {Function} cleanup - Releases what init created; the scene graph is disposed by the registry
+ * @property {Object.<string, Object>} [settings] - Settings the scene adds ({value, min, max, label, options});
+ *   keys must not clash with existing settings, so prefix them with the scene id
+ * @property {Object.<string, string[]>} [folders] - Settings GUI folders: name -> setting keys.
+ *   Defaults to one folder, named after the scene, with all of `settings`
+ * @property {{position: number[], target?: number[]}} [camera] - Camera position and orbit target
+ *   ([x, y, z] or {x, y, z}) set before init
+ * @property {string} [thumbnail] - Image URL shown next to the scene selector
+ * @property {Function} [createGUI] - (settings, container, onChange, isElectron) builds a bespoke
+ *   settings GUI instead of the generated one
+ * @property {string|null} [source] - URL of the plugin module the scene came from (set by loadScenePlugin)
+ */
+
+/** Allowed scene ids; they end up in URLs, presets and the session */
+const SCENE_ID_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+
+/** @type {Object.<SceneType, SceneDescriptor>} */
+const sceneRegistry = {};
+
+/** @type {Set<Function>} Called after a scene is registered */
+const registryListeners = new Set();
+
+/**
+ * Convert a camera vector from a descriptor.
+ * @param {number[]|{x: number, y: number, z: number}|THREE.Vector3} [value] - Vector
+ * @param {THREE.Vector3} fallback - Used when the value is missing
+ * @returns {THREE.Vector3}
+ */
+function toVector3(value, fallback) {
+    if (Array.isArray(value)) return new THREE.Vector3().fromArray(value.map(Number));
+    if (value && typeof value === 'object') return new THREE.Vector3(Number(value.x) || 0, Number(value.y) || 0, Number(value.z) || 0);
+    return fallback.clone();
+}
+
+/**
+ * Register a scene. Its settings are added to the defaults (see registerSettings)
+ * and it appears in the scene selector.
+ * @param {SceneDescriptor} descriptor - Scene descriptor
+ * @returns {SceneDescriptor} The registered descriptor
+ * @throws {Error} If the descriptor is invalid, the id is taken or a setting key clashes
+ */
+export function registerScene(descriptor) {
+    const { id } = descriptor ?? {};
+    if (typeof id !== 'string' || !SCENE_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid scene id: ${id}`);
+    }
+    if (Object.hasOwn(sceneRegistry, id)) {
+        throw new Error(`Scene already registered: ${id}`);
+    }
+    for (const hook of ['init', 'update', 'cleanup']) {
+        if (typeof descriptor[hook] !== 'function') {
+            throw new Error(`Scene ${id} has no ${hook} function`);
+        }
+    }
+
+    const settingKeys = registerSettings(descriptor.settings);
+    const name = typeof descriptor.name === 'string' && descriptor.name ? descriptor.name : id;
+    const scene = {
+        ...descriptor,
+        name,
+        folders: descriptor.folders ?? (settingKeys.length ? { [name]: settingKeys } : {}),
+        camera: descriptor.camera ? {
+            position: toVector3(descriptor.camera.position, new THREE.Vector3(0, 0, 15)),
+            target: toVector3(descriptor.camera.target, new THREE.Vector3(0, 0, 0))
+        } : null,
+        thumbnail: typeof descriptor.thumbnail === 'string' ? descriptor.thumbnail : null,
+        source: descriptor.source ?? null
+    };
+    sceneRegistry[id] = scene;
+
+    console.log(`[Registry] Registered scene: ${id}${scene.source ? ` (${scene.source})` : ''}`);
+    registryListeners.forEach(listener => listener(id));
+    return scene;
+}
+
+/**
+ * Get a registered scene's descriptor.
+ * @param {SceneType} sceneType - Scene type
+ * @returns {SceneDescriptor|null}
+ */
+export function getSceneDescriptor(sceneType) {
+    return Object.hasOwn(sceneRegistry, sceneType) ? sceneRegistry[sceneType] : null;
+}
+
+/**
+ * Check whether a scene type is registered.
+ * @param {*} sceneType - Scene type to check
+ * @returns {boolean}
+ */
+export function hasScene(sceneType) {
+    return typeof sceneType === 'string' && Object.hasOwn(sceneRegistry, sceneType);
+}
+
+/**
+ * Subscribe to scene registrations (e.g. to update the scene selector).
+ * @param {Function} listener - Called with the new scene type
+ * @returns {Function} Unsubscribe function
+ */
+export function onSceneRegistered(listener) {
+    registryListeners.add(listener);
+    return () => registryListeners.delete(listener);
+}
+
+/**
+ * Load a scene plugin module and register its scenes.
+ * The module's default export is a scene descriptor, an array of them, or a function
+ * called with `{registerScene, THREE}` that registers them itself. Plugins use that THREE
+ * (or 'three/webgpu' through the page's import map) rather than bundling their own copy,
+ * so their objects work with the app's renderer.
+ * A module that was loaded before is not loaded again.
+ * @param {string} url - Module URL (http(s), or file:// in the Electron app)
+ * @returns {Promise<SceneType[]>} Scene types the plugin registered
+ * @throws {Error} If the module cannot be imported or a scene cannot be registered
+ */
+export async function loadScenePlugin(url) {
+    const source = new URL(url, window.location.href).href;
+    const loaded = Object.values(sceneRegistry).filter(scene => scene.source === source);
+    if (loaded.length) return loaded.map(scene => scene.id);
+
+    const module = await import(source);
+    const plugin = module.default ?? module;
+    const registered = [];
+    const register = descriptor => {
+        registered.push(registerScene({ ...descriptor, source }).id);
+    };
+
+    if (typeof plugin === 'function') {
+        await plugin({ registerScene: register, THREE });
+    } else {
+        (Array.isArray(plugin) ? plugin : [plugin]).forEach(register);
+    }
+    if (registered.length === 0) {
+        throw new Error(`Scene plugin registered no scenes: ${source}`);
+    }
+    return registered;
+}
+
+/**
+ * Load several scene plugins; a plugin that fails is logged and skipped.
+ * @param {string[]} urls - Module URLs
+ * @returns {Promise<SceneType[]>} Scene types the plugins registered
+ */
+export async function loadScenePlugins(urls) {
+    const registered = [];
+    for (const url of urls) {
+        try {
+            registered.push(...await loadScenePlugin(url));
+        } catch (err) {
+            console.error(`[Registry] Could not load scene plugin ${url}:`, err);
+        }
+    }
+    return registered;
+}
+
+registerScene({
+  id: 'particles',
+  name: SCENE_NAMES.particles,
+  init: initParticlesScene,
+  update: updateParticlesScene,
+  cleanup: cleanupParticlesScene,
+  camera: { position: SCENE_CAMERA_POSITIONS.particles, target: SCENE_CAMERA_TARGETS.particles }
+});
+registerScene({
+  id: 'points',
+  name: SCENE_NAMES.points,
+  init: initPointsScene,
+  update: updatePointsScene,
+  cleanup: cleanupPointsScene,
+  camera: { position: SCENE_CAMERA_POSITIONS.points, target: SCENE_CAMERA_TARGETS.points }
+});
+registerScene({
+  id: 'skinning',
+  name: SCENE_NAMES.skinning,
+  init: initSkinningScene,
+  update: updateSkinningScene,
+  cleanup: cleanupSkinningScene,
+  camera: { position: SCENE_CAMERA_POSITIONS.skinning, target: SCENE_CAMERA_TARGETS.skinning }
+});
 
 /** @type {SceneType|null} */
 let currentSceneType = null;
@@ -58,7 +230,7 @@ export function getCurrentSceneType() {
  * @returns {Promise<THREE.Scene>}
  */
 export async function initScene(sceneType, renderer, camera, controls) {
-  const sceneConfig = sceneRegistry[sceneType];
+  const sceneConfig = getSceneDescriptor(sceneType);
   if (!sceneConfig) {
     throw new Error(`Unknown scene type: ${sceneType}`);
   }
@@ -76,6 +248,13 @@ export async function initScene(sceneType, renderer, camera, controls) {
     currentSceneCleanup = null;
   }
 
+  // Default camera; scenes may still frame their content in init
+  if (sceneConfig.camera && camera && controls) {
+    camera.position.copy(sceneConfig.camera.position);
+    controls.target.copy(sceneConfig.camera.target);
+    controls.update();
+  }
+
   currentSceneType = sceneType;
   const scene = await sceneConfig.init(renderer, camera, controls);
   currentScene = scene;
@@ -89,12 +268,12 @@ export async function initScene(sceneType, renderer, camera, controls) {
  * @param {number} delta - Time since last frame in seconds
  * @param {Object} settings - Current settings values
  * @param {THREE.WebGPURenderer} renderer - The WebGPU renderer
- * @param {Object} audioData - Audio analysis data with bass, mid, high, overall
+ * @param {Object} audioData - Audio analysis data with bass, mid, high, overall, beat and tempo clock
  */
 export function updateScene(delta, settings, renderer, audioData) {
     if (!currentSceneType) return;
     
-    const sceneConfig = sceneRegistry[currentSceneType];
+    const sceneConfig = getSceneDescriptor(currentSceneType);
     if (sceneConfig) {
         sceneConfig.update(delta, settings, renderer, audioData);
     }
@@ -106,11 +285,11 @@ export function updateScene(delta, settings, renderer, audioData) {
  * @returns {string}
  */
 export function getSceneName(sceneType) {
-    return SCENE_NAMES[sceneType] || sceneType;
+    return getSceneDescriptor(sceneType)?.name || sceneType;
 }
 
 /**
- * Get all available scene types.
+ * Get all available scene types, in registration order.
  * @returns {SceneType[]}
  */
 export function getAvailableScenes() {
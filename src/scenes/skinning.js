@@ -258,6 +258,14 @@ return DISCOVERED_GLBS;
  */
 export let currentModelPath = AVAILABLE_MODELS[0]?.path || 'models/gltf/skinning/Michelle.glb';
 
+/**
+ * Select the model the scene loads on its next initialization (e.g. from a shared link).
+ * @param {string} modelPath - Path to the GLB file
+ */
+export function setCurrentModelPath(modelPath) {
+  currentModelPath = modelPath;
+}
+
 /**
  * Callback for when animations are loaded (for UI updates)
  * @type {Function|null}
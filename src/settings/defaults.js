@@ -5,6 +5,8 @@
  */
 
 import { ANIMATION_NAMES, DEFAULT_ANIMATION } from '../core/animations.js';
+import { DEFAULT_AUDIO_BANDS } from '../audio/bands.js';
+import { normalizeModulators } from './modulation.js';
 
 /**
  * @typedef {Object} NumberSetting
@@ -27,6 +29,42 @@ import { ANIMATION_NAMES, DEFAULT_ANIMATION } from '../core/animations.js';
  * @property {string[]} [options] - Optional array of options for dropdown
  */
 
+/**
+ * Default routings: the audio levels push the particles' spawn rate, orbit radius,
+ * turbulence and size, the bloom intensity and the instanced points scene's size,
+ * displacement, pulse, rotation, curve count and wave speed up from their base values.
+ * @constant {Array<Object>}
+ */
+const DEFAULT_MODULATIONS = normalizeModulators([
+    { target: 'baseSpawnRate', source: 'bass', amount: 0.25, smoothing: 0 },
+    { target: 'baseSpawnRate', source: 'beat', amount: 0.2, smoothing: 0 },
+    { target: 'baseRadius', source: 'bass', amount: 0.2, smoothing: 0 },
+    { target: 'baseTurbulence', source: 'mid', amount: 0.2, smoothing: 0 },
+    { target: 'baseSize', source: 'high', amount: 0.25, smoothing: 0 },
+    { target: 'bloomIntensity', source: 'bass', amount: 0.05, smoothing: 0 },
+    { target: 'bloomIntensity', source: 'mid', amount: 0.03, smoothing: 0 },
+    { target: 'bloomIntensity', source: 'high', amount: 0.02, smoothing: 0 },
+    { target: 'bloomIntensity', source: 'beat', amount: 0.05, smoothing: 0 },
+    { target: 'pointsSize', source: 'bass', input: 'envelope', amount: 0.1, smoothing: 0 },
+    { target: 'pointsSize', source: 'mid', input: 'envelope', amount: 0.05, smoothing: 0 },
+    { target: 'pointsSize', source: 'high', input: 'envelope', amount: 0.025, smoothing: 0 },
+    { target: 'pointsDisplacement', source: 'bass', input: 'envelope', amount: 0.1, smoothing: 0 },
+    { target: 'pointsDisplacement', source: 'mid', input: 'envelope', amount: 0.05, smoothing: 0 },
+    { target: 'pointsDisplacement', source: 'high', input: 'envelope', amount: 0.02, smoothing: 0 },
+    { target: 'pointsPulseSpeed', source: 'bass', input: 'envelope', amount: 0.0225, smoothing: 0 },
+    { target: 'pointsPulseSpeed', source: 'mid', input: 'envelope', amount: 0.015, smoothing: 0 },
+    { target: 'pointsPulseSpeed', source: 'high', input: 'envelope', amount: 0.0075, smoothing: 0 },
+    { target: 'pointsRotationSpeed', source: 'bass', input: 'envelope', amount: 0.02, smoothing: 0 },
+    { target: 'pointsRotationSpeed', source: 'mid', input: 'envelope', amount: 0.01, smoothing: 0 },
+    { target: 'pointsRotationSpeed', source: 'high', input: 'envelope', amount: 0.005, smoothing: 0 },
+    { target: 'pointsCurveCount', source: 'bass', input: 'envelope', amount: 0.09, smoothing: 0 },
+    { target: 'pointsCurveCount', source: 'mid', input: 'envelope', amount: 0.045, smoothing: 0 },
+    { target: 'pointsCurveCount', source: 'high', input: 'envelope', amount: 0.015, smoothing: 0 },
+    { target: 'pointsWaveSpeed', source: 'bass', input: 'envelope', amount: 0.07, smoothing: 0 },
+    { target: 'pointsWaveSpeed', source: 'mid', input: 'envelope', amount: 0.04, smoothing: 0 },
+    { target: 'pointsWaveSpeed', source: 'high', input: 'envelope', amount: 0.02, smoothing: 0 }
+]);
+
 /**
  * All visualization settings.
  * @constant
@@ -40,42 +78,99 @@ export const defaultSettings = {
     midSensitivity: { value: 1.5, min: 0.1, max: 5, label: "Mid Sensitivity" },
     /** High frequency sensitivity multiplier */
     highSensitivity: { value: 1.5, min: 0.1, max: 5, label: "High Sensitivity" },
+    /** Beat detection threshold (multiplier over the local average flux) */
+    beatThreshold: { value: 1.5, min: 1.1, max: 4, label: "Beat Threshold" },
+    /** Automatic gain control (sensitivities become a trim on top) */
+    agcEnabled: { value: false, label: "Auto Gain" },
+    /** Level loud passages are normalized to */
+    agcTarget: { value: 0.5, min: 0.1, max: 1, label: "Target Level" },
+    /** Loudness history window; longer adapts more slowly */
+    agcAdaptTime: { value: 8, min: 1, max: 30, label: "Adapt Time (s)" },
+    /** Analyser FFT smoothing (symmetric, applied before the envelopes) */
+    analyserSmoothing: { value: 0.75, min: 0, max: 0.95, label: "FFT Smoothing" },
+    /** Envelope attack time */
+    envelopeAttack: { value: 10, min: 1, max: 200, label: "Attack (ms)" },
+    /** Envelope release time */
+    envelopeRelease: { value: 250, min: 10, max: 2000, label: "Release (ms)" },
+    /** Peak hold time before the peak starts to fall */
+    envelopePeakHold: { value: 150, min: 0, max: 1000, label: "Peak Hold (ms)" },
+    /** Peak fall rate after the hold */
+    envelopePeakDecay: { value: 1.5, min: 0.1, max: 5, label: "Peak Decay (/s)" },
+    /** Noise-gate floor for envelope and peak inputs */
+    envelopeFloor: { value: 0.05, min: 0, max: 0.5, label: "Noise Floor" },
+    /** Frequency bands in Hz with per-band sensitivity (see audio/bands.js) */
+    audioBands: { value: DEFAULT_AUDIO_BANDS, label: "Frequency Bands" },
+    /** Seconds of mute before a live source counts as lost (silence only shows a notice), 0 = never */
+    audioSilenceTimeout: { value: 30, min: 0, max: 120, label: "Silence Timeout (s)" },
+    /** Source used when a lost live source cannot be reconnected */
+    audioFallback: { value: "selector", options: ["selector", "test-signal", "file"], label: "Fallback Source" },
+    /** Visual delay relative to the sound in ms; negative needs file playback (delays the speakers) */
+    avOffset: { value: 0, min: -1000, max: 1000, label: "A/V Offset (ms)" },
+    /** A/V offset of the Spout output, for consumers with their own latency */
+    spoutAvOffset: { value: 0, min: -1000, max: 1000, label: "Spout A/V Offset (ms)" },
+    /** Audio/LFO routings onto numeric settings (see settings/modulation.js) */
+    modulations: { value: DEFAULT_MODULATIONS, label: "Modulation" },
+    
+    // === Preset Morphing (see settings/morph.js) ===
+    /** Morph length, in morphUnit */
+    morphDuration: { value: 4, min: 0, max: 64, label: "Duration" },
+    /** Morph length unit: seconds, or beats on the beat clock */
+    morphUnit: { value: "seconds", options: ["seconds", "beats"], label: "Unit" },
+    /** Easing of numeric settings and colors over the morph */
+    morphEasing: { value: "easeInOut", options: ["linear", "easeIn", "easeOut", "easeInOut", "sine"], label: "Easing" },
+    /** Morph progress at which booleans and options switch to the new value */
+    morphFlipPoint: { value: 0.5, min: 0, max: 1, label: "Flip Point" },
+    
+    // === Randomize (see settings/randomize.js) ===
+    /** Largest mutation step as a percentage of each setting's range */
+    mutateAmount: { value: 20, min: 1, max: 100, label: "Mutate %" },
+    /** Setting keys excluded from randomizing and mutating */
+    randomizeLocks: { value: [], label: "Locked Settings" },
     
     // === Bass Controls ===
-    /** Bass-driven particle spawn rate */
-    bassSpawnRate: { value: 50, min: 0, max: 200, label: "Bass -> Spawn Rate" },
-    /** Bass-driven orbit radius */
-    bassRadius: { value: 3, min: 0, max: 10, label: "Bass -> Orbit Radius" },
     /** Bass-driven bloom intensity */
     bassBloom: { value: 2, min: 0, max: 5, label: "Bass -> Bloom" },
     
     // === Mid Controls ===
-    /** Mid-driven turbulence intensity */
-    midTurbulence: { value: 2, min: 0, max: 5, label: "Mid -> Turbulence" },
     /** Mid-driven turbulence frequency */
     midFrequency: { value: 0.5, min: 0, max: 2, label: "Mid -> Frequency" },
     /** Mid-driven orbit speed */
     midSpeed: { value: 0.5, min: 0, max: 2, label: "Mid -> Orbit Speed" },
     
     // === High Controls ===
-    /** High-driven particle size multiplier */
-    highSize: { value: 2, min: 0, max: 5, label: "High -> Particle Size" },
     /** High-driven color rotation speed */
     highColorSpeed: { value: 3, min: 0, max: 10, label: "High -> Color Speed" },
     
+    // === Spectrum Controls ===
+    /** Per-particle size from the particle's frequency bin */
+    spectrumSize: { value: 1, min: 0, max: 5, label: "Spectrum -> Size" },
+    
+    // === Color ===
+    /** Scene palettes from time/hue rotation or from the music's pitch classes */
+    colorMode: { value: "time", options: ["time", "harmonic"], label: "Color Mode" },
+    
+    // === Stereo Controls ===
+    /** Shift the spawn orbit towards the louder stereo side */
+    stereoPan: { value: 4, min: 0, max: 10, label: "Balance -> Spawn Pan" },
+    /** Stretch the spawn orbit sideways with stereo width */
+    stereoSpread: { value: 1, min: 0, max: 3, label: "Width -> Orbit Spread" },
+    
     // === Overall Controls ===
     /** Global particle lifetime multiplier */
     overallLifetime: { value: 0.5, min: 0, max: 1, label: "Overall -> Lifetime" },
     
     // === Base Values ===
+    // The audio response comes from the default routings in DEFAULT_MODULATIONS
     /** Base particle spawn rate */
-    baseSpawnRate: { value: 5, min: 1, max: 50, label: "Base Spawn Rate" },
+    baseSpawnRate: { value: 5, min: 0, max: 200, label: "Base Spawn Rate" },
     /** Base turbulence intensity */
-    baseTurbulence: { value: 0.5, min: 0, max: 2, label: "Base Turbulence" },
+    baseTurbulence: { value: 0.5, min: 0, max: 10, label: "Base Turbulence" },
     /** Base particle size */
-    baseSize: { value: 1, min: 0.1, max: 3, label: "Base Size" },
+    baseSize: { value: 1, min: 0, max: 8, label: "Base Size" },
     /** Base orbit radius */
-    baseRadius: { value: 2, min: 0.5, max: 5, label: "Base Orbit Radius" },
+    baseRadius: { value: 2, min: 0, max: 15, label: "Base Orbit Radius" },
+    /** Spread of the particle color noise */
+    colorVariance: { value: 2, min: 0, max: 5, label: "Color Variance" },
     
     // === Bloom Post-Processing ===
     /** Base bloom strength */
@@ -94,54 +189,39 @@ export const defaultSettings = {
     maxWidth: { value: 20, min: 2, max: 30, label: "Max Width" },
     
 // === Audio-reactive Instanced Points ===
-  // Point Size with 4-slider structure (0-100 range)
-  pointsSizeIntensity: { value: 50, min: 0, max: 100, label: "Intensity" },
-  pointsSizeBass: { value: 80, min: 0, max: 100, label: "Bass" },
-  pointsSizeMid: { value: 40, min: 0, max: 100, label: "Mid" },
-  pointsSizeHigh: { value: 20, min: 0, max: 100, label: "High" },
-
-  // Radial Displacement with 4-slider structure (0-100 range)
-  pointsDisplacementIntensity: { value: 30, min: 0, max: 100, label: "Intensity" },
-  pointsDisplacementBass: { value: 100, min: 0, max: 100, label: "Bass" },
-  pointsDisplacementMid: { value: 50, min: 0, max: 100, label: "Mid" },
-  pointsDisplacementHigh: { value: 20, min: 0, max: 100, label: "High" },
-
-  // Pulse Speed with 4-slider structure (0-100 range)
-  pointsPulseIntensity: { value: 30, min: 0, max: 100, label: "Intensity" },
-  pointsPulseBass: { value: 30, min: 0, max: 100, label: "Bass" },
-  pointsPulseMid: { value: 20, min: 0, max: 100, label: "Mid" },
-  pointsPulseHigh: { value: 10, min: 0, max: 100, label: "High" },
-
-// Rotation Speed with 4-slider structure (0-100 range)
-  pointsRotationIntensity: { value: 20, min: 0, max: 100, label: "Intensity" },
-  pointsRotationBass: { value: 40, min: 0, max: 100, label: "Bass" },
-  pointsRotationMid: { value: 20, min: 0, max: 100, label: "Mid" },
-  pointsRotationHigh: { value: 10, min: 0, max: 100, label: "High" },
-
-  // Curve Count with 4-slider structure (0-100 range)
-  pointsCurveCountIntensity: { value: 30, min: 0, max: 100, label: "Intensity" },
-  pointsCurveCountBass: { value: 60, min: 0, max: 100, label: "Bass" },
-  pointsCurveCountMid: { value: 30, min: 0, max: 100, label: "Mid" },
-  pointsCurveCountHigh: { value: 10, min: 0, max: 100, label: "High" },
-
-  // Wave Travel Speed with 4-slider structure (0-100 range)
-  pointsWaveSpeedIntensity: { value: 40, min: 0, max: 100, label: "Intensity" },
-  pointsWaveSpeedBass: { value: 70, min: 0, max: 100, label: "Bass" },
-  pointsWaveSpeedMid: { value: 40, min: 0, max: 100, label: "Mid" },
-  pointsWaveSpeedHigh: { value: 20, min: 0, max: 100, label: "High" },
+  // Base values; the audio response comes from the default routings in DEFAULT_MODULATIONS
+  /** Point size boost (added to the base point size) */
+  pointsSize: { value: 8, min: 0, max: 64, label: "Point Size" },
+  /** Per-point size from the spectrum mapped along the curve */
+  pointsSizeSpectrum: { value: 30, min: 0, max: 100, label: "Spectrum" },
+
+  /** Radial displacement of the points from the curve */
+  pointsDisplacement: { value: 2, min: 2, max: 62, label: "Radial Displacement" },
+
+  /** Pulse animation speed */
+  pointsPulseSpeed: { value: 0.95, min: 0.5, max: 6.5, label: "Pulse Speed" },
+  /** Lock pulse to the beat clock instead of free-running time */
+  pointsPulseSync: { value: "free", options: ["free", "quarter", "half", "bar"], label: "Tempo Sync" },
+
+  /** Rotation speed in radians per second */
+  pointsRotationSpeed: { value: 0.16, min: 0.1, max: 1.3, label: "Rotation Speed" },
+  /** Stereo skew: width speeds rotation up, balance tilts and steers it */
+  pointsRotationStereo: { value: 30, min: 0, max: 100, label: "Stereo" },
+
+  /** Visible curves (rounded, at least one) */
+  pointsCurveCount: { value: 0.75, min: 0, max: 5, label: "Curve Count" },
+
+  /** Wave travel speed in curve lengths per second */
+  pointsWaveSpeed: { value: 0.12, min: 0.05, max: 0.75, label: "Wave Speed" },
+  /** Lock wave travel (one pass per division) to the beat clock */
+  pointsWaveSync: { value: "free", options: ["free", "quarter", "half", "bar"], label: "Tempo Sync" },
 
   // Wave Length - controls how many points are in the wave chain
   pointsWaveLength: { value: 30, min: 5, max: 100, label: "Wave Length" },
 
 // === Audio-reactive Bloom ===
-  /** Bloom intensity base value */
-  bloomIntensity: { value: 0.75, min: 0, max: 6, label: "Intensity" },
-    /** Bloom bass sensitivity */
-    bloomBass: { value: 0.5, min: 0, max: 2, label: "Bass Sens" },
-    /** Bloom mid sensitivity */
-    bloomMid: { value: 0.3, min: 0, max: 2, label: "Mid Sens" },
-    /** Bloom high sensitivity */
-    bloomHigh: { value: 0.2, min: 0, max: 2, label: "High Sens" },
+  /** Bloom intensity base value; bass, mid, high and beats add to it through DEFAULT_MODULATIONS */
+  bloomIntensity: { value: 0.75, min: 0, max: 10, label: "Intensity" },
     
 // === Camera Controls ===
   /** Enable automatic camera rotation */
@@ -168,6 +248,20 @@ export const defaultSettings = {
   spoutFrameSkip: { value: 0, min: 0, max: 2, label: "Frame Skip (0=60fps, 1=30fps, 2=20fps)" }
 };
 
+/**
+ * Copy a setting definition; array values (e.g. audioBands) must not be shared
+ * with the defaults.
+ * @param {Object} config - Setting definition
+ * @returns {Object}
+ */
+function copySetting(config) {
+    const setting = { ...config };
+    if (Array.isArray(config.value)) {
+        setting.value = config.value.map(item => (typeof item === 'object' ? { ...item } : item));
+    }
+    return setting;
+}
+
 /**
  * Create a reactive settings object from defaults.
  * @returns {Object} Settings object with reactive values
@@ -175,7 +269,50 @@ export const defaultSettings = {
 export function createSettings() {
     const settings = {};
     for (const [key, config] of Object.entries(defaultSettings)) {
-        settings[key] = { ...config };
+        settings[key] = copySetting(config);
     }
     return settings;
 }
+
+/**
+ * Add setting definitions to the defaults, e.g. the settings of a scene plugin.
+ * createSettings includes them from then on; settings objects that already exist
+ * get them through extendSettings. Nothing is added if any definition is invalid.
+ * @param {Object.<string, NumberSetting|BooleanSetting|StringSetting>} definitions - Settings by key
+ * @returns {string[]} Keys that were added
+ * @throws {Error} If a key already exists, or a definition has no value or a number no min/max
+ */
+export function registerSettings(definitions) {
+    const entries = Object.entries(definitions ?? {});
+    for (const [key, config] of entries) {
+        if (key in defaultSettings) {
+            throw new Error(`Setting already exists: ${key}`);
+        }
+        if (!config || typeof config !== 'object' || config.value === undefined) {
+            throw new Error(`Setting ${key} has no value`);
+        }
+        if (typeof config.value === 'number' && !(typeof config.min === 'number' && typeof config.max === 'number')) {
+            throw new Error(`Setting ${key} needs a numeric min and max`);
+        }
+    }
+    for (const [key, config] of entries) {
+        defaultSettings[key] = { ...copySetting(config), label: config.label ?? key };
+    }
+    return entries.map(([key]) => key);
+}
+
+/**
+ * Add the defaults of settings registered after a settings object was created.
+ * @param {Object} settings - Settings object to extend
+ * @returns {string[]} Keys that were added
+ */
+export function extendSettings(settings) {
+    const added = [];
+    for (const [key, config] of Object.entries(defaultSettings)) {
+        if (!(key in settings)) {
+            settings[key] = copySetting(config);
+            added.push(key);
+        }
+    }
+    return added;
+}
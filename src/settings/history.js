@@ -0,0 +1,253 @@
+/**
+ * @module settings/history
+ * @description Undo/redo history of setting changes, scene switches and model selection.
+ * After every change the history compares the current state with the last recorded one
+ * and stores only what differs. Consecutive changes to the same settings within a short
+ * window (a slider drag fires on every input event) are coalesced into one step.
+ */
+
+import { serializeSettings, SETTING_CATEGORIES } from './utils.js';
+
+/**
+ * Default maximum number of undo steps.
+ * @constant {number}
+ */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * Default window (ms) in which changes to the same settings join the previous step.
+ * @constant {number}
+ */
+export const HISTORY_COALESCE_MS = 800;
+
+/**
+ * Settings left out of the history: Spout output is switched on and off by the main process.
+ * @constant {string[]}
+ */
+export const HISTORY_EXCLUDED_KEYS = SETTING_CATEGORIES.spout;
+
+/**
+ * @typedef {Object} HistoryState
+ * @property {Object} values - Setting values by key
+ * @property {string|null} [scene] - Scene type
+ * @property {string|null} [model] - Skinning model path
+ */
+
+/**
+ * @typedef {Object} HistoryStep
+ * @property {Object.<string, Array>} values - Changed settings: key -> [before, after]
+ * @property {Array} [scene] - [before, after] scene type
+ * @property {Array} [model] - [before, after] model path
+ * @property {number} time - Last time the step was extended (ms)
+ */
+
+/**
+ * Compare two values; arrays and objects by content.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Build the step that leads from one state to another.
+ * @param {HistoryState} from - Previous state
+ * @param {HistoryState} to - New state
+ * @returns {HistoryStep|null} Null if nothing changed
+ */
+function diffStates(from, to) {
+    const step = { values: {} };
+    let changed = false;
+    for (const [key, value] of Object.entries(to.values)) {
+        if (key in from.values && !isSameValue(from.values[key], value)) {
+            step.values[key] = [from.values[key], value];
+            changed = true;
+        }
+    }
+    for (const field of ['scene', 'model']) {
+        if (from[field] !== to[field]) {
+            step[field] = [from[field], to[field]];
+            changed = true;
+        }
+    }
+    return changed ? step : null;
+}
+
+/**
+ * Keys a step touches, for coalescing.
+ * @param {HistoryStep} step - History step
+ * @returns {string}
+ */
+function stepSignature(step) {
+    const keys = Object.keys(step.values);
+    if (step.scene) keys.push('@scene');
+    if (step.model) keys.push('@model');
+    return keys.sort().join(',');
+}
+
+/**
+ * Pick one side of a step as a partial state.
+ * @param {HistoryStep} step - History step
+ * @param {number} side - 0 for the state before the step, 1 for after
+ * @returns {HistoryState}
+ */
+function stepState(step, side) {
+    const state = {
+        values: Object.fromEntries(Object.entries(step.values).map(([key, pair]) => [key, structuredClone(pair[side])]))
+    };
+    if (step.scene) state.scene = step.scene[side];
+    if (step.model) state.model = step.model[side];
+    return state;
+}
+
+/**
+ * Create the undo/redo history for a settings object.
+ * @param {Object} settings - Settings object
+ * @param {Object} options
+ * @param {Function} options.apply - Applies a partial HistoryState (settings, scene, model); may be async
+ * @param {Function} [options.getScene] - Returns the current scene type
+ * @param {Function} [options.getModel] - Returns the current skinning model path
+ * @param {number} [options.limit=HISTORY_LIMIT] - Maximum number of undo steps
+ * @param {number} [options.coalesceMs=HISTORY_COALESCE_MS] - Coalescing window (ms)
+ * @returns {Object} History with record, undo, redo, reset, canUndo, canRedo and onChange
+ */
+export function createSettingsHistory(settings, options) {
+    const {
+        apply,
+        getScene = () => null,
+        getModel = () => null,
+        limit = HISTORY_LIMIT,
+        coalesceMs = HISTORY_COALESCE_MS
+    } = options;
+
+    /** @type {HistoryStep[]} */
+    const undoStack = [];
+    /** @type {HistoryStep[]} */
+    const redoStack = [];
+    const listeners = new Set();
+
+    /** @type {HistoryState|null} Last recorded state */
+    let current = null;
+    let applying = false;
+
+    const capture = () => {
+        const values = structuredClone(serializeSettings(settings));
+        for (const key of HISTORY_EXCLUDED_KEYS) delete values[key];
+        return { values, scene: getScene() ?? null, model: getModel() ?? null };
+    };
+
+    const notify = () => {
+        const state = { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+        listeners.forEach(listener => listener(state));
+    };
+
+    // Move a step between the stacks and apply one side of it
+    const travel = async (from, to, side) => {
+        const step = from.pop();
+        if (!step || applying) {
+            if (step) from.push(step);
+            return false;
+        }
+        applying = true;
+        try {
+            await apply(stepState(step, side));
+        } catch (err) {
+            console.error('[History] Could not apply step:', err);
+        } finally {
+            applying = false;
+        }
+        // A step that was travelled over never absorbs new changes
+        step.time = 0;
+        to.push(step);
+        current = capture();
+        notify();
+        return true;
+    };
+
+    return {
+        /**
+         * Record the current state as a step if it differs from the last recorded state.
+         * Changes made while a step is being undone or redone are ignored.
+         */
+        record() {
+            if (applying) return;
+            const next = capture();
+            if (!current) {
+                current = next;
+                return;
+            }
+            const step = diffStates(current, next);
+            current = next;
+            if (!step) return;
+
+            const now = Date.now();
+            const last = undoStack[undoStack.length - 1];
+            if (last && redoStack.length === 0 && now - last.time < coalesceMs &&
+                stepSignature(last) === stepSignature(step)) {
+                // Extend the previous step; drop it if the drag ended where it began
+                for (const [key, [, after]] of Object.entries(step.values)) last.values[key][1] = after;
+                if (step.scene) last.scene[1] = step.scene[1];
+                if (step.model) last.model[1] = step.model[1];
+                last.time = now;
+                if (!diffStates(stepState(last, 0), stepState(last, 1))) undoStack.pop();
+            } else {
+                step.time = now;
+                undoStack.push(step);
+                if (undoStack.length > limit) undoStack.shift();
+            }
+            redoStack.length = 0;
+            notify();
+        },
+
+        /**
+         * Undo the last step.
+         * @returns {Promise<boolean>} True if a step was undone
+         */
+        undo() {
+            return travel(undoStack, redoStack, 0);
+        },
+
+        /**
+         * Redo the last undone step.
+         * @returns {Promise<boolean>} True if a step was redone
+         */
+        redo() {
+            return travel(redoStack, undoStack, 1);
+        },
+
+        /**
+         * Forget all steps and take the current state as the starting point.
+         */
+        reset() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            current = capture();
+            notify();
+        },
+
+        /** @returns {boolean} */
+        canUndo() {
+            return undoStack.length > 0;
+        },
+
+        /** @returns {boolean} */
+        canRedo() {
+            return redoStack.length > 0;
+        },
+
+        /**
+         * Subscribe to changes of canUndo/canRedo.
+         * @param {Function} listener - Called with {canUndo, canRedo}
+         * @returns {Function} Unsubscribe function
+         */
+        onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
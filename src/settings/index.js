@@ -1,7 +1,15 @@
 /**
  * @module settings
- * @description Settings module exports for defaults and utilities.
+ * @description Settings module exports for defaults, utilities, schema, modulation, presets, URL state, session persistence, undo history, morphing and randomizing.
  */
 
 export * from './defaults.js';
 export * from './utils.js';
+export * from './modulation.js';
+export * from './presets.js';
+export * from './schema.js';
+export * from './url-state.js';
+export * from './session.js';
+export * from './history.js';
+export * from './morph.js';
+export * from './randomize.js';
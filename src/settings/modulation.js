@@ -0,0 +1,411 @@
+/**
+ * @module settings/modulation
+ * @description Modulation matrix: routes audio features, LFOs and envelopes to numeric settings.
+ * Each modulator adds `curve(source) * amount * (max - min)` to its target's value for
+ * the current frame only. LFOs run free in Hz or locked to the beat clock. Envelopes
+ * fire on beats, bars, onsets or a key. Both keep motion evolving through quiet passages.
+ * The base settings (what the GUI edits and what is saved) are never changed; scenes
+ * receive a per-frame copy with the modulated values.
+ */
+
+import { ENVELOPE_SOURCES } from '../audio/envelope.js';
+import { getAudioInput } from '../audio/reactive.js';
+
+/**
+ * Modulation sources. Audio sources are 0-1 levels from analyzeAudio.
+ * @constant {Object.<string, string>}
+ */
+export const MODULATION_SOURCES = {
+    bass: 'Bass',
+    mid: 'Mid',
+    high: 'High',
+    overall: 'Overall',
+    beat: 'Beat',
+    onset: 'Onset',
+    lfo: 'LFO',
+    envelope: 'Envelope'
+};
+
+/**
+ * LFO waveforms over one cycle (phase 0-1), returning 0-1.
+ * `random` is sample-and-hold: a new value each cycle, glide with smoothing.
+ * @constant {Object.<string, Function>}
+ */
+export const LFO_SHAPES = {
+    sine: (phase) => 0.5 - 0.5 * Math.cos(2 * Math.PI * phase),
+    triangle: (phase) => 1 - Math.abs(2 * phase - 1),
+    square: (phase) => (phase < 0.5 ? 1 : 0),
+    saw: (phase) => phase,
+    random: (phase, cycle) => hashCycle(cycle)
+};
+
+/**
+ * LFO rate modes: `free` uses the rate in Hz, the others are cycle lengths in beats.
+ * @constant {Object.<string, number|null>}
+ */
+export const LFO_DIVISIONS = {
+    free: null,
+    '8 bars': 32,
+    '4 bars': 16,
+    '2 bars': 8,
+    '1 bar': 4,
+    '1/2': 2,
+    '1/4': 1,
+    '1/8': 0.5,
+    '1/16': 0.25
+};
+
+/**
+ * Envelope triggers. `key` fires when the modulator's key is pressed (see triggerKey).
+ * @constant {Object.<string, string>}
+ */
+export const ENVELOPE_TRIGGERS = {
+    beat: 'Beat',
+    bar: 'Bar',
+    onset: 'Onset',
+    key: 'Key'
+};
+
+/**
+ * Response curves applied to the 0-1 source value.
+ * @constant {Object.<string, Function>}
+ */
+export const MODULATION_CURVES = {
+    linear: x => x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    smooth: x => x * x * (3 - 2 * x),
+    inverted: x => 1 - x
+};
+
+/**
+ * @typedef {Object} Modulator
+ * @property {string} target - Setting key to modulate
+ * @property {string} source - Key of MODULATION_SOURCES
+ * @property {string} input - Level an audio source reads: 'raw', 'envelope' or 'peak' (see audio/envelope.js)
+ * @property {number} amount - Depth as a fraction of the target's range (-1 to 1)
+ * @property {string} curve - Key of MODULATION_CURVES
+ * @property {number} smoothing - Source smoothing time constant in ms
+ * @property {string} shape - LFO waveform, key of LFO_SHAPES
+ * @property {string} division - LFO rate mode, key of LFO_DIVISIONS
+ * @property {number} rate - LFO rate in Hz (free division only)
+ * @property {number} phase - LFO phase offset (0-1)
+ * @property {string} trigger - Envelope trigger, key of ENVELOPE_TRIGGERS
+ * @property {string} key - Keyboard key for the `key` trigger
+ * @property {number} attack - Envelope attack in ms
+ * @property {number} decay - Envelope decay in ms
+ */
+
+/** Defaults for new modulators */
+const MODULATOR_DEFAULTS = {
+    source: 'bass',
+    input: 'raw',
+    amount: 0.25,
+    curve: 'linear',
+    smoothing: 50,
+    shape: 'sine',
+    division: 'free',
+    rate: 0.25,
+    phase: 0,
+    trigger: 'beat',
+    key: '1',
+    attack: 10,
+    decay: 500
+};
+
+/** Tempo assumed for beat-synced LFOs when there is no beat clock */
+const FALLBACK_BPM = 120;
+
+/** Rise of a beat/onset pulse between frames that fires an envelope */
+const TRIGGER_RISE = 0.1;
+
+/**
+ * Pseudo-random 0-1 value for an LFO cycle (stable for a given cycle).
+ * @param {number} cycle - Whole cycle count
+ * @returns {number}
+ */
+function hashCycle(cycle) {
+    const x = Math.sin(cycle * 127.1 + 311.7) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+/**
+ * Clamp a number, falling back when it is not finite.
+ * @param {*} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} fallback - Used for non-numeric values
+ * @returns {number}
+ */
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * Check whether a setting can be modulated (numeric with a range).
+ * @param {Object} setting - Setting object
+ * @returns {boolean}
+ */
+export function isModulatable(setting) {
+    return !!setting
+        && typeof setting.value === 'number'
+        && typeof setting.min === 'number'
+        && typeof setting.max === 'number'
+        && setting.max > setting.min;
+}
+
+/**
+ * Keys of all settings that can be modulated.
+ * @param {Object} settings - Settings object
+ * @returns {string[]}
+ */
+export function getModulatableKeys(settings) {
+    return Object.keys(settings).filter(key => isModulatable(settings[key]));
+}
+
+/**
+ * Create a modulator with defaults.
+ * @param {string} target - Setting key
+ * @param {Partial<Modulator>} [overrides] - Values to override
+ * @returns {Modulator}
+ */
+export function createModulator(target, overrides = {}) {
+    return { target, ...MODULATOR_DEFAULTS, ...overrides };
+}
+
+/**
+ * Fill in missing fields and clamp values, dropping entries without a target.
+ * @param {Array<Partial<Modulator>>} modulators - Modulators from settings, presets or sync
+ * @returns {Modulator[]}
+ */
+export function normalizeModulators(modulators) {
+    if (!Array.isArray(modulators)) return [];
+    return modulators
+        .filter(mod => mod && typeof mod.target === 'string')
+        .map(mod => {
+            const normalized = createModulator(mod.target, mod);
+            if (!Object.hasOwn(MODULATION_SOURCES, normalized.source)) normalized.source = MODULATOR_DEFAULTS.source;
+            if (!ENVELOPE_SOURCES.includes(normalized.input)) normalized.input = MODULATOR_DEFAULTS.input;
+            if (!Object.hasOwn(MODULATION_CURVES, normalized.curve)) normalized.curve = MODULATOR_DEFAULTS.curve;
+            if (!Object.hasOwn(LFO_SHAPES, normalized.shape)) normalized.shape = MODULATOR_DEFAULTS.shape;
+            if (!Object.hasOwn(LFO_DIVISIONS, normalized.division)) normalized.division = MODULATOR_DEFAULTS.division;
+            if (!Object.hasOwn(ENVELOPE_TRIGGERS, normalized.trigger)) normalized.trigger = MODULATOR_DEFAULTS.trigger;
+            if (typeof normalized.key !== 'string' || normalized.key.length !== 1) normalized.key = MODULATOR_DEFAULTS.key;
+            normalized.amount = clampNumber(normalized.amount, -1, 1, 0);
+            normalized.smoothing = clampNumber(normalized.smoothing, 0, 10000, 0);
+            normalized.rate = clampNumber(normalized.rate, 0.001, 100, MODULATOR_DEFAULTS.rate);
+            normalized.phase = clampNumber(normalized.phase, 0, 1, 0);
+            normalized.attack = clampNumber(normalized.attack, 0, 10000, MODULATOR_DEFAULTS.attack);
+            normalized.decay = clampNumber(normalized.decay, 0, 10000, MODULATOR_DEFAULTS.decay);
+            return normalized;
+        });
+}
+
+/**
+ * LFO value: free-running in Hz, or locked to the beat clock for beat divisions.
+ * @param {Modulator} mod - Modulator
+ * @param {Object} audioData - Audio data from analyzeAudio (`tempo` is the beat clock)
+ * @param {number} time - Time in seconds
+ * @returns {number} 0-1
+ */
+function readLfo(mod, audioData, time) {
+    const beatsPerCycle = LFO_DIVISIONS[mod.division] ?? null;
+    const cycles = beatsPerCycle === null
+        ? time * mod.rate
+        : (audioData?.tempo?.beats ?? time * FALLBACK_BPM / 60) / beatsPerCycle;
+    const position = cycles + (mod.phase ?? 0);
+    const cycle = Math.floor(position);
+    const shape = LFO_SHAPES[mod.shape] ?? LFO_SHAPES.sine;
+    return shape(position - cycle, cycle);
+}
+
+/**
+ * Attack/decay envelope value for the time since its last trigger.
+ * @param {Modulator} mod - Modulator
+ * @param {number} elapsed - Seconds since the trigger
+ * @returns {number} 0-1
+ */
+function readEnvelope(mod, elapsed) {
+    const attack = (mod.attack ?? 0) / 1000;
+    const decay = (mod.decay ?? 0) / 1000;
+    if (elapsed < attack) return elapsed / attack;
+    if (elapsed < attack + decay) return 1 - (elapsed - attack) / decay;
+    return 0;
+}
+
+/**
+ * Build a frame's settings from values modulated elsewhere, e.g. by the main window's
+ * matrix for the Spout window, so both windows show the same frame.
+ * @param {Object} settings - Base settings
+ * @param {Object.<string, number>} values - Modulated values by key (see getModulatedValues)
+ * @returns {Object} The base settings if nothing is modulated, otherwise a shallow copy
+ *   with the modulated targets replaced
+ */
+export function applyModulatedValues(settings, values) {
+    const entries = Object.entries(values ?? {}).filter(([key, value]) =>
+        isModulatable(settings[key]) && typeof value === 'number' && Number.isFinite(value));
+    if (entries.length === 0) return settings;
+
+    const frame = { ...settings };
+    for (const [key, value] of entries) {
+        const setting = settings[key];
+        frame[key] = { ...setting, value: Math.min(Math.max(value, setting.min), setting.max) };
+    }
+    return frame;
+}
+
+/**
+ * Create a modulation matrix. Holds the per-modulator smoothing and envelope state
+ * and the last modulated values for GUI indicators.
+ * @returns {Object} Modulation matrix
+ */
+export function createModulationMatrix() {
+    /** @type {number[]} Smoothed source value per modulator index */
+    let smoothed = [];
+    /** @type {Array<number|undefined>} Last trigger time per modulator index */
+    let triggeredAt = [];
+    /** @type {WeakMap<Object, number>} Base setting object -> modulated value */
+    let modulatedValues = new WeakMap();
+    /** @type {Object.<string, number>} Setting key -> modulated value */
+    let modulatedByKey = {};
+    /** Keys pressed since the last frame */
+    const pressedKeys = new Set();
+    let lastTime = null;
+    let lastBeat = 0;
+    let lastOnset = 0;
+    let lastBar = null;
+
+    /**
+     * Whether an envelope trigger fired this frame.
+     * @param {Modulator} mod - Modulator
+     * @param {Object} audioData - Audio data from analyzeAudio
+     * @returns {boolean}
+     */
+    function isTriggered(mod, audioData) {
+        switch (mod.trigger) {
+            case 'beat': return (audioData?.beat ?? 0) - lastBeat > TRIGGER_RISE;
+            case 'onset': return (audioData?.onset ?? 0) - lastOnset > TRIGGER_RISE;
+            case 'bar': return lastBar !== null && audioData?.tempo?.bar !== lastBar;
+            case 'key': return pressedKeys.has(mod.key.toLowerCase());
+            default: return false;
+        }
+    }
+
+    /**
+     * Raw 0-1 value of a modulator's source.
+     * @param {Modulator} mod - Modulator
+     * @param {number} i - Modulator index
+     * @param {Object} audioData - Audio data from analyzeAudio
+     * @param {number} time - Time in seconds
+     * @returns {number}
+     */
+    function readSource(mod, i, audioData, time) {
+        if (mod.source === 'lfo') return readLfo(mod, audioData, time);
+        if (mod.source === 'envelope') {
+            if (isTriggered(mod, audioData)) triggeredAt[i] = time;
+            return triggeredAt[i] === undefined ? 0 : readEnvelope(mod, time - triggeredAt[i]);
+        }
+        // Sources without an envelope follower (beat, onset) read their raw level
+        const value = audioData ? getAudioInput(audioData, mod.input)[mod.source] ?? audioData[mod.source] : undefined;
+        return typeof value === 'number' ? Math.min(Math.max(value, 0), 1) : 0;
+    }
+
+    return {
+        /**
+         * Apply all modulators for one frame.
+         * @param {Object} settings - Base settings; `settings.modulations.value` holds the modulators
+         * @param {Object} audioData - Audio data from analyzeAudio
+         * @param {number} time - Time in seconds
+         * @returns {Object} Settings for this frame: the base settings if nothing is modulated,
+         *   otherwise a shallow copy with modulated targets replaced
+         */
+        apply(settings, audioData, time) {
+            const modulators = settings.modulations?.value;
+            const dt = lastTime === null ? 0 : Math.min(Math.max(time - lastTime, 0), 0.1);
+            lastTime = time;
+            modulatedValues = new WeakMap();
+            modulatedByKey = {};
+            if (!Array.isArray(modulators) || modulators.length === 0) {
+                smoothed = [];
+                triggeredAt = [];
+                pressedKeys.clear();
+                return settings;
+            }
+
+            const offsets = new Map();
+            modulators.forEach((mod, i) => {
+                const setting = settings[mod.target];
+                if (!isModulatable(setting)) return;
+
+                const raw = readSource(mod, i, audioData, time);
+                const tau = (mod.smoothing ?? 0) / 1000;
+                const previous = smoothed[i] ?? raw;
+                const k = tau > 0 ? 1 - Math.exp(-dt / tau) : 1;
+                smoothed[i] = previous + (raw - previous) * k;
+
+                const curve = MODULATION_CURVES[mod.curve] ?? MODULATION_CURVES.linear;
+                const offset = curve(smoothed[i]) * (mod.amount ?? 0) * (setting.max - setting.min);
+                offsets.set(mod.target, (offsets.get(mod.target) ?? 0) + offset);
+            });
+            smoothed.length = modulators.length;
+            triggeredAt.length = modulators.length;
+            lastBeat = audioData?.beat ?? 0;
+            lastOnset = audioData?.onset ?? 0;
+            lastBar = audioData?.tempo?.bar ?? null;
+            pressedKeys.clear();
+
+            if (offsets.size === 0) return settings;
+
+            const frame = { ...settings };
+            for (const [target, offset] of offsets) {
+                const setting = settings[target];
+                const value = Math.min(Math.max(setting.value + offset, setting.min), setting.max);
+                frame[target] = { ...setting, value };
+                modulatedValues.set(setting, value);
+                modulatedByKey[target] = value;
+            }
+            return frame;
+        },
+
+        /**
+         * Value a setting had on the last frame, if it is modulated.
+         * @param {Object} setting - Base setting object
+         * @returns {number|undefined}
+         */
+        getModulatedValue(setting) {
+            return modulatedValues.get(setting);
+        },
+
+        /**
+         * Values of the settings modulated on the last frame.
+         * @returns {Object.<string, number>} Modulated values by key
+         */
+        getModulatedValues() {
+            return { ...modulatedByKey };
+        },
+
+        /**
+         * Fire the envelopes bound to a key on the next frame.
+         * @param {string} key - Key as in KeyboardEvent.key
+         */
+        triggerKey(key) {
+            pressedKeys.add(key.toLowerCase());
+        },
+
+        /**
+         * Forget smoothing and envelope state.
+         */
+        reset() {
+            smoothed = [];
+            triggeredAt = [];
+            modulatedValues = new WeakMap();
+            modulatedByKey = {};
+            pressedKeys.clear();
+            lastTime = null;
+            lastBeat = 0;
+            lastOnset = 0;
+            lastBar = null;
+        }
+    };
+}
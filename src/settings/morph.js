@@ -0,0 +1,263 @@
+/**
+ * @module settings/morph
+ * @description Morphing between looks.
+ * Numeric settings are interpolated with a selectable easing curve, hex colors in the
+ * OKLab perceptual space, and booleans and options flip from the old to the new value
+ * at a configurable point of the morph. Arrays and objects (bands, modulators) are
+ * interpolated element by element where their shapes match, otherwise they flip too.
+ * A morph runs over a number of seconds or of beats on the beat clock; the same
+ * interpolation drives the A/B crossfade between two presets.
+ */
+
+import { createSettings } from './defaults.js';
+import { serializeSettings, deserializeSettings } from './utils.js';
+import { applyPreset, PRESET_EXCLUDED_KEYS } from './presets.js';
+
+/**
+ * Easing curves over the morph progress (0-1).
+ * @constant {Object.<string, Function>}
+ */
+export const MORPH_EASINGS = {
+    linear: x => x,
+    easeIn: x => x * x,
+    easeOut: x => 1 - (1 - x) * (1 - x),
+    easeInOut: x => (x < 0.5 ? 2 * x * x : 1 - 2 * (1 - x) * (1 - x)),
+    sine: x => 0.5 - 0.5 * Math.cos(Math.PI * x)
+};
+
+/**
+ * Units of the morph duration.
+ * @constant {Object.<string, string>}
+ */
+export const MORPH_UNITS = {
+    seconds: 'Seconds',
+    beats: 'Beats'
+};
+
+/** Tempo assumed for beat-long morphs before the beat clock has locked */
+const FALLBACK_BPM = 120;
+
+/**
+ * @typedef {Object} MorphOptions
+ * @property {number} [duration=4] - Morph length in `unit`s
+ * @property {string} [unit='seconds'] - Key of MORPH_UNITS
+ * @property {string} [easing='linear'] - Key of MORPH_EASINGS
+ * @property {number} [flipAt=0.5] - Progress (0-1) at which booleans and options switch
+ * @property {Function} [onUpdate] - Called after each frame's values are applied
+ * @property {Function} [onComplete] - Called when the target is reached
+ */
+
+/**
+ * Check whether a value is a `#rgb` or `#rrggbb` color.
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Convert a hex color to OKLab.
+ * @param {string} hex - `#rgb` or `#rrggbb`
+ * @returns {number[]} [L, a, b]
+ */
+function hexToOklab(hex) {
+    const digits = hex.length === 4 ? hex.slice(1).replace(/./g, c => c + c) : hex.slice(1);
+    const [r, g, b] = [0, 2, 4].map(i => {
+        const c = parseInt(digits.slice(i, i + 2), 16) / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * Convert an OKLab color to hex, clipping to the sRGB gamut.
+ * @param {number[]} lab - [L, a, b]
+ * @returns {string} `#rrggbb`
+ */
+function oklabToHex([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    const linear = [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+    return '#' + linear.map(c => {
+        const encoded = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.round(Math.min(Math.max(encoded, 0), 1) * 255).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+/**
+ * Interpolate one value.
+ * @param {*} from - Start value
+ * @param {*} to - End value
+ * @param {number} amount - Eased progress (0-1) for numbers and colors
+ * @param {boolean} flipped - Whether discrete values have switched to `to`
+ * @returns {*}
+ */
+export function interpolateValue(from, to, amount, flipped) {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return from + (to - from) * amount;
+    }
+    if (isHexColor(from) && isHexColor(to)) {
+        const a = hexToOklab(from);
+        const b = hexToOklab(to);
+        return oklabToHex(a.map((value, i) => value + (b[i] - value) * amount));
+    }
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+        return from.map((item, i) => interpolateValue(item, to[i], amount, flipped));
+    }
+    if (from && to && typeof from === 'object' && typeof to === 'object' && !Array.isArray(from) && !Array.isArray(to)) {
+        const keys = Object.keys(to);
+        if (keys.length === Object.keys(from).length && keys.every(key => key in from)) {
+            return Object.fromEntries(keys.map(key => [key, interpolateValue(from[key], to[key], amount, flipped)]));
+        }
+    }
+    return structuredClone(flipped ? to : from);
+}
+
+/**
+ * Interpolate serialized setting values.
+ * @param {Object} from - Start values by key
+ * @param {Object} to - End values by key
+ * @param {number} progress - Morph progress (0-1), eased for numbers and colors
+ * @param {Object} [options]
+ * @param {string} [options.easing='linear'] - Key of MORPH_EASINGS
+ * @param {number} [options.flipAt=0.5] - Progress at which booleans and options switch
+ * @returns {Object} Values by key (keys of `to`)
+ */
+export function interpolateValues(from, to, progress, { easing = 'linear', flipAt = 0.5 } = {}) {
+    const t = Math.min(Math.max(progress, 0), 1);
+    const amount = (MORPH_EASINGS[easing] ?? MORPH_EASINGS.linear)(t);
+    const flipped = t >= 1 || (t > 0 && t >= flipAt);
+    const values = {};
+    for (const [key, value] of Object.entries(to)) {
+        values[key] = key in from ? interpolateValue(from[key], value, amount, flipped) : structuredClone(value);
+    }
+    return values;
+}
+
+/**
+ * Serialized values a morph works on: the look, without machine-specific settings
+ * (audio source, A/V offsets, Spout output, morph options).
+ * @param {Object} settings - Settings object
+ * @returns {Object} Values by key
+ */
+export function getMorphValues(settings) {
+    const values = structuredClone(serializeSettings(settings));
+    for (const key of PRESET_EXCLUDED_KEYS) delete values[key];
+    return values;
+}
+
+/**
+ * Values the settings would have after loading a preset: migrated and validated, with
+ * settings the preset lacks keeping their current value.
+ * @param {import('./presets.js').Preset} preset - Preset to resolve
+ * @param {Object} settings - Current settings
+ * @returns {Object} Values by key (see getMorphValues)
+ */
+export function resolvePresetValues(preset, settings) {
+    const target = createSettings();
+    deserializeSettings(target, structuredClone(serializeSettings(settings)));
+    applyPreset(preset, target);
+    return getMorphValues(target);
+}
+
+/**
+ * Create a morph player. Call update every frame; it writes the interpolated values
+ * into the settings until the target is reached.
+ * @returns {Object} Morph player with start, update, cancel, isActive and getProgress
+ */
+export function createSettingsMorph() {
+    /** @type {Object|null} Running morph */
+    let morph = null;
+
+    // Morph clock: seconds, or beats on the beat clock
+    const clock = (unit, audioData, time) => {
+        if (unit !== 'beats') return time;
+        return audioData?.tempo?.beats ?? time * FALLBACK_BPM / 60;
+    };
+
+    return {
+        /**
+         * Start morphing from the current settings to target values, replacing a running morph.
+         * The clock starts on the next update.
+         * @param {Object} settings - Settings object
+         * @param {Object} target - Target values by key (see resolvePresetValues)
+         * @param {MorphOptions} [options]
+         */
+        start(settings, target, options = {}) {
+            const from = getMorphValues(settings);
+            const to = {};
+            for (const [key, value] of Object.entries(target)) {
+                if (key in from && !PRESET_EXCLUDED_KEYS.includes(key)) to[key] = value;
+            }
+            morph = {
+                from,
+                to,
+                duration: Math.max(Number(options.duration) || 0, 0),
+                unit: MORPH_UNITS[options.unit] ? options.unit : 'seconds',
+                easing: options.easing,
+                flipAt: options.flipAt ?? 0.5,
+                onUpdate: options.onUpdate,
+                onComplete: options.onComplete,
+                start: null,
+                progress: 0
+            };
+            console.log(`[Morph] Morphing ${Object.keys(to).length} setting(s) over ${morph.duration} ${morph.unit}`);
+        },
+
+        /**
+         * Advance the running morph and apply its values.
+         * @param {Object} settings - Settings object
+         * @param {Object} audioData - Audio data from analyzeAudio (`tempo` is the beat clock)
+         * @param {number} time - Time in seconds
+         * @returns {boolean} True if a morph is running
+         */
+        update(settings, audioData, time) {
+            if (!morph) return false;
+            const now = clock(morph.unit, audioData, time);
+            if (morph.start === null) morph.start = now;
+
+            const current = morph;
+            current.progress = current.duration > 0 ? Math.min(Math.max((now - current.start) / current.duration, 0), 1) : 1;
+            deserializeSettings(settings, interpolateValues(current.from, current.to, current.progress, current));
+            if (current.onUpdate) current.onUpdate(current.progress);
+
+            if (current.progress >= 1) {
+                morph = null;
+                console.log('[Morph] Morph complete');
+                if (current.onComplete) current.onComplete();
+            }
+            return true;
+        },
+
+        /**
+         * Stop the running morph where it is.
+         */
+        cancel() {
+            if (morph) console.log('[Morph] Morph stopped');
+            morph = null;
+        },
+
+        /** @returns {boolean} */
+        isActive() {
+            return morph !== null;
+        },
+
+        /** @returns {number} Progress (0-1) of the running morph, 0 when idle */
+        getProgress() {
+            return morph ? morph.progress : 0;
+        }
+    };
+}
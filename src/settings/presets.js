@@ -0,0 +1,218 @@
+/**
+ * @module settings/presets
+ * @description Named settings presets, stored in IndexedDB and shared as JSON files.
+ * A preset holds the serialized setting values and the scene type it was saved in.
+ * Machine-specific settings (audio source, A/V offsets, Spout output), morph options and
+ * randomize locks stay out of presets, so loading a look from another machine does not
+ * change the local setup.
+ */
+
+import { createSettingsPayload, applySettingsPayload, SETTING_CATEGORIES } from './utils.js';
+import { getStoredPresets, putStoredPreset, deleteStoredPreset } from '../utils/file-storage.js';
+
+/**
+ * Format tag of exported preset files.
+ * @constant {string}
+ */
+export const PRESET_FILE_FORMAT = 'music-vis-presets';
+
+/**
+ * Version of the exported preset file layout.
+ * @constant {number}
+ */
+export const PRESET_FILE_VERSION = 1;
+
+/**
+ * Setting keys that belong to the machine or the performance rather than the look.
+ * @constant {string[]}
+ */
+export const PRESET_EXCLUDED_KEYS = [
+    ...SETTING_CATEGORIES.source,
+    ...SETTING_CATEGORIES.latency,
+    ...SETTING_CATEGORIES.morph,
+    ...SETTING_CATEGORIES.randomize,
+    ...SETTING_CATEGORIES.spout
+];
+
+/**
+ * @typedef {Object} Preset
+ * @property {string} name - Unique preset name
+ * @property {string|null} sceneType - Scene the preset was saved in
+ * @property {number} version - Settings schema version of the values (see settings/schema.js)
+ * @property {Object} values - Setting values by key (see serializeSettings)
+ * @property {number} created - Creation time (ms since epoch)
+ * @property {number} modified - Last save time (ms since epoch)
+ */
+
+/**
+ * Create a preset from the current settings.
+ * @param {string} name - Preset name
+ * @param {Object} settings - Settings object
+ * @param {string} sceneType - Current scene type
+ * @returns {Preset}
+ */
+export function createPreset(name, settings, sceneType) {
+    const { version, values } = structuredClone(createSettingsPayload(settings));
+    for (const key of PRESET_EXCLUDED_KEYS) delete values[key];
+    const now = Date.now();
+    return { name, sceneType, version, values, created: now, modified: now };
+}
+
+/**
+ * Apply a preset's values to the settings, migrating presets saved with an older
+ * settings schema. Unknown keys and invalid values are skipped and logged; settings
+ * missing from the preset keep their value.
+ * @param {Preset} preset - Preset to apply
+ * @param {Object} settings - Settings object to update
+ * @returns {string|null} The preset's scene type
+ */
+export function applyPreset(preset, settings) {
+    const values = structuredClone(preset.values);
+    for (const key of PRESET_EXCLUDED_KEYS) delete values[key];
+    applySettingsPayload(settings, { version: preset.version ?? 1, values }, `Preset "${preset.name}"`);
+    return preset.sceneType;
+}
+
+/**
+ * Make a name unique by appending a number ("Name 2", "Name 3", ...).
+ * @param {string} name - Wanted name
+ * @param {string[]} existingNames - Names already taken
+ * @returns {string}
+ */
+export function getUniquePresetName(name, existingNames) {
+    const taken = new Set(existingNames);
+    if (!taken.has(name)) return name;
+    let n = 2;
+    while (taken.has(`${name} ${n}`)) n++;
+    return `${name} ${n}`;
+}
+
+/**
+ * List stored presets sorted by name.
+ * @returns {Promise<Preset[]>}
+ */
+export async function listPresets() {
+    const presets = await getStoredPresets();
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Store a preset, overwriting a preset with the same name (its creation time is kept).
+ * @param {Preset} preset - Preset to store
+ * @returns {Promise<Preset>} The stored preset
+ */
+export async function savePreset(preset) {
+    const existing = (await getStoredPresets()).find(p => p.name === preset.name);
+    const stored = { ...preset, created: existing?.created ?? preset.created, modified: Date.now() };
+    await putStoredPreset(stored);
+    return stored;
+}
+
+/**
+ * Rename a stored preset.
+ * @param {string} name - Current name
+ * @param {string} newName - New name, must not be taken
+ * @returns {Promise<void>}
+ */
+export async function renamePreset(name, newName) {
+    const presets = await getStoredPresets();
+    const preset = presets.find(p => p.name === name);
+    if (!preset) throw new Error(`Preset "${name}" not found`);
+    if (presets.some(p => p.name === newName)) throw new Error(`Preset "${newName}" already exists`);
+    await putStoredPreset({ ...preset, name: newName, modified: Date.now() });
+    await deleteStoredPreset(name);
+}
+
+/**
+ * Delete a stored preset.
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ */
+export async function deletePreset(name) {
+    await deleteStoredPreset(name);
+}
+
+/**
+ * Store a copy of a preset under a free name ("Name copy", "Name copy 2", ...).
+ * @param {string} name - Preset to copy
+ * @returns {Promise<Preset>} The copy
+ */
+export async function duplicatePreset(name) {
+    const presets = await getStoredPresets();
+    const preset = presets.find(p => p.name === name);
+    if (!preset) throw new Error(`Preset "${name}" not found`);
+    const now = Date.now();
+    const copy = {
+        ...preset,
+        name: getUniquePresetName(`${name} copy`, presets.map(p => p.name)),
+        created: now,
+        modified: now
+    };
+    await putStoredPreset(copy);
+    return copy;
+}
+
+/**
+ * Serialize presets to the JSON file format.
+ * @param {Preset[]} presets - Presets to export
+ * @returns {string} JSON text
+ */
+export function exportPresets(presets) {
+    return JSON.stringify({
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        presets
+    }, null, 2);
+}
+
+/**
+ * Parse an exported preset file.
+ * @param {string} text - JSON text
+ * @returns {Preset[]}
+ * @throws {Error} If the text is not a valid preset file
+ */
+export function parsePresetFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Preset file is not valid JSON');
+    }
+    if (data?.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+        throw new Error('Not a preset file');
+    }
+    if (data.version > PRESET_FILE_VERSION) {
+        throw new Error(`Preset file version ${data.version} is newer than supported (${PRESET_FILE_VERSION})`);
+    }
+    const now = Date.now();
+    return data.presets
+        .filter(p => p && typeof p.name === 'string' && p.name && p.values && typeof p.values === 'object')
+        .map(p => ({
+            name: p.name,
+            sceneType: typeof p.sceneType === 'string' ? p.sceneType : null,
+            version: Number.isInteger(p.version) ? p.version : 1,
+            values: p.values,
+            created: Number.isFinite(p.created) ? p.created : now,
+            modified: Number.isFinite(p.modified) ? p.modified : now
+        }));
+}
+
+/**
+ * Import presets from an exported file. Names that are taken get a number appended.
+ * @param {string} text - JSON text
+ * @returns {Promise<string[]>} Names the presets were stored under
+ * @throws {Error} If the text is not a valid preset file
+ */
+export async function importPresets(text) {
+    const imported = parsePresetFile(text);
+    const names = (await getStoredPresets()).map(p => p.name);
+    const stored = [];
+    for (const preset of imported) {
+        const name = getUniquePresetName(preset.name, names);
+        names.push(name);
+        await putStoredPreset({ ...preset, name });
+        stored.push(name);
+    }
+    console.log(`[Presets] Imported ${stored.length} preset(s)`);
+    return stored;
+}
@@ -0,0 +1,166 @@
+/**
+ * @module settings/randomize
+ * @description Random look generation: randomize settings across their range, or mutate
+ * them by a percentage of it. Ranges come from `defaultSettings`, so a setting never
+ * leaves the range its slider offers. Locked settings (settings.randomizeLocks) and
+ * settings that configure the analysis, the machine or the output rather than the look
+ * are left alone. A generation history keeps the last generated states to step back to.
+ */
+
+import { defaultSettings } from './defaults.js';
+import { serializeSettings, SETTING_CATEGORIES } from './utils.js';
+import { PRESET_EXCLUDED_KEYS } from './presets.js';
+
+/**
+ * Settings that randomizing never touches: analysis tuning, machine-specific settings,
+ * modulation routings, the skinning animation and the green screen.
+ * @constant {string[]}
+ */
+export const RANDOMIZE_EXCLUDED_KEYS = [
+    ...PRESET_EXCLUDED_KEYS,
+    ...SETTING_CATEGORIES.audio,
+    ...SETTING_CATEGORIES.envelope,
+    ...SETTING_CATEGORIES.modulation,
+    'currentAnimation',
+    'greenScreen'
+];
+
+/**
+ * Default number of generated states kept by createGenerationHistory.
+ * @constant {number}
+ */
+export const GENERATION_HISTORY_LIMIT = 20;
+
+/**
+ * Check whether a setting can be randomized: a number with a range, a boolean or
+ * a setting with options, that is not excluded.
+ * @param {string} key - Setting key
+ * @returns {boolean}
+ */
+export function isRandomizable(key) {
+    const setting = defaultSettings[key];
+    if (!setting || RANDOMIZE_EXCLUDED_KEYS.includes(key)) return false;
+    if (typeof setting.value === 'number') {
+        return typeof setting.min === 'number' && typeof setting.max === 'number' && setting.max > setting.min;
+    }
+    if (typeof setting.value === 'boolean') return true;
+    return Array.isArray(setting.options) && setting.options.length > 1;
+}
+
+/**
+ * Keys to generate: randomizable, present in the settings and not locked.
+ * @param {Object} settings - Settings object
+ * @param {string[]} keys - Candidate keys
+ * @returns {string[]}
+ */
+function unlockedKeys(settings, keys) {
+    const locked = settings.randomizeLocks?.value ?? [];
+    return keys.filter(key => settings[key] && isRandomizable(key) && !locked.includes(key));
+}
+
+/**
+ * Pick a random element.
+ * @param {Array} items - Items to pick from
+ * @param {Function} random - Random number source (0-1)
+ * @returns {*}
+ */
+function pick(items, random) {
+    return items[Math.min(Math.floor(random() * items.length), items.length - 1)];
+}
+
+/**
+ * Set settings to random values across their full range.
+ * @param {Object} settings - Settings object to update
+ * @param {string[]} [keys] - Keys to randomize, defaults to every setting
+ * @param {Function} [random=Math.random] - Random number source (0-1)
+ * @returns {string[]} Keys that were randomized
+ */
+export function randomizeSettings(settings, keys = Object.keys(settings), random = Math.random) {
+    const changed = unlockedKeys(settings, keys);
+    for (const key of changed) {
+        const { value, min, max, options } = defaultSettings[key];
+        if (typeof value === 'number') settings[key].value = min + random() * (max - min);
+        else if (typeof value === 'boolean') settings[key].value = random() < 0.5;
+        else settings[key].value = pick(options, random);
+    }
+    return changed;
+}
+
+/**
+ * Nudge settings by up to a fraction of their range. Booleans and options change
+ * with a probability of half the amount, so small mutations mostly keep them.
+ * @param {Object} settings - Settings object to update
+ * @param {string[]} [keys] - Keys to mutate, defaults to every setting
+ * @param {number} [amount=0.2] - Largest change as a fraction of the range (0-1)
+ * @param {Function} [random=Math.random] - Random number source (0-1)
+ * @returns {string[]} Keys that were mutated
+ */
+export function mutateSettings(settings, keys = Object.keys(settings), amount = 0.2, random = Math.random) {
+    const changed = unlockedKeys(settings, keys);
+    for (const key of changed) {
+        const { value, min, max, options } = defaultSettings[key];
+        const current = settings[key].value;
+        if (typeof value === 'number') {
+            const next = current + (random() * 2 - 1) * amount * (max - min);
+            settings[key].value = Math.min(Math.max(next, min), max);
+        } else if (random() < amount / 2) {
+            settings[key].value = typeof value === 'boolean'
+                ? !current
+                : pick(options.filter(option => option !== current), random);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Create a history of generated states to step back and forth through.
+ * @param {number} [limit=GENERATION_HISTORY_LIMIT] - Number of states kept
+ * @returns {Object} History with record, back, forward and getPosition
+ */
+export function createGenerationHistory(limit = GENERATION_HISTORY_LIMIT) {
+    /** @type {Object[]} Serialized states, oldest first */
+    const states = [];
+    let index = -1;
+
+    return {
+        /**
+         * Record the current randomizable settings, dropping states after the current one.
+         * Nothing is recorded if they equal the current state.
+         * @param {Object} settings - Settings object
+         */
+        record(settings) {
+            const values = Object.fromEntries(Object.entries(structuredClone(serializeSettings(settings)))
+                .filter(([key]) => isRandomizable(key)));
+            if (index >= 0 && JSON.stringify(states[index]) === JSON.stringify(values)) return;
+            states.splice(index + 1);
+            states.push(values);
+            if (states.length > limit) states.shift();
+            index = states.length - 1;
+        },
+
+        /**
+         * Step back to the previous state.
+         * @returns {Object|null} Values to apply, null at the oldest state
+         */
+        back() {
+            if (index <= 0) return null;
+            index--;
+            return structuredClone(states[index]);
+        },
+
+        /**
+         * Step forward to the next state.
+         * @returns {Object|null} Values to apply, null at the newest state
+         */
+        forward() {
+            if (index >= states.length - 1) return null;
+            index++;
+            return structuredClone(states[index]);
+        },
+
+        /** @returns {{index: number, count: number}} Current state (0-based) and number of states */
+        getPosition() {
+            return { index, count: states.length };
+        }
+    };
+}
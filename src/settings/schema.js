@@ -0,0 +1,218 @@
+/**
+ * @module settings/schema
+ * @description Settings schema version, value validation and migrations.
+ * Serialized settings (presets, Spout sync, URL state) carry the schema version they
+ * were written with. Older payloads are migrated step by step to SETTINGS_VERSION, then
+ * every value is checked against its setting: type, min/max clamp and option membership.
+ * Payloads without a version predate versioning and count as version 1. Payloads from
+ * a newer version are applied as they are: keys this version knows are validated like
+ * any other, the rest is ignored.
+ */
+
+import { normalizeBands } from '../audio/bands.js';
+import { normalizeModulators } from './modulation.js';
+
+/**
+ * Current settings schema version. Bump it and add a migration to MIGRATIONS whenever
+ * a setting is renamed, removed or changes meaning.
+ * @constant {number}
+ */
+export const SETTINGS_VERSION = 2;
+
+/**
+ * Clean up a list of setting keys (randomize locks).
+ * @param {Array} keys - Setting keys
+ * @returns {string[]} Unique string keys
+ */
+function normalizeKeyList(keys) {
+    return [...new Set(keys.filter(key => typeof key === 'string'))];
+}
+
+/**
+ * Normalizers for array settings, by key.
+ * @type {Object.<string, Function>}
+ */
+const ARRAY_NORMALIZERS = {
+    audioBands: normalizeBands,
+    modulations: normalizeModulators,
+    randomizeLocks: normalizeKeyList
+};
+
+/**
+ * Map a value from a legacy range onto a 0-100 mapping intensity.
+ * @param {*} value - Legacy value
+ * @param {number} min - Legacy minimum
+ * @param {number} max - Legacy maximum
+ * @returns {number}
+ */
+function toPercent(value, min, max) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    return Math.round(Math.min(Math.max((number - min) / (max - min), 0), 1) * 100);
+}
+
+/**
+ * The instanced points scene's former four-slider mappings (Intensity/Bass/Mid/High,
+ * 0-100, plus an Input) and how they map onto a base setting and routings.
+ * The old scene computed `magnitude = intensity * (1 + bass*B + mid*M + high*H)` and
+ * scaled it into `offset + magnitude * scale`, or for displacement
+ * `2 + (bass*B + mid*M + high*H) * intensity * 20`. A routing adds
+ * `level * amount * range`, so each band's amount is `intensity * band / divisor`
+ * where `divisor` is the target's range over the scale.
+ * @type {Array<{prefix: string, target: string, defaults: number[], base: Function, divisor: number}>}
+ */
+const POINTS_MAPPINGS = [
+    { prefix: 'pointsSize', target: 'pointsSize', defaults: [50, 80, 40, 20], base: i => i * 16, divisor: 4 },
+    { prefix: 'pointsDisplacement', target: 'pointsDisplacement', defaults: [30, 100, 50, 20], base: () => 2, divisor: 3 },
+    { prefix: 'pointsPulse', target: 'pointsPulseSpeed', defaults: [30, 30, 20, 10], base: i => 0.5 + i * 1.5, divisor: 4 },
+    { prefix: 'pointsRotation', target: 'pointsRotationSpeed', defaults: [20, 40, 20, 10], base: i => 0.1 + i * 0.3, divisor: 4 },
+    { prefix: 'pointsCurveCount', target: 'pointsCurveCount', defaults: [30, 60, 30, 10], base: i => i * 2.5, divisor: 2 },
+    { prefix: 'pointsWaveSpeed', target: 'pointsWaveSpeed', defaults: [40, 70, 40, 20], base: i => 0.05 + i * 0.175, divisor: 4 }
+];
+
+/** Slider suffixes of a four-slider mapping, in POINTS_MAPPINGS `defaults` order */
+const MAPPING_SLIDERS = ['Intensity', 'Bass', 'Mid', 'High'];
+
+/**
+ * The particles' and the bloom's former per-band multipliers and the base setting each
+ * one added `level * multiplier` to. A routing adds `level * amount * range`, so the
+ * amount is `multiplier / range` with the base setting's current range.
+ * @type {Array<{key: string, target: string, source: string, fallback: number, range: number}>}
+ */
+const MULTIPLIER_MAPPINGS = [
+    { key: 'bassSpawnRate', target: 'baseSpawnRate', source: 'bass', fallback: 50, range: 200 },
+    { key: 'beatSpawnBurst', target: 'baseSpawnRate', source: 'beat', fallback: 40, range: 200 },
+    { key: 'bassRadius', target: 'baseRadius', source: 'bass', fallback: 3, range: 15 },
+    { key: 'midTurbulence', target: 'baseTurbulence', source: 'mid', fallback: 2, range: 10 },
+    { key: 'highSize', target: 'baseSize', source: 'high', fallback: 2, range: 8 },
+    { key: 'bloomBass', target: 'bloomIntensity', source: 'bass', fallback: 0.5, range: 10 },
+    { key: 'bloomMid', target: 'bloomIntensity', source: 'mid', fallback: 0.3, range: 10 },
+    { key: 'bloomHigh', target: 'bloomIntensity', source: 'high', fallback: 0.2, range: 10 },
+    { key: 'bloomBeat', target: 'bloomIntensity', source: 'beat', fallback: 0.5, range: 10 }
+];
+
+/**
+ * Round to 4 decimals so migrated values do not carry float noise.
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+function round4(value) {
+    return Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Migrations by the version they produce. Each takes the values of the previous
+ * version and returns new values; it must not modify its input.
+ * @type {Object.<number, Function>}
+ */
+const MIGRATIONS = {
+    // Settings from before versioning. The particles' and the bloom's per-band
+    // multipliers and the points scene's four-slider mappings became base settings
+    // driven by default modulation routings; even older points looks only have Pulse
+    // Speed (1-20) and Max Width, which become the pulse and size intensities first
+    // (Min Width has no counterpart). Missing sliders count as the old defaults, and
+    // the routings are appended to the payload's modulators. Payloads already in the
+    // routing form have none of the old keys and are left alone.
+    2: (values) => {
+        const legacy = { ...values };
+        if ('pulseSpeed' in values && !('pointsPulseIntensity' in values) && !('pointsPulseSpeed' in values)) {
+            legacy.pointsPulseIntensity = toPercent(values.pulseSpeed, 1, 20);
+        }
+        if ('maxWidth' in values && !('pointsSizeIntensity' in values) && !('pointsSize' in values)) {
+            legacy.pointsSizeIntensity = toPercent(values.maxWidth, 2, 30);
+        }
+
+        const touched = MULTIPLIER_MAPPINGS.some(({ key }) => key in legacy)
+            || POINTS_MAPPINGS.some(({ prefix }) =>
+                [...MAPPING_SLIDERS, 'Source'].some(suffix => `${prefix}${suffix}` in legacy));
+        if (!touched) return values;
+
+        const migrated = { ...legacy };
+        const routings = [];
+        for (const { key, target, source, fallback, range } of MULTIPLIER_MAPPINGS) {
+            const number = Number(legacy[key] ?? fallback);
+            const multiplier = Number.isFinite(number) ? Math.max(number, 0) : fallback;
+            if (multiplier > 0) routings.push({ target, source, amount: round4(Math.min(multiplier / range, 1)), smoothing: 0 });
+            delete migrated[key];
+        }
+        for (const { prefix, target, defaults, base, divisor } of POINTS_MAPPINGS) {
+            const [intensity, ...levels] = MAPPING_SLIDERS.map((suffix, i) => {
+                const number = Number(legacy[`${prefix}${suffix}`] ?? defaults[i]);
+                return Number.isFinite(number) ? Math.min(Math.max(number, 0), 100) : defaults[i];
+            });
+            const input = legacy[`${prefix}Source`] ?? 'envelope';
+            if (!(target in legacy)) migrated[target] = round4(base(intensity / 100));
+            ['bass', 'mid', 'high'].forEach((source, i) => {
+                if (intensity === 0 || levels[i] === 0) return;
+                routings.push({ target, source, input, amount: round4(intensity * levels[i] / (divisor * 10000)), smoothing: 0 });
+            });
+            for (const suffix of [...MAPPING_SLIDERS, 'Source']) delete migrated[`${prefix}${suffix}`];
+        }
+        migrated.modulations = [...(Array.isArray(legacy.modulations) ? legacy.modulations : []), ...routings];
+        return migrated;
+    }
+};
+
+/**
+ * Migrate serialized values to the current schema version. Values from a newer
+ * version cannot be migrated back; they are returned unchanged with `newer` set.
+ * @param {Object} values - Setting values by key
+ * @param {number} [version=1] - Schema version the values were written with
+ * @returns {{values: Object, migrated: number[], newer: boolean}} Migrated values, the versions
+ *   migrated through and whether the values come from a newer version
+ */
+export function migrateSettingsValues(values, version = 1) {
+    if (version > SETTINGS_VERSION) {
+        return { values, migrated: [], newer: true };
+    }
+    let current = values;
+    const migrated = [];
+    for (let target = Math.max(version, 1) + 1; target <= SETTINGS_VERSION; target++) {
+        if (MIGRATIONS[target]) {
+            current = MIGRATIONS[target](current);
+            migrated.push(target);
+        }
+    }
+    return { values: current, migrated, newer: false };
+}
+
+/**
+ * Check a value against its setting.
+ * Numbers are clamped to min/max, strings must be one of the options (when the
+ * setting lists any), booleans must be booleans and arrays are normalized.
+ * @param {string} key - Setting key
+ * @param {Object} setting - Setting object with value (and min, max, options)
+ * @param {*} value - Value to check
+ * @returns {{valid: boolean, value: *}} The value to store, or valid false to keep the current one
+ */
+export function validateSettingValue(key, setting, value) {
+    const current = setting.value;
+
+    if (Array.isArray(current)) {
+        if (!Array.isArray(value)) return { valid: false, value: current };
+        const normalize = ARRAY_NORMALIZERS[key];
+        return { valid: true, value: normalize ? normalize(value) : structuredClone(value) };
+    }
+
+    switch (typeof current) {
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { valid: false, value: current };
+            const min = typeof setting.min === 'number' ? setting.min : -Infinity;
+            const max = typeof setting.max === 'number' ? setting.max : Infinity;
+            return { valid: true, value: Math.min(Math.max(value, min), max) };
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? { valid: true, value } : { valid: false, value: current };
+        case 'string': {
+            if (typeof value !== 'string') return { valid: false, value: current };
+            const options = setting.options;
+            // Runtime-populated option lists (e.g. animations) start out empty
+            if (Array.isArray(options) && options.length > 0 && !options.includes(value)) {
+                return { valid: false, value: current };
+            }
+            return { valid: true, value };
+        }
+        default:
+            return typeof value === typeof current ? { valid: true, value } : { valid: false, value: current };
+    }
+}
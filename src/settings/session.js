@@ -0,0 +1,169 @@
+/**
+ * @module settings/session
+ * @description Automatic persistence of the last session.
+ * The session holds the serialized settings (with the schema version), the scene,
+ * the skinning model and the audio source. It is written shortly after every settings
+ * change and restored on startup. The Electron build keeps it in a JSON file under the
+ * app's userData folder (through `window.sessionAPI`), so it survives cache clears;
+ * the browser keeps it in localStorage.
+ */
+
+import { createSettingsPayload, applySettingsPayload } from './utils.js';
+import { isShareableModelPath } from './url-state.js';
+
+/** localStorage key for the session in the browser */
+const STORAGE_KEY = 'musicVis.session';
+
+/**
+ * Default delay (ms) between the last settings change and the write.
+ * @constant {number}
+ */
+export const SESSION_SAVE_DELAY = 500;
+
+/**
+ * Settings that are not restored: Spout output needs its window created by the user.
+ * @constant {string[]}
+ */
+export const SESSION_EXCLUDED_KEYS = ['spoutEnabled'];
+
+/**
+ * @typedef {Object} Session
+ * @property {number} version - Settings schema version of the values
+ * @property {Object} values - Setting values by key (see serializeSettings)
+ * @property {string|null} scene - Scene type
+ * @property {string} [model] - Skinning model path
+ * @property {Object|null} audioSource - Audio source descriptor (see getAudioSourceDescriptor)
+ * @property {number} saved - Save time (ms since epoch)
+ */
+
+/**
+ * Check whether the Electron session file API is available.
+ * @returns {boolean}
+ */
+function hasSessionFile() {
+    return typeof window !== 'undefined' && typeof window.sessionAPI !== 'undefined';
+}
+
+/**
+ * Create a session from the current state.
+ * @param {Object} settings - Settings object
+ * @param {Object} [options]
+ * @param {string} [options.sceneType] - Current scene type
+ * @param {string} [options.model] - Current skinning model path
+ * @param {Object|null} [options.audioSource] - Current audio source descriptor
+ * @returns {Session}
+ */
+export function createSession(settings, { sceneType, model, audioSource } = {}) {
+    const { version, values } = structuredClone(createSettingsPayload(settings));
+    for (const key of SESSION_EXCLUDED_KEYS) delete values[key];
+
+    const session = { version, values, scene: sceneType ?? null };
+    // Blob URLs of imported models do not survive a reload
+    if (isShareableModelPath(model)) session.model = model;
+    session.audioSource = audioSource ?? null;
+    session.saved = Date.now();
+    return session;
+}
+
+/**
+ * Apply a session's settings.
+ * @param {Object} settings - Settings object to update
+ * @param {Session} session - Stored session
+ * @returns {{sceneType: string|null, model: string|null, audioSource: Object|null}} State to restore
+ */
+export function restoreSession(settings, session) {
+    const values = { ...session.values };
+    for (const key of SESSION_EXCLUDED_KEYS) delete values[key];
+    applySettingsPayload(settings, { version: session.version ?? 1, values }, 'Last session');
+    return {
+        sceneType: typeof session.scene === 'string' ? session.scene : null,
+        model: isShareableModelPath(session.model) ? session.model : null,
+        audioSource: session.audioSource && typeof session.audioSource === 'object' ? session.audioSource : null
+    };
+}
+
+/**
+ * Load the stored session.
+ * @returns {Promise<Session|null>} The session, null if there is none or it is unreadable
+ */
+export async function loadSession() {
+    try {
+        const session = hasSessionFile()
+            ? await window.sessionAPI.load()
+            : JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!session || typeof session !== 'object' || !session.values || typeof session.values !== 'object') {
+            return null;
+        }
+        return session;
+    } catch (err) {
+        console.warn('[Session] Could not load last session:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Store a session, replacing the previous one.
+ * @param {Session} session - Session to store
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    try {
+        if (hasSessionFile()) {
+            await window.sessionAPI.save(session);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        }
+    } catch (err) {
+        console.warn('[Session] Could not save session:', err.message);
+    }
+}
+
+/**
+ * Delete the stored session.
+ * @returns {Promise<void>}
+ */
+export async function clearSession() {
+    try {
+        if (hasSessionFile()) {
+            await window.sessionAPI.clear();
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (err) {
+        console.warn('[Session] Could not clear session:', err.message);
+    }
+}
+
+/**
+ * Create a debounced session writer: bursts of changes (e.g. dragging a slider)
+ * produce one write.
+ * @param {Function} getSession - Returns the session to store
+ * @param {number} [delay=SESSION_SAVE_DELAY] - Debounce delay (ms)
+ * @returns {{schedule: Function, flush: Function, cancel: Function}}
+ */
+export function createSessionWriter(getSession, delay = SESSION_SAVE_DELAY) {
+    let timer = null;
+
+    const write = () => {
+        timer = null;
+        return saveSession(getSession());
+    };
+
+    return {
+        /** Write after the delay, restarting it if a write is pending */
+        schedule() {
+            clearTimeout(timer);
+            timer = setTimeout(write, delay);
+        },
+        /** Write now, replacing a pending write */
+        flush() {
+            clearTimeout(timer);
+            return write();
+        },
+        /** Drop a pending write */
+        cancel() {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
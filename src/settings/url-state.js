@@ -0,0 +1,207 @@
+/**
+ * @module settings/url-state
+ * @description Shareable visual state in the URL hash.
+ * The state holds the scene, the skinning model and every setting that differs from
+ * the defaults, tagged with the settings schema version. It is JSON, deflate-compressed
+ * where CompressionStream exists and base64url-encoded into `#look=...`, so a link (or
+ * an OBS Browser Source URL) reproduces the look without touching the GUI.
+ */
+
+import { createSettings } from './defaults.js';
+import { serializeSettings, applySettingsPayload } from './utils.js';
+import { SETTINGS_VERSION } from './schema.js';
+import { PRESET_EXCLUDED_KEYS } from './presets.js';
+
+/**
+ * Hash parameter holding the encoded state.
+ * @constant {string}
+ */
+export const URL_STATE_PARAM = 'look';
+
+/** Encoding prefixes: deflate-compressed or plain JSON */
+const COMPRESSED_PREFIX = 'z.';
+const PLAIN_PREFIX = 'j.';
+
+/**
+ * @typedef {Object} UrlState
+ * @property {number} v - Settings schema version
+ * @property {string} [scene] - Scene type
+ * @property {string} [model] - Skinning model path
+ * @property {Object} s - Setting values that differ from the defaults
+ */
+
+/**
+ * Round numbers so float noise from sliders does not bloat the URL.
+ * @param {*} value - Setting value
+ * @returns {*}
+ */
+function compactValue(value) {
+    return typeof value === 'number' ? Math.round(value * 1e4) / 1e4 : value;
+}
+
+/**
+ * Check whether a model path can be shared: a relative path on this site, not a blob
+ * URL of an imported file or another origin.
+ * @param {string} path - Model path
+ * @returns {boolean}
+ */
+export function isShareableModelPath(path) {
+    return typeof path === 'string' && path.length > 0 && !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(path);
+}
+
+/**
+ * Create the URL state for the current look.
+ * Machine-specific settings (audio source, A/V offsets, Spout output), morph options and
+ * randomize locks are left out.
+ * @param {Object} settings - Settings object
+ * @param {Object} [options]
+ * @param {string} [options.sceneType] - Current scene type
+ * @param {string} [options.model] - Current skinning model path
+ * @returns {UrlState}
+ */
+export function createUrlState(settings, { sceneType, model } = {}) {
+    const defaults = serializeSettings(createSettings());
+    const values = serializeSettings(settings);
+    const diff = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (PRESET_EXCLUDED_KEYS.includes(key)) continue;
+        if (JSON.stringify(value) !== JSON.stringify(defaults[key])) {
+            diff[key] = compactValue(value);
+        }
+    }
+
+    const state = { v: SETTINGS_VERSION };
+    if (sceneType) state.scene = sceneType;
+    if (sceneType === 'skinning' && isShareableModelPath(model)) state.model = model;
+    state.s = diff;
+    return state;
+}
+
+/**
+ * Apply a URL state's settings on top of the defaults.
+ * A state from a newer schema version is rejected before any setting changes: a link
+ * either reproduces its look or leaves the current one alone.
+ * @param {Object} settings - Settings object to update
+ * @param {UrlState} state - Decoded URL state
+ * @returns {{sceneType: string|null, model: string|null}} Scene and model to load
+ * @throws {Error} If the state comes from a newer schema version
+ */
+export function applyUrlState(settings, state) {
+    if (state.v > SETTINGS_VERSION) {
+        throw new Error(`URL state version ${state.v} is newer than supported (${SETTINGS_VERSION})`);
+    }
+    const defaults = createSettings();
+    for (const [key, setting] of Object.entries(defaults)) {
+        if (settings[key] && !PRESET_EXCLUDED_KEYS.includes(key)) settings[key].value = setting.value;
+    }
+    const values = { ...state.s };
+    for (const key of PRESET_EXCLUDED_KEYS) delete values[key];
+    applySettingsPayload(settings, { version: state.v, values }, 'URL state');
+    return {
+        sceneType: typeof state.scene === 'string' ? state.scene : null,
+        model: isShareableModelPath(state.model) ? state.model : null
+    };
+}
+
+/**
+ * Encode bytes as base64url without padding.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url (with or without padding).
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} transform - Stream to pipe through
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode a URL state for the hash.
+ * @param {UrlState} state - State to encode
+ * @returns {Promise<string>}
+ */
+export async function encodeUrlState(state) {
+    const json = new TextEncoder().encode(JSON.stringify(state));
+    if (typeof CompressionStream === 'undefined') {
+        return PLAIN_PREFIX + toBase64Url(json);
+    }
+    return COMPRESSED_PREFIX + toBase64Url(await transformBytes(json, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Decode a URL state from the hash.
+ * @param {string} text - Encoded state from encodeUrlState
+ * @returns {Promise<UrlState>}
+ * @throws {Error} If the text is not a valid encoded state
+ */
+export async function decodeUrlState(text) {
+    let json;
+    try {
+        if (text.startsWith(COMPRESSED_PREFIX)) {
+            const bytes = await transformBytes(fromBase64Url(text.slice(COMPRESSED_PREFIX.length)), new DecompressionStream('deflate-raw'));
+            json = new TextDecoder().decode(bytes);
+        } else if (text.startsWith(PLAIN_PREFIX)) {
+            json = new TextDecoder().decode(fromBase64Url(text.slice(PLAIN_PREFIX.length)));
+        } else {
+            throw new Error('unknown encoding');
+        }
+    } catch (err) {
+        throw new Error(`Invalid URL state: ${err.message}`);
+    }
+
+    const state = JSON.parse(json);
+    if (!state || typeof state !== 'object' || typeof state.v !== 'number' || !state.s || typeof state.s !== 'object') {
+        throw new Error('Invalid URL state');
+    }
+    return state;
+}
+
+/**
+ * Read the URL state from a location hash.
+ * @param {string} hash - Location hash, e.g. `window.location.hash`
+ * @returns {Promise<UrlState|null>} Decoded state, null if the hash has none or it is invalid
+ */
+export async function readUrlState(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(URL_STATE_PARAM);
+    if (!encoded) return null;
+    try {
+        return await decodeUrlState(encoded);
+    } catch (err) {
+        console.warn('[UrlState] Ignoring URL state:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Build a link to this page with the state in its hash (query parameters such as
+ * `audio` or `autostart` are kept).
+ * @param {UrlState} state - State to share
+ * @param {string} [href] - Page URL, defaults to the current location
+ * @returns {Promise<string>}
+ */
+export async function createShareUrl(state, href = window.location.href) {
+    const url = new URL(href);
+    url.hash = `${URL_STATE_PARAM}=${await encodeUrlState(state)}`;
+    return url.toString();
+}
@@ -3,6 +3,17 @@
  * @description Settings utilities for serialization and deserialization.
  */
 
+import { createSettings } from './defaults.js';
+import { SETTINGS_VERSION, migrateSettingsValues, validateSettingValue } from './schema.js';
+
+/**
+ * @typedef {Object} SettingsLoadReport
+ * @property {string[]} unknown - Keys with no matching setting (ignored)
+ * @property {string[]} invalid - Keys whose value had the wrong type or option (ignored)
+ * @property {number[]} migrated - Schema versions the values were migrated through
+ * @property {boolean} newer - Whether the values come from a newer schema version (applied best-effort)
+ */
+
 /**
  * Serialize settings object to plain object with just values.
  * Extracts the `.value` property from each setting.
@@ -29,21 +40,95 @@ export function serializeSettings(settings) {
 
 /**
  * Deserialize values back into settings object.
- * Updates the `.value` property of each setting.
+ * Updates the `.value` property of each setting after validating it (see
+ * validateSettingValue): numbers are clamped, values of the wrong type or outside
+ * the options are skipped, and keys without a setting are ignored.
  * 
  * @param {Object} settings - Settings object to update
  * @param {Object} values - Plain object with values
+ * @returns {SettingsLoadReport} Keys that were skipped
  * @example
  * const values = { bassSensitivity: 2.0, autoRotate: false };
  * deserializeSettings(settings, values);
  * // settings.bassSensitivity.value is now 2.0
  */
 export function deserializeSettings(settings, values) {
+    const report = { unknown: [], invalid: [], migrated: [] };
     for (const [key, value] of Object.entries(values)) {
-        if (settings[key] && typeof settings[key] === 'object') {
-            settings[key].value = value;
+        if (!hasSetting(settings, key)) {
+            report.unknown.push(key);
+            continue;
         }
+        const result = validateSettingValue(key, settings[key], value);
+        if (result.valid) settings[key].value = result.value;
+        else report.invalid.push(key);
+    }
+    return report;
+}
+
+/**
+ * Serialize settings with the schema version, for anything that is stored or sent
+ * (presets, Spout sync, URL state).
+ * 
+ * @param {Object} settings - Settings object
+ * @returns {{version: number, values: Object}}
+ */
+export function createSettingsPayload(settings) {
+    return { version: SETTINGS_VERSION, values: serializeSettings(settings) };
+}
+
+/**
+ * Load a settings payload: migrate it to the current schema, then deserialize it.
+ * Accepts `{version, values}` payloads and plain unversioned value objects (version 1).
+ * Payloads from a newer version are applied best-effort. Skipped keys are logged with
+ * the source name.
+ * 
+ * @param {Object} settings - Settings object to update
+ * @param {Object} payload - Payload from createSettingsPayload, or plain values
+ * @param {string} [source='Settings'] - Where the payload came from, for the log
+ * @returns {SettingsLoadReport}
+ */
+export function applySettingsPayload(settings, payload, source = 'Settings') {
+    const versioned = payload && typeof payload.version === 'number' && payload.values && typeof payload.values === 'object';
+    const version = versioned ? payload.version : 1;
+    const { values, migrated, newer } = migrateSettingsValues(versioned ? payload.values : payload ?? {}, version);
+    const report = { ...deserializeSettings(settings, values), migrated, newer };
+    
+    if (newer) {
+        console.warn(`[Settings] ${source}: written by a newer version (${version}, supported ${SETTINGS_VERSION}); applied known settings only`);
+    }
+    if (migrated.length) {
+        console.log(`[Settings] ${source}: migrated to version ${migrated[migrated.length - 1]}`);
+    }
+    if (report.unknown.length) {
+        console.warn(`[Settings] ${source}: ignored unknown keys: ${report.unknown.join(', ')}`);
+    }
+    if (report.invalid.length) {
+        console.warn(`[Settings] ${source}: ignored invalid values for: ${report.invalid.join(', ')}`);
     }
+    return report;
+}
+
+/**
+ * Reset settings to their defaults.
+ * 
+ * @param {Object} settings - Settings object to update
+ * @param {Array<string>} [keys] - Keys to reset, defaults to every setting
+ * @returns {Array<string>} Keys that were reset
+ * @example
+ * resetSettings(settings, SETTING_CATEGORIES.bloom);
+ * // Bloom strength, threshold and radius are back to their defaults
+ */
+export function resetSettings(settings, keys = Object.keys(settings)) {
+    const defaults = createSettings();
+    const reset = [];
+    for (const key of keys) {
+        if (hasSetting(settings, key) && hasSetting(defaults, key)) {
+            settings[key].value = defaults[key].value;
+            reset.push(key);
+        }
+    }
+    return reset;
 }
 
 /**
@@ -76,27 +161,70 @@ export const SETTING_CATEGORIES = {
     audio: [
         'bassSensitivity',
         'midSensitivity',
-        'highSensitivity'
+        'highSensitivity',
+        'beatThreshold',
+        'audioBands',
+        'agcEnabled',
+        'agcTarget',
+        'agcAdaptTime'
+    ],
+    envelope: [
+        'analyserSmoothing',
+        'envelopeAttack',
+        'envelopeRelease',
+        'envelopePeakHold',
+        'envelopePeakDecay',
+        'envelopeFloor'
     ],
     bass: [
-        'bassSpawnRate',
-        'bassRadius',
         'bassBloom'
     ],
     mid: [
-        'midTurbulence',
         'midFrequency',
         'midSpeed'
     ],
     high: [
-        'highSize',
         'highColorSpeed'
     ],
+    spectrum: [
+        'spectrumSize',
+        'pointsSizeSpectrum'
+    ],
+    source: [
+        'audioSilenceTimeout',
+        'audioFallback'
+    ],
+    latency: [
+        'avOffset',
+        'spoutAvOffset'
+    ],
+    modulation: [
+        'modulations'
+    ],
+    morph: [
+        'morphDuration',
+        'morphUnit',
+        'morphEasing',
+        'morphFlipPoint'
+    ],
+    randomize: [
+        'mutateAmount',
+        'randomizeLocks'
+    ],
+    color: [
+        'colorMode'
+    ],
+    stereo: [
+        'stereoPan',
+        'stereoSpread',
+        'pointsRotationStereo'
+    ],
     base: [
         'baseSpawnRate',
         'baseTurbulence',
         'baseSize',
-        'baseRadius'
+        'baseRadius',
+        'colorVariance'
     ],
     bloom: [
         'bloomStrength',
@@ -110,11 +238,19 @@ export const SETTING_CATEGORIES = {
     points: [
         'pulseSpeed',
         'minWidth',
-        'maxWidth'
+        'maxWidth',
+        'pointsSize',
+        'pointsDisplacement',
+        'pointsPulseSpeed',
+        'pointsRotationSpeed',
+        'pointsCurveCount',
+        'pointsWaveSpeed'
     ],
     spout: [
         'spoutEnabled',
-        'spoutSenderName'
+        'spoutSenderName',
+        'spoutResolution',
+        'spoutFrameSkip'
     ]
 };
 
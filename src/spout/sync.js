@@ -4,8 +4,9 @@
  * Handles syncing settings, audio, scene, and time data via IPC.
  */
 
-import { audioBass, audioMid, audioHigh, audioOverall } from '../audio/uniforms.js';
-import { serializeSettings } from '../settings/utils.js';
+import { audioBass, audioMid, audioHigh, audioOverall, audioBeat, audioBeatPhase, audioOnset, setAudioBands, setAudioStereo, setAudioHarmony, updateAudioTextures } from '../audio/uniforms.js';
+import { createSettingsPayload, applySettingsPayload } from '../settings/utils.js';
+import { getSceneDescriptor } from '../scenes/registry.js';
 
 /**
  * Check if Spout API is available.
@@ -31,26 +32,29 @@ export function isSpoutEnabled(settings) {
 export function syncSettingsToSpout(settings) {
     if (!isSpoutAvailable() || !settings.spoutEnabled?.value) return;
     
-    const settingsData = serializeSettings(settings);
-    window.spoutAPI.syncSettings(settingsData);
+    window.spoutAPI.syncSettings(createSettingsPayload(settings));
 }
 
 /**
  * Sync audio data to Spout window.
- * @param {Object} audioData - Audio data with bass, mid, high, overall properties
+ * Pass the frame from getSpoutAudioData() so the Spout A/V offset applies, and the
+ * frame's modulated values so the Spout window does not run its own modulation.
+ * @param {Object} audioData - Audio data with bass, mid, high, overall and beat properties
+ * @param {Object.<string, number>} [modulation] - Modulated setting values by key (see getModulatedValues)
  */
-export function syncAudioToSpout(audioData) {
+export function syncAudioToSpout(audioData, modulation) {
     if (!isSpoutAvailable()) return;
-    window.spoutAPI.syncAudio(audioData);
+    window.spoutAPI.syncAudio(modulation ? { ...audioData, modulation } : audioData);
 }
 
 /**
- * Sync scene type to Spout window.
- * @param {string} sceneType - Scene type identifier ('particles', 'points', 'skinning')
+ * Sync scene type to Spout window, with the plugin module of a plugin scene so the
+ * Spout window can load it.
+ * @param {string} sceneType - Scene type identifier ('particles', 'points', 'skinning' or a plugin scene)
  */
 export function syncSceneToSpout(sceneType) {
     if (!isSpoutAvailable()) return;
-    window.spoutAPI.syncScene(sceneType);
+    window.spoutAPI.syncScene(sceneType, getSceneDescriptor(sceneType)?.source ?? null);
 }
 
 /**
@@ -111,7 +115,7 @@ export function onAudioUpdate(callback) {
 
 /**
  * Register callback for scene changes from main window.
- * @param {Function} callback - Callback function receiving scene type
+ * @param {Function} callback - Callback function receiving scene type and plugin source URL
  */
 export function onSceneChange(callback) {
     if (!isSpoutSyncAvailable()) return;
@@ -129,17 +133,25 @@ export function onTimeUpdate(callback) {
 
 /**
  * Update local settings from main window data.
+ * The payload is migrated and validated like a preset (see applySettingsPayload).
  * @param {Object} settings - Local settings object to update
- * @param {Object} newSettings - New settings from main window
+ * @param {Object} newSettings - Settings payload from main window
  */
 export function updateSettingsFromMain(settings, newSettings) {
     if (!newSettings) return;
-    
-    for (const key in newSettings) {
-        if (settings.hasOwnProperty(key)) {
-            settings[key].value = newSettings[key];
-        }
-    }
+    applySettingsPayload(settings, newSettings, 'Spout sync');
+}
+
+/** @type {Object|null} Last audio frame received from the main window */
+let mainAudioData = null;
+
+/**
+ * Last audio frame received from the main window, with its modulated setting values
+ * in `modulation`.
+ * @returns {Object|null} Null until the first frame arrives
+ */
+export function getMainAudioData() {
+    return mainAudioData;
 }
 
 /**
@@ -149,10 +161,18 @@ export function updateSettingsFromMain(settings, newSettings) {
 export function updateAudioFromMain(audioData) {
     if (!audioData) return;
     
+    mainAudioData = audioData;
     audioBass.value = audioData.bass || 0;
     audioMid.value = audioData.mid || 0;
     audioHigh.value = audioData.high || 0;
     audioOverall.value = audioData.overall || 0;
+    audioBeat.value = audioData.beat || 0;
+    audioBeatPhase.value = audioData.beatPhase || 0;
+    audioOnset.value = audioData.onset || 0;
+    setAudioBands(audioData.bands || []);
+    setAudioStereo(audioData.stereo);
+    setAudioHarmony(audioData.harmony);
+    updateAudioTextures(audioData);
 }
 
 /**
@@ -177,7 +197,7 @@ export function setupSpoutSyncListeners(options) {
             if (onAudioUpdate) onAudioUpdate(audioData);
         });
         
-        window.spoutSync.onScene((sceneType) => {
+        window.spoutSync.onScene((sceneType, source) => {
             console.log('Spout scene change received:', sceneType);
             if (!sceneType) {
                 console.error('ERROR: sceneType is undefined or null');
@@ -187,7 +207,7 @@ export function setupSpoutSyncListeners(options) {
                 console.error('ERROR: sceneType is not a string:', sceneType);
                 return;
             }
-            if (handleSceneChange) handleSceneChange(sceneType);
+            if (handleSceneChange) handleSceneChange(sceneType, source);
             else console.error('ERROR: handleSceneChange is undefined');
         });
     }
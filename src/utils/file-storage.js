@@ -1,6 +1,7 @@
 /**
  * @module utils/file-storage
- * @description IndexedDB-based persistent file storage for uploaded GLB models
+ * @description IndexedDB-based persistent file storage for uploaded GLB models,
+ * recently played audio files and settings presets.
  * Supports up to 100MB of model storage
  */
 
@@ -11,7 +12,13 @@ const MAX_STORAGE_SIZE = 100 * 1024 * 1024;
 const DB_NAME = 'GLBStorage';
 
 /** @type {number} Database version */
-const DB_VERSION = 2;
+const DB_VERSION = 4;
+
+/** @type {number} Maximum number of recent audio files kept */
+const MAX_RECENT_AUDIO = 10;
+
+/** @type {number} Maximum total size of recent audio files in bytes (200MB) */
+const MAX_RECENT_AUDIO_SIZE = 200 * 1024 * 1024;
 
 /**
  * Open IndexedDB database for GLB storage
@@ -36,8 +43,8 @@ export function openGLBDatabase() {
       console.log('[FileStorage] Database upgrade needed, creating stores...');
       const db = event.target.result;
       
-      // Delete old store if exists (for upgrade from v1)
-      if (db.objectStoreNames.contains('uploadedGLBs')) {
+      // Delete old store if exists (for upgrade from v1 only, v2 data is kept)
+      if (event.oldVersion < 2 && db.objectStoreNames.contains('uploadedGLBs')) {
         db.deleteObjectStore('uploadedGLBs');
       }
       
@@ -49,6 +56,19 @@ export function openGLBDatabase() {
         store.createIndex('size', 'size', { unique: false });
         console.log('[FileStorage] Created uploadedGLBs store');
       }
+      
+      // Recently played audio files (v3)
+      if (!db.objectStoreNames.contains('recentAudio')) {
+        const store = db.createObjectStore('recentAudio', { keyPath: 'name' });
+        store.createIndex('lastPlayed', 'lastPlayed', { unique: false });
+        console.log('[FileStorage] Created recentAudio store');
+      }
+      
+      // Named settings presets (v4)
+      if (!db.objectStoreNames.contains('presets')) {
+        db.createObjectStore('presets', { keyPath: 'name' });
+        console.log('[FileStorage] Created presets store');
+      }
     };
   });
 }
@@ -302,6 +322,212 @@ export async function getGLBBlobUrl(name) {
   return glb ? glb.blobUrl : null;
 }
 
+/**
+ * Save an audio file to the recent files list.
+ * Evicts the least recently played files beyond the count and size limits.
+ * @param {File} file - Audio File object
+ * @returns {Promise<void>}
+ */
+export async function saveRecentAudio(file) {
+  if (file.size > MAX_RECENT_AUDIO_SIZE) {
+    console.warn(`[FileStorage] ${file.name} is too large to remember (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
+    return;
+  }
+  
+  const data = await file.arrayBuffer();
+  const db = await openGLBDatabase();
+  
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(['recentAudio'], 'readwrite');
+    const store = transaction.objectStore('recentAudio');
+    store.put({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      lastPlayed: Date.now(),
+      data
+    });
+    
+    transaction.oncomplete = () => {
+      console.log(`[FileStorage] Remembered audio file ${file.name}`);
+      resolve();
+    };
+    transaction.onerror = () => {
+      console.error('[FileStorage] Failed to save audio file:', transaction.error);
+      reject(new Error('Failed to save audio file'));
+    };
+  });
+  
+  // Evict oldest entries beyond the limits
+  const recent = await getRecentAudio();
+  let totalSize = 0;
+  const toDelete = recent.filter((entry, i) => {
+    totalSize += entry.size || 0;
+    return i >= MAX_RECENT_AUDIO || totalSize > MAX_RECENT_AUDIO_SIZE;
+  });
+  for (const entry of toDelete) {
+    await deleteRecentAudio(entry.name);
+  }
+}
+
+/**
+ * Get recently played audio files, most recent first (metadata only).
+ * @returns {Promise<Array<{name: string, type: string, size: number, lastPlayed: number}>>}
+ */
+export async function getRecentAudio() {
+  try {
+    const db = await openGLBDatabase();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['recentAudio'], 'readonly');
+      const index = transaction.objectStore('recentAudio').index('lastPlayed');
+      const entries = [];
+      const request = index.openCursor(null, 'prev');
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          const { name, type, size, lastPlayed } = cursor.value;
+          entries.push({ name, type, size, lastPlayed });
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+      
+      request.onerror = () => {
+        console.error('[FileStorage] Failed to list recent audio:', request.error);
+        reject(new Error('Failed to list recent audio'));
+      };
+    });
+  } catch (error) {
+    console.warn('[FileStorage] Error listing recent audio:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the data of a recent audio file and mark it as played.
+ * @param {string} name - Audio file name
+ * @returns {Promise<{name: string, type: string, size: number, data: ArrayBuffer}|null>}
+ */
+export async function getRecentAudioFile(name) {
+  const db = await openGLBDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['recentAudio'], 'readwrite');
+    const store = transaction.objectStore('recentAudio');
+    const request = store.get(name);
+    
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) {
+        resolve(null);
+        return;
+      }
+      entry.lastPlayed = Date.now();
+      store.put(entry);
+      resolve(entry);
+    };
+    
+    request.onerror = () => {
+      console.error(`[FileStorage] Failed to get audio file ${name}:`, request.error);
+      reject(new Error(`Failed to get ${name}`));
+    };
+  });
+}
+
+/**
+ * Delete a recent audio file.
+ * @param {string} name - Audio file name
+ * @returns {Promise<void>}
+ */
+export async function deleteRecentAudio(name) {
+  const db = await openGLBDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['recentAudio'], 'readwrite');
+    const request = transaction.objectStore('recentAudio').delete(name);
+    
+    request.onsuccess = () => {
+      console.log(`[FileStorage] Forgot audio file ${name}`);
+      resolve();
+    };
+    
+    request.onerror = () => {
+      console.error(`[FileStorage] Failed to delete audio file ${name}:`, request.error);
+      reject(new Error('Failed to delete audio file'));
+    };
+  });
+}
+
+/**
+ * Get all stored presets.
+ * @returns {Promise<Array<Object>>} Stored preset records
+ */
+export async function getStoredPresets() {
+  const db = await openGLBDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['presets'], 'readonly');
+    const request = transaction.objectStore('presets').getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    
+    request.onerror = () => {
+      console.error('[FileStorage] Failed to list presets:', request.error);
+      reject(new Error('Failed to list presets'));
+    };
+  });
+}
+
+/**
+ * Store a preset, replacing any preset with the same name.
+ * @param {Object} preset - Preset record with a `name`
+ * @returns {Promise<void>}
+ */
+export async function putStoredPreset(preset) {
+  const db = await openGLBDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['presets'], 'readwrite');
+    transaction.objectStore('presets').put(preset);
+    
+    transaction.oncomplete = () => {
+      console.log(`[FileStorage] Saved preset ${preset.name}`);
+      resolve();
+    };
+    transaction.onerror = () => {
+      console.error(`[FileStorage] Failed to save preset ${preset.name}:`, transaction.error);
+      reject(new Error('Failed to save preset'));
+    };
+  });
+}
+
+/**
+ * Delete a stored preset.
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredPreset(name) {
+  const db = await openGLBDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['presets'], 'readwrite');
+    const request = transaction.objectStore('presets').delete(name);
+    
+    request.onsuccess = () => {
+      console.log(`[FileStorage] Deleted preset ${name}`);
+      resolve();
+    };
+    
+    request.onerror = () => {
+      console.error(`[FileStorage] Failed to delete preset ${name}:`, request.error);
+      reject(new Error('Failed to delete preset'));
+    };
+  });
+}
+
 export default {
   openGLBDatabase,
   saveUploadedGLB,
@@ -311,5 +537,12 @@ export default {
   deleteUploadedGLB,
   clearAllUploadedGLBs,
   getStorageUsage,
-  hasStorageSpace
+  hasStorageSpace,
+  saveRecentAudio,
+  getRecentAudio,
+  getRecentAudioFile,
+  deleteRecentAudio,
+  getStoredPresets,
+  putStoredPreset,
+  deleteStoredPreset
 };
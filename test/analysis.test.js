@@ -0,0 +1,132 @@
+/**
+ * @module test/analysis
+ * @description Audio analyzer against synthetic signals: sines, click tracks and silence.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzePcm, createAudioAnalyzer, ANALYSER_FFT_SIZE } from '../src/audio/analysis.js';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Sine wave.
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} seconds - Length in seconds
+ * @param {number} [amplitude=0.5] - Peak amplitude
+ * @returns {Float32Array}
+ */
+function sine(frequency, seconds, amplitude = 0.5) {
+  return new Float32Array(Math.round(SAMPLE_RATE * seconds))
+    .map((_, i) => Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * amplitude);
+}
+
+/**
+ * Click track: a short decaying burst on every beat.
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} seconds - Length in seconds
+ * @returns {Float32Array}
+ */
+function clicks(bpm, seconds) {
+  const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+  const step = Math.round(SAMPLE_RATE * 60 / bpm);
+  // Fixed-seed noise so every run sees the same signal
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 1073741823.5 - 1;
+  };
+  for (let start = 0; start < samples.length; start += step) {
+    for (let i = 0; i < 480 && start + i < samples.length; i++) {
+      samples[start + i] = noise() * Math.exp(-i / 80);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Audio data of the last frame of an analysed signal.
+ * @param {Float32Array[]} channels - Sample arrays
+ * @returns {Object}
+ */
+function lastFrame(channels) {
+  return analyzePcm(channels, SAMPLE_RATE).frames.at(-1).data;
+}
+
+test('a low sine drives the bass level', () => {
+  const data = lastFrame([sine(60, 1)]);
+  assert.ok(data.bass > 0.5, `bass ${data.bass}`);
+  assert.ok(data.mid < 0.05, `mid ${data.mid}`);
+  assert.ok(data.high < 0.05, `high ${data.high}`);
+  assert.ok(data.envelope.bass > 0.5, `envelope ${data.envelope.bass}`);
+  assert.ok(data.peak.bass > 0.5, `peak ${data.peak.bass}`);
+});
+
+test('mid and high sines land in their own levels', () => {
+  const mid = lastFrame([sine(1000, 1)]);
+  assert.ok(mid.mid > mid.bass && mid.mid > mid.high, JSON.stringify({ bass: mid.bass, mid: mid.mid, high: mid.high }));
+
+  const high = lastFrame([sine(8000, 1)]);
+  assert.ok(high.high > high.bass && high.high > high.mid, JSON.stringify({ bass: high.bass, mid: high.mid, high: high.high }));
+});
+
+test('a 440 Hz sine is pitch class A', () => {
+  const data = lastFrame([sine(440, 2, 0.02)]);
+  assert.equal(data.harmony.dominant, 9);
+});
+
+test('silence produces no levels, beats or onsets', () => {
+  const { frames } = analyzePcm([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE);
+  for (const { data } of frames) {
+    assert.equal(data.bass, 0);
+    assert.equal(data.mid, 0);
+    assert.equal(data.high, 0);
+    assert.equal(data.beat, 0);
+    assert.equal(data.onset, 0);
+  }
+});
+
+test('a 120 BPM click track yields beats and locks the tempo', () => {
+  const { frames } = analyzePcm([clicks(120, 10)], SAMPLE_RATE);
+  const beats = frames.filter(({ data }) => data.beat === 1).length;
+  assert.ok(beats >= 16 && beats <= 21, `beats ${beats}`);
+  const { tempo } = frames.at(-1).data;
+  assert.ok(Math.abs(tempo.bpm - 120) < 2, `bpm ${tempo.bpm}`);
+  assert.ok(tempo.confidence > 0.5, `confidence ${tempo.confidence}`);
+});
+
+test('a sine on the left channel only pans the stereo field left', () => {
+  const { stereo } = lastFrame([sine(1000, 1), new Float32Array(SAMPLE_RATE)]);
+  assert.ok(stereo.balance < -0.9, `balance ${stereo.balance}`);
+});
+
+test('createAudioAnalyzer reads byte frames and forgets its state on reset', () => {
+  const analyzer = createAudioAnalyzer();
+  const binHz = SAMPLE_RATE / ANALYSER_FFT_SIZE;
+  const spectrum = new Uint8Array(ANALYSER_FFT_SIZE / 2);
+  for (let bin = Math.floor(60 / binHz); bin <= Math.ceil(120 / binHz); bin++) spectrum[bin] = 255;
+  const waveform = new Uint8Array(ANALYSER_FFT_SIZE).fill(128);
+  const loud = { spectrum, waveform, sampleRate: SAMPLE_RATE };
+  const silent = { spectrum: new Uint8Array(ANALYSER_FFT_SIZE / 2), waveform, sampleRate: SAMPLE_RATE };
+
+  let data;
+  for (let i = 0; i < 30; i++) data = analyzer.process(loud, i / 60);
+  assert.ok(data.bass > 0.5, `bass ${data.bass}`);
+  assert.equal(data.high, 0);
+  assert.ok(data.envelope.bass > 0);
+
+  analyzer.reset(1);
+  data = analyzer.process(silent, 1);
+  assert.equal(data.bass, 0);
+  assert.equal(data.envelope.bass, 0);
+  assert.equal(data.peak.bass, 0);
+});
+
+test('sensitivity settings scale the levels', () => {
+  const signal = [sine(60, 1, 0.003)];
+  const base = analyzePcm(signal, SAMPLE_RATE).frames.at(-1).data.bass;
+  const boosted = analyzePcm(signal, SAMPLE_RATE, { settings: { bassSensitivity: 2 } }).frames.at(-1).data.bass;
+  assert.ok(base > 0 && base < 0.5, `base ${base}`);
+  assert.ok(Math.abs(boosted - Math.min(base * 2, 1)) < 1e-9, `boosted ${boosted}`);
+});
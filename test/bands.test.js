@@ -0,0 +1,59 @@
+/**
+ * @module test/bands
+ * @description Band normalization, bin weights and the legacy bass/mid/high levels.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeBands, getBinWeights, createBandAnalyzer, deriveLegacyBands,
+  DEFAULT_AUDIO_BANDS, MAX_AUDIO_BANDS
+} from '../src/audio/bands.js';
+
+test('normalizeBands falls back to a copy of the defaults', () => {
+  const bands = normalizeBands(undefined);
+  assert.deepEqual(bands, DEFAULT_AUDIO_BANDS);
+  assert.notEqual(bands[0], DEFAULT_AUDIO_BANDS[0]);
+});
+
+test('normalizeBands clamps edges, names and the band count', () => {
+  const many = Array.from({ length: MAX_AUDIO_BANDS + 3 }, () => ({ low: 100, high: 200 }));
+  assert.equal(normalizeBands(many).length, MAX_AUDIO_BANDS);
+
+  const [band] = normalizeBands([{ low: 5, high: 1, sensitivity: 'loud' }]);
+  assert.equal(band.name, 'band 1');
+  assert.equal(band.low, 20);
+  assert.ok(band.high > band.low);
+  assert.equal(band.sensitivity, 1);
+});
+
+test('getBinWeights skips DC and covers the band', () => {
+  const { start, weights } = getBinWeights(0, 200, 1024, 48000);
+  assert.equal(start, 1);
+  assert.ok(weights.length > 0);
+  assert.ok(weights.every(weight => weight >= 0));
+});
+
+test('the band analyzer reads a byte spectrum into 0-1 levels', () => {
+  const sampleRate = 48000;
+  const spectrum = new Uint8Array(1024);
+  const binHz = sampleRate / 2 / spectrum.length;
+  for (let bin = Math.round(60 / binHz); bin <= Math.round(250 / binHz); bin++) spectrum[bin] = 255;
+
+  const bands = normalizeBands(DEFAULT_AUDIO_BANDS);
+  const levels = createBandAnalyzer().analyze(spectrum, sampleRate, bands);
+  const bass = bands.findIndex(band => band.name === 'bass');
+  const air = bands.findIndex(band => band.name === 'air');
+  assert.ok(levels[bass] > 0.9, `bass ${levels[bass]}`);
+  assert.equal(levels[air], 0);
+});
+
+test('deriveLegacyBands weights bands by their octave overlap', () => {
+  const bands = normalizeBands([
+    { low: 20, high: 250 },
+    { low: 250, high: 4000 },
+    { low: 4000, high: 20000 }
+  ]);
+  assert.deepEqual(deriveLegacyBands(bands, [1, 0.5, 0]), { bass: 1, mid: 0.5, high: 0 });
+});
@@ -0,0 +1,84 @@
+/**
+ * @module test/history
+ * @description Undo/redo history of setting changes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSettingsHistory } from '../src/settings/history.js';
+import { createSettings } from '../src/settings/defaults.js';
+import { deserializeSettings } from '../src/settings/utils.js';
+
+/**
+ * History over a fresh settings object, applying steps in place.
+ * @param {Object} [options] - Extra history options
+ * @returns {{settings: Object, history: Object}}
+ */
+function createHistory(options = {}) {
+    const settings = createSettings();
+    const history = createSettingsHistory(settings, {
+        apply: (state) => deserializeSettings(settings, state.values),
+        coalesceMs: 0,
+        ...options
+    });
+    history.record();
+    return { settings, history };
+}
+
+test('undo and redo step through recorded changes', async () => {
+    const { settings, history } = createHistory();
+    const start = settings.bloomStrength.value;
+    settings.bloomStrength.value = 2;
+    history.record();
+    assert.equal(history.canUndo(), true);
+
+    assert.equal(await history.undo(), true);
+    assert.equal(settings.bloomStrength.value, start);
+    assert.equal(history.canRedo(), true);
+
+    assert.equal(await history.redo(), true);
+    assert.equal(settings.bloomStrength.value, 2);
+    assert.equal(await history.redo(), false);
+});
+
+test('a new change clears the redo steps', async () => {
+    const { settings, history } = createHistory();
+    settings.bloomStrength.value = 2;
+    history.record();
+    await history.undo();
+    settings.bloomRadius.value = 0.9;
+    history.record();
+    assert.equal(history.canRedo(), false);
+});
+
+test('changes within the coalescing window become one step', async () => {
+    const { settings, history } = createHistory({ coalesceMs: 60000 });
+    const start = settings.bloomStrength.value;
+    for (const value of [1, 1.5, 2]) {
+        settings.bloomStrength.value = value;
+        history.record();
+    }
+    await history.undo();
+    assert.equal(settings.bloomStrength.value, start);
+    assert.equal(history.canUndo(), false);
+});
+
+test('Spout settings are not part of the history', () => {
+    const { settings, history } = createHistory();
+    settings.spoutEnabled.value = !settings.spoutEnabled.value;
+    history.record();
+    assert.equal(history.canUndo(), false);
+});
+
+test('the number of steps is limited', async () => {
+    const { settings, history } = createHistory({ limit: 2 });
+    for (const value of [1, 2, 3]) {
+        settings.bloomStrength.value = value;
+        history.record();
+    }
+    await history.undo();
+    await history.undo();
+    assert.equal(history.canUndo(), false);
+    assert.equal(settings.bloomStrength.value, 1);
+});
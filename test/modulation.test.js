@@ -0,0 +1,78 @@
+/**
+ * @module test/modulation
+ * @description Modulation matrix: audio routings, inputs, LFOs, envelopes and synced values.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createModulator, createModulationMatrix, normalizeModulators, applyModulatedValues
+} from '../src/settings/modulation.js';
+
+/**
+ * Minimal settings with one modulatable target.
+ * @param {Array<Object>} modulators - Modulators
+ * @returns {Object}
+ */
+function settingsWith(modulators) {
+    return {
+        level: { value: 2, min: 0, max: 10, label: 'Level' },
+        modulations: { value: normalizeModulators(modulators), label: 'Modulation' }
+    };
+}
+
+test('an audio routing adds level * amount * range for the frame only', () => {
+    const settings = settingsWith([createModulator('level', { source: 'bass', amount: 0.5, smoothing: 0 })]);
+    const frame = createModulationMatrix().apply(settings, { bass: 0.4 }, 0);
+    assert.equal(frame.level.value, 4);
+    assert.equal(settings.level.value, 2);
+});
+
+test('the input picks the raw, envelope or peak level', () => {
+    const audioData = { bass: 0.2, envelope: { bass: 0.4 }, peak: { bass: 0.8 } };
+    const values = ['raw', 'envelope', 'peak'].map(input => {
+        const settings = settingsWith([createModulator('level', { input, amount: 1, smoothing: 0 })]);
+        return createModulationMatrix().apply(settings, audioData, 0).level.value;
+    });
+    assert.deepEqual(values, [4, 6, 10]);
+});
+
+test('modulated values are clamped to the target range', () => {
+    const settings = settingsWith([createModulator('level', { source: 'bass', amount: -1, smoothing: 0 })]);
+    assert.equal(createModulationMatrix().apply(settings, { bass: 1 }, 0).level.value, 0);
+});
+
+test('a beat-synced LFO follows the beat clock', () => {
+    const settings = settingsWith([createModulator('level', { source: 'lfo', shape: 'saw', division: '1 bar', amount: 1 })]);
+    const matrix = createModulationMatrix();
+    assert.equal(matrix.apply(settings, { tempo: { beats: 2 } }, 0).level.value, 7);
+});
+
+test('an envelope fires on a beat and decays', () => {
+    const settings = settingsWith([createModulator('level', {
+        source: 'envelope', trigger: 'beat', attack: 0, decay: 1000, amount: 0.5, smoothing: 0
+    })]);
+    const matrix = createModulationMatrix();
+    assert.equal(matrix.apply(settings, { beat: 0 }, 0).level.value, 2);
+    assert.equal(matrix.apply(settings, { beat: 1 }, 1).level.value, 7);
+    assert.equal(matrix.apply(settings, { beat: 0.5 }, 1.5).level.value, 4.5);
+    assert.equal(matrix.apply(settings, { beat: 0 }, 3).level.value, 2);
+});
+
+test('normalizeModulators fills defaults and drops invalid entries', () => {
+    const [mod, ...rest] = normalizeModulators([{ target: 'level', source: 'nowhere', input: 'sideways', amount: 3 }, { source: 'bass' }, null]);
+    assert.equal(rest.length, 0);
+    assert.equal(mod.source, 'bass');
+    assert.equal(mod.input, 'raw');
+    assert.equal(mod.amount, 1);
+});
+
+test('applyModulatedValues reproduces the matrix frame from its values', () => {
+    const settings = settingsWith([createModulator('level', { amount: 0.3, smoothing: 0 })]);
+    const matrix = createModulationMatrix();
+    const frame = matrix.apply(settings, { bass: 0.5 }, 0);
+    const synced = applyModulatedValues(settings, matrix.getModulatedValues());
+    assert.equal(synced.level.value, frame.level.value);
+    assert.equal(applyModulatedValues(settings, { level: 'loud', missing: 1 }), settings);
+});
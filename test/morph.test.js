@@ -0,0 +1,56 @@
+/**
+ * @module test/morph
+ * @description Morph interpolation and the morph player.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { interpolateValue, interpolateValues, createSettingsMorph } from '../src/settings/morph.js';
+import { createSettings } from '../src/settings/defaults.js';
+
+test('numbers follow the easing, discrete values flip at the flip point', () => {
+    const from = { size: 0, mode: 'a', on: false };
+    const to = { size: 10, mode: 'b', on: true };
+    assert.deepEqual(interpolateValues(from, to, 0.25), { size: 2.5, mode: 'a', on: false });
+    assert.deepEqual(interpolateValues(from, to, 0.5), { size: 5, mode: 'b', on: true });
+    assert.equal(interpolateValues(from, to, 0.5, { easing: 'easeIn' }).size, 2.5);
+    assert.equal(interpolateValues(from, to, 0.3, { flipAt: 0.2 }).mode, 'b');
+});
+
+test('progress is clamped and the end reaches the target exactly', () => {
+    assert.deepEqual(interpolateValues({ size: 0 }, { size: 10 }, 2), { size: 10 });
+    assert.deepEqual(interpolateValues({ size: 0 }, { size: 10 }, -1), { size: 0 });
+});
+
+test('colors blend through OKLab and keep their endpoints', () => {
+    assert.equal(interpolateValue('#ff0000', '#0000ff', 0, false), '#ff0000');
+    assert.equal(interpolateValue('#ff0000', '#0000ff', 1, true), '#0000ff');
+    assert.match(interpolateValue('#ff0000', '#0000ff', 0.5, false), /^#[0-9a-f]{6}$/);
+});
+
+test('arrays of the same shape interpolate element by element', () => {
+    const from = [{ low: 20, name: 'a' }];
+    const to = [{ low: 60, name: 'b' }];
+    assert.deepEqual(interpolateValue(from, to, 0.5, false), [{ low: 40, name: 'a' }]);
+    assert.deepEqual(interpolateValue([1], [1, 2], 0.5, true), [1, 2]);
+});
+
+test('the morph player runs over its duration and completes', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const settings = createSettings();
+    const morph = createSettingsMorph();
+    let completed = false;
+    settings.bloomStrength.value = 0;
+    morph.start(settings, { bloomStrength: 2 }, { duration: 4, onComplete: () => { completed = true; } });
+
+    morph.update(settings, {}, 10);
+    assert.equal(settings.bloomStrength.value, 0);
+    morph.update(settings, {}, 12);
+    assert.equal(settings.bloomStrength.value, 1);
+    assert.equal(morph.getProgress(), 0.5);
+    morph.update(settings, {}, 14);
+    assert.equal(settings.bloomStrength.value, 2);
+    assert.equal(completed, true);
+    assert.equal(morph.isActive(), false);
+});
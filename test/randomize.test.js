@@ -0,0 +1,63 @@
+/**
+ * @module test/randomize
+ * @description Randomize and mutate with locks, and the generation history.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isRandomizable, randomizeSettings, mutateSettings, createGenerationHistory
+} from '../src/settings/randomize.js';
+import { createSettings } from '../src/settings/defaults.js';
+
+test('analysis, modulation and machine-specific settings are never randomized', () => {
+    for (const key of ['bassSensitivity', 'modulations', 'spoutEnabled', 'spoutResolution', 'spoutFrameSkip', 'avOffset', 'currentAnimation']) {
+        assert.equal(isRandomizable(key), false, key);
+    }
+    assert.equal(isRandomizable('bloomStrength'), true);
+    assert.equal(isRandomizable('colorMode'), true);
+    assert.equal(isRandomizable('noSuchSetting'), false);
+});
+
+test('randomizeSettings spans the range and skips locked settings', () => {
+    const settings = createSettings();
+    settings.randomizeLocks.value = ['bloomRadius'];
+    const radius = settings.bloomRadius.value;
+
+    const changed = randomizeSettings(settings, ['bloomStrength', 'bloomRadius', 'colorMode'], () => 1);
+    assert.deepEqual(changed, ['bloomStrength', 'colorMode']);
+    assert.equal(settings.bloomStrength.value, settings.bloomStrength.max);
+    assert.equal(settings.colorMode.value, settings.colorMode.options.at(-1));
+    assert.equal(settings.bloomRadius.value, radius);
+});
+
+test('mutateSettings moves numbers by at most the amount and stays in range', () => {
+    const settings = createSettings();
+    const { value, min, max } = settings.bloomStrength;
+    mutateSettings(settings, ['bloomStrength'], 0.1, () => 1);
+    assert.ok(Math.abs(settings.bloomStrength.value - Math.min(value + 0.1 * (max - min), max)) < 1e-9);
+
+    settings.bloomStrength.value = min;
+    mutateSettings(settings, ['bloomStrength'], 0.5, () => 0);
+    assert.equal(settings.bloomStrength.value, min);
+});
+
+test('the generation history steps back and forward and drops the future on record', () => {
+    const settings = createSettings();
+    const history = createGenerationHistory(3);
+    for (const value of [0, 1, 2, 3]) {
+        settings.bloomStrength.value = value;
+        history.record(settings);
+    }
+    assert.deepEqual(history.getPosition(), { index: 2, count: 3 });
+    assert.equal(history.back().bloomStrength, 2);
+    assert.equal(history.back().bloomStrength, 1);
+    assert.equal(history.back(), null);
+    assert.equal(history.forward().bloomStrength, 2);
+
+    settings.bloomStrength.value = 2.5;
+    history.record(settings);
+    assert.deepEqual(history.getPosition(), { index: 2, count: 3 });
+    assert.equal(history.forward(), null);
+});
@@ -0,0 +1,114 @@
+/**
+ * @module test/schema
+ * @description Settings schema migrations, value validation and payload loading.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SETTINGS_VERSION, migrateSettingsValues, validateSettingValue } from '../src/settings/schema.js';
+import { createSettings } from '../src/settings/defaults.js';
+import { serializeSettings, applySettingsPayload } from '../src/settings/utils.js';
+import { normalizeModulators } from '../src/settings/modulation.js';
+
+/** The points scene's four-slider mappings as saved before versioning, at their defaults */
+const VERSION_1_POINTS = {
+    pointsSizeIntensity: 50, pointsSizeBass: 80, pointsSizeMid: 40, pointsSizeHigh: 20, pointsSizeSource: 'envelope',
+    pointsDisplacementIntensity: 30, pointsDisplacementBass: 100, pointsDisplacementMid: 50, pointsDisplacementHigh: 20, pointsDisplacementSource: 'envelope',
+    pointsPulseIntensity: 30, pointsPulseBass: 30, pointsPulseMid: 20, pointsPulseHigh: 10, pointsPulseSource: 'envelope',
+    pointsRotationIntensity: 20, pointsRotationBass: 40, pointsRotationMid: 20, pointsRotationHigh: 10, pointsRotationSource: 'envelope',
+    pointsCurveCountIntensity: 30, pointsCurveCountBass: 60, pointsCurveCountMid: 30, pointsCurveCountHigh: 10, pointsCurveCountSource: 'envelope',
+    pointsWaveSpeedIntensity: 40, pointsWaveSpeedBass: 70, pointsWaveSpeedMid: 40, pointsWaveSpeedHigh: 20, pointsWaveSpeedSource: 'envelope'
+};
+
+test('version 1 four-slider defaults migrate to the default routings', () => {
+    const { values, migrated, newer } = migrateSettingsValues(VERSION_1_POINTS);
+    const defaults = serializeSettings(createSettings());
+
+    assert.deepEqual(migrated, [2]);
+    assert.equal(newer, false);
+    for (const key of ['pointsSize', 'pointsDisplacement', 'pointsPulseSpeed', 'pointsRotationSpeed', 'pointsCurveCount', 'pointsWaveSpeed']) {
+        assert.equal(values[key], defaults[key], key);
+    }
+    assert.deepEqual(normalizeModulators(values.modulations), defaults.modulations);
+    for (const key of Object.keys(VERSION_1_POINTS)) assert.ok(!(key in values), key);
+});
+
+test('version 2 keeps the payload\'s own modulators first and maps the input', () => {
+    const lfo = { target: 'bloomStrength', source: 'lfo', amount: 0.5 };
+    const { values } = migrateSettingsValues({ pointsSizeSource: 'peak', pointsSizeMid: 0, modulations: [lfo] });
+
+    assert.deepEqual(values.modulations[0], lfo);
+    const size = values.modulations.filter(mod => mod.target === 'pointsSize');
+    assert.deepEqual(size.map(mod => mod.source), ['bass', 'high']);
+    assert.ok(size.every(mod => mod.input === 'peak'));
+    // Missing sliders count as the old defaults
+    assert.equal(values.pointsPulseSpeed, 0.95);
+});
+
+test('version 2 turns the particle and bloom multipliers into routings', () => {
+    const { values } = migrateSettingsValues({ bassSpawnRate: 0, bloomBass: 1, highSize: 4 });
+
+    const routings = values.modulations.filter(mod => ['baseSpawnRate', 'baseSize', 'bloomIntensity'].includes(mod.target));
+    assert.deepEqual(routings.map(({ target, source, amount }) => [target, source, amount]), [
+        ['baseSpawnRate', 'beat', 0.2],
+        ['baseSize', 'high', 0.5],
+        ['bloomIntensity', 'bass', 0.1],
+        ['bloomIntensity', 'mid', 0.03],
+        ['bloomIntensity', 'high', 0.02],
+        ['bloomIntensity', 'beat', 0.05]
+    ]);
+    for (const key of ['bassSpawnRate', 'bloomBass', 'highSize']) assert.ok(!(key in values), key);
+});
+
+test('version 2 leaves payloads already in the routing form alone', () => {
+    const payload = { bloomStrength: 1, pulseSpeed: 6, pointsPulseSpeed: 0.95, modulations: [] };
+    assert.equal(migrateSettingsValues(payload).values, payload);
+});
+
+test('legacy Pulse Speed and Max Width carry over through the intensities', () => {
+    const { values, migrated } = migrateSettingsValues({ pulseSpeed: 20, maxWidth: 30 });
+    assert.deepEqual(migrated, [2]);
+    // Pulse Speed 20 (top of 1-20) became Intensity 100, i.e. 0.5 + 1.5
+    assert.equal(values.pointsPulseSpeed, 2);
+    assert.equal(values.pointsSize, 16);
+    const pulse = values.modulations.find(mod => mod.target === 'pointsPulseSpeed' && mod.source === 'bass');
+    assert.equal(pulse.amount, 0.075);
+});
+
+test('values from a newer version come back unchanged', () => {
+    const values = { futureSetting: 1 };
+    const result = migrateSettingsValues(values, SETTINGS_VERSION + 1);
+    assert.equal(result.values, values);
+    assert.deepEqual(result.migrated, []);
+    assert.equal(result.newer, true);
+});
+
+test('validateSettingValue clamps numbers and checks types and options', () => {
+    const settings = createSettings();
+    assert.deepEqual(validateSettingValue('bloomStrength', settings.bloomStrength, 99), { valid: true, value: settings.bloomStrength.max });
+    assert.equal(validateSettingValue('bloomStrength', settings.bloomStrength, NaN).valid, false);
+    assert.equal(validateSettingValue('bloomStrength', settings.bloomStrength, '1').valid, false);
+    assert.equal(validateSettingValue('colorMode', settings.colorMode, 'plaid').valid, false);
+    assert.equal(validateSettingValue('modulations', settings.modulations, 'none').valid, false);
+
+    const { value } = validateSettingValue('modulations', settings.modulations, [{ target: 'bloomStrength', amount: 5 }, { amount: 1 }]);
+    assert.equal(value.length, 1);
+    assert.equal(value[0].amount, 1);
+});
+
+test('applySettingsPayload migrates, validates and reports', (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const settings = createSettings();
+    const report = applySettingsPayload(settings, {
+        version: 1,
+        values: { pointsSizeIntensity: 100, bloomStrength: 'bright', unknownKey: 1 }
+    }, 'Test');
+
+    assert.equal(settings.pointsSize.value, 16);
+    assert.deepEqual(report.unknown, ['unknownKey']);
+    assert.deepEqual(report.invalid, ['bloomStrength']);
+    assert.deepEqual(report.migrated, [2]);
+    assert.equal(report.newer, false);
+});
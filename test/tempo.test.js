@@ -0,0 +1,75 @@
+/**
+ * @module test/tempo
+ * @description Tempo tracker, tap tempo and division phases.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTempoTracker, getDivisionPhase } from '../src/audio/tempo.js';
+
+/**
+ * Feed evenly spaced beats into a tracker.
+ * @param {Object} tracker - Tempo tracker
+ * @param {number} bpm - Tempo of the beats
+ * @param {number} count - Number of beats
+ * @returns {number} Time of the last beat
+ */
+function feedBeats(tracker, bpm, count) {
+  const interval = 60 / bpm;
+  for (let i = 0; i < count; i++) tracker.addBeat(i * interval);
+  return (count - 1) * interval;
+}
+
+test('starts at the default tempo with no confidence', () => {
+  const clock = createTempoTracker().getClock(0);
+  assert.equal(clock.bpm, 120);
+  assert.equal(clock.confidence, 0);
+  assert.equal(clock.manual, false);
+});
+
+test('locks onto steady beats', () => {
+  const tracker = createTempoTracker();
+  const last = feedBeats(tracker, 100, 16);
+  const clock = tracker.getClock(last);
+  assert.ok(Math.abs(clock.bpm - 100) < 1, `bpm ${clock.bpm}`);
+  assert.ok(clock.confidence > 0.5, `confidence ${clock.confidence}`);
+});
+
+test('folds tempos outside the range by doubling or halving', () => {
+  const slow = createTempoTracker();
+  const slowEnd = feedBeats(slow, 50, 12);
+  assert.ok(Math.abs(slow.getClock(slowEnd).bpm - 100) < 1);
+
+  const fast = createTempoTracker();
+  const fastEnd = feedBeats(fast, 200, 30);
+  assert.ok(Math.abs(fast.getClock(fastEnd).bpm - 100) < 1);
+});
+
+test('tap tempo sets a manual tempo that detected beats do not change', () => {
+  const tracker = createTempoTracker();
+  [0, 0.5, 1, 1.5].forEach(time => tracker.tap(time));
+  assert.equal(tracker.isManual(), true);
+  assert.ok(Math.abs(tracker.getClock(1.5).bpm - 120) < 1e-9);
+
+  feedBeats(tracker, 90, 12);
+  assert.ok(Math.abs(tracker.getClock(10).bpm - 120) < 1e-9);
+
+  tracker.clearManual();
+  assert.equal(tracker.isManual(), false);
+});
+
+test('the beat count keeps running across a tempo change', () => {
+  const tracker = createTempoTracker();
+  const before = tracker.getClock(2).beats;
+  tracker.setManualBpm(60, 2);
+  assert.ok(Math.abs(tracker.getClock(2).beats - before) < 1e-9);
+  assert.ok(Math.abs(tracker.getClock(3).beats - before - 1) < 1e-9);
+});
+
+test('getDivisionPhase wraps per division', () => {
+  const clock = { beats: 5.5 };
+  assert.equal(getDivisionPhase(clock, 'quarter'), 0.5);
+  assert.equal(getDivisionPhase(clock, 'half'), 0.75);
+  assert.equal(getDivisionPhase(clock, 'bar'), 0.375);
+});